@@ -32,15 +32,54 @@
  *        Sub_Comp_B_zh_tw
  *        ...
  *
+ *  The source can also be an .xlsx, .ods or .tsv workbook —
+ *  each sheet is mapped to a master comp before running — or
+ *  translated XLIFF files (one per language).
+ *
+ *  MODES (picked when the script starts):
+ *    Localize      → duplicate + replace from CSV/XLSX/ODS/TSV/XLIFF
+ *    Sync          → re-apply an updated source to the versions a
+ *                    previous run made; only changed cells are set
+ *    Propagate     → push edits made in the master after the run
+ *                    (keyframes, transforms, effects, added/removed
+ *                    layers) into the localized versions, keeping
+ *                    their localized text and footage
+ *    Export XLIFF  → source strings of the selected master comp(s),
+ *                    one unit per text layer, id = layer path
+ *    Extract CSV   → comp_name,layer_name,type,en-US template with
+ *                    every text layer in the selected master tree(s)
+ *
+ *  CSV parsing, validation and the replacement plan live in
+ *  shared/localization-core.js (shared with the Figma plugin);
+ *  font fallbacks per language in shared/fonts.js; translation QA
+ *  in shared/qa.js.
+ *
  *  Author: Gelvan Neo | Bybit Livestream & Video
  *  Version: 2.1
  */
 
+//@include "../shared/localization-core.js"
+//@include "../shared/xml.js"
+//@include "../shared/spreadsheet-reader.js"
+//@include "../shared/xliff.js"
+//@include "../shared/fonts.js"
+//@include "../shared/format.js"
+//@include "../shared/qa.js"
+
 // ─── CONFIGURATION ──────────────────────────────────────────
 var CONFIG = {
-    reservedColumns: ["comp_name", "layer_name", "type"],
+    targetColumn: "comp_name",
+    sourceLanguage: "en-US",        // column written by Extract strings; markup and QA compare against it (else the first language)
     outputFolderName: "Localized_Versions",
     precompFolderName: "_PRECOMPS",
+    fitMode: "none",                // overflowing text: none | flag | shrink | track
+    fitMinScale: 0.7,               // shrink floor when min_font_size is empty
+    fitMinTracking: -50,            // track floor (1/1000 em)
+    limitMode: "report",            // text over max_chars / max_lines: report | skip | truncate | fit
+    layerMatch: "all",              // layer_name matching several layers: all | first (same default as the Figma plugin)
+    fontMap: null,                  // per-language font fallbacks, null = DEFAULT_FONT_MAP in shared/fonts.js
+    fontCoverage: {},               // extra family → scripts, e.g. { "Brand Sans": ["Latin", "Cyrillic"] }
+    qaSeverity: {},                 // per QA check: "error" | "warning" | "off", e.g. { empty: "error" } (shared/qa.js)
     verbose: true
 };
 
@@ -50,70 +89,6 @@ function log(msg) {
     if (CONFIG.verbose) $.writeln("[BatchReplacer] " + msg);
 }
 
-function trim(str) {
-    return str.replace(/^\s+|\s+$/g, "");
-}
-
-// ─── CSV PARSING ────────────────────────────────────────────
-
-function parseCSVLine(line) {
-    var result = [];
-    var current = "";
-    var inQuotes = false;
-
-    for (var i = 0; i < line.length; i++) {
-        var ch = line.charAt(i);
-        if (ch === '"') {
-            if (inQuotes && i + 1 < line.length && line.charAt(i + 1) === '"') {
-                current += '"';
-                i++;
-            } else {
-                inQuotes = !inQuotes;
-            }
-        } else if (ch === ',' && !inQuotes) {
-            result.push(current);
-            current = "";
-        } else {
-            current += ch;
-        }
-    }
-    result.push(current);
-    return result;
-}
-
-function parseCSV(csvString) {
-    var lines = csvString.split(/\r?\n/);
-    var headers = parseCSVLine(lines[0]);
-    for (var h = 0; h < headers.length; h++) headers[h] = trim(headers[h]);
-
-    var rows = [];
-    for (var i = 1; i < lines.length; i++) {
-        var line = trim(lines[i]);
-        if (line === "") continue;
-        var values = parseCSVLine(line);
-        var row = {};
-        for (var j = 0; j < headers.length; j++) {
-            row[headers[j]] = (j < values.length) ? trim(values[j]) : "";
-        }
-        rows.push(row);
-    }
-
-    return { headers: headers, rows: rows };
-}
-
-function detectLanguages(headers) {
-    var langs = [];
-    for (var i = 0; i < headers.length; i++) {
-        var h = headers[i].toLowerCase();
-        var isReserved = false;
-        for (var r = 0; r < CONFIG.reservedColumns.length; r++) {
-            if (h === CONFIG.reservedColumns[r]) { isReserved = true; break; }
-        }
-        if (!isReserved && headers[i] !== "") langs.push(headers[i]);
-    }
-    return langs;
-}
-
 // ─── PROJECT HELPERS ────────────────────────────────────────
 
 function findComp(name) {
@@ -137,23 +112,94 @@ function findOrCreateFolder(name, parent) {
 
 // ─── DEEP LAYER SEARCH ─────────────────────────────────────
 
-function findLayerDeep(comp, layerName) {
+// Name of a layer as it reads in the master tree: a precomp layer
+// that was never renamed shows its source, which in a localized
+// copy is "Sub_Comp_A_de_de" rather than "Sub_Comp_A"
+function masterLayerName(layer) {
+    var name = layer.name;
+    if (!(layer.source && layer.source instanceof CompItem) || name !== layer.source.name) return name;
+    var meta = getCompMeta(layer.source);
+    var suffix = (meta && meta.lang) ? "_" + LocalizationCore.languageSuffix(meta.lang) : "";
+    if (suffix && name.length > suffix.length && name.substring(name.length - suffix.length) === suffix) {
+        return name.substring(0, name.length - suffix.length);
+    }
+    return name;
+}
+
+// Every layer in the comp tree — a comp's own layers before those
+// of its precomps — with its path of master names from `comp`.
+// A precomp used twice is listed once. Returns [{ layer, comp, path }]
+function collectLayers(comp, path, collected, seen) {
+    if (!path) path = [];
+    if (!collected) collected = [];
+    if (!seen) seen = {};
+    if (seen[comp.id]) return collected;
+    seen[comp.id] = true;
+
     for (var i = 1; i <= comp.numLayers; i++) {
-        var layer = comp.layer(i);
-        if (layer.name === layerName) {
-            return { layer: layer, comp: comp };
-        }
+        collected.push({ layer: comp.layer(i), comp: comp, path: path.concat([masterLayerName(comp.layer(i))]) });
     }
 
     for (var j = 1; j <= comp.numLayers; j++) {
-        var layer2 = comp.layer(j);
-        if (layer2.source && layer2.source instanceof CompItem) {
-            var result = findLayerDeep(layer2.source, layerName);
-            if (result) return result;
+        var layer = comp.layer(j);
+        if (layer.source && layer.source instanceof CompItem) {
+            collectLayers(layer.source, path.concat([masterLayerName(layer)]), collected, seen);
         }
     }
 
-    return null;
+    return collected;
+}
+
+// Layers a layer_name pattern (LocalizationCore.parseLayerPattern)
+// matches in the comp tree, in search order. With `patterns` (every
+// row of the same master) layers a more specific row claims are left
+// out. Finds the layer even 3 sub-comps deep.
+function findLayersDeep(comp, pattern, patterns) {
+    var layers = collectLayers(comp);
+    var found = [];
+    for (var i = 0; i < layers.length; i++) {
+        if (!LocalizationCore.matchLayerPath(pattern, layers[i].path)) continue;
+        if (patterns && patterns[LocalizationCore.findLayerOwner(patterns, layers[i].path)] !== pattern) continue;
+        found.push(layers[i]);
+    }
+    return found;
+}
+
+// Matches a row of this type can set: text layers for text rows,
+// layers with a footage source for footage/image rows — not the
+// precomp or solid that often shares the name of its text layer
+function layersOfKind(found, type) {
+    var kept = [];
+    for (var i = 0; i < found.length; i++) {
+        var layer = found[i].layer;
+        var fits = (type === "footage" || type === "image")
+            ? layer.source && !(layer.source instanceof CompItem)
+            : layer instanceof TextLayer;
+        if (fits) kept.push(found[i]);
+    }
+    return kept;
+}
+
+// Parsed layer_name of every row, per master comp:
+// { comp_name: [patterns] }
+function layerPatterns(data) {
+    var byTarget = {};
+    for (var i = 0; i < data.rows.length; i++) {
+        var row = data.rows[i];
+        if (LocalizationCore.rowType(row) === "variable") continue;
+        var target = row[CONFIG.targetColumn];
+        if (!byTarget[target]) byTarget[target] = [];
+        byTarget[target].push(LocalizationCore.parseLayerPattern(row["layer_name"]));
+    }
+    return byTarget;
+}
+
+// The entry of `patterns` for a layer_name (the first, as in the plan)
+function patternFor(patterns, layerName) {
+    for (var i = 0; i < patterns.length; i++) {
+        if (patterns[i].text === layerName) return patterns[i];
+    }
+    return LocalizationCore.parseLayerPattern(layerName);
 }
 
 // ─── COMP TREE DISCOVERY ────────────────────────────────────
@@ -181,16 +227,41 @@ function discoverAllSubComps(comp, collected) {
     return collected;
 }
 
+// Every text layer in the comp tree, with its path of layer names
+// from the master ("Sub_Comp_A/Sub_Comp_B/Headline").
+// Returns [{ layer, comp, path: [names...] }]
+function collectTextLayers(comp, path, collected) {
+    if (!path) path = [];
+    if (!collected) collected = [];
+
+    for (var i = 1; i <= comp.numLayers; i++) {
+        var layer = comp.layer(i);
+        if (layer instanceof TextLayer) {
+            collected.push({ layer: layer, comp: comp, path: path.concat([layer.name]) });
+        } else if (layer.source && layer.source instanceof CompItem) {
+            collectTextLayers(layer.source, path.concat([layer.name]), collected);
+        }
+    }
+
+    return collected;
+}
+
+function getLayerText(layer) {
+    return String(layer.property("Source Text").value.text).replace(/\r/g, "\n");
+}
+
 // ─── REPLACEMENT ────────────────────────────────────────────
 
-function replaceText(layer, newText) {
+// paragraph: optional RTL settings from rtlParagraph()
+function replaceText(layer, newText, paragraph) {
     if (!(layer instanceof TextLayer)) {
         log("  WARNING: '" + layer.name + "' is not a text layer.");
         return false;
     }
     var textProp = layer.property("Source Text");
     var textDoc = textProp.value;
-    textDoc.text = newText;
+    textDoc.text = newText.replace(/\r\n|\n/g, "\r");  // AE line breaks are CR
+    if (paragraph) applyParagraph(textDoc, paragraph);
     textProp.setValue(textDoc);
     log("  ✓ Text → '" + newText.substring(0, 50) + (newText.length > 50 ? "..." : "") + "'");
     return true;
@@ -207,13 +278,345 @@ function replaceFootage(layer, filePath) {
     } catch (e) { log("  ERROR: " + e.toString()); return false; }
 }
 
+// ─── TEXT FITTING ───────────────────────────────────────────
+//
+// Translations that overflow the space the master text was laid
+// out for are shrunk, tracked tighter or just reported. The mode
+// comes from the row's fit/min_font_size columns, else from a
+// "fit=shrink min=24" note in the layer comment, else CONFIG.
+
+function resolveFit(layer, rep) {
+    var note = String(layer.comment || "");
+    var modeMatch = /\bfit\s*[=:]\s*(\w+)/i.exec(note);
+    var minMatch = /\bmin\s*[=:]\s*([\d.]+)/i.exec(note);
+    var fit = rep.fit || {};
+
+    var mode = fit.mode || (modeMatch ? modeMatch[1].toLowerCase() : CONFIG.fitMode);
+    if (!LocalizationCore.contains(LocalizationCore.FIT_MODES, mode)) {
+        log("  WARNING: Unknown fit '" + mode + "' on '" + layer.name + "'");
+        mode = "none";
+    }
+    return { mode: mode, minFontSize: fit.minFontSize || (minMatch ? parseFloat(minMatch[1]) : null) };
+}
+
+// Text animators can reveal text over time; measure mid-layer
+function measureTime(layer) {
+    return (layer.inPoint + layer.outPoint) / 2;
+}
+
+// Same layer in the master tree the localized comp was made from,
+// so a re-run (Sync) measures against the master, not against a
+// text it already shrank. Falls back to the layer itself.
+function masterTextLayer(layer, comp) {
+    var meta = getCompMeta(comp);
+    if (!meta || !meta.source) return layer;
+    for (var i = 1; i <= app.project.numItems; i++) {
+        var item = app.project.item(i);
+        if (item instanceof CompItem && String(item.id) === meta.source) {
+            for (var l = 1; l <= item.numLayers; l++) {
+                if (item.layer(l).name === layer.name && item.layer(l) instanceof TextLayer) return item.layer(l);
+            }
+            return layer;
+        }
+    }
+    return layer;
+}
+
+// The space the master text was designed for — the paragraph box,
+// or the point text's own bounds — and its size and tracking
+function textBoxOf(layer) {
+    var doc = layer.property("Source Text").value;
+    var box = { paragraph: doc.boxText, fontSize: doc.fontSize, tracking: doc.tracking };
+    if (doc.boxText) {
+        box.width = doc.boxTextSize[0];
+        box.height = doc.boxTextSize[1];
+    } else {
+        var rect = layer.sourceRectAtTime(measureTime(layer), false);
+        box.width = rect.width;
+        box.height = rect.height;
+    }
+    return box;
+}
+
+// Returns the LocalizationCore.fitText result
+function fitTextLayer(layer, box, fit) {
+    var textProp = layer.property("Source Text");
+    var time = measureTime(layer);
+    var state = { size: box.fontSize, tracking: box.tracking };
+
+    function render(tall) {
+        var d = textProp.value;
+        d.fontSize = state.size;
+        d.tracking = state.tracking;
+        // Paragraph text that overflows is not drawn, so measure in a taller box
+        if (box.paragraph) d.boxTextSize = [box.width, tall ? box.height * 20 : box.height];
+        textProp.setValue(d);
+    }
+
+    var result = LocalizationCore.fitText({
+        mode: fit.mode,
+        fontSize: box.fontSize,
+        minFontSize: fit.minFontSize || Math.round(box.fontSize * CONFIG.fitMinScale * 2) / 2,
+        tracking: box.tracking,
+        minTracking: CONFIG.fitMinTracking,
+        trackingStep: 5,
+        fits: function () {
+            render(true);
+            var rect = layer.sourceRectAtTime(time, false);
+            return rect.width <= box.width + 0.5 && rect.height <= box.height + 0.5;
+        },
+        setFontSize: function (n) { state.size = n; },
+        setTracking: function (n) { state.tracking = n; }
+    });
+
+    state.size = result.fontSize;
+    state.tracking = result.tracking;
+    render(false);
+    result.originalFontSize = box.fontSize;
+    result.originalTracking = box.tracking;
+    return result;
+}
+
+// One line for the summary, or "" when nothing needed doing
+function describeFit(result, layerName, lang) {
+    var where = "[" + lang + "] " + layerName + ": ";
+    if (result.status === "shrunk") return where + "shrunk " + result.originalFontSize + " → " + result.fontSize + " pt";
+    if (result.status === "tracked") return where + "tracking " + result.originalTracking + " → " + result.tracking;
+    if (result.status === "overflow") {
+        return where + "does not fit" + (result.fontSize !== result.originalFontSize ? " (even at " + result.fontSize + " pt)" :
+            result.tracking !== result.originalTracking ? " (even at tracking " + result.tracking + ")" : "");
+    }
+    return "";
+}
+
+// ─── FONT FALLBACKS ─────────────────────────────────────────
+//
+// When the master font has no glyphs for a translation's script,
+// the substitute from CONFIG.fontMap is set (shared/fonts.js has
+// the lookup rules and the script-coverage table). Returns a line
+// for the summary when glyphs are still missing or the substitute
+// is not installed, else "".
+
+function applyFontFallback(layer, text, lang, stats) {
+    var textProp = layer.property("Source Text");
+    var doc = textProp.value;
+    var family = doc.fontFamily;
+    var where = "[" + lang + "] " + layer.name + ": ";
+    var choice = LocalizationCore.chooseFont(text, lang, { family: doc.fontFamily, style: doc.fontStyle }, {
+        fontMap: CONFIG.fontMap,
+        coverage: CONFIG.fontCoverage
+    });
+
+    if (choice.font) {
+        var psName = LocalizationCore.postScriptName(choice.font);
+        doc.font = psName;
+        textProp.setValue(doc);
+        if (textProp.value.font !== psName) {
+            return where + "substitute font '" + psName + "' is not installed";
+        }
+        log("  Aa " + family + " → " + choice.font.family + " " + choice.font.style);
+        family = choice.font.family;
+        stats.fonts++;
+    }
+
+    if (choice.missing.length > 0) return where + LocalizationCore.describeMissingGlyphs(family, choice.missing);
+    return "";
+}
+
+// ─── INLINE MARKUP ──────────────────────────────────────────
+//
+// Cells like "Trade <b>Bitcoin</b> now" style the marked words
+// like the master layer's emphasis (LocalizationCore.parseMarkup
+// and markupStyles). Per-character styles need AE 24.3+
+// (TextDocument.characterRange); older versions keep plain text.
+
+var MARKUP_STYLE_PROPS = [
+    "font", "fontSize", "fillColor", "applyFill", "strokeColor", "applyStroke", "strokeWidth",
+    "fauxBold", "fauxItalic", "allCaps", "smallCaps", "tracking", "baselineShift"
+];
+
+// Master text split into runs of identical character style.
+// Returns { runs: [{ start, end, key }], styles: { key: style } }
+function characterRuns(doc) {
+    var runs = [];
+    var styles = {};
+    var length = doc.text.length;
+    for (var i = 0; i < length; i++) {
+        var range = doc.characterRange(i, i + 1);
+        var style = {};
+        var key = "";
+        for (var p = 0; p < MARKUP_STYLE_PROPS.length; p++) {
+            var name = MARKUP_STYLE_PROPS[p];
+            try { style[name] = range[name]; } catch (e) { style[name] = undefined; }
+            key += String(style[name]) + "|";
+        }
+        if (runs.length > 0 && runs[runs.length - 1].key === key) runs[runs.length - 1].end = i + 1;
+        else runs.push({ start: i, end: i + 1, key: key });
+        styles[key] = style;
+    }
+    return { runs: runs, styles: styles };
+}
+
+function setRangeStyle(doc, start, end, style, keepFont) {
+    if (end <= start) return;
+    var range = doc.characterRange(start, end);
+    for (var p = 0; p < MARKUP_STYLE_PROPS.length; p++) {
+        var name = MARKUP_STYLE_PROPS[p];
+        if (style[name] === undefined || (name === "font" && keepFont)) continue;
+        try { range[name] = style[name]; } catch (e) {}
+    }
+}
+
+// Styles the spans of `markup` (already set as plain text) after
+// the master layer. source: the source-language cell, whose markup
+// shows which master run each tag stands for. A layer that got a
+// fallback font keeps it. Returns a note for the summary, or "".
+function applyMarkup(layer, markup, masterLayer, source) {
+    var textProp = layer.property("Source Text");
+    var doc = textProp.value;
+    if (typeof doc.characterRange !== "function") return "inline styles need After Effects 24.3 or later";
+
+    var masterDoc = masterLayer.property("Source Text").value;
+    var captured = characterRuns(masterDoc);
+    if (captured.runs.length === 0) return "";
+    var styles = LocalizationCore.markupStyles(source ? LocalizationCore.parseMarkup(source) : null, masterDoc.text, captured.runs);
+    var keepFont = doc.font !== masterDoc.font;
+
+    setRangeStyle(doc, 0, markup.text.length, captured.styles[styles.base], keepFont);
+    var missing = [];
+    for (var s = 0; s < markup.spans.length; s++) {
+        var span = markup.spans[s];
+        var key = styles.tags.hasOwnProperty(span.tag) ? styles.tags[span.tag] : styles.fallback;
+        if (key === null) {
+            if (!LocalizationCore.contains(missing, span.tag)) missing.push(span.tag);
+            continue;
+        }
+        setRangeStyle(doc, span.start, span.end, captured.styles[key], keepFont);
+    }
+    textProp.setValue(doc);
+
+    return missing.length > 0 ? "no master style for <" + missing.join(">, <") + ">" : "";
+}
+
+// ─── RIGHT-TO-LEFT ──────────────────────────────────────────
+//
+// For ar, he, fa... replaced text gets right-to-left paragraph
+// direction and mirrored justification (taken from the master
+// layer, so re-runs don't flip it back). Layers whose name holds
+// "[mirror]" are moved to their mirrored spot: a marked precomp
+// layer mirrors everything inside its comp.
+
+var MIRROR_TAG = "[mirror]";
+
+var JUSTIFICATIONS = [
+    "LEFT_JUSTIFY", "RIGHT_JUSTIFY", "CENTER_JUSTIFY",
+    "FULL_JUSTIFY_LASTLINE_LEFT", "FULL_JUSTIFY_LASTLINE_RIGHT",
+    "FULL_JUSTIFY_LASTLINE_CENTER", "FULL_JUSTIFY_LASTLINE_FULL"
+];
+
+function rtlParagraph(masterLayer) {
+    var justification = masterLayer.property("Source Text").value.justification;
+    for (var i = 0; i < JUSTIFICATIONS.length; i++) {
+        if (ParagraphJustification[JUSTIFICATIONS[i]] === justification) {
+            justification = ParagraphJustification[LocalizationCore.mirrorAlignment(JUSTIFICATIONS[i])];
+            break;
+        }
+    }
+    return { rtl: true, justification: justification };
+}
+
+function applyParagraph(textDoc, paragraph) {
+    textDoc.justification = paragraph.justification;
+    // Paragraph direction is scriptable from AE 24; older versions
+    // follow the Middle Eastern text engine setting
+    try {
+        textDoc.direction = ParagraphDirection.DIRECTION_RIGHT_TO_LEFT;
+    } catch (e) {
+        log("  NOTE: Paragraph direction not scriptable in this AE version");
+    }
+}
+
+function mapPropertyValues(prop, fn) {
+    if (!prop) return;
+    if (prop.numKeys === 0) {
+        prop.setValue(fn(prop.value));
+        return;
+    }
+    for (var k = 1; k <= prop.numKeys; k++) {
+        prop.setValueAtKey(k, fn(prop.keyValue(k)));
+        if (prop.isSpatial) {
+            var inTan = prop.keyInSpatialTangent(k);
+            var outTan = prop.keyOutSpatialTangent(k);
+            inTan[0] = -inTan[0];
+            outTan[0] = -outTan[0];
+            prop.setSpatialTangentsAtKey(k, inTan, outTan);
+        }
+    }
+}
+
+// Horizontal extent of a layer's content in its own layer space
+function layerSpaceBox(layer) {
+    if (layer instanceof TextLayer || layer instanceof ShapeLayer) {
+        var rect = layer.sourceRectAtTime(measureTime(layer), false);
+        return { left: rect.left, width: rect.width };
+    }
+    if (layer.source) return { left: 0, width: layer.source.width };
+    return { left: 0, width: 0 };
+}
+
+// Moves a layer to its mirrored spot inside its parent (or the
+// comp) without flipping its content: position x → axis − x,
+// anchor point mirrored inside the layer, rotation negated.
+function mirrorLayer(layer) {
+    var space = layer.parent ? layerSpaceBox(layer.parent) : { left: 0, width: layer.containingComp.width };
+    var axis = 2 * space.left + space.width;
+    var box = layerSpaceBox(layer);
+    var anchorAxis = 2 * box.left + box.width;
+    var transform = layer.property("ADBE Transform Group");
+    var locked = layer.locked;
+    layer.locked = false;
+
+    var position = transform.property("ADBE Position");
+    if (position.dimensionsSeparated) {
+        mapPropertyValues(transform.property("ADBE Position_0"), function (x) { return axis - x; });
+    } else {
+        mapPropertyValues(position, function (v) { v[0] = axis - v[0]; return v; });
+    }
+    mapPropertyValues(transform.property("ADBE Anchor Point"), function (v) { v[0] = anchorAxis - v[0]; return v; });
+    mapPropertyValues(transform.property("ADBE Rotate Z"), function (r) { return -r; });
+
+    layer.locked = locked;
+}
+
+// Walks a localized tree; returns how many layers were mirrored
+function mirrorMarkedLayers(comp, mirrorAll, done) {
+    if (!done) done = {};
+    if (done[comp.id]) return 0;
+    done[comp.id] = true;
+
+    var moved = 0;
+    for (var i = 1; i <= comp.numLayers; i++) {
+        var layer = comp.layer(i);
+        var isComp = layer.source && layer.source instanceof CompItem;
+        var marked = layer.name.indexOf(MIRROR_TAG) >= 0;
+
+        if (layer instanceof AVLayer && (mirrorAll || (marked && !isComp))) {
+            mirrorLayer(layer);
+            moved++;
+        }
+        if (isComp) moved += mirrorMarkedLayers(layer.source, marked, done);
+    }
+    return moved;
+}
+
 // ─── DUPLICATION ENGINE ─────────────────────────────────────
 //
 // Duplicates all sub-comps (into _PRECOMPS folder) and the
 // master comp (into the language folder). Relinks everything.
 // Only the master comp appears in the clean language folder.
+// Every dupe is linked to its original (see SYNC LINKS).
 
-function duplicateFullTree(masterComp, langSuffix, langFolder, precompFolder) {
+function duplicateFullTree(masterComp, langSuffix, langFolder, precompFolder, lang) {
     var dupeMap = {};
 
     // 1. Discover all sub-comps
@@ -260,6 +663,7 @@ function duplicateFullTree(masterComp, langSuffix, langFolder, precompFolder) {
         var dupe = original.duplicate();
         dupe.name = original.name + "_" + langSuffix;
         dupe.parentFolder = precompFolder;  // ← hidden in _PRECOMPS
+        setCompMeta(dupe, { source: String(original.id), lang: lang });
         dupeMap[original.name] = dupe;
 
         // Relink children inside this dupe
@@ -275,6 +679,7 @@ function duplicateFullTree(masterComp, langSuffix, langFolder, precompFolder) {
     var newMaster = masterComp.duplicate();
     newMaster.name = masterComp.name + "_" + langSuffix;
     newMaster.parentFolder = langFolder;  // ← clean language folder
+    setCompMeta(newMaster, { source: String(masterComp.id), lang: lang, role: "master" });
     dupeMap[masterComp.name] = newMaster;
 
     // 5. Relink sub-comps in master
@@ -288,182 +693,1456 @@ function duplicateFullTree(masterComp, langSuffix, langFolder, precompFolder) {
     return dupeMap;
 }
 
-// ─── MAIN ───────────────────────────────────────────────────
-
-function main() {
-    if (!app.project) { alert("No After Effects project is open."); return; }
-
-    var csvFile = File.openDialog("Select CSV file for batch replacement", "CSV Files:*.csv,All Files:*.*");
-    if (!csvFile) return;
+// ─── SYNC LINKS ─────────────────────────────────────────────
+//
+// Localized comps carry a [BatchReplacer] block in their comment:
+// the id of the comp they were duplicated from, the language and
+// (on the localized master) the cell values applied last time.
+// Sync finds versions through this link, so renaming them is safe.
 
-    csvFile.open("r");
-    var csvContent = csvFile.read();
-    csvFile.close();
+var META_TAG = "BatchReplacer";
 
-    var data = parseCSV(csvContent);
-    var languages = detectLanguages(data.headers);
+function getCompMeta(comp) {
+    return LocalizationCore.readMetaBlock(comp.comment, META_TAG);
+}
 
-    log("Rows: " + data.rows.length + " | Languages: " + languages.join(", "));
+function setCompMeta(comp, meta) {
+    comp.comment = LocalizationCore.writeMetaBlock(comp.comment, META_TAG, meta);
+}
 
-    if (languages.length === 0) {
-        alert("No language columns found.\nExpected headers beyond: " + CONFIG.reservedColumns.join(", "));
-        return;
+// { layerName: value } applied to a localized master
+function getAppliedCells(meta) {
+    var cells = {};
+    if (!meta) return cells;
+    for (var key in meta) {
+        if (meta.hasOwnProperty(key) && key.indexOf("cell.") === 0) cells[key.substring(5)] = meta[key];
     }
+    return cells;
+}
 
-    // Collect unique master comp names
-    var masterCompNames = {};
-    for (var i = 0; i < data.rows.length; i++) {
-        masterCompNames[data.rows[i]["comp_name"]] = true;
+function setAppliedCells(comp, cells) {
+    var meta = getCompMeta(comp) || {};
+    var updated = {};
+    for (var key in meta) {
+        if (meta.hasOwnProperty(key) && key.indexOf("cell.") !== 0) updated[key] = meta[key];
     }
-
-    var masterList = [];
-    for (var name in masterCompNames) {
-        if (masterCompNames.hasOwnProperty(name)) masterList.push(name);
+    for (var name in cells) {
+        if (cells.hasOwnProperty(name)) updated["cell." + name] = cells[name];
     }
+    setCompMeta(comp, updated);
+}
 
-    // Validate and discover
-    var compInfo = {};
-    var totalSubComps = 0;
-    for (var ci = 0; ci < masterList.length; ci++) {
-        var comp = findComp(masterList[ci]);
-        if (!comp) {
-            alert("Comp '" + masterList[ci] + "' not found in project.\nCheck the comp_name column in your CSV.");
-            return;
+// The localized master made from `masterComp` for a language.
+// Linked comps win; an unlinked comp with the generated name
+// (made before links existed) is adopted as a fallback.
+function findLocalizedVersion(masterComp, langPlan) {
+    var byName = null;
+    for (var i = 1; i <= app.project.numItems; i++) {
+        var item = app.project.item(i);
+        if (!(item instanceof CompItem) || item.id === masterComp.id) continue;
+
+        var meta = getCompMeta(item);
+        if (meta) {
+            if (meta.role === "master" && meta.source === String(masterComp.id) && meta.lang === langPlan.lang) return item;
+        } else if (!byName && item.name === masterComp.name + "_" + langPlan.suffix) {
+            byName = item;
         }
-        var subComps = discoverAllSubComps(comp);
-        compInfo[masterList[ci]] = { comp: comp, subComps: subComps };
-        totalSubComps += subComps.length;
     }
+    return byName;
+}
 
-    // Pre-check layer names
-    var layerCheck = [];
-    for (var lc = 0; lc < data.rows.length; lc++) {
-        var checkRow = data.rows[lc];
-        var checkComp = compInfo[checkRow["comp_name"]].comp;
-        var found = findLayerDeep(checkComp, checkRow["layer_name"]);
-        if (!found) {
-            layerCheck.push("'" + checkRow["layer_name"] + "' not found in '" + checkRow["comp_name"] + "' tree");
+// ─── PROPAGATION ENGINE ─────────────────────────────────────
+//
+// Pushes edits made in a master tree after localization into a
+// localized copy: comp settings, layer order and switches,
+// parenting, keyframes, expressions, effects, masks and shape
+// contents, plus layers added to or removed from the master.
+// Source Text is never touched, and footage a language replaced
+// (its layer is in the applied cells) keeps its localized source.
+
+var COMP_ATTRIBUTES = [
+    "width", "height", "pixelAspect", "frameRate", "duration", "bgColor",
+    "workAreaStart", "workAreaDuration", "motionBlur", "shutterAngle",
+    "shutterPhase", "frameBlending", "hideShyLayers"
+];
+
+// Timing last: stretch → startTime → in/out
+var LAYER_ATTRIBUTES = [
+    "enabled", "audioEnabled", "shy", "threeDLayer", "motionBlur",
+    "adjustmentLayer", "collapseTransformation", "guideLayer",
+    "effectsActive", "blendingMode", "preserveTransparency",
+    "trackMatteType", "quality", "label",
+    "stretch", "startTime", "inPoint", "outPoint"
+];
+
+function valuesEqual(a, b) {
+    if (a instanceof Array && b instanceof Array) {
+        if (a.length !== b.length) return false;
+        for (var i = 0; i < a.length; i++) {
+            if (!valuesEqual(a[i], b[i])) return false;
         }
+        return true;
+    }
+    if (a instanceof Shape && b instanceof Shape) {
+        return a.closed === b.closed && valuesEqual(a.vertices, b.vertices) &&
+            valuesEqual(a.inTangents, b.inTangents) && valuesEqual(a.outTangents, b.outTangents);
+    }
+    if (a instanceof MarkerValue && b instanceof MarkerValue) {
+        return a.comment === b.comment && a.duration === b.duration && a.chapter === b.chapter &&
+            a.url === b.url && a.label === b.label;
     }
+    return a === b;
+}
 
-    // Confirmation
-    var msg = "Batch Asset Replacer v2.1\n\n";
-    msg += "Rows: " + data.rows.length + "\n";
-    msg += "Languages: " + languages.join(", ") + " (" + languages.length + ")\n\n";
-    msg += "Master comps: " + masterList.join(", ") + "\n";
-    msg += "Sub-comps discovered: " + totalSubComps + "\n";
+// Copies the listed attributes that differ; returns how many changed
+function copyAttributes(src, dst, names) {
+    var changed = 0;
+    for (var i = 0; i < names.length; i++) {
+        try {
+            if (typeof src[names[i]] === "undefined" || valuesEqual(src[names[i]], dst[names[i]])) continue;
+            dst[names[i]] = src[names[i]];
+            changed++;
+        } catch (e) {
+            // Not available on this layer type / AE version
+        }
+    }
+    return changed;
+}
 
-    if (totalSubComps > 0) {
-        msg += "\n✓ Sub-comps duplicated behind the scenes\n";
-        msg += "  Only master comps appear in language folders\n";
-        msg += "  Sub-comps stored in '" + CONFIG.precompFolderName + "' folder\n";
+function easesEqual(a, b) {
+    if (a.length !== b.length) return false;
+    for (var i = 0; i < a.length; i++) {
+        if (a[i].speed !== b[i].speed || a[i].influence !== b[i].influence) return false;
     }
+    return true;
+}
 
-    if (layerCheck.length > 0) {
-        msg += "\n⚠ WARNING — Layers not found:\n";
-        for (var w = 0; w < Math.min(layerCheck.length, 5); w++) {
-            msg += "  • " + layerCheck[w] + "\n";
-        }
-        if (layerCheck.length > 5) msg += "  ... and " + (layerCheck.length - 5) + " more\n";
+function keysEqual(src, dst) {
+    if (src.numKeys !== dst.numKeys) return false;
+    if (src.numKeys === 0) return valuesEqual(src.valueAtTime(0, true), dst.valueAtTime(0, true));
+
+    for (var k = 1; k <= src.numKeys; k++) {
+        if (src.keyTime(k) !== dst.keyTime(k)) return false;
+        if (!valuesEqual(src.keyValue(k), dst.keyValue(k))) return false;
+        if (src.keyInInterpolationType(k) !== dst.keyInInterpolationType(k)) return false;
+        if (src.keyOutInterpolationType(k) !== dst.keyOutInterpolationType(k)) return false;
+        if (!easesEqual(src.keyInTemporalEase(k), dst.keyInTemporalEase(k))) return false;
+        if (!easesEqual(src.keyOutTemporalEase(k), dst.keyOutTemporalEase(k))) return false;
+        if (src.isSpatial && !valuesEqual(src.keyInSpatialTangent(k), dst.keyInSpatialTangent(k))) return false;
+        if (src.isSpatial && !valuesEqual(src.keyOutSpatialTangent(k), dst.keyOutSpatialTangent(k))) return false;
     }
+    return true;
+}
 
-    var totalNewComps = 0;
-    for (var tc = 0; tc < masterList.length; tc++) {
-        totalNewComps += (1 + compInfo[masterList[tc]].subComps.length) * languages.length;
+function copyKeys(src, dst) {
+    while (dst.numKeys > 0) dst.removeKey(dst.numKeys);
+
+    if (src.numKeys === 0) {
+        dst.setValue(src.valueAtTime(0, true));
+        return;
     }
-    msg += "\nWill create " + totalNewComps + " comps total.";
-    msg += "\n(" + (masterList.length * languages.length) + " in language folders + " + (totalSubComps * languages.length) + " in " + CONFIG.precompFolderName + ")";
-    msg += "\n\nProceed?";
 
-    if (!confirm(msg)) return;
+    for (var k = 1; k <= src.numKeys; k++) {
+        dst.setValueAtTime(src.keyTime(k), src.keyValue(k));
+    }
 
-    // ─── Execute ───
-    app.beginUndoGroup("Batch Asset Replacer v2.1");
+    // Second pass: eases need both neighbours in place
+    for (var e = 1; e <= src.numKeys; e++) {
+        dst.setInterpolationTypeAtKey(e, src.keyInInterpolationType(e), src.keyOutInterpolationType(e));
+        if (src.isSpatial) {
+            dst.setSpatialTangentsAtKey(e, src.keyInSpatialTangent(e), src.keyOutSpatialTangent(e));
+            dst.setSpatialContinuousAtKey(e, src.keySpatialContinuous(e));
+            dst.setSpatialAutoBezierAtKey(e, src.keySpatialAutoBezier(e));
+            dst.setRovingAtKey(e, src.keyRoving(e));
+        }
+        dst.setTemporalEaseAtKey(e, src.keyInTemporalEase(e), src.keyOutTemporalEase(e));
+        dst.setTemporalContinuousAtKey(e, src.keyTemporalContinuous(e));
+        dst.setTemporalAutoBezierAtKey(e, src.keyTemporalAutoBezier(e));
+    }
+}
 
-    var outputFolder = findOrCreateFolder(CONFIG.outputFolderName);
-    var precompFolder = findOrCreateFolder(CONFIG.precompFolderName, outputFolder);
-    var stats = { success: 0, skipped: 0, errors: 0 };
-    var errorLog = [];
+function syncProperty(src, dst, ctx) {
+    if (!dst || src.matchName === "ADBE Text Document") return;   // localized text
+    if (src.propertyValueType === PropertyValueType.NO_VALUE ||
+        src.propertyValueType === PropertyValueType.CUSTOM_VALUE) return;
 
-    for (var li = 0; li < languages.length; li++) {
-        var lang = languages[li];
-        var langSuffix = lang.toLowerCase().replace(/[^a-z0-9]/g, "_");
-        var langLabel = lang.toUpperCase().replace(/[^A-Z0-9\-]/g, "_");
+    try {
+        if (src.isSeparationLeader && src.dimensionsSeparated !== dst.dimensionsSeparated) {
+            dst.dimensionsSeparated = src.dimensionsSeparated;
+        }
+        // Only the visible half of a separated pair can be set
+        if (src.isSeparationLeader && src.dimensionsSeparated) return;
+        if (src.isSeparationFollower && !src.separationLeader.dimensionsSeparated) return;
+
+        var changed = false;
+        if (src.canSetExpression && dst.expression !== src.expression) {
+            dst.expression = src.expression;
+            changed = true;
+        }
+        if (src.canSetExpression && src.expression !== "" && dst.expressionEnabled !== src.expressionEnabled) {
+            dst.expressionEnabled = src.expressionEnabled;
+            changed = true;
+        }
+        if (!keysEqual(src, dst)) {
+            copyKeys(src, dst);
+            changed = true;
+        }
+        if (changed) ctx.stats.properties++;
+    } catch (e) {
+        ctx.stats.failed++;
+        log("  WARNING: Could not copy '" + src.name + "': " + e.toString());
+    }
+}
 
-        log("\n═══ " + lang + " ═══");
+// Adding or removing a property invalidates every other property
+// reference on the layer, so the copy side is always looked up
+// again from the layer by path (indexes or match names).
+function resolvePropertyPath(layer, path) {
+    var prop = layer;
+    for (var i = 0; i < path.length; i++) {
+        prop = prop.property(path[i]);
+        if (!prop) return null;
+    }
+    return prop;
+}
 
-        var langFolder = findOrCreateFolder(langLabel, outputFolder);
+function syncPropertyGroup(srcGroup, dstLayer, path, ctx) {
+    var dstGroup = resolvePropertyPath(dstLayer, path);
+    if (!dstGroup) return;
 
-        // Duplicate trees
-        var allDupes = {};
-        for (var m = 0; m < masterList.length; m++) {
-            var mComp = compInfo[masterList[m]].comp;
-            var dupeMap = duplicateFullTree(mComp, langSuffix, langFolder, precompFolder);
-            for (var key in dupeMap) {
-                if (dupeMap.hasOwnProperty(key)) allDupes[key] = dupeMap[key];
+    if (srcGroup.propertyType === PropertyType.INDEXED_GROUP) {
+        // Effects, masks, shape contents...: same stack or rebuild it
+        var same = srcGroup.numProperties === dstGroup.numProperties;
+        for (var i = 1; same && i <= srcGroup.numProperties; i++) {
+            same = srcGroup.property(i).matchName === dstGroup.property(i).matchName;
+        }
+        if (!same) {
+            try {
+                for (var r = dstGroup.numProperties; r >= 1; r--) {
+                    resolvePropertyPath(dstLayer, path).property(r).remove();
+                }
+                for (var a = 1; a <= srcGroup.numProperties; a++) {
+                    resolvePropertyPath(dstLayer, path).addProperty(srcGroup.property(a).matchName);
+                }
+                ctx.stats.properties++;
+            } catch (rebuildErr) {
+                ctx.stats.failed++;
+                log("  WARNING: Could not rebuild '" + srcGroup.name + "': " + rebuildErr.toString());
+                return;
             }
         }
 
-        // Apply replacements via deep search on duplicated tree
-        for (var r = 0; r < data.rows.length; r++) {
-            var row = data.rows[r];
-            var compName = row["comp_name"];
-            var layerName = row["layer_name"];
-            var type = (row["type"] || "text").toLowerCase();
-            var value = row[lang];
-
-            if (!value || value === "") { stats.skipped++; continue; }
-
-            var dupeMaster = allDupes[compName];
-            if (!dupeMaster) {
-                log("  ERROR: No duped comp for '" + compName + "'");
-                if (errorLog.length < 20) errorLog.push("[" + lang + "] Comp not found: '" + compName + "'");
-                stats.errors++; continue;
+        for (var c = 1; c <= srcGroup.numProperties; c++) {
+            var child = srcGroup.property(c);
+            var dstChild = resolvePropertyPath(dstLayer, path.concat([c]));
+            if (!dstChild) continue;
+            if (dstChild.name !== child.name) {
+                try { dstChild.name = child.name; } catch (nameErr) { /* fixed name */ }
             }
-
-            // Deep search — finds the layer even 3 sub-comps deep
-            var foundResult = findLayerDeep(dupeMaster, layerName);
-            if (!foundResult) {
-                log("  ERROR: Layer '" + layerName + "' not found in '" + dupeMaster.name + "' tree");
-                if (errorLog.length < 20) errorLog.push("[" + lang + "] Layer '" + layerName + "' not found in tree");
-                stats.errors++; continue;
+            if (child.matchName === "ADBE Mask Atom") {
+                copyAttributes(child, resolvePropertyPath(dstLayer, path.concat([c])), ["maskMode", "inverted", "rotoBezier"]);
             }
+            syncPropertyNode(child, dstLayer, path.concat([c]), ctx);
+        }
+    } else {
+        for (var n = 1; n <= srcGroup.numProperties; n++) {
+            var named = srcGroup.property(n);
+            var childPath = path.concat([named.matchName]);
+            if (!resolvePropertyPath(dstLayer, childPath)) {
+                // e.g. an animator property added to the master
+                try { resolvePropertyPath(dstLayer, path).addProperty(named.matchName); } catch (addErr) { continue; }
+            }
+            syncPropertyNode(named, dstLayer, childPath, ctx);
+        }
+    }
+}
+
+function syncPropertyNode(src, dstLayer, path, ctx) {
+    if (src.propertyType === PropertyType.PROPERTY) {
+        syncProperty(src, resolvePropertyPath(dstLayer, path), ctx);
+    } else {
+        syncPropertyGroup(src, dstLayer, path, ctx);
+    }
+}
 
-            log("  [" + foundResult.comp.name + "] " + layerName);
+// Master comp id a (possibly localized) comp was made from
+function originId(comp) {
+    var meta = getCompMeta(comp);
+    return (meta && meta.source) ? meta.source : String(comp.id);
+}
+
+function describeLayers(comp) {
+    var list = [];
+    for (var i = 1; i <= comp.numLayers; i++) {
+        var layer = comp.layer(i);
+        var isComp = layer.source && layer.source instanceof CompItem;
+        list.push({
+            key: isComp ? "comp:" + originId(layer.source) : "name:" + layer.name,
+            kind: layer.matchName
+        });
+    }
+    return list;
+}
 
-            var ok = false;
-            if (type === "footage" || type === "image") ok = replaceFootage(foundResult.layer, value);
-            else ok = replaceText(foundResult.layer, value);
+// Copy of a master sub-comp for ctx.lang, duplicating it (and its
+// own sub-comps) when the master started using it after the run.
+// path: master names down to the layer that uses it
+function localizedSubComp(subComp, ctx, path) {
+    var key = String(subComp.id) + "|" + ctx.lang;
+    if (ctx.copies[key]) return ctx.copies[key];
+
+    var dupeMap = duplicateFullTree(subComp, ctx.suffix, ctx.precompFolder, ctx.precompFolder, ctx.lang);
+    setCompMeta(dupeMap[subComp.name], { source: String(subComp.id), lang: ctx.lang });
+    for (var name in dupeMap) {
+        if (!dupeMap.hasOwnProperty(name)) continue;
+        ctx.copies[getCompMeta(dupeMap[name]).source + "|" + ctx.lang] = dupeMap[name];
+        ctx.done[dupeMap[name].id] = true;   // fresh copy, nothing to propagate
+    }
 
-            if (ok) stats.success++;
-            else {
-                if (errorLog.length < 20) errorLog.push("[" + lang + "] Failed: '" + layerName + "' in '" + foundResult.comp.name + "' (" + type + ")");
-                stats.errors++;
-            }
+    // Localize text already translated for this language
+    var layers = collectLayers(dupeMap[subComp.name], path);
+    for (var t = 0; t < layers.length; t++) {
+        var textLayer = layers[t].layer;
+        if (!(textLayer instanceof TextLayer)) continue;
+        var cell = LocalizationCore.findLayerCell(ctx.cells, layers[t].path);
+        if (cell !== null) {
+            localizeTextLayer(textLayer, masterTextLayer(textLayer, layers[t].comp), ctx.cells[cell], ctx);
         }
     }
+    ctx.stats.compsAdded++;
+    return dupeMap[subComp.name];
+}
 
-    app.endUndoGroup();
+// Text of a layer propagation adds: the Localize steps minus
+// fitting, styles mapped from the master layer alone
+function localizeTextLayer(layer, masterLayer, value, ctx) {
+    var markup = LocalizationCore.parseMarkup(value);
+    replaceText(layer, markup.text, ctx.rtl ? rtlParagraph(masterLayer) : null);
+    applyFontFallback(layer, markup.text, ctx.lang, ctx.stats);
+    if (markup.spans.length > 0) applyMarkup(layer, markup, masterLayer, null);
+}
 
-    // ─── Summary ───
-    var summary = "✓ Complete!\n\n";
-    summary += "Languages: " + languages.length + "\n";
-    summary += "Successful: " + stats.success + "\n";
-    summary += "Skipped: " + stats.skipped + "\n";
-    summary += "Errors: " + stats.errors + "\n";
+// path: master names down to the layer that uses `src` ([] for
+// the master itself), so cells keyed by a path or pattern still
+// find their layers
+function propagateComp(src, dst, ctx, path) {
+    if (!path) path = [];
+    if (ctx.done[dst.id]) return;
+    ctx.done[dst.id] = true;
+    ctx.stats.comps++;
+
+    log("  " + src.name + " → " + dst.name);
+    ctx.stats.properties += copyAttributes(src, dst, COMP_ATTRIBUTES);
+
+    var srcLayers = [];
+    var dstLayers = [];
+    for (var i = 1; i <= src.numLayers; i++) srcLayers.push(src.layer(i));
+    for (var j = 1; j <= dst.numLayers; j++) {
+        dstLayers.push(dst.layer(j));
+        dst.layer(j).locked = false;
+    }
 
-    if (errorLog.length > 0) {
-        summary += "\n── Error Details ──\n";
-        for (var e = 0; e < errorLog.length; e++) {
-            summary += errorLog[e] + "\n";
-        }
-        if (stats.errors > errorLog.length) {
-            summary += "... and " + (stats.errors - errorLog.length) + " more\n";
+    var pairing = LocalizationCore.pairLayers(describeLayers(src), describeLayers(dst));
+    var dstFor = [];
+    for (var p = 0; p < pairing.pairs.length; p++) {
+        dstFor[pairing.pairs[p][0]] = dstLayers[pairing.pairs[p][1]];
+    }
+
+    // 1. Layers removed from the master
+    for (var rm = 0; rm < pairing.removed.length; rm++) {
+        var removedLayer = dstLayers[pairing.removed[rm]];
+        log("    – " + removedLayer.name);
+        removedLayer.remove();
+        ctx.stats.layersRemoved++;
+    }
+
+    // 2. Layers added to the master (copied with their keyframes)
+    for (var ad = 0; ad < pairing.added.length; ad++) {
+        var srcLayer = srcLayers[pairing.added[ad]];
+        srcLayer.copyToComp(dst);
+        var added = dst.layer(1);
+        var addedPath = path.concat([srcLayer.name]);
+        var addedCell = LocalizationCore.findLayerCell(ctx.cells, addedPath);
+        log("    + " + srcLayer.name);
+
+        if (srcLayer.source && srcLayer.source instanceof CompItem) {
+            added.replaceSource(localizedSubComp(srcLayer.source, ctx, addedPath), false);
+        } else if (addedCell !== null) {
+            if (added instanceof TextLayer) localizeTextLayer(added, srcLayer, ctx.cells[addedCell], ctx);
+            else if (added.source) replaceFootage(added, ctx.cells[addedCell]);
         }
+        dstFor[pairing.added[ad]] = added;
+        ctx.stats.layersAdded++;
     }
 
-    summary += "\nCheck '" + CONFIG.outputFolderName + "' folder.";
-    alert(summary);
+    // 3. Layer order
+    var ordered = true;
+    for (var o = 0; o < srcLayers.length; o++) {
+        if (dstFor[o].index !== o + 1) { ordered = false; break; }
+    }
+    if (!ordered) {
+        for (var m = srcLayers.length - 1; m >= 0; m--) dstFor[m].moveToBeginning();
+        ctx.stats.properties++;
+    }
+
+    // 4. Switches, timing, parenting, source, properties
+    for (var s = 0; s < srcLayers.length; s++) {
+        var from = srcLayers[s];
+        var to = dstFor[s];
+        var fromPath = path.concat([from.name]);
+
+        ctx.stats.properties += copyAttributes(from, to, LAYER_ATTRIBUTES);
+        // Again: a later in point may lie past the old out point
+        ctx.stats.properties += copyAttributes(from, to, ["inPoint", "outPoint"]);
+
+        var parent = from.parent ? dstFor[from.parent.index - 1] : null;
+        if ((to.parent ? to.parent.index : 0) !== (parent ? parent.index : 0)) {
+            to.parent = parent;
+            ctx.stats.properties++;
+        }
+
+        if (from.source && from.source instanceof CompItem) {
+            if (!to.source || originId(to.source) !== String(from.source.id)) {
+                to.replaceSource(localizedSubComp(from.source, ctx, fromPath), false);
+            }
+        } else if (from.source && to.source && to.source.id !== from.source.id && LocalizationCore.findLayerCell(ctx.cells, fromPath) === null) {
+            to.replaceSource(from.source, false);   // swapped in the master, not localized
+            ctx.stats.properties++;
+        }
+
+        for (var g = 1; g <= from.numProperties; g++) {
+            try {
+                syncPropertyNode(from.property(g), to, [from.property(g).matchName], ctx);
+            } catch (groupErr) {
+                ctx.stats.failed++;
+                log("  WARNING: Could not copy '" + from.property(g).name + "' on '" + from.name + "': " + groupErr.toString());
+            }
+        }
+    }
+
+    // 5. Nested comps
+    for (var n = 0; n < srcLayers.length; n++) {
+        if (srcLayers[n].source && srcLayers[n].source instanceof CompItem && dstFor[n].source instanceof CompItem) {
+            propagateComp(srcLayers[n].source, dstFor[n].source, ctx, path.concat([srcLayers[n].name]));
+        }
+    }
+
+    for (var lk = 0; lk < srcLayers.length; lk++) {
+        if (srcLayers[lk].locked) dstFor[lk].locked = true;
+    }
+}
+
+// ─── SOURCE FILE ────────────────────────────────────────────
+
+function readTextFile(file) {
+    file.encoding = "UTF-8";
+    file.open("r");
+    var text = file.read();
+    file.close();
+    return text;
+}
+
+// Several translated XLIFF files (one per language) merge into
+// one table; anything else must be a single file.
+function readSourceFiles(files) {
+    if (files.length === 1) return readSourceFile(files[0]);
+
+    var texts = [];
+    for (var i = 0; i < files.length; i++) {
+        var fileName = decodeURI(files[i].name);
+        if (LocalizationCore.spreadsheetFormat(fileName) !== "xliff") {
+            throw new Error("Only XLIFF files can be combined — '" + fileName + "' is not .xlf/.xliff");
+        }
+        texts.push(readTextFile(files[i]));
+    }
+    return LocalizationCore.readXLIFF(texts, "XLIFF");
+}
+
+function readSourceFile(file) {
+    var fileName = decodeURI(file.name);
+    var format = LocalizationCore.spreadsheetFormat(fileName);
+
+    if (format === "xlsx" || format === "ods") {
+        file.encoding = "BINARY";
+        file.open("r");
+        var binary = file.read();
+        file.close();
+        return LocalizationCore.readSpreadsheet(LocalizationCore.bytesFromBinaryString(binary), fileName);
+    }
+
+    // CSV/TSV (and unknown extensions, read as CSV) stream from disk
+    file.encoding = "UTF-8";
+    file.open("r");
+    try {
+        return LocalizationCore.readSpreadsheet(function () {
+            return file.eof ? null : file.read(65536);
+        }, format ? fileName : fileName + ".csv");
+    } finally {
+        file.close();
+    }
+}
+
+function sheetHasTargetColumn(sheet) {
+    return LocalizationCore.contains(sheet.headers, CONFIG.targetColumn);
+}
+
+// Returns { sheetName: compName } for mergeSheets, or null if cancelled.
+// A single sheet that names its own comps skips the dialog.
+function chooseSheetMapping(sheets) {
+    var USE_COLUMN = "(use " + CONFIG.targetColumn + " column)";
+    var SKIP = "(skip this sheet)";
+
+    if (sheets.length === 1 && sheetHasTargetColumn(sheets[0])) return {};
+
+    var compNames = [];
+    for (var i = 1; i <= app.project.numItems; i++) {
+        if (app.project.item(i) instanceof CompItem) compNames.push(app.project.item(i).name);
+    }
+    var active = (app.project.activeItem instanceof CompItem) ? app.project.activeItem.name : null;
+
+    var dlg = new Window("dialog", "Map sheets to master comps");
+    dlg.orientation = "column";
+    dlg.alignChildren = ["fill", "top"];
+    dlg.add("statictext", undefined, "Pick the master comp each sheet localizes:");
+
+    var dropdowns = [];
+    for (var s = 0; s < sheets.length; s++) {
+        var group = dlg.add("group");
+        var label = group.add("statictext", undefined, sheets[s].name + " (" + sheets[s].rows.length + " rows)");
+        label.preferredSize = [180, 20];
+
+        var options = [];
+        if (sheetHasTargetColumn(sheets[s])) options.push(USE_COLUMN);
+        options.push(SKIP);
+        var firstComp = options.length;
+        options = options.concat(compNames);
+
+        var dropdown = group.add("dropdownlist", undefined, options);
+        dropdown.preferredSize = [220, 22];
+
+        // Default: own column → comp with the sheet's name → active comp (first sheet only) → skip
+        var pick = 0;
+        if (!sheetHasTargetColumn(sheets[s])) {
+            for (var c = 0; c < compNames.length; c++) {
+                if (compNames[c] === sheets[s].name) { pick = firstComp + c; break; }
+            }
+            if (pick === 0 && s === 0 && active) {
+                for (var a = 0; a < compNames.length; a++) {
+                    if (compNames[a] === active) { pick = firstComp + a; break; }
+                }
+            }
+        }
+        dropdown.selection = pick;
+        dropdowns.push(dropdown);
+    }
+
+    var buttons = dlg.add("group");
+    buttons.alignment = ["right", "top"];
+    buttons.add("button", undefined, "Cancel", { name: "cancel" });
+    buttons.add("button", undefined, "OK", { name: "ok" });
+
+    if (dlg.show() !== 1) return null;
+
+    var mapping = {};
+    for (var d = 0; d < dropdowns.length; d++) {
+        var choice = dropdowns[d].selection.text;
+        mapping[sheets[d].name] = (choice === USE_COLUMN || choice === SKIP) ? "" : choice;
+    }
+    return mapping;
+}
+
+// ─── REPORTING ──────────────────────────────────────────────
+
+function formatIssues(issues, max) {
+    var out = "";
+    for (var i = 0; i < Math.min(issues.length, max); i++) {
+        out += "  • Line " + issues[i].line + ": " + issues[i].message + "\n";
+    }
+    if (issues.length > max) out += "  ... and " + (issues.length - max) + " more\n";
+    return out;
+}
+
+// Writes the QA report next to the source file as <name>_QA.txt.
+// Returns the File, or null when it can't be written.
+function writeQAReport(sourceFile, issues) {
+    var baseName = decodeURI(sourceFile.name).replace(/\.[^.]+$/, "");
+    var file = new File(sourceFile.path + "/" + baseName + "_QA.txt");
+    file.encoding = "UTF-8";
+    if (!file.open("w")) return null;
+    file.write(LocalizationCore.formatQAReport(issues, decodeURI(sourceFile.name)));
+    file.close();
+    return file;
+}
+
+// ─── LOCALIZATION JOB ───────────────────────────────────────
+//
+// Shared by Localize and Sync: asks for the source file(s), maps
+// sheets, validates, builds the plan, resolves master comps and
+// runs translation QA (shared/qa.js).
+// Returns null when cancelled or after telling the user what is
+// wrong; nothing in the project has been touched at that point.
+
+function loadLocalizationJob() {
+    var sourceFiles = File.openDialog("Select CSV, spreadsheet or XLIFF file(s) for batch replacement",
+        "Localization Files:*.csv;*.tsv;*.xlsx;*.ods;*.xlf;*.xliff,All Files:*.*", true);
+    if (!sourceFiles) return null;
+    if (!(sourceFiles instanceof Array)) sourceFiles = [sourceFiles];
+    if (sourceFiles.length === 0) return null;
+
+    var workbook;
+    try {
+        workbook = readSourceFiles(sourceFiles);
+    } catch (readErr) {
+        alert("Could not read '" + decodeURI(sourceFiles[0].name) + "':\n" + readErr.toString());
+        return null;
+    }
+
+    // A "Variables" sheet feeds {placeholders} instead of layers
+    var sheets = [];
+    var variableSheets = [];
+    for (var ws = 0; ws < workbook.sheets.length; ws++) {
+        if (LocalizationCore.isVariablesSheet(workbook.sheets[ws])) variableSheets.push(workbook.sheets[ws]);
+        else sheets.push(workbook.sheets[ws]);
+    }
+
+    var sheetMapping = chooseSheetMapping(sheets);
+    if (!sheetMapping) return null;
+
+    var data = LocalizationCore.mergeSheets(sheets, sheetMapping, { targetColumn: CONFIG.targetColumn });
+    var languages = LocalizationCore.detectLanguages(data.headers);
+
+    log("Rows: " + data.rows.length + " | Languages: " + languages.join(", "));
+
+    if (data.rows.length === 0) {
+        alert("No rows to process.\nCheck the sheet mapping and that the sheet has a header row.");
+        return null;
+    }
+
+    if (languages.length === 0) {
+        alert("No language columns found.\nExpected headers beyond: " + LocalizationCore.RESERVED_COLUMNS.join(", "));
+        return null;
+    }
+
+    var sourceLanguage = LocalizationCore.contains(languages, CONFIG.sourceLanguage) ? CONFIG.sourceLanguage : languages[0];
+    var issues = LocalizationCore.validateRows(data, { targetColumn: CONFIG.targetColumn, sourceLanguage: sourceLanguage });
+    var plan = LocalizationCore.buildReplacementPlan(data, languages, { targetColumn: CONFIG.targetColumn, sourceLanguage: sourceLanguage });
+    var variables = LocalizationCore.readVariables(variableSheets.concat([data]));
+    issues = issues.concat(LocalizationCore.resolvePlaceholders(plan, variables));
+    if (LocalizationCore.hasErrors(issues)) {
+        alert("CSV has errors — nothing was changed.\n\n" + formatIssues(issues, 10));
+        return null;
+    }
+
+    // max_chars / max_lines: skip, cut or fit per CONFIG.limitMode
+    var limitLog = LocalizationCore.enforceLimits(plan, CONFIG.limitMode, CONFIG.fitMode);
+
+    var masterList = plan.targets;
+
+    // Validate and discover
+    var compInfo = {};
+    var totalSubComps = 0;
+    for (var ci = 0; ci < masterList.length; ci++) {
+        var comp = findComp(masterList[ci]);
+        if (!comp) {
+            alert("Comp '" + masterList[ci] + "' not found in project.\nCheck the comp_name column in your CSV.");
+            return null;
+        }
+        var subComps = discoverAllSubComps(comp);
+        compInfo[masterList[ci]] = { comp: comp, subComps: subComps };
+        totalSubComps += subComps.length;
+    }
+
+    // Pre-check layer names: rows matching nothing, or several layers
+    var patterns = layerPatterns(data);
+    var layerCheck = [];
+    var layerMatches = [];
+    for (var lc = 0; lc < data.rows.length; lc++) {
+        var checkRow = data.rows[lc];
+        if (LocalizationCore.rowType(checkRow) === "variable") continue;
+        var checkTarget = checkRow[CONFIG.targetColumn];
+        var checkComp = compInfo[checkTarget].comp;
+        var checkPattern = patternFor(patterns[checkTarget], checkRow["layer_name"]);
+        var checkType = LocalizationCore.rowType(checkRow);
+        var claimed = findLayersDeep(checkComp, checkPattern, patterns[checkTarget]);
+        var found = layersOfKind(claimed, checkType);
+        if (claimed.length === 0 && findLayersDeep(checkComp, checkPattern).length === 0) {
+            layerCheck.push("'" + checkRow["layer_name"] + "' not found in '" + checkTarget + "' tree");
+        } else if (claimed.length > 0 && found.length === 0) {
+            layerCheck.push("'" + checkRow["layer_name"] + "' matches no " + (checkType === "text" ? "text" : "footage") +
+                " layer in '" + checkTarget + "' tree");
+        } else if (found.length > 1) {
+            var foundPaths = [];
+            for (var fp = 0; fp < Math.min(found.length, 3); fp++) foundPaths.push(LocalizationCore.joinLayerPath(found[fp].path));
+            layerMatches.push("'" + checkRow["layer_name"] + "' matches " + found.length + " layers in '" + checkTarget + "': " +
+                foundPaths.join(", ") + (found.length > 3 ? ", ..." : ""));
+        }
+    }
+
+    // Translation QA, with the master layers' fonts for the glyph check
+    var qaIssues = LocalizationCore.checkTranslations(data, languages, {
+        targetColumn: CONFIG.targetColumn,
+        sourceLanguage: plan.sourceLanguage,
+        fontOf: function (target, layerName) {
+            var layers = layersOfKind(findLayersDeep(compInfo[target].comp, patternFor(patterns[target], layerName), patterns[target]), "text");
+            if (layers.length === 0) return null;
+            var doc = layers[0].layer.property("Source Text").value;
+            return { family: doc.fontFamily, style: doc.fontStyle };
+        },
+        fontMap: CONFIG.fontMap,
+        coverage: CONFIG.fontCoverage,
+        severity: CONFIG.qaSeverity
+    });
+    var qaReport = qaIssues.length > 0 ? writeQAReport(sourceFiles[0], qaIssues) : null;
+    if (LocalizationCore.hasErrors(qaIssues)) {
+        var qaErrors = [];
+        for (var qe = 0; qe < qaIssues.length; qe++) {
+            if (qaIssues[qe].severity === "error") qaErrors.push(qaIssues[qe]);
+        }
+        alert("Translation QA found errors — nothing was changed.\n\n" + formatIssues(qaErrors, 10) +
+            (qaReport ? "\nFull report: " + qaReport.fsName : ""));
+        return null;
+    }
+
+    return {
+        data: data,
+        languages: languages,
+        issues: issues,
+        qaIssues: qaIssues,
+        qaReport: qaReport,
+        limitLog: limitLog,
+        plan: plan,
+        masterList: masterList,
+        compInfo: compInfo,
+        totalSubComps: totalSubComps,
+        patterns: patterns,
+        layerCheck: layerCheck,
+        layerMatches: layerMatches
+    };
+}
+
+// Confirmation text common to both modes
+function describeJob(job) {
+    var msg = "Batch Asset Replacer v2.1\n\n";
+    msg += "Rows: " + job.data.rows.length + "\n";
+    msg += "Languages: " + job.languages.join(", ") + " (" + job.languages.length + ")\n\n";
+    msg += "Master comps: " + job.masterList.join(", ") + "\n";
+    msg += "Sub-comps discovered: " + job.totalSubComps + "\n";
+
+    var warnings = [];
+    for (var iw = 0; iw < job.issues.length; iw++) {
+        if (job.issues[iw].severity === "warning") warnings.push(job.issues[iw]);
+    }
+    if (warnings.length > 0) {
+        msg += "\n⚠ CSV warnings:\n" + formatIssues(warnings, 5);
+    }
+
+    if (job.qaIssues.length > 0) {
+        msg += "\n⚠ Translation QA: " + job.qaIssues.length + " warning(s)\n" + formatIssues(job.qaIssues, 5);
+        if (job.qaReport) msg += "  Report: " + job.qaReport.fsName + "\n";
+    }
+
+    if (job.limitLog.length > 0) {
+        msg += "\n⚠ " + job.limitLog.length + " text(s) over max_chars / max_lines (" + CONFIG.limitMode + "):\n";
+        for (var ll = 0; ll < Math.min(job.limitLog.length, 5); ll++) msg += "  • " + job.limitLog[ll] + "\n";
+        if (job.limitLog.length > 5) msg += "  ... and " + (job.limitLog.length - 5) + " more\n";
+    }
+
+    if (job.layerCheck.length > 0) {
+        msg += "\n⚠ WARNING — Layers not found:\n";
+        for (var w = 0; w < Math.min(job.layerCheck.length, 5); w++) {
+            msg += "  • " + job.layerCheck[w] + "\n";
+        }
+        if (job.layerCheck.length > 5) msg += "  ... and " + (job.layerCheck.length - 5) + " more\n";
+    }
+
+    if (job.layerMatches.length > 0) {
+        msg += "\n⚠ Rows matching several layers (" + (CONFIG.layerMatch === "all" ? "all are set" : "only the first is set") + "):\n";
+        for (var am = 0; am < Math.min(job.layerMatches.length, 5); am++) {
+            msg += "  • " + job.layerMatches[am] + "\n";
+        }
+        if (job.layerMatches.length > 5) msg += "  ... and " + (job.layerMatches.length - 5) + " more\n";
+    }
+
+    return msg;
+}
+
+// Applies one plan entry inside a localized master's tree, to the
+// first layer it matches or to all of them (CONFIG.layerMatch).
+// patterns: the master's layer patterns (job.patterns[rep.target])
+function applyReplacement(dupeMaster, rep, patterns, lang, stats, errorLog, textLog) {
+    if (!dupeMaster) {
+        log("  ERROR: No duped comp for '" + rep.target + "'");
+        if (errorLog.length < 20) errorLog.push("[" + lang + "] Comp not found: '" + rep.target + "'");
+        stats.errors++;
+        return false;
+    }
+
+    var found = layersOfKind(findLayersDeep(dupeMaster, patternFor(patterns, rep.layerName), patterns), rep.type);
+    if (found.length === 0) {
+        log("  ERROR: Layer '" + rep.layerName + "' not found in '" + dupeMaster.name + "' tree");
+        if (errorLog.length < 20) errorLog.push("[" + lang + "] Layer '" + rep.layerName + "' not found in tree");
+        stats.errors++;
+        return false;
+    }
+    if (CONFIG.layerMatch !== "all") found = found.slice(0, 1);
+
+    var applied = false;
+    for (var i = 0; i < found.length; i++) {
+        if (applyToLayer(found[i], rep, lang, stats, errorLog, textLog)) applied = true;
+    }
+    return applied;
+}
+
+// Sets one matched layer ({ layer, comp }) from a plan entry
+function applyToLayer(foundResult, rep, lang, stats, errorLog, textLog) {
+    log("  [" + foundResult.comp.name + "] " + rep.layerName);
+
+    var ok = false;
+    if (rep.type === "footage" || rep.type === "image") ok = replaceFootage(foundResult.layer, rep.value);
+    else {
+        var isText = foundResult.layer instanceof TextLayer;
+        var markup = LocalizationCore.parseMarkup(rep.value);
+        var fit = isText ? resolveFit(foundResult.layer, rep) : { mode: "none" };
+        var rtl = isText && LocalizationCore.isRTL(lang);
+        var styled = isText && markup.spans.length > 0;
+        var masterLayer = (fit.mode !== "none" || rtl || styled) ? masterTextLayer(foundResult.layer, foundResult.comp) : null;
+        var box = fit.mode !== "none" ? textBoxOf(masterLayer) : null;
+        ok = replaceText(foundResult.layer, markup.text, rtl ? rtlParagraph(masterLayer) : null);
+        if (ok && isText) {
+            var fontLine = applyFontFallback(foundResult.layer, markup.text, lang, stats);
+            if (fontLine) {
+                log("  Aa " + fontLine);
+                if (textLog) textLog.push(fontLine);
+            }
+        }
+        if (ok && styled) {
+            var markupLine = applyMarkup(foundResult.layer, markup, masterLayer, rep.source);
+            if (markupLine) {
+                markupLine = "[" + lang + "] " + rep.layerName + ": " + markupLine;
+                log("  <> " + markupLine);
+                if (textLog) textLog.push(markupLine);
+            }
+        }
+        if (ok && box) {
+            var fitLine = describeFit(fitTextLayer(foundResult.layer, box, fit), rep.layerName, lang);
+            if (fitLine) {
+                log("  ↔ " + fitLine);
+                if (textLog) textLog.push(fitLine);
+            }
+        }
+    }
+
+    if (ok) stats.success++;
+    else {
+        if (errorLog.length < 20) errorLog.push("[" + lang + "] Failed: '" + rep.layerName + "' in '" + foundResult.comp.name + "' (" + rep.type + ")");
+        stats.errors++;
+    }
+    return ok;
+}
+
+function formatStats(stats, errorLog, textLog) {
+    var out = "Successful: " + stats.success + "\n";
+    out += "Skipped: " + stats.skipped + "\n";
+    if (stats.mirrored) out += "Mirrored for RTL: " + stats.mirrored + " layer(s)\n";
+    if (stats.fonts) out += "Font substitutions: " + stats.fonts + "\n";
+    out += "Errors: " + stats.errors + "\n";
+
+    if (errorLog.length > 0) {
+        out += "\n── Error Details ──\n";
+        for (var e = 0; e < errorLog.length; e++) {
+            out += errorLog[e] + "\n";
+        }
+        if (stats.errors > errorLog.length) {
+            out += "... and " + (stats.errors - errorLog.length) + " more\n";
+        }
+    }
+
+    if (textLog && textLog.length > 0) {
+        out += "\n── Fitting, Fonts & Limits ──\n";
+        for (var f = 0; f < Math.min(textLog.length, 20); f++) {
+            out += textLog[f] + "\n";
+        }
+        if (textLog.length > 20) out += "... and " + (textLog.length - 20) + " more\n";
+    }
+    return out;
+}
+
+// ─── LOCALIZE ───────────────────────────────────────────────
+
+function runLocalize() {
+    var job = loadLocalizationJob();
+    if (!job) return;
+
+    var masterList = job.masterList;
+    var compInfo = job.compInfo;
+
+    // Confirmation
+    var msg = describeJob(job);
+
+    if (job.totalSubComps > 0) {
+        msg += "\n✓ Sub-comps duplicated behind the scenes\n";
+        msg += "  Only master comps appear in language folders\n";
+        msg += "  Sub-comps stored in '" + CONFIG.precompFolderName + "' folder\n";
+    }
+
+    var totalNewComps = 0;
+    for (var tc = 0; tc < masterList.length; tc++) {
+        totalNewComps += (1 + compInfo[masterList[tc]].subComps.length) * job.languages.length;
+    }
+    msg += "\nWill create " + totalNewComps + " comps total.";
+    msg += "\n(" + (masterList.length * job.languages.length) + " in language folders + " + (job.totalSubComps * job.languages.length) + " in " + CONFIG.precompFolderName + ")";
+    msg += "\n\nProceed?";
+
+    if (!confirm(msg)) return;
+
+    // ─── Execute ───
+    app.beginUndoGroup("Batch Asset Replacer v2.1");
+
+    var outputFolder = findOrCreateFolder(CONFIG.outputFolderName);
+    var precompFolder = findOrCreateFolder(CONFIG.precompFolderName, outputFolder);
+    var stats = { success: 0, skipped: 0, errors: 0, mirrored: 0, fonts: 0 };
+    var errorLog = [];
+    var textLog = job.limitLog.slice(0);
+
+    for (var li = 0; li < job.plan.languages.length; li++) {
+        var langPlan = job.plan.languages[li];
+        var lang = langPlan.lang;
+
+        log("\n═══ " + lang + " ═══");
+
+        var langFolder = findOrCreateFolder(langPlan.label, outputFolder);
+
+        // Duplicate trees
+        var allDupes = {};
+        var applied = {};
+        for (var m = 0; m < masterList.length; m++) {
+            var mComp = compInfo[masterList[m]].comp;
+            var dupeMap = duplicateFullTree(mComp, langPlan.suffix, langFolder, precompFolder, lang);
+            for (var key in dupeMap) {
+                if (dupeMap.hasOwnProperty(key)) allDupes[key] = dupeMap[key];
+            }
+            applied[masterList[m]] = {};
+        }
+
+        stats.skipped += langPlan.skipped;
+
+        // Apply replacements via deep search on duplicated tree
+        for (var r = 0; r < langPlan.replacements.length; r++) {
+            var rep = langPlan.replacements[r];
+            if (applyReplacement(allDupes[rep.target], rep, job.patterns[rep.target], lang, stats, errorLog, textLog)) {
+                applied[rep.target][rep.layerName] = rep.value;
+            }
+        }
+
+        if (langPlan.rtl) {
+            for (var mi = 0; mi < masterList.length; mi++) {
+                if (allDupes[masterList[mi]]) stats.mirrored += mirrorMarkedLayers(allDupes[masterList[mi]], false);
+            }
+        }
+
+        // Remember what went in, for the next sync
+        for (var s = 0; s < masterList.length; s++) {
+            if (allDupes[masterList[s]]) setAppliedCells(allDupes[masterList[s]], applied[masterList[s]]);
+        }
+    }
+
+    app.endUndoGroup();
+
+    // ─── Summary ───
+    var summary = "✓ Complete!\n\n";
+    summary += "Languages: " + job.languages.length + "\n";
+    summary += formatStats(stats, errorLog, textLog);
+    summary += "\nCheck '" + CONFIG.outputFolderName + "' folder.";
+    alert(summary);
+}
+
+// ─── SYNC ───────────────────────────────────────────────────
+//
+// Re-applies an updated sheet to the localized versions made by
+// an earlier run instead of duplicating again. Only cells whose
+// value differs from the one applied last time are touched, so
+// manual tweaks elsewhere in those comps survive. Languages or
+// masters without a version yet get one, as in Localize.
+
+function runSync() {
+    var job = loadLocalizationJob();
+    if (!job) return;
+
+    var masterList = job.masterList;
+    var compInfo = job.compInfo;
+
+    // Find existing versions
+    var existing = {};
+    var missing = [];
+    var foundCount = 0;
+    for (var li = 0; li < job.plan.languages.length; li++) {
+        var lp = job.plan.languages[li];
+        existing[lp.lang] = {};
+        for (var m = 0; m < masterList.length; m++) {
+            var version = findLocalizedVersion(compInfo[masterList[m]].comp, lp);
+            existing[lp.lang][masterList[m]] = version;
+            if (version) foundCount++;
+            else missing.push(masterList[m] + " (" + lp.label + ")");
+        }
+    }
+
+    var msg = describeJob(job);
+    msg += "\nExisting versions found: " + foundCount + " of " + (masterList.length * job.languages.length) + "\n";
+    if (missing.length > 0) {
+        msg += "Will be created: " + missing.slice(0, 5).join(", ") + (missing.length > 5 ? ", ..." : "") + "\n";
+    }
+    msg += "\nOnly cells that changed since the last run are applied.";
+    msg += "\n\nProceed?";
+
+    if (!confirm(msg)) return;
+
+    // ─── Execute ───
+    app.beginUndoGroup("Batch Asset Replacer v2.1");
+
+    var outputFolder = findOrCreateFolder(CONFIG.outputFolderName);
+    var precompFolder = findOrCreateFolder(CONFIG.precompFolderName, outputFolder);
+    var stats = { success: 0, skipped: 0, errors: 0, mirrored: 0, fonts: 0 };
+    var errorLog = [];
+    var textLog = job.limitLog.slice(0);
+    var reports = [];
+
+    for (var l = 0; l < job.plan.languages.length; l++) {
+        var langPlan = job.plan.languages[l];
+        var lang = langPlan.lang;
+        var report = { label: langPlan.label, created: 0, changed: [], added: 0, unchanged: 0, removed: 0 };
+
+        log("\n═══ " + lang + " (sync) ═══");
+
+        // Replacements per master comp
+        var byTarget = {};
+        for (var r = 0; r < langPlan.replacements.length; r++) {
+            var rep = langPlan.replacements[r];
+            if (!byTarget[rep.target]) byTarget[rep.target] = [];
+            byTarget[rep.target].push(rep);
+        }
+
+        for (var t = 0; t < masterList.length; t++) {
+            var target = masterList[t];
+            var dupeMaster = existing[lang][target];
+            var previous = {};
+
+            if (dupeMaster) {
+                previous = getAppliedCells(getCompMeta(dupeMaster));
+                // Adopt versions found by name only
+                if (!getCompMeta(dupeMaster)) {
+                    setCompMeta(dupeMaster, { source: String(compInfo[target].comp.id), lang: lang, role: "master" });
+                }
+            } else {
+                var langFolder = findOrCreateFolder(langPlan.label, outputFolder);
+                dupeMaster = duplicateFullTree(compInfo[target].comp, langPlan.suffix, langFolder, precompFolder, lang)[target];
+                if (langPlan.rtl) stats.mirrored += mirrorMarkedLayers(dupeMaster, false);
+                report.created++;
+            }
+
+            var diff = LocalizationCore.diffReplacements(previous, byTarget[target] || []);
+            var cells = {};
+            for (var u = 0; u < diff.unchanged.length; u++) {
+                cells[diff.unchanged[u].layerName] = diff.unchanged[u].value;
+            }
+            report.unchanged += diff.unchanged.length;
+            report.removed += diff.removed.length;
+            for (var rm = 0; rm < diff.removed.length; rm++) {
+                log("  – '" + diff.removed[rm] + "' no longer in the sheet, left as is");
+            }
+
+            for (var c = 0; c < diff.changed.length; c++) {
+                var change = diff.changed[c];
+                if (applyReplacement(dupeMaster, change.replacement, job.patterns[target], lang, stats, errorLog, textLog)) {
+                    cells[change.replacement.layerName] = change.replacement.value;
+                    report.changed.push(change.replacement.layerName);
+                } else {
+                    cells[change.replacement.layerName] = change.previous;
+                }
+            }
+
+            for (var a = 0; a < diff.added.length; a++) {
+                if (applyReplacement(dupeMaster, diff.added[a], job.patterns[target], lang, stats, errorLog, textLog)) {
+                    cells[diff.added[a].layerName] = diff.added[a].value;
+                    report.added++;
+                }
+            }
+
+            setAppliedCells(dupeMaster, cells);
+        }
+
+        stats.skipped += langPlan.skipped;
+        reports.push(report);
+    }
+
+    app.endUndoGroup();
+
+    // ─── Summary ───
+    var summary = "✓ Sync complete!\n\n";
+    for (var p = 0; p < reports.length; p++) {
+        var rp = reports[p];
+        summary += rp.label + ": " + rp.changed.length + " changed, " + rp.added + " added, " +
+            rp.unchanged + " unchanged" + (rp.removed > 0 ? ", " + rp.removed + " no longer in sheet" : "") +
+            (rp.created > 0 ? " (" + rp.created + " new version" + (rp.created > 1 ? "s" : "") + ")" : "") + "\n";
+        if (rp.changed.length > 0) {
+            summary += "    ~ " + rp.changed.slice(0, 5).join(", ") + (rp.changed.length > 5 ? ", ..." : "") + "\n";
+        }
+    }
+    summary += "\n" + formatStats(stats, errorLog, textLog);
+    alert(summary);
+}
+
+// ─── PROPAGATE ──────────────────────────────────────────────
+//
+// After localization designers keep tweaking the master. Instead
+// of deleting the language folders and running again, this pushes
+// every non-text change into the existing localized versions.
+
+// Every linked localized master whose master comp still exists:
+// [{ master, comp, lang, meta }]
+function findLocalizedVersions() {
+    var byId = {};
+    var linked = [];
+    for (var i = 1; i <= app.project.numItems; i++) {
+        var item = app.project.item(i);
+        if (!(item instanceof CompItem)) continue;
+        byId[String(item.id)] = item;
+        var meta = getCompMeta(item);
+        if (meta && meta.role === "master") linked.push({ comp: item, meta: meta });
+    }
+
+    var versions = [];
+    for (var v = 0; v < linked.length; v++) {
+        var master = byId[linked[v].meta.source];
+        if (master) versions.push({ master: master, comp: linked[v].comp, lang: linked[v].meta.lang, meta: linked[v].meta });
+    }
+    return versions;
+}
+
+// "<master id>|<lang>" → localized copy, for every linked comp
+function indexLocalizedCopies() {
+    var copies = {};
+    for (var i = 1; i <= app.project.numItems; i++) {
+        var item = app.project.item(i);
+        if (!(item instanceof CompItem)) continue;
+        var meta = getCompMeta(item);
+        if (meta && meta.source && meta.lang && !copies[meta.source + "|" + meta.lang]) copies[meta.source + "|" + meta.lang] = item;
+    }
+    return copies;
+}
+
+function runPropagate() {
+    var versions = findLocalizedVersions();
+    if (versions.length === 0) {
+        alert("No localized versions found.\nPropagate works on versions made by Localize or Sync (they are linked to their master).");
+        return;
+    }
+
+    // Selected master comps narrow it down
+    var selected = getSelectedMasterComps();
+    var picked = [];
+    for (var s = 0; s < versions.length; s++) {
+        for (var c = 0; c < selected.length; c++) {
+            if (selected[c].id === versions[s].master.id) { picked.push(versions[s]); break; }
+        }
+    }
+    if (picked.length > 0) versions = picked;
+
+    var masters = [];
+    var byMaster = {};
+    for (var v = 0; v < versions.length; v++) {
+        var name = versions[v].master.name;
+        if (!byMaster[name]) { byMaster[name] = []; masters.push(name); }
+        byMaster[name].push(LocalizationCore.languageLabel(versions[v].lang));
+    }
+
+    var msg = "Propagate master changes\n\n";
+    for (var m = 0; m < masters.length; m++) {
+        msg += masters[m] + " → " + byMaster[masters[m]].join(", ") + "\n";
+    }
+    msg += "\nLayout, animation, effects and added/removed layers are copied";
+    msg += "\nfrom each master. Localized text and footage are kept.";
+    msg += "\n\nProceed?";
+
+    if (!confirm(msg)) return;
+
+    // ─── Execute ───
+    app.beginUndoGroup("Batch Asset Replacer v2.1");
+
+    var outputFolder = findOrCreateFolder(CONFIG.outputFolderName);
+    var precompFolder = findOrCreateFolder(CONFIG.precompFolderName, outputFolder);
+    var copies = indexLocalizedCopies();
+    var reports = [];
+    var failed = 0;
+
+    for (var i = 0; i < versions.length; i++) {
+        var version = versions[i];
+        log("\n═══ " + version.comp.name + " (propagate) ═══");
+
+        var ctx = {
+            lang: version.lang,
+            suffix: LocalizationCore.languageSuffix(version.lang),
+            rtl: LocalizationCore.isRTL(version.lang),
+            cells: getAppliedCells(version.meta),
+            precompFolder: precompFolder,
+            copies: copies,
+            done: {},
+            stats: { comps: 0, compsAdded: 0, layersAdded: 0, layersRemoved: 0, properties: 0, failed: 0, fonts: 0 }
+        };
+        propagateComp(version.master, version.comp, ctx);
+        // Propagation restores the master's positions; mirror again
+        if (ctx.rtl) mirrorMarkedLayers(version.comp, false);
+        failed += ctx.stats.failed;
+
+        var st = ctx.stats;
+        reports.push(version.comp.name + ": " + st.properties + " change(s)" +
+            (st.layersAdded > 0 ? ", " + st.layersAdded + " layer(s) added" : "") +
+            (st.layersRemoved > 0 ? ", " + st.layersRemoved + " removed" : "") +
+            (st.compsAdded > 0 ? ", " + st.compsAdded + " new sub-comp(s)" : "") +
+            (st.failed > 0 ? ", " + st.failed + " not copied" : ""));
+    }
+
+    app.endUndoGroup();
+
+    var summary = "✓ Propagation complete!\n\n" + reports.join("\n") + "\n";
+    if (failed > 0) summary += "\nSome properties could not be copied — see the ExtendScript console.";
+    alert(summary);
+}
+
+// ─── EXPORT XLIFF ───────────────────────────────────────────
+
+// Selected comps in the project panel, else the active comp
+function getSelectedMasterComps() {
+    var comps = [];
+    var selection = app.project.selection;
+    for (var i = 0; i < selection.length; i++) {
+        if (selection[i] instanceof CompItem) comps.push(selection[i]);
+    }
+    if (comps.length === 0 && app.project.activeItem instanceof CompItem) comps.push(app.project.activeItem);
+    return comps;
+}
+
+// Returns [{ file, id, source }] for buildXLIFF
+function collectSourceUnits(masterComps) {
+    var units = [];
+    for (var m = 0; m < masterComps.length; m++) {
+        var seen = {};
+        var textLayers = collectTextLayers(masterComps[m]);
+        for (var t = 0; t < textLayers.length; t++) {
+            var id = LocalizationCore.joinLayerPath(textLayers[t].path);
+            if (seen[id]) {
+                log("  WARNING: duplicate layer path '" + id + "' in '" + masterComps[m].name + "' — exported once");
+                continue;
+            }
+            seen[id] = true;
+            units.push({ file: masterComps[m].name, id: id, source: getLayerText(textLayers[t].layer) });
+        }
+    }
+    return units;
+}
+
+function runExportXLIFF() {
+    var masters = getSelectedMasterComps();
+    if (masters.length === 0) {
+        alert("Select one or more master comps in the project panel (or open one in the timeline).");
+        return;
+    }
+
+    var units = collectSourceUnits(masters);
+    if (units.length === 0) {
+        alert("No text layers found in the selected comp tree(s).");
+        return;
+    }
+
+    // Options
+    var dlg = new Window("dialog", "Export XLIFF");
+    dlg.orientation = "column";
+    dlg.alignChildren = ["fill", "top"];
+    dlg.add("statictext", undefined, units.length + " text layer(s) in: " + collectNames(masters).join(", "));
+
+    var srcGroup = dlg.add("group");
+    srcGroup.add("statictext", undefined, "Source language:").preferredSize = [120, 20];
+    var srcInput = srcGroup.add("edittext", undefined, "en-US");
+    srcInput.preferredSize = [200, 22];
+
+    var trgGroup = dlg.add("group");
+    trgGroup.add("statictext", undefined, "Target languages:").preferredSize = [120, 20];
+    var trgInput = trgGroup.add("edittext", undefined, "zh-TW, ja-JP");
+    trgInput.preferredSize = [200, 22];
+
+    var verGroup = dlg.add("group");
+    verGroup.add("statictext", undefined, "XLIFF version:").preferredSize = [120, 20];
+    var verDropdown = verGroup.add("dropdownlist", undefined, ["1.2", "2.0"]);
+    verDropdown.selection = 0;
+
+    var buttons = dlg.add("group");
+    buttons.alignment = ["right", "top"];
+    buttons.add("button", undefined, "Cancel", { name: "cancel" });
+    buttons.add("button", undefined, "Export", { name: "ok" });
+
+    if (dlg.show() !== 1) return;
+
+    var folder = Folder.selectDialog("Select a folder for the XLIFF file(s)");
+    if (!folder) return;
+
+    var sourceLanguage = LocalizationCore.trim(srcInput.text) || "en-US";
+    var targets = trgInput.text.split(/[,;\s]+/);
+    var languages = [];
+    for (var i = 0; i < targets.length; i++) {
+        if (targets[i] !== "") languages.push(targets[i]);
+    }
+    if (languages.length === 0) languages.push("");   // source-only file
+
+    var baseName = masters[0].name + (masters.length > 1 ? "_and_" + (masters.length - 1) + "_more" : "");
+    baseName = baseName.replace(/[\/\\:*?"<>|]/g, "_");
+
+    var written = [];
+    for (var l = 0; l < languages.length; l++) {
+        var xml = LocalizationCore.buildXLIFF(units, {
+            version: verDropdown.selection.text,
+            sourceLanguage: sourceLanguage,
+            targetLanguage: languages[l]
+        });
+        var out = new File(folder.fsName + "/" + baseName + "_" + (languages[l] || sourceLanguage) + ".xlf");
+        out.encoding = "UTF-8";
+        out.lineFeed = "Unix";
+        if (!out.open("w")) {
+            alert("Could not write " + out.fsName + "\nEnable Preferences → Scripting → Allow Scripts to Write Files.");
+            return;
+        }
+        out.write(xml);
+        out.close();
+        written.push(decodeURI(out.name));
+    }
+
+    alert("✓ Exported " + units.length + " string(s)\n\n" + written.join("\n") + "\n\nin " + folder.fsName);
+}
+
+function collectNames(items) {
+    var names = [];
+    for (var i = 0; i < items.length; i++) names.push(items[i].name);
+    return names;
+}
+
+// ─── EXTRACT STRINGS ────────────────────────────────────────
+//
+// Writes the CSV template translators fill in: one row per text
+// layer name in the master tree, so nobody has to retype layer
+// names (which are case-sensitive).
+
+function collectTemplateRows(masterComps) {
+    var rows = [];
+    var duplicates = 0;
+
+    for (var m = 0; m < masterComps.length; m++) {
+        var master = masterComps[m];
+        var comps = [master].concat(discoverAllSubComps(master));
+        var seen = {};
+
+        for (var c = 0; c < comps.length; c++) {
+            for (var i = 1; i <= comps[c].numLayers; i++) {
+                var layer = comps[c].layer(i);
+                if (!(layer instanceof TextLayer)) continue;
+
+                // Layers are matched by name, so one row per name
+                if (seen.hasOwnProperty(layer.name)) { duplicates++; continue; }
+                seen[layer.name] = true;
+
+                var row = { comp_name: master.name, layer_name: layer.name, type: "text" };
+                row[CONFIG.sourceLanguage] = getLayerText(layer);
+                rows.push(row);
+            }
+        }
+    }
+
+    return { rows: rows, duplicates: duplicates };
+}
+
+function runExtractStrings() {
+    var masters = getSelectedMasterComps();
+    if (masters.length === 0) {
+        alert("Select one or more master comps in the project panel (or open one in the timeline).");
+        return;
+    }
+
+    var template = collectTemplateRows(masters);
+    if (template.rows.length === 0) {
+        alert("No text layers found in the selected comp tree(s).");
+        return;
+    }
+
+    var defaultName = masters[0].name.replace(/[\/\\:*?"<>|]/g, "_") + "_strings.csv";
+    var outFile = new File(Folder.myDocuments.fsName + "/" + defaultName).saveDlg("Save CSV template", "CSV Files:*.csv");
+    if (!outFile) return;
+
+    var csv = LocalizationCore.buildCSV(
+        ["comp_name", "layer_name", "type", CONFIG.sourceLanguage],
+        template.rows,
+        { bom: true }
+    );
+
+    outFile.encoding = "UTF-8";
+    if (!outFile.open("w")) {
+        alert("Could not write " + outFile.fsName + "\nEnable Preferences → Scripting → Allow Scripts to Write Files.");
+        return;
+    }
+    outFile.write(csv);
+    outFile.close();
+
+    var msg = "✓ Extracted " + template.rows.length + " text layer(s)\n\n" + outFile.fsName;
+    if (template.duplicates > 0) {
+        msg += "\n\n⚠ " + template.duplicates + " text layer(s) share a name with another and were listed once." +
+            "\nRename them if they need different translations.";
+    }
+    alert(msg);
+}
+
+// ─── MAIN ───────────────────────────────────────────────────
+
+var MODES = [
+    { id: "localize", label: "Localize — duplicate comps from CSV, spreadsheet or XLIFF" },
+    { id: "sync", label: "Sync — update existing localized versions with changed cells only" },
+    { id: "propagate", label: "Propagate — push master layout/animation edits to localized versions" },
+    { id: "export-xliff", label: "Export XLIFF — source strings of the selected master comp(s)" },
+    { id: "extract", label: "Extract strings — CSV template from the selected master comp(s)" }
+];
+
+function chooseMode() {
+    var dlg = new Window("dialog", "Batch Asset Replacer v2.1");
+    dlg.orientation = "column";
+    dlg.alignChildren = ["fill", "top"];
+
+    var panel = dlg.add("panel", undefined, "What do you want to do?");
+    panel.alignChildren = ["fill", "top"];
+    panel.margins = 12;
+
+    var radios = [];
+    for (var i = 0; i < MODES.length; i++) {
+        radios.push(panel.add("radiobutton", undefined, MODES[i].label));
+    }
+    radios[0].value = true;
+
+    var buttons = dlg.add("group");
+    buttons.alignment = ["right", "top"];
+    buttons.add("button", undefined, "Cancel", { name: "cancel" });
+    buttons.add("button", undefined, "Continue", { name: "ok" });
+
+    if (dlg.show() !== 1) return null;
+
+    for (var r = 0; r < radios.length; r++) {
+        if (radios[r].value) return MODES[r].id;
+    }
+    return null;
+}
+
+function main() {
+    if (!app.project) { alert("No After Effects project is open."); return; }
+
+    var mode = chooseMode();
+    if (mode === "localize") runLocalize();
+    else if (mode === "sync") runSync();
+    else if (mode === "propagate") runPropagate();
+    else if (mode === "export-xliff") runExportXLIFF();
+    else if (mode === "extract") runExtractStrings();
 }
 
 main();
@@ -5,7 +5,7 @@
  *  delivery platform specs with one-click presets.
  * ============================================================
  *
- *  PRESETS INCLUDED:
+ *  BUILT-IN PRESETS (shared/render-presets.js):
  *    - Instagram Story (1080x1920, 9:16, H.264, 15-60s)
  *    - Instagram Reels (1080x1920, 9:16, H.264, up to 90s)
  *    - Instagram Feed (1080x1080, 1:1, H.264, up to 60s)
@@ -21,206 +21,224 @@
  *
  *  USAGE:
  *    1. Select comps in the project panel (or run with none for active comp)
- *    2. Run script → pick a preset from the UI
- *    3. Script adds to render queue with correct settings
+ *    2. Run script → tick one or more presets, or pick a bundle
+ *    3. Script adds every comp × preset to the render queue with
+ *       correct settings and lists what it queued — comps of another
+ *       size or frame rate go through a wrapper comp at the preset's
+ *       (_Render_Wrappers), reframed: fit, fill (crop), letterbox or
+ *       blurred background
  *    4. Hit Render!
  *
+ *  RENDER ALL LANGUAGES:
+ *    Queues every comp in Localized_Versions/<LANG>/ (the Batch Asset
+ *    Replacer's language masters; _PRECOMPS is skipped) with the
+ *    ticked presets, into a {lang} subfolder of the output folder
+ *    unless the naming pattern already makes one.
+ *
+ *  PRESET LIBRARY:
+ *    Presets are JSON (format in shared/render-presets.js), layered:
+ *    built-in → every *.json in the team folder → your library
+ *    (CONFIG.userPresetFile). New / Duplicate / Edit / Delete in the
+ *    panel write to your library only; Export writes a file to drop
+ *    into the team folder, Import adds one to your library.
+ *    Bundles (e.g. "Social pack") are named sets of presets kept in
+ *    the same files; Save bundle stores the ticked presets as one.
+ *
+ *  OUTPUT NAMES (shared/output-names.js):
+ *    {comp} {preset} {lang} {width} {height} {fps} {duration}
+ *    {version} {project} {date} {time}, each with |upper |lower
+ *    |title |slug filters; "/" makes subfolders. {lang} comes from
+ *    the Batch Asset Replacer's link in the comp comment, else its
+ *    language folder, else a "<master>_<lang>" comp name. {version}
+ *    is the first v01, v02, ... not on disk yet.
+ *
  *  Author: Gelvan Neo | Bybit Livestream & Video
  *  Version: 1.0
  */
 
-// ─── PRESET DEFINITIONS ─────────────────────────────────────
+//@include "../shared/localization-core.js"
+//@include "../shared/json.js"
+//@include "../shared/render-presets.js"
+//@include "../shared/output-names.js"
+
+// ─── CONFIGURATION ──────────────────────────────────────────
 // NOTE: After Effects render settings use template names.
-// These presets map to Output Module templates + Render Settings.
+// Presets map to Output Module templates + Render Settings.
 // You'll need to create matching Output Module templates in AE
 // OR the script will use the closest built-in equivalent.
 
-var PRESETS = {
-    // ─── INSTAGRAM ───
-    "Instagram Story": {
-        description: "1080×1920 | H.264 | 9:16 vertical | Max 60s",
-        width: 1080,
-        height: 1920,
-        fps: 30,
-        quality: "Best",
-        codec: "H.264",
-        outputModule: "H.264 - Match Render Settings - 15 Mbps",
-        fileExtension: ".mp4",
-        maxDuration: 60,
-        notes: "Keep under 60s. Use 15Mbps+ for quality."
-    },
-    "Instagram Reels": {
-        description: "1080×1920 | H.264 | 9:16 vertical | Max 90s",
-        width: 1080,
-        height: 1920,
-        fps: 30,
-        quality: "Best",
-        codec: "H.264",
-        outputModule: "H.264 - Match Render Settings - 15 Mbps",
-        fileExtension: ".mp4",
-        maxDuration: 90,
-        notes: "Optimal for Reels algorithm. First 3s are critical."
-    },
-    "Instagram Feed": {
-        description: "1080×1080 | H.264 | 1:1 square | Max 60s",
-        width: 1080,
-        height: 1080,
-        fps: 30,
-        quality: "Best",
-        codec: "H.264",
-        outputModule: "H.264 - Match Render Settings - 15 Mbps",
-        fileExtension: ".mp4",
-        maxDuration: 60,
-        notes: "Square format. Also works 1080×1350 (4:5) for more screen space."
-    },
-
-    // ─── YOUTUBE ───
-    "YouTube 1080p": {
-        description: "1920×1080 | H.264 | 16:9 | High bitrate",
-        width: 1920,
-        height: 1080,
-        fps: 30,
-        quality: "Best",
-        codec: "H.264",
-        outputModule: "H.264 - Match Render Settings - 40 Mbps",
-        fileExtension: ".mp4",
-        maxDuration: null,
-        notes: "YouTube re-encodes everything. Upload at 40Mbps+ for best quality after compression."
-    },
-    "YouTube 4K": {
-        description: "3840×2160 | H.264 | 16:9 | Maximum quality",
-        width: 3840,
-        height: 2160,
-        fps: 30,
-        quality: "Best",
-        codec: "H.264",
-        outputModule: "H.264 - Match Render Settings - 80 Mbps",
-        fileExtension: ".mp4",
-        maxDuration: null,
-        notes: "4K upload gets VP9 codec on YouTube = better quality even for 1080p viewers."
-    },
-    "YouTube Shorts": {
-        description: "1080×1920 | H.264 | 9:16 | Max 60s",
-        width: 1080,
-        height: 1920,
-        fps: 30,
-        quality: "Best",
-        codec: "H.264",
-        outputModule: "H.264 - Match Render Settings - 15 Mbps",
-        fileExtension: ".mp4",
-        maxDuration: 60,
-        notes: "Must be under 60s to qualify as a Short."
-    },
-
-    // ─── LINKEDIN ───
-    "LinkedIn Feed": {
-        description: "1920×1080 | H.264 | 16:9 | Max 10min",
-        width: 1920,
-        height: 1080,
-        fps: 30,
-        quality: "Best",
-        codec: "H.264",
-        outputModule: "H.264 - Match Render Settings - 20 Mbps",
-        fileExtension: ".mp4",
-        maxDuration: 600,
-        notes: "LinkedIn compresses heavily. Keep under 200MB. Add captions!"
-    },
-    "LinkedIn Square": {
-        description: "1080×1080 | H.264 | 1:1 | Max 10min",
-        width: 1080,
-        height: 1080,
-        fps: 30,
-        quality: "Best",
-        codec: "H.264",
-        outputModule: "H.264 - Match Render Settings - 15 Mbps",
-        fileExtension: ".mp4",
-        maxDuration: 600,
-        notes: "Square takes more feed space on LinkedIn mobile."
-    },
-
-    // ─── TWITTER/X ───
-    "Twitter/X": {
-        description: "1920×1080 | H.264 | 16:9 | Max 140s",
-        width: 1920,
-        height: 1080,
-        fps: 30,
-        quality: "Best",
-        codec: "H.264",
-        outputModule: "H.264 - Match Render Settings - 25 Mbps",
-        fileExtension: ".mp4",
-        maxDuration: 140,
-        notes: "Max 512MB file size. Twitter compresses aggressively — upload high quality."
-    },
-
-    // ─── TIKTOK ───
-    "TikTok": {
-        description: "1080×1920 | H.264 | 9:16 | Max 10min",
-        width: 1080,
-        height: 1920,
-        fps: 30,
-        quality: "Best",
-        codec: "H.264",
-        outputModule: "H.264 - Match Render Settings - 15 Mbps",
-        fileExtension: ".mp4",
-        maxDuration: 600,
-        notes: "Keep 15-60s for best algorithm performance. Max file 287.6MB."
-    },
-
-    // ─── FACEBOOK ───
-    "Facebook Feed": {
-        description: "1920×1080 | H.264 | 16:9 | High quality",
-        width: 1920,
-        height: 1080,
-        fps: 30,
-        quality: "Best",
-        codec: "H.264",
-        outputModule: "H.264 - Match Render Settings - 25 Mbps",
-        fileExtension: ".mp4",
-        maxDuration: null,
-        notes: "Facebook supports up to 240min but compresses hard. Keep under 1GB."
-    },
-
-    // ─── MASTER/INTERNAL ───
-    "Bybit Internal Master": {
-        description: "1920×1080 | ProRes 422 HQ | 16:9 | Archive quality",
-        width: 1920,
-        height: 1080,
-        fps: 30,
-        quality: "Best",
-        codec: "ProRes 422 HQ",
-        outputModule: "Apple ProRes 422 HQ",
-        fileExtension: ".mov",
-        maxDuration: null,
-        notes: "Internal distribution & archive. Large files — use for master copies."
-    },
-    "ProRes 4444 Master": {
-        description: "Match comp | ProRes 4444 | Preserves alpha | Master",
-        width: null,  // null = match comp
-        height: null,
-        fps: null,
-        quality: "Best",
-        codec: "ProRes 4444",
-        outputModule: "Apple ProRes 4444",
-        fileExtension: ".mov",
-        maxDuration: null,
-        notes: "Highest quality with alpha channel. Use for assets that need compositing."
-    },
-
-    // ─── GIF ───
-    "GIF Preview": {
-        description: "480px wide | Animated GIF | Quick preview",
-        width: 480,
-        height: null,  // auto-calculate from aspect ratio
-        fps: 15,
-        quality: "Best",
-        codec: "Animated GIF",
-        outputModule: "Animated GIF",
-        fileExtension: ".gif",
-        maxDuration: 15,
-        notes: "Low-res preview for Slack/email. Keep under 10s for reasonable file size."
+var CONFIG = {
+    settingsSection: "Smart Render Queue",
+    teamPresetFolder: "",           // folder of shared *.json preset libraries; "Team folder…" in the panel overrides it
+    userPresetFile: Folder.userData.fsName + "/Smart Render Queue/presets.json",
+    wrapperFolderName: "_Render_Wrappers",
+    localizedFolderName: "Localized_Versions",  // the Batch Asset Replacer's outputFolderName
+    precompFolderName: "_PRECOMPS",             // ...and its precompFolderName, skipped
+    reframe: "fit",                 // for presets without one: fit | fill | letterbox | blur
+    blurAmount: 0.05                // blurred background: Blurriness as a share of the frame's long side
+};
+
+// ─── PRESET LIBRARY ─────────────────────────────────────────
+// Built-in presets (shared/render-presets.js), then every *.json
+// in the team folder, then the user's own library — the one the
+// panel's editor writes.
+
+function readTextFile(file) {
+    file.encoding = "UTF-8";
+    if (!file.open("r")) throw new Error("Cannot open " + file.fsName);
+    var text = file.read();
+    file.close();
+    return text;
+}
+
+function writeTextFile(file, text) {
+    if (!file.parent.exists) file.parent.create();
+    file.encoding = "UTF-8";
+    file.lineFeed = "Unix";
+    if (!file.open("w")) throw new Error("Cannot write " + file.fsName);
+    file.write(text);
+    file.close();
+}
+
+function teamPresetFolderPath() {
+    if (app.settings.haveSetting(CONFIG.settingsSection, "teamPresetFolder")) {
+        return app.settings.getSetting(CONFIG.settingsSection, "teamPresetFolder");
+    }
+    return CONFIG.teamPresetFolder;
+}
+
+// The user's library as stored:
+// { source, presets: { name: preset | null }, bundles: { name: [preset names] | null }, issues }
+function loadUserLibrary() {
+    var file = new File(CONFIG.userPresetFile);
+    if (!file.exists) return { source: "your library", presets: {}, bundles: {}, issues: [] };
+    return LocalizationCore.readPresetLibrary(readTextFile(file), "your library");
+}
+
+function saveUserLibrary(library) {
+    writeTextFile(new File(CONFIG.userPresetFile), LocalizationCore.formatPresetLibrary(library.presets, library.bundles));
+}
+
+// Every layer merged (see LocalizationCore.mergePresetLibraries);
+// with sharedOnly, the built-in and team presets without the user's
+function loadPresets(sharedOnly) {
+    var libraries = [];
+    var issues = [];
+    var path = teamPresetFolderPath();
+    var folder = path ? new Folder(path) : null;
+
+    if (folder && !folder.exists) {
+        issues.push({ severity: "warning", message: "Team preset folder not found: " + path });
+    } else if (folder) {
+        var files = folder.getFiles("*.json");
+        files.sort(function (a, b) { return a.name < b.name ? -1 : (a.name > b.name ? 1 : 0); });
+        for (var i = 0; i < files.length; i++) {
+            if (!(files[i] instanceof File)) continue;
+            try {
+                libraries.push(LocalizationCore.readPresetLibrary(readTextFile(files[i]), "team/" + decodeURI(files[i].name)));
+            } catch (readErr) {
+                issues.push({ severity: "error", message: "team/" + decodeURI(files[i].name) + ": " + readErr.toString() });
+            }
+        }
+    }
+
+    if (!sharedOnly) {
+        try {
+            libraries.push(loadUserLibrary());
+        } catch (userErr) {
+            issues.push({ severity: "error", message: "your library: " + userErr.toString() });
+        }
+    }
+
+    var merged = LocalizationCore.mergePresetLibraries(libraries);
+    for (var l = 0; l < libraries.length; l++) issues = issues.concat(libraries[l].issues);
+    merged.issues = issues.concat(merged.issues);
+    for (var m = 0; m < merged.issues.length && !sharedOnly; m++) {
+        $.writeln("[SmartRender] " + merged.issues[m].severity + ": " + merged.issues[m].message);
     }
+    return merged;
+}
+
+// ─── PRESET EDITOR ──────────────────────────────────────────
+
+var FIELD_LABELS = {
+    description: "Description",
+    width: "Width (px)",
+    height: "Height (px)",
+    fps: "Frame rate",
+    quality: "Quality",
+    codec: "Codec",
+    outputModule: "Output module",
+    fileExtension: "Extension",
+    maxDuration: "Max duration (s)",
+    reframe: "Reframe",
+    notes: "Notes"
 };
 
+// Panel choices; the first keeps each preset's own reframe
+var REFRAME_LABELS = ["Preset default", "Fit", "Fill (crop)", "Letterbox", "Blurred background"];
+var REFRAME_CHOICES = [null, "fit", "fill", "letterbox", "blur"];
+
+// Dialog with one field per preset property.
+// Returns { name, preset } or null when cancelled.
+function editPresetDialog(title, name, preset, takenNames) {
+    var dlg = new Window("dialog", title);
+    dlg.orientation = "column";
+    dlg.alignChildren = ["fill", "top"];
+    dlg.margins = 12;
+
+    function addRow(label, value) {
+        var row = dlg.add("group");
+        var caption = row.add("statictext", undefined, label);
+        caption.preferredSize = [110, -1];
+        var input = row.add("edittext", undefined, value === null || value === undefined ? "" : String(value));
+        input.preferredSize = [260, 22];
+        return input;
+    }
+
+    var nameInput = addRow("Name", name);
+    var inputs = {};
+    for (var key in LocalizationCore.PRESET_FIELDS) {
+        if (LocalizationCore.PRESET_FIELDS.hasOwnProperty(key)) inputs[key] = addRow(FIELD_LABELS[key] || key, preset[key]);
+    }
+    dlg.add("statictext", undefined, "Leave width, height or frame rate empty to match the comp.");
+    dlg.add("statictext", undefined, "Reframe: " + LocalizationCore.REFRAME_MODES.join(", ") + " (empty = the panel's choice).");
+
+    var buttons = dlg.add("group");
+    buttons.alignment = ["right", "top"];
+    buttons.add("button", undefined, "Cancel", { name: "cancel" });
+    var okBtn = buttons.add("button", undefined, "Save", { name: "ok" });
+
+    var result = null;
+    okBtn.onClick = function () {
+        var newName = LocalizationCore.trim(nameInput.text);
+        if (newName === "") {
+            alert("Give the preset a name.");
+            return;
+        }
+        if (newName !== name && takenNames.hasOwnProperty(newName)) {
+            alert("A preset named '" + newName + "' already exists.");
+            return;
+        }
+        var fields = {};
+        for (var field in inputs) {
+            if (inputs.hasOwnProperty(field)) fields[field] = inputs[field].text;
+        }
+        var read = LocalizationCore.readPresetFields(fields);
+        if (LocalizationCore.hasErrors(read.issues)) {
+            var lines = [];
+            for (var i = 0; i < read.issues.length; i++) lines.push("• " + read.issues[i].message);
+            alert("Please fix:\n\n" + lines.join("\n"));
+            return;
+        }
+        result = { name: newName, preset: read.preset };
+        dlg.close(1);
+    };
+
+    if (dlg.show() !== 1) return null;
+    return result;
+}
+
 // ─── UI PANEL ────────────────────────────────────────────────
 
 function buildUI(thisObj) {
@@ -240,19 +258,23 @@ function buildUI(thisObj) {
     title.alignment = ["center", "center"];
 
     // ─── Preset Selection
-    var presetPanel = win.add("panel", undefined, "Platform Preset");
+    var presetPanel = win.add("panel", undefined, "Platform Presets");
     presetPanel.alignChildren = ["fill", "top"];
     presetPanel.margins = 10;
 
-    var presetNames = [];
-    for (var key in PRESETS) {
-        if (PRESETS.hasOwnProperty(key)) {
-            presetNames.push(key);
-        }
-    }
+    var library = loadPresets();
+
+    // Bundles tick a saved set of presets
+    var bundleGroup = presetPanel.add("group");
+    bundleGroup.add("statictext", undefined, "Bundle:");
+    var bundleDropdown = bundleGroup.add("dropdownlist", undefined, []);
+    bundleDropdown.preferredSize = [150, -1];
+    var saveBundleBtn = bundleGroup.add("button", undefined, "Save bundle…");
+    var deleteBundleBtn = bundleGroup.add("button", undefined, "Delete bundle");
 
-    var presetDropdown = presetPanel.add("dropdownlist", undefined, presetNames);
-    presetDropdown.selection = 0;
+    // Several presets can be ticked; the editor buttons act on the first
+    var presetList = presetPanel.add("listbox", undefined, [], { multiselect: true });
+    presetList.preferredSize = [320, 160];
 
     var descText = presetPanel.add("statictext", undefined, "", { multiline: true });
     descText.preferredSize = [320, 40];
@@ -260,15 +282,94 @@ function buildUI(thisObj) {
     var notesText = presetPanel.add("statictext", undefined, "", { multiline: true });
     notesText.preferredSize = [320, 30];
 
+    var sourceText = presetPanel.add("statictext", undefined, "");
+    sourceText.preferredSize = [320, 18];
+
+    // Ticked preset names, in list order
+    function selectedPresets() {
+        var names = [];
+        for (var i = 0; i < presetList.items.length; i++) {
+            if (presetList.items[i].selected) names.push(presetList.items[i].text);
+        }
+        return names;
+    }
+
     // Update description on selection change
     function updateDescription() {
-        var selected = presetDropdown.selection.text;
-        var preset = PRESETS[selected];
-        descText.text = preset.description;
-        notesText.text = "💡 " + preset.notes;
+        var names = selectedPresets();
+        if (names.length === 0) {
+            descText.text = library.names.length > 0 ? "Tick one or more presets." : "No presets — add one with New.";
+            notesText.text = "";
+            sourceText.text = "";
+            return;
+        }
+        if (names.length > 1) {
+            descText.text = names.length + " presets: " + names.join(", ");
+            notesText.text = "";
+            sourceText.text = "";
+            return;
+        }
+        var preset = library.presets[names[0]];
+        descText.text = preset.description || LocalizationCore.describePreset(preset);
+        notesText.text = preset.notes ? "💡 " + preset.notes : "";
+        sourceText.text = "From: " + library.sources[names[0]];
+    }
+
+    // Ticks exactly `names`, or the first preset when none of them is left
+    var selecting = false;
+    function selectPresets(names) {
+        var any = false;
+        selecting = true;
+        for (var i = 0; i < presetList.items.length; i++) {
+            var ticked = LocalizationCore.contains(names, presetList.items[i].text);
+            presetList.items[i].selected = ticked;
+            if (ticked) any = true;
+        }
+        if (!any && presetList.items.length > 0) presetList.items[0].selected = true;
+        selecting = false;
+        updateDescription();
     }
-    presetDropdown.onChange = updateDescription;
-    updateDescription();
+
+    presetList.onChange = function () {
+        if (selecting) return;
+        if (bundleDropdown.selection && bundleDropdown.selection.index > 0) bundleDropdown.selection = 0;
+        updateDescription();
+    };
+
+    bundleDropdown.onChange = function () {
+        if (!bundleDropdown.selection || bundleDropdown.selection.index === 0) return;
+        selectPresets(library.bundles[bundleDropdown.selection.text]);
+    };
+
+    // Fill the list and bundles from the library, keeping
+    // `selectNames` ticked and `bundleName` chosen
+    function refreshPresets(selectNames, bundleName) {
+        presetList.removeAll();
+        for (var n = 0; n < library.names.length; n++) presetList.add("item", library.names[n]);
+
+        bundleDropdown.removeAll();
+        bundleDropdown.add("item", library.bundleNames.length > 0 ? "Choose…" : "(none)");
+        var bundleIndex = 0;
+        for (var b = 0; b < library.bundleNames.length; b++) {
+            bundleDropdown.add("item", library.bundleNames[b]);
+            if (library.bundleNames[b] === bundleName) bundleIndex = b + 1;
+        }
+        bundleDropdown.selection = bundleIndex;
+        selectPresets(bundleIndex > 0 ? library.bundles[bundleName] : (selectNames || []));
+    }
+    refreshPresets([]);
+
+    // ─── Preset library
+    var editGroup = presetPanel.add("group");
+    var newBtn = editGroup.add("button", undefined, "New");
+    var duplicateBtn = editGroup.add("button", undefined, "Duplicate");
+    var editBtn = editGroup.add("button", undefined, "Edit");
+    var deleteBtn = editGroup.add("button", undefined, "Delete");
+
+    var libraryGroup = presetPanel.add("group");
+    var importBtn = libraryGroup.add("button", undefined, "Import…");
+    var exportBtn = libraryGroup.add("button", undefined, "Export…");
+    var teamBtn = libraryGroup.add("button", undefined, "Team folder…");
 
     // ─── Options
     var optPanel = win.add("panel", undefined, "Options");
@@ -293,9 +394,18 @@ function buildUI(thisObj) {
     var nameInput = nameGroup.add("edittext", undefined, "{comp}_{preset}_{date}");
     nameInput.preferredSize = [200, 25];
 
-    var nameHelp = optPanel.add("statictext", undefined, "  Tokens: {comp} {preset} {date} {time} {lang}");
+    var nameHelp = optPanel.add("statictext", undefined,
+        "  Tokens: {comp} {preset} {lang} {width} {height} {fps} {duration} {version} {project} {date} {time}\n" +
+        "  Filters: {preset|slug} |upper |lower |title — \"/\" makes subfolders: {lang}/{comp}", { multiline: true });
+    nameHelp.preferredSize = [320, 30];
     nameHelp.graphics.font = ScriptUI.newFont(nameHelp.graphics.font.name, "REGULAR", 10);
 
+    // Reframing for comps of another size than the preset
+    var reframeGroup = optPanel.add("group");
+    reframeGroup.add("statictext", undefined, "Reframe:");
+    var reframeDropdown = reframeGroup.add("dropdownlist", undefined, REFRAME_LABELS);
+    reframeDropdown.selection = 0;
+
     // Duration warning checkbox
     var warnCheck = optPanel.add("checkbox", undefined, "Warn if comp exceeds platform max duration");
     warnCheck.value = true;
@@ -310,49 +420,306 @@ function buildUI(thisObj) {
     var addAllBtn = btnGroup.add("button", undefined, "Add All Selected");
     addAllBtn.preferredSize = [150, 35];
 
+    var languagesBtn = win.add("button", undefined, "Render All Languages (" + CONFIG.localizedFolderName + ")");
+    languagesBtn.alignment = ["center", "top"];
+    languagesBtn.preferredSize = [306, 30];
+
     // ─── Status
     var statusText = win.add("statictext", undefined, "Ready. Select comps and choose a preset.");
     statusText.alignment = ["fill", "bottom"];
 
+    function reportLibraryIssues() {
+        var errors = [];
+        for (var i = 0; i < library.issues.length; i++) {
+            if (library.issues[i].severity === "error") errors.push("• " + library.issues[i].message);
+        }
+        if (errors.length > 0) {
+            alert("Some presets could not be loaded:\n\n" + errors.slice(0, 10).join("\n") +
+                (errors.length > 10 ? "\n... and " + (errors.length - 10) + " more" : ""));
+            statusText.text = "⚠ " + errors.length + " preset problem(s) — see the ExtendScript console.";
+        }
+    }
+    reportLibraryIssues();
+
+    // Applies `change(userLibrary)` to the user's library, saves it
+    // and reloads the merged list
+    function changeUserLibrary(change, selectNames, bundleName) {
+        var userLibrary;
+        try {
+            userLibrary = loadUserLibrary();
+            if (LocalizationCore.hasErrors(userLibrary.issues)) {
+                alert("Your preset library has errors — fix or remove it first:\n" + CONFIG.userPresetFile);
+                return false;
+            }
+            change(userLibrary);
+            saveUserLibrary(userLibrary);
+        } catch (err) {
+            alert("Could not save your preset library:\n" + err.toString());
+            return false;
+        }
+        library = loadPresets();
+        refreshPresets(selectNames, bundleName);
+        return true;
+    }
+
+    // ─── PRESET LIBRARY HANDLERS ─────────────────────────────
+
+    function savePresetFrom(title, name, preset, replaces) {
+        var edited = editPresetDialog(title, name, preset, library.presets);
+        if (!edited) return;
+        var saved = changeUserLibrary(function (userLibrary) {
+            // A renamed preset of your own moves; others stay where they are
+            if (replaces && replaces !== edited.name && library.sources[replaces] === "your library") {
+                delete userLibrary.presets[replaces];
+            }
+            userLibrary.presets[edited.name] = edited.preset;
+        }, [edited.name]);
+        if (saved) statusText.text = "✓ Saved '" + edited.name + "' to your library.";
+    }
+
+    newBtn.onClick = function () {
+        savePresetFrom("New Preset", "", { quality: "Best", outputModule: "H.264 - Match Render Settings - 15 Mbps", fileExtension: ".mp4" }, null);
+    };
+
+    duplicateBtn.onClick = function () {
+        var name = selectedPresets()[0];
+        if (!name) return;
+        savePresetFrom("Duplicate Preset", name + " copy", library.presets[name], null);
+    };
+
+    editBtn.onClick = function () {
+        var name = selectedPresets()[0];
+        if (!name) return;
+        savePresetFrom("Edit Preset", name, library.presets[name], name);
+    };
+
+    deleteBtn.onClick = function () {
+        var name = selectedPresets()[0];
+        if (!name) return;
+        var own = library.sources[name] === "your library";
+        var shared = loadPresets(true);
+        var sharedSource = shared.presets.hasOwnProperty(name) ? shared.sources[name] : null;
+
+        // Your own preset goes; your edit of a shared one goes back to
+        // the shared version; a shared one is hidden for you only
+        var question;
+        if (own && !sharedSource) question = "Delete '" + name + "' from your library?";
+        else if (own) question = "Drop your changes to '" + name + "' and go back to the " + sharedSource + " version?";
+        else question = "'" + name + "' comes from " + sharedSource + ".\nHide it from your list?";
+        if (!confirm(question)) return;
+
+        var changed = changeUserLibrary(function (userLibrary) {
+            if (own) delete userLibrary.presets[name];
+            else userLibrary.presets[name] = null;
+        }, own && sharedSource ? [name] : []);
+        if (changed) statusText.text = own && sharedSource ? "✓ '" + name + "' is back to the " + sharedSource + " version." : "✓ Removed '" + name + "'.";
+    };
+
+    saveBundleBtn.onClick = function () {
+        var names = selectedPresets();
+        if (names.length === 0) {
+            alert("Tick the presets to keep in the bundle first.");
+            return;
+        }
+        var current = bundleDropdown.selection && bundleDropdown.selection.index > 0 ? bundleDropdown.selection.text : "";
+        var name = prompt("Save the " + names.length + " ticked preset(s) as a bundle named:", current);
+        if (name === null) return;
+        name = LocalizationCore.trim(name);
+        if (name === "") return;
+        if (library.bundles.hasOwnProperty(name) && !confirm("Replace the bundle '" + name + "' (" + library.bundles[name].join(", ") + ")?")) return;
+
+        if (changeUserLibrary(function (userLibrary) {
+            userLibrary.bundles[name] = names;
+        }, names, name)) {
+            statusText.text = "✓ Saved bundle '" + name + "' (" + names.length + " presets).";
+        }
+    };
+
+    deleteBundleBtn.onClick = function () {
+        if (!bundleDropdown.selection || bundleDropdown.selection.index === 0) {
+            alert("Choose the bundle to delete first.");
+            return;
+        }
+        var name = bundleDropdown.selection.text;
+        var own = library.bundleSources[name] === "your library";
+        var shared = loadPresets(true);
+        var sharedSource = shared.bundles.hasOwnProperty(name) ? shared.bundleSources[name] : null;
+
+        // Same as presets: yours goes, your edit of a shared one goes
+        // back to it, a shared one is hidden for you only
+        var question;
+        if (own && !sharedSource) question = "Delete the bundle '" + name + "'?";
+        else if (own) question = "Drop your changes to the bundle '" + name + "' and go back to the " + sharedSource + " version?";
+        else question = "The bundle '" + name + "' comes from " + sharedSource + ".\nHide it from your list?";
+        if (!confirm(question)) return;
+
+        if (changeUserLibrary(function (userLibrary) {
+            if (own) delete userLibrary.bundles[name];
+            else userLibrary.bundles[name] = null;
+        }, selectedPresets(), own && sharedSource ? name : null)) {
+            statusText.text = "✓ Removed bundle '" + name + "'.";
+        }
+    };
+
+    importBtn.onClick = function () {
+        var file = File.openDialog("Import render presets", "Preset library:*.json,All Files:*.*");
+        if (!file) return;
+        var imported;
+        try {
+            imported = LocalizationCore.readPresetLibrary(readTextFile(file), decodeURI(file.name));
+        } catch (err) {
+            alert("Could not read '" + decodeURI(file.name) + "':\n" + err.toString());
+            return;
+        }
+
+        var names = [];
+        var replacing = 0;
+        for (var name in imported.presets) {
+            if (!imported.presets.hasOwnProperty(name)) continue;
+            names.push(name);
+            if (library.presets.hasOwnProperty(name)) replacing++;
+        }
+        var bundleNames = [];
+        for (var bundleName in imported.bundles) {
+            if (imported.bundles.hasOwnProperty(bundleName)) bundleNames.push(bundleName);
+        }
+        var problems = [];
+        for (var i = 0; i < imported.issues.length; i++) problems.push("• " + imported.issues[i].message);
+        if (names.length === 0 && bundleNames.length === 0) {
+            alert("No presets to import from '" + decodeURI(file.name) + "'." + (problems.length > 0 ? "\n\n" + problems.slice(0, 10).join("\n") : ""));
+            return;
+        }
+
+        var msg = "Add " + names.length + " preset(s)" + (bundleNames.length > 0 ? " and " + bundleNames.length + " bundle(s)" : "") + " to your library";
+        if (replacing > 0) msg += " (" + replacing + " replace presets you have)";
+        msg += "?\n\n" + names.concat(bundleNames).slice(0, 10).join(", ") + (names.length + bundleNames.length > 10 ? ", ..." : "");
+        if (problems.length > 0) msg += "\n\nSkipped or ignored:\n" + problems.slice(0, 5).join("\n");
+        if (!confirm(msg)) return;
+
+        if (changeUserLibrary(function (userLibrary) {
+            for (var n = 0; n < names.length; n++) userLibrary.presets[names[n]] = imported.presets[names[n]];
+            for (var b = 0; b < bundleNames.length; b++) userLibrary.bundles[bundleNames[b]] = imported.bundles[bundleNames[b]];
+        }, names.slice(0, 1))) {
+            statusText.text = "✓ Imported " + names.length + " preset(s)" + (bundleNames.length > 0 ? " and " + bundleNames.length + " bundle(s)" : "") + ".";
+        }
+    };
+
+    exportBtn.onClick = function () {
+        var ownOnly = confirm("Export only the presets and bundles from your own library?\n\n" +
+            "Yes: yours, to share through the team folder\nNo: everything in the list");
+        var presets = {};
+        var bundles = {};
+        var count = 0;
+        for (var n = 0; n < library.names.length; n++) {
+            var name = library.names[n];
+            if (ownOnly && library.sources[name] !== "your library") continue;
+            presets[name] = library.presets[name];
+            count++;
+        }
+        var bundleCount = 0;
+        for (var b = 0; b < library.bundleNames.length; b++) {
+            var bundleName = library.bundleNames[b];
+            if (ownOnly && library.bundleSources[bundleName] !== "your library") continue;
+            bundles[bundleName] = library.bundles[bundleName];
+            bundleCount++;
+        }
+        if (count === 0 && bundleCount === 0) {
+            alert("Your library has no presets of its own yet.");
+            return;
+        }
+        var file = File.saveDialog("Export render presets", "Preset library:*.json");
+        if (!file) return;
+        if (!/\.json$/i.test(file.name)) file = new File(file.fsName + ".json");
+        try {
+            writeTextFile(file, LocalizationCore.formatPresetLibrary(presets, bundles));
+        } catch (err) {
+            alert("Could not write '" + file.fsName + "':\n" + err.toString());
+            return;
+        }
+        statusText.text = "✓ Exported " + count + " preset(s)" + (bundleCount > 0 ? " and " + bundleCount + " bundle(s)" : "") + " to " + decodeURI(file.name);
+    };
+
+    teamBtn.onClick = function () {
+        var current = teamPresetFolderPath();
+        var folder = Folder.selectDialog("Team preset folder (*.json libraries shared by everyone)" +
+            (current ? " — now: " + current : ""));
+        if (!folder) return;
+        app.settings.saveSetting(CONFIG.settingsSection, "teamPresetFolder", folder.fsName);
+        library = loadPresets();
+        refreshPresets(selectedPresets());
+        statusText.text = "✓ Team presets from " + folder.fsName;
+        reportLibraryIssues();
+    };
+
     // ─── BUTTON HANDLERS ─────────────────────────────────────
 
-    addBtn.onClick = function () {
-        var presetName = presetDropdown.selection.text;
-        var preset = PRESETS[presetName];
-        var outputPath = pathInput.text;
-        var namePattern = nameInput.text;
+    // Queues `comps` with every ticked preset and reports what went in.
+    // languages: per comp, for the localized masters (see queueRenders)
+    function queueSelected(comps, languages) {
+        var names = selectedPresets();
+        if (names.length === 0) {
+            alert("Tick at least one preset.");
+            return;
+        }
+        var result = queueRenders(comps, names, library.presets, {
+            outputPath: pathInput.text,
+            namePattern: nameInput.text,
+            warnDuration: warnCheck.value,
+            reframe: REFRAME_CHOICES[reframeDropdown.selection.index],
+            languages: languages
+        });
+        if (result.errors.length > 0) {
+            alert("Please fix the naming pattern:\n\n• " + result.errors.join("\n• "));
+            statusText.text = "⚠ Nothing queued — check the naming pattern.";
+            return;
+        }
+        statusText.text = "✓ Queued " + result.count + " render item(s): " + comps.length + " comp(s) × " + names.length + " preset(s)" +
+            (result.skipped.length > 0 ? ", " + result.skipped.length + " skipped" : "") + ".";
+        if (result.count + result.skipped.length > 1) alert(describeQueued(result, comps.length, names.length));
+    }
 
+    addBtn.onClick = function () {
         var comp = app.project.activeItem;
         if (!comp || !(comp instanceof CompItem)) {
             alert("No active composition selected.\nPlease select a comp in the timeline or project panel.");
             return;
         }
-
-        processComp(comp, preset, presetName, outputPath, namePattern, warnCheck.value);
-        statusText.text = "✓ Added '" + comp.name + "' with " + presetName + " preset.";
+        queueSelected([comp]);
     };
 
     addAllBtn.onClick = function () {
-        var presetName = presetDropdown.selection.text;
-        var preset = PRESETS[presetName];
-        var outputPath = pathInput.text;
-        var namePattern = nameInput.text;
-
         var selectedItems = app.project.selection;
-        var compCount = 0;
-
+        var comps = [];
         for (var i = 0; i < selectedItems.length; i++) {
-            if (selectedItems[i] instanceof CompItem) {
-                processComp(selectedItems[i], preset, presetName, outputPath, namePattern, warnCheck.value);
-                compCount++;
-            }
+            if (selectedItems[i] instanceof CompItem) comps.push(selectedItems[i]);
         }
 
-        if (compCount === 0) {
+        if (comps.length === 0) {
             alert("No compositions selected.\nSelect one or more comps in the project panel.");
-        } else {
-            statusText.text = "✓ Added " + compCount + " comp(s) with " + presetName + " preset.";
+            return;
+        }
+        queueSelected(comps);
+    };
+
+    languagesBtn.onClick = function () {
+        var masters = findLocalizedMasters();
+        if (!masters) {
+            alert("No '" + CONFIG.localizedFolderName + "' folder in this project.\nRun the Batch Asset Replacer first.");
+            return;
         }
+        if (masters.comps.length === 0) {
+            alert("No language masters in '" + CONFIG.localizedFolderName + "'.");
+            return;
+        }
+        var names = selectedPresets();
+        if (names.length === 0) {
+            alert("Tick at least one preset.");
+            return;
+        }
+        if (!confirm("Queue " + masters.comps.length + " language master(s) in " + masters.folders.length + " language folder(s) × " +
+            names.length + " preset(s) = " + (masters.comps.length * names.length) + " render item(s)?\n\n" +
+            masters.folders.slice(0, 12).join(", ") + (masters.folders.length > 12 ? ", ..." : ""))) return;
+        queueSelected(masters.comps, masters.languages);
     };
 
     // Show window
@@ -366,25 +733,222 @@ function buildUI(thisObj) {
     return win;
 }
 
+// ─── RENDER WRAPPERS ────────────────────────────────────────
+// A preset's width, height and fps are met by rendering a wrapper
+// comp at that size and frame rate with the comp reframed inside.
+
+function findOrCreateFolder(name) {
+    for (var i = 1; i <= app.project.numItems; i++) {
+        var item = app.project.item(i);
+        if (item instanceof FolderItem && item.name === name && item.parentFolder === app.project.rootFolder) return item;
+    }
+    return app.project.items.addFolder(name);
+}
+
+function findCompIn(folder, name) {
+    for (var i = 1; i <= folder.numItems; i++) {
+        if (folder.item(i) instanceof CompItem && folder.item(i).name === name) return folder.item(i);
+    }
+    return null;
+}
+
+// The comp to queue for `preset`: `comp` itself when it already has
+// the preset's frame, else "<comp> [<preset>]" in the wrappers
+// folder — rebuilt when queued again, so render items made earlier
+// keep pointing at it. reframe: a REFRAME_MODES mode or null for
+// the preset's own (CONFIG.reframe when it has none).
+function renderWrapper(comp, preset, presetName, reframe) {
+    var frame = LocalizationCore.presetFrame(preset, comp);
+    if (frame.matches) return comp;
+
+    var mode = reframe || preset.reframe || CONFIG.reframe;
+    var layout = LocalizationCore.reframeLayout(comp, frame, mode);
+    var folder = findOrCreateFolder(CONFIG.wrapperFolderName);
+    var name = comp.name + " [" + presetName + "]";
+
+    var wrapper = findCompIn(folder, name);
+    if (wrapper) {
+        while (wrapper.numLayers > 0) wrapper.layer(1).remove();
+        wrapper.width = frame.width;
+        wrapper.height = frame.height;
+        wrapper.pixelAspect = 1;
+        wrapper.frameRate = frame.fps;
+        wrapper.duration = comp.duration;
+    } else {
+        wrapper = app.project.items.addComp(name, frame.width, frame.height, 1, comp.duration, frame.fps);
+        wrapper.parentFolder = folder;
+    }
+    wrapper.comment = "Smart Render Queue: " + presetName + " (" + mode + ")";
+
+    // Background first; layers.add() puts each new layer on top
+    if (layout.background && layout.background.kind === "solid") {
+        wrapper.layers.addSolid([0, 0, 0], "Letterbox", frame.width, frame.height, 1, comp.duration);
+    } else if (layout.background && layout.background.kind === "blur") {
+        var background = wrapper.layers.add(comp);
+        background.name = "Blurred background";
+        background.property("ADBE Transform Group").property("ADBE Scale").setValue([layout.background.scale, layout.background.scale]);
+        background.property("ADBE Transform Group").property("ADBE Position").setValue(layout.position);
+        var blur = background.property("ADBE Effect Parade").addProperty("ADBE Gaussian Blur 2");
+        blur.property("ADBE Gaussian Blur 2-0001").setValue(Math.round(Math.max(frame.width, frame.height) * CONFIG.blurAmount));
+        blur.property("ADBE Gaussian Blur 2-0003").setValue(1);   // repeat edge pixels
+        background.audioEnabled = false;
+    }
+
+    var layer = wrapper.layers.add(comp);
+    layer.property("ADBE Transform Group").property("ADBE Scale").setValue([layout.scale, layout.scale]);
+    layer.property("ADBE Transform Group").property("ADBE Position").setValue(layout.position);
+
+    $.writeln("[SmartRender] Wrapper " + name + ": " + frame.width + "×" + frame.height + " @ " + frame.fps + " fps, " + mode);
+    return wrapper;
+}
+
 // ─── CORE RENDER LOGIC ──────────────────────────────────────
 
-function processComp(comp, preset, presetName, outputPath, namePattern, warnDuration) {
-    // Duration check
-    if (warnDuration && preset.maxDuration && comp.duration > preset.maxDuration) {
-        var proceed = confirm(
+// Queues every comp with every preset in `presetNames` (comps × presets
+// render items), asking once about comps longer than a preset allows.
+// presets: { name: preset }; options: { outputPath, namePattern,
+// warnDuration, reframe (REFRAME_CHOICES entry) }.
+// namePattern is an output name template (shared/output-names.js),
+// relative to outputPath. Several presets need {preset} in it;
+// without it "_{preset}" is appended. A name already taken in this
+// batch gets "_2", "_3", ... unless the pattern has {version}.
+// options.languages: {lang} for each comp, instead of compLanguage();
+// renders then go into a {lang} subfolder unless the pattern's folders
+// already use {lang}.
+// Returns { count, perPreset: { name: count }, skipped: [text],
+//           files: [path], errors: [naming pattern problems] }
+function queueRenders(comps, presetNames, presets, options) {
+    var result = { count: 0, perPreset: {}, skipped: [], files: [], errors: [] };
+    var namePattern = options.namePattern;
+    if (presetNames.length > 1 && !LocalizationCore.contains(LocalizationCore.templateTokens(namePattern), "preset")) {
+        namePattern += "_{preset}";
+    }
+    var folders = namePattern.lastIndexOf("/") >= 0 ? namePattern.substring(0, namePattern.lastIndexOf("/")) : "";
+    if (options.languages && !LocalizationCore.contains(LocalizationCore.templateTokens(folders), "lang")) {
+        namePattern = "{lang}/" + namePattern;
+    }
+    var languages = options.languages || [];
+    var outputPath = options.outputPath.replace(/[\/\\]+$/, "");
+
+    // Pattern problems are the same for every render; check once
+    if (comps.length > 0 && presetNames.length > 0) {
+        result.errors = LocalizationCore.formatOutputName(namePattern,
+            outputNameValues(comps[0], presets[presetNames[0]], presetNames[0], languages[0])).errors;
+        if (result.errors.length > 0) return result;
+    }
+
+    // Duration check, once for the whole batch
+    var tooLong = [];
+    for (var c = 0; c < comps.length && options.warnDuration; c++) {
+        for (var p = 0; p < presetNames.length; p++) {
+            var max = presets[presetNames[p]].maxDuration;
+            if (max && comps[c].duration > max) {
+                tooLong.push(comps[c].name + " — " + presetNames[p] + " (" + Math.round(comps[c].duration) + "s, max " + max + "s)");
+            }
+        }
+    }
+    var skipLong = false;
+    if (tooLong.length > 0) {
+        skipLong = !confirm(
             "⚠️ Duration Warning\n\n" +
-            "Comp '" + comp.name + "' is " + Math.round(comp.duration) + "s long.\n" +
-            presetName + " max is " + preset.maxDuration + "s.\n\n" +
-            "The platform may reject or trim this video.\n" +
-            "Add to render queue anyway?"
+            tooLong.slice(0, 10).join("\n") + (tooLong.length > 10 ? "\n... and " + (tooLong.length - 10) + " more" : "") + "\n\n" +
+            "The platform may reject or trim these videos.\n" +
+            "Yes: add them to the render queue anyway\nNo: skip them"
         );
-        if (!proceed) return;
     }
 
-    app.beginUndoGroup("Smart Render - " + presetName);
+    var used = {};
+    function isTaken(fullPath) {
+        return used.hasOwnProperty(fullPath.toLowerCase()) || new File(fullPath).exists;
+    }
+    app.beginUndoGroup("Smart Render - " + (presetNames.length === 1 ? presetNames[0] : presetNames.length + " presets"));
 
-    // Add to render queue
-    var rqItem = app.project.renderQueue.items.add(comp);
+    for (var i = 0; i < comps.length; i++) {
+        for (var j = 0; j < presetNames.length; j++) {
+            var presetName = presetNames[j];
+            var preset = presets[presetName];
+            if (skipLong && preset.maxDuration && comps[i].duration > preset.maxDuration) {
+                result.skipped.push(comps[i].name + " — " + presetName + " (too long)");
+                continue;
+            }
+
+            var name = LocalizationCore.formatOutputPath(namePattern, outputNameValues(comps[i], preset, presetName, languages[i]), function (path) {
+                return isTaken(outputPath + "/" + path + preset.fileExtension);
+            });
+            var fileName = outputPath + "/" + (name.path || "render");
+            var fullPath = fileName + preset.fileExtension;
+            for (var n = 2; used.hasOwnProperty(fullPath.toLowerCase()); n++) {
+                fullPath = fileName + "_" + n + preset.fileExtension;
+            }
+            used[fullPath.toLowerCase()] = true;
+            createFolder(new File(fullPath).parent);
+
+            processComp(comps[i], preset, presetName, fullPath, options.reframe);
+            result.count++;
+            result.perPreset[presetName] = (result.perPreset[presetName] || 0) + 1;
+            result.files.push(fullPath);
+        }
+    }
+
+    app.endUndoGroup();
+    return result;
+}
+
+// Summary of a queueRenders() result for an alert
+function describeQueued(result, compCount, presetCount) {
+    var lines = ["Queued " + result.count + " render item(s): " + compCount + " comp(s) × " + presetCount + " preset(s)", ""];
+    for (var name in result.perPreset) {
+        if (result.perPreset.hasOwnProperty(name)) lines.push("• " + name + ": " + result.perPreset[name]);
+    }
+    if (result.skipped.length > 0) {
+        lines.push("", "Skipped:");
+        for (var i = 0; i < result.skipped.length && i < 10; i++) lines.push("• " + result.skipped[i]);
+        if (result.skipped.length > 10) lines.push("... and " + (result.skipped.length - 10) + " more");
+    }
+    if (result.files.length > 0) lines.push("", "First output: " + decodeURI(new File(result.files[0]).name));
+    return lines.join("\n");
+}
+
+// Token values for a render of `comp` with a preset; {version} is
+// filled in by formatOutputPath. lang: {lang}, else compLanguage()
+function outputNameValues(comp, preset, presetName, lang) {
+    var frame = LocalizationCore.presetFrame(preset, comp);
+    return {
+        comp: comp.name,
+        preset: presetName,
+        lang: lang || compLanguage(comp),
+        width: frame.width,
+        height: frame.height,
+        fps: Math.round(frame.fps * 1000) / 1000,
+        duration: Math.round(comp.duration * 10) / 10,
+        project: projectName(),
+        date: getDateString(),
+        time: getTimeString()
+    };
+}
+
+// Language of a comp made by the Batch Asset Replacer (see
+// LocalizationCore.localizedLanguage); "" for other comps
+function compLanguage(comp) {
+    var folder = comp.parentFolder;
+    var compNames = [];
+    for (var i = 1; i <= app.project.numItems; i++) {
+        if (app.project.item(i) instanceof CompItem) compNames.push(app.project.item(i).name);
+    }
+    return LocalizationCore.localizedLanguage({
+        name: comp.name,
+        comment: comp.comment,
+        folder: folder ? folder.name : "",
+        parentFolder: folder && folder.parentFolder ? folder.parentFolder.name : ""
+    }, CONFIG.localizedFolderName, compNames);
+}
+
+// Queues `comp` for a preset, through a render wrapper when the comp
+// doesn't have the preset's size and frame rate, rendering to fullPath.
+// reframe: REFRAME_CHOICES entry (null = the preset's own)
+function processComp(comp, preset, presetName, fullPath, reframe) {
+    // Add to render queue, at the preset's size and frame rate
+    var rqItem = app.project.renderQueue.items.add(renderWrapper(comp, preset, presetName, reframe));
 
     // ─── Apply Render Settings
     // Use "Best Settings" as base, then customize
@@ -407,7 +971,7 @@ function processComp(comp, preset, presetName, outputPath, namePattern, warnDura
             "Best Settings"
         ];
 
-        if (preset.codec.indexOf("ProRes") >= 0) {
+        if ((preset.codec || "").indexOf("ProRes") >= 0) {
             fallbacks = ["Apple ProRes 422 HQ", "Apple ProRes 422", "Lossless"];
         }
 
@@ -429,25 +993,48 @@ function processComp(comp, preset, presetName, outputPath, namePattern, warnDura
     }
 
     // ─── Set Output File Path
-    var fileName = namePattern
-        .replace("{comp}", comp.name)
-        .replace("{preset}", presetName.replace(/[\/\\:*?"<>|]/g, "_"))
-        .replace("{date}", getDateString())
-        .replace("{time}", getTimeString())
-        .replace("{lang}", "");
+    outputModule.file = new File(fullPath);
 
-    // Clean filename
-    fileName = fileName.replace(/[\/\\:*?"<>|]/g, "_");
+    $.writeln("[SmartRender] Queued: " + comp.name + " → " + fullPath);
+}
 
-    var outputFolder = new Folder(outputPath);
-    if (!outputFolder.exists) outputFolder.create();
+// ─── LOCALIZED VERSIONS ─────────────────────────────────────
 
-    var fullPath = outputPath + fileName + preset.fileExtension;
-    outputModule.file = new File(fullPath);
+// The Batch Asset Replacer's language masters: every comp directly
+// in a language folder of CONFIG.localizedFolderName, folders in
+// name order, the precomp folder skipped.
+// Returns { comps, languages (per comp), folders } or null when the
+// project has no such folder.
+function findLocalizedMasters() {
+    var root = null;
+    for (var i = 1; i <= app.project.numItems; i++) {
+        var item = app.project.item(i);
+        if (item instanceof FolderItem && item.name === CONFIG.localizedFolderName && item.parentFolder === app.project.rootFolder) {
+            root = item;
+            break;
+        }
+    }
+    if (!root) return null;
 
-    app.endUndoGroup();
+    var langFolders = [];
+    for (var f = 1; f <= root.numItems; f++) {
+        if (root.item(f) instanceof FolderItem && root.item(f).name !== CONFIG.precompFolderName) langFolders.push(root.item(f));
+    }
+    langFolders.sort(function (a, b) { return a.name < b.name ? -1 : (a.name > b.name ? 1 : 0); });
 
-    $.writeln("[SmartRender] Queued: " + comp.name + " → " + fullPath);
+    var masters = { comps: [], languages: [], folders: [] };
+    for (var l = 0; l < langFolders.length; l++) {
+        var found = false;
+        for (var c = 1; c <= langFolders[l].numItems; c++) {
+            var comp = langFolders[l].item(c);
+            if (!(comp instanceof CompItem)) continue;
+            masters.comps.push(comp);
+            masters.languages.push(compLanguage(comp) || langFolders[l].name);
+            found = true;
+        }
+        if (found) masters.folders.push(langFolders[l].name);
+    }
+    return masters;
 }
 
 // ─── HELPER FUNCTIONS ────────────────────────────────────────
@@ -469,5 +1056,18 @@ function padZero(n) {
     return (n < 10 ? "0" : "") + n;
 }
 
+// The project's file name without .aep, "Untitled" before it is saved
+function projectName() {
+    if (!app.project.file) return "Untitled";
+    return decodeURI(app.project.file.name).replace(/\.aepx?$/i, "");
+}
+
+// Folder.create() with any missing parents made first
+function createFolder(folder) {
+    if (folder.exists) return;
+    if (folder.parent) createFolder(folder.parent);
+    folder.create();
+}
+
 // ─── LAUNCH ──────────────────────────────────────────────────
 buildUI(this);
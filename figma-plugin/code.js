@@ -1,10 +1,17 @@
 /**
  * ============================================================
  *  BATCH LOCALIZER — Figma Plugin
- *  Duplicates a selected frame for each language in a CSV
+ *  Duplicates the selected frames for each language in a CSV
  *  and replaces text layers by matching layer names.
  * ============================================================
  *
+ *  Also reads .xlsx, .ods and .tsv — pick the sheet for the
+ *  selected frame in the UI — and translated XLIFF files. The
+ *  frame's text layers can be exported as XLIFF for the vendor,
+ *  or extracted into a CSV template. "Sync" re-applies an edited
+ *  sheet to the frames an earlier run made (changed cells only).
+ *  Image rows name files from a folder or .zip dropped in the UI.
+ *
  *  CSV FORMAT (same as your AE script):
  *    layer_name,type,en-US,zh-TW,zh-MY,ja-JP,...
  *    Headline,text,Welcome,歡迎,...
@@ -12,8 +19,14 @@
  *    Speaker_Name,text,John Smith,約翰·史密斯,...
  *
  *  NOTE: No "comp_name" column needed — Figma uses the selected
- *  frame as the master. Layer names are matched recursively
- *  through all nested frames/groups.
+ *  frames (or a section's frames) as masters. An optional
+ *  "frame_name" column names each row's master instead, so one
+ *  sheet drives frames on any page. Layer names are matched
+ *  recursively through all nested frames/groups.
+ *
+ *  CSV parsing, validation and the replacement plan come from
+ *  shared/localization-core.js, embedded at the bottom of this
+ *  file by tools/embed-shared.js (Figma only loads one file).
  *
  *  Author: Gelvan Neo | Bybit Livestream & Video
  *  Version: 1.0
@@ -22,143 +35,955 @@
 // Show the UI panel
 figma.showUI(__html__, { width: 380, height: 520 });
 
+// Last uploaded file(s), all sheets (set by "parse-files")
+let workbook = null;
+
+// Rows of the sheet chosen for the selected frame (set by "select-sheet")
+let csvData = null;
+
+// Dropped image files for image rows (set by "parse-images")
+let images = null;
+
+// Font fallbacks typed in the UI last time (JSON text, see shared/fonts.js),
+// parsed for the QA glyph check, and the output layout
+let savedFontMap = null;
+Promise.all([figma.clientStorage.getAsync("fontMap"), figma.clientStorage.getAsync("layout")]).then(([fontMap, layout]) => {
+  try {
+    savedFontMap = readFontMap(fontMap || "");
+  } catch (err) {
+    savedFontMap = null;
+  }
+  figma.ui.postMessage({ type: "settings", fontMap: fontMap || "", layout: readLayout(layout) });
+});
+
 // ─── LISTEN FOR MESSAGES FROM UI ────────────────────────────
 
+// Anything a handler throws goes back to the UI as an error, so it
+// never stays busy waiting for a reply
 figma.ui.onmessage = async (msg) => {
-  if (msg.type === "run-localization") {
-    await runLocalization(msg.rows, msg.languages);
+  try {
+    await handleMessage(msg);
+  } catch (err) {
+    figma.ui.postMessage({ type: "error", message: err.message || String(err) });
   }
 };
 
-// ─── MAIN LOCALIZATION FUNCTION ─────────────────────────────
+async function handleMessage(msg) {
+  if (msg.type === "parse-files") {
+    parseFiles(msg.files);
+  }
+
+  if (msg.type === "select-sheet") {
+    selectSheet(msg.sheet);
+  }
+
+  if (msg.type === "parse-images") {
+    parseImages(msg.files);
+  }
+
+  if (msg.type === "run-localization") {
+    if (!csvData) {
+      figma.ui.postMessage({ type: "error", message: "Upload a CSV first." });
+      return;
+    }
+    let fontMap;
+    try {
+      fontMap = readFontMap(msg.fontMap || "");
+    } catch (err) {
+      figma.ui.postMessage({ type: "error", message: "Font fallbacks are not valid JSON: " + err.message });
+      return;
+    }
+    await figma.clientStorage.setAsync("fontMap", msg.fontMap || "");
+    await figma.clientStorage.setAsync("layout", readLayout(msg.layout));
+    savedFontMap = fontMap;
+    await runLocalization(csvData, {
+      sync: !!msg.sync,
+      fitMode: msg.fitMode || "none",
+      limitMode: msg.limitMode || "report",
+      layerMatch: msg.layerMatch === "first" ? "first" : "all",
+      fontMap,
+      layout: msg.layout,
+      componentProperties: !!msg.componentProperties
+    });
+  }
+
+  if (msg.type === "sync-variables") {
+    if (!csvData) {
+      figma.ui.postMessage({ type: "error", message: "Upload a CSV first." });
+      return;
+    }
+    await syncVariables(csvData, msg.options);
+  }
+
+  if (msg.type === "export-xliff") {
+    exportXLIFF(msg.options);
+  }
+
+  if (msg.type === "extract-strings") {
+    extractStrings(msg.options);
+  }
+}
+
+// ─── CSV / SPREADSHEET PARSING ──────────────────────────────
+
+// files: [{ name, bytes }] — one spreadsheet, or several XLIFF
+// files (one per target language) that merge into one table.
+function parseFiles(files) {
+  const fileName = files.length === 1 ? files[0].name : files.length + " XLIFF files";
+  try {
+    if (files.length === 1) {
+      workbook = LocalizationCore.readSpreadsheet(files[0].bytes, files[0].name);
+    } else {
+      const notXliff = files.find(f => LocalizationCore.spreadsheetFormat(f.name) !== "xliff");
+      if (notXliff) throw new Error("only XLIFF files can be combined — " + notXliff.name + " is not .xlf/.xliff");
+      workbook = LocalizationCore.readXLIFF(files.map(f => LocalizationCore.decodeUTF8(f.bytes)), "XLIFF");
+    }
+  } catch (err) {
+    workbook = null;
+    csvData = null;
+    figma.ui.postMessage({ type: "error", message: "Could not read " + fileName + ": " + (err.message || err) });
+    return;
+  }
+  workbook.fileName = fileName;
+
+  // Default to the first sheet that looks like a localization table
+  const sheets = workbook.sheets.filter(s => !LocalizationCore.isVariablesSheet(s));
+  const first = sheets.find(s => s.headers.includes("layer_name")) || sheets[0];
+  selectSheet(first ? first.name : "");
+}
+
+function selectSheet(sheetName) {
+  if (!workbook) return;
+
+  const data = LocalizationCore.mergeSheets(workbook.sheets, { [sheetName]: sheetName });
+  const languages = LocalizationCore.detectLanguages(data.headers);
+  // A frame_name column lets one sheet drive several frames
+  const targetColumn = data.headers.includes("frame_name") ? "frame_name" : null;
+
+  // {placeholders} come from type=variable rows and a "Variables" sheet
+  const variableSheets = workbook.sheets.filter(s => LocalizationCore.isVariablesSheet(s));
+  const variables = LocalizationCore.readVariables(variableSheets.concat([data]));
+  const placeholderIssues = LocalizationCore.resolvePlaceholders(LocalizationCore.buildReplacementPlan(data, languages, { targetColumn }), variables);
+  const issues = LocalizationCore.validateRows(data, { targetColumn }).concat(placeholderIssues);
+
+  // Translation QA; glyphs are checked against the fonts of the frames
+  // selected when the sheet is picked (the run reports them again)
+  const frames = selectedFrames();
+  const qaIssues = LocalizationCore.checkTranslations(data, languages, {
+    targetColumn,
+    fontOf: frames.length > 0 ? (target, layerName) => {
+      const frame = target ? frames.find(f => f.name === target) : frames[0];
+      return frame ? layerFont(frame, layerName) : null;
+    } : null,
+    fontMap: savedFontMap || LocalizationCore.DEFAULT_FONT_MAP
+  });
+  issues.push(...qaIssues);
+  issues.push(...checkLayerMatches(data, targetColumn, frames));
+
+  csvData = { headers: data.headers, rows: data.rows, languages, targetColumn, issues, variables };
+
+  figma.ui.postMessage({
+    type: "parsed",
+    fileName: workbook.fileName,
+    sheets: workbook.sheets.filter(s => !LocalizationCore.isVariablesSheet(s)).map(s => ({ name: s.name, rows: s.rows.length })),
+    sheet: sheetName,
+    headers: data.headers,
+    rows: data.rows,
+    languages,
+    frames: targetColumn ? LocalizationCore.buildReplacementPlan(data, [], { targetColumn }).targets : null,
+    issues,
+    hasErrors: LocalizationCore.hasErrors(issues),
+    qaReport: qaIssues.length > 0 ? LocalizationCore.formatQAReport(qaIssues, workbook.fileName) : ""
+  });
+  postImageStatus();
+}
+
+// ─── IMAGES ─────────────────────────────────────────────────
+// files: [{ name, bytes }] — images from a folder (name is the
+// path inside it) and/or .zip archives, which are unpacked here.
+
+function parseImages(files) {
+  const bytes = {};
+  try {
+    for (const file of files) {
+      if (/\.zip$/i.test(file.name)) {
+        const zip = LocalizationCore.openZip(file.bytes);
+        for (const path in zip.entries) {
+          // Skip folders and macOS resource forks
+          if (/(^|\/)(__MACOSX\/|\.)/.test(path) || !LocalizationCore.isImageFile(path)) continue;
+          bytes[path] = new Uint8Array(zip.bytes(path));
+        }
+      } else if (LocalizationCore.isImageFile(file.name)) {
+        bytes[file.name] = file.bytes;
+      }
+    }
+  } catch (err) {
+    figma.ui.postMessage({ type: "error", message: "Could not read the images: " + (err.message || err) });
+    return;
+  }
+
+  images = { paths: Object.keys(bytes), bytes, hashes: {} };
+  postImageStatus();
+}
+
+// Image count, plus image cells of the current sheet that match no file
+function postImageStatus() {
+  if (!images) return;
+  const missing = [];
+  if (csvData) {
+    for (const row of csvData.rows) {
+      const type = LocalizationCore.rowType(row);
+      if (type !== "image" && type !== "footage") continue;
+      for (const lang of csvData.languages) {
+        const value = (row[lang] || "").trim();
+        if (!value) continue;
+        const found = LocalizationCore.findAsset(images.paths, value, lang);
+        if (found.error) missing.push(`[${lang}] ${row["layer_name"]}: ${found.error}`);
+      }
+    }
+  }
+  figma.ui.postMessage({ type: "images", count: images.paths.length, missing });
+}
+
+// Swaps the top image fill of `node` for the row's file, keeping
+// the paint's scale mode, crop and filters
+function setImageFill(node, rep, lang) {
+  if (!images) throw new Error("no images loaded — add a folder or .zip under Step 1");
+
+  const fills = "fills" in node && node.fills !== figma.mixed ? node.fills : [];
+  let index = -1;
+  for (let i = 0; i < fills.length; i++) {
+    if (fills[i].type === "IMAGE") index = i;
+  }
+  if (index < 0) throw new Error("layer has no image fill");
+
+  const found = LocalizationCore.findAsset(images.paths, rep.value, lang);
+  if (found.error) throw new Error(found.error);
+
+  if (!images.hashes[found.path]) images.hashes[found.path] = figma.createImage(images.bytes[found.path]).hash;
+  const newFills = fills.slice();
+  newFills[index] = Object.assign({}, fills[index], { imageHash: images.hashes[found.path] });
+  node.fills = newFills;
+}
 
-async function runLocalization(rows, languages) {
-  // Validate selection
+// ─── SELECTION ──────────────────────────────────────────────
+
+function isFrameLike(node) {
+  return node.type === "FRAME" || node.type === "COMPONENT" || node.type === "INSTANCE";
+}
+
+// Selected frames, with a selected section standing for the frames
+// directly inside it — without telling the UI anything
+function selectedFrames() {
+  const frames = [];
+  for (const node of figma.currentPage.selection) {
+    if (node.type === "SECTION") frames.push(...node.children.filter(isFrameLike));
+    else if (isFrameLike(node)) frames.push(node);
+  }
+  return frames;
+}
+
+// Font of the first text layer `layerName` matches in `frame`
+function layerFont(frame, layerName) {
+  const matches = findMatchingNodes(frame, [LocalizationCore.parseLayerPattern(layerName)]);
+  const node = matches.map(m => m.node).find(n => n.type === "TEXT");
+  if (!node) return null;
+  const font = node.characters.length > 0 ? node.getRangeFontName(0, 1) : node.fontName;
+  return font === figma.mixed ? null : font;
+}
+
+// Pre-check of the selected frames: rows whose layer_name matches
+// no layer, or several (a run sets all of them, or only the first).
+// Returns warnings shaped like validateRows issues.
+function checkLayerMatches(data, targetColumn, frames) {
+  const issues = [];
+  const rows = data.rows.filter(row => row["layer_name"] && LocalizationCore.rowType(row) !== "variable");
+
+  for (const frame of frames) {
+    const frameRows = targetColumn ? rows.filter(row => row[targetColumn] === frame.name) : rows;
+    const patterns = frameRows.map(row => LocalizationCore.parseLayerPattern(row["layer_name"]));
+    const matches = findMatchingNodes(frame, patterns);
+    const seen = new Set();
+
+    frameRows.forEach((row, index) => {
+      // A repeated row is reported by validateRows
+      if (seen.has(row["layer_name"])) return;
+      seen.add(row["layer_name"]);
+
+      const where = (row.__sheet ? `[${row.__sheet}] ` : "") + `'${row["layer_name"]}'`;
+      const paths = matches.filter(m => m.index === index).map(m => getLayerPath(m.node, frame));
+      if (paths.length === 0 && findMatchingNodes(frame, [patterns[index]]).length === 0) {
+        issues.push({ line: row.__line || 0, severity: "warning", message: `${where} matches no layer in '${frame.name}'` });
+      } else if (paths.length > 1) {
+        const list = paths.slice(0, 3).join(", ") + (paths.length > 3 ? ", ..." : "");
+        issues.push({ line: row.__line || 0, severity: "warning", message: `${where} matches ${paths.length} layers in '${frame.name}': ${list}` });
+      }
+    });
+  }
+
+  return issues;
+}
+
+// Masters of a run: [{ frame, target }], or null after telling the UI
+// why not. Without a frame_name column every selected frame (or
+// section) gets all rows (target ""); with it each name in the sheet
+// is looked up in the selection first, then on every page, among
+// frames at the top of a page or section.
+async function getMasterFrames(targetColumn, targets) {
+  const selected = selectedFrames();
+
+  if (!targetColumn) {
+    if (selected.length === 0) {
+      figma.ui.postMessage({ type: "error", message: "No frame selected. Select one or more frames, or a section." });
+      return null;
+    }
+    return selected.map(frame => ({ frame, target: "" }));
+  }
+
+  const masters = [];
+  const missing = [];
+  let loaded = false;
+  for (const target of targets) {
+    let frame = selected.find(f => f.name === target);
+    if (!frame) {
+      if (!loaded) await figma.loadAllPagesAsync();
+      loaded = true;
+      for (const page of figma.root.children) {
+        frame = page.findOne(n =>
+          n.name === target && isFrameLike(n) &&
+          (n.parent.type === "PAGE" || n.parent.type === "SECTION") &&
+          !n.getPluginData("masterId")
+        );
+        if (frame) break;
+      }
+    }
+    if (frame) masters.push({ frame, target });
+    else missing.push(target);
+  }
+
+  if (missing.length > 0) {
+    figma.ui.postMessage({ type: "error", message: "Frames named in frame_name not found: " + missing.join(", ") });
+    return null;
+  }
+  return masters;
+}
+
+// ─── OUTPUT LAYOUT ──────────────────────────────────────────
+// Where new clones go and what they are called.
+//   placement  "beside"   grid right of the masters on their page,
+//                         one row per master, one column per language
+//              "grid"     all clones on a "Localized versions" page,
+//                         wrapping after `columns` per master
+//              "pages"    a page per language, each clone where its
+//                         master is on the master's page
+//              "sections" a section per language next to the masters,
+//                         keeping their arrangement inside it
+//   spacing    gap between frames (px)
+//   nameTemplate  {frame}, {lang}, {label} (ZH-TW), {suffix} (zh_tw)
+
+const PLACEMENTS = ["beside", "grid", "pages", "sections"];
+
+const DEFAULT_LAYOUT = { placement: "beside", spacing: 80, columns: 5, nameTemplate: "{frame} — {lang}" };
+
+function readLayout(layout) {
+  const result = Object.assign({}, DEFAULT_LAYOUT, layout || {});
+  if (!PLACEMENTS.includes(result.placement)) result.placement = DEFAULT_LAYOUT.placement;
+  result.spacing = Math.max(0, Number(result.spacing) || 0);
+  result.columns = Math.max(1, Math.round(Number(result.columns)) || DEFAULT_LAYOUT.columns);
+  result.nameTemplate = String(result.nameTemplate || "").trim() || DEFAULT_LAYOUT.nameTemplate;
+  return result;
+}
+
+function cloneName(template, masterFrame, langPlan) {
+  const tokens = { frame: masterFrame.name, lang: langPlan.lang, label: langPlan.label, suffix: langPlan.suffix };
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in tokens ? tokens[name] : match));
+}
+
+// Position of `frame` on its page
+function pageBox(frame) {
+  return { x: frame.absoluteTransform[0][2], y: frame.absoluteTransform[1][2], width: frame.width, height: frame.height };
+}
+
+function groupByPage(frames) {
+  const byPage = new Map();
+  for (const frame of frames) {
+    const page = pageOf(frame);
+    if (!byPage.has(page)) byPage.set(page, []);
+    byPage.get(page).push(frame);
+  }
+  return byPage;
+}
+
+// Box around everything already on `page`, or null when it's empty
+function contentBounds(page) {
+  if (page.children.length === 0) return null;
+  const x = Math.min(...page.children.map(n => n.x));
+  const y = Math.min(...page.children.map(n => n.y));
+  return {
+    x, y,
+    width: Math.max(...page.children.map(n => n.x + n.width)) - x,
+    height: Math.max(...page.children.map(n => n.y + n.height)) - y
+  };
+}
+
+function findOrCreatePage(name) {
+  const existing = figma.root.children.find(p => p.name === name);
+  if (existing) return existing;
+  const page = figma.createPage();
+  page.name = name;
+  return page;
+}
+
+// Returns place(clone, masterFrame, column): moves a new clone of
+// `masterFrame` for language `column` where `layout` puts it.
+// Pages and sections are made on first use, so a sync run that
+// finds every clone creates nothing. On a page that already holds
+// something, "pages" and "grid" start below it.
+async function createPlacer(frames, languages, layout) {
+  const gap = layout.spacing;
+  const byPage = groupByPage(frames);
+
+  if (layout.placement === "pages") {
+    await figma.loadAllPagesAsync();
+    const pages = {};
+    const top = Math.min(...frames.map(f => pageBox(f).y));
+    return (clone, masterFrame, column) => {
+      const lang = languages[column].lang;
+      if (!pages[lang]) {
+        const page = findOrCreatePage(lang);
+        const content = contentBounds(page);
+        pages[lang] = { page, offsetY: content ? content.y + content.height + gap * 2 - top : 0 };
+      }
+      const box = pageBox(masterFrame);
+      pages[lang].page.appendChild(clone);
+      clone.x = box.x;
+      clone.y = box.y + pages[lang].offsetY;
+    };
+  }
+
+  if (layout.placement === "grid") {
+    await figma.loadAllPagesAsync();
+    const cellWidth = Math.max(...frames.map(f => f.width)) + gap;
+    const cellHeight = Math.max(...frames.map(f => f.height)) + gap;
+    const rowsPerMaster = Math.ceil(languages.length / layout.columns);
+    let page = null;
+    let origin = null;
+    return (clone, masterFrame, column) => {
+      if (!page) {
+        page = findOrCreatePage("Localized versions");
+        const content = contentBounds(page);
+        origin = content ? { x: content.x, y: content.y + content.height + gap * 2 } : { x: 0, y: 0 };
+      }
+      const row = frames.indexOf(masterFrame) * rowsPerMaster + Math.floor(column / layout.columns);
+      page.appendChild(clone);
+      clone.x = origin.x + (column % layout.columns) * cellWidth;
+      clone.y = origin.y + row * cellHeight;
+    };
+  }
+
+  // Bounding box of the masters on each page
+  const bounds = new Map();
+  for (const [page, pageFrames] of byPage) {
+    const boxes = pageFrames.map(frame => Object.assign({ frame }, pageBox(frame)));
+    const x = Math.min(...boxes.map(b => b.x));
+    const y = Math.min(...boxes.map(b => b.y));
+    bounds.set(page, {
+      x, y,
+      width: Math.max(...boxes.map(b => b.x + b.width)) - x,
+      height: Math.max(...boxes.map(b => b.y + b.height)) - y,
+      boxes
+    });
+  }
+
+  if (layout.placement === "sections") {
+    // New sections go right of everything on the page; clones go
+    // below what a reused section already holds, and it grows to fit
+    const sections = new Map();
+    const origins = new Map();
+    return (clone, masterFrame, column) => {
+      const page = pageOf(masterFrame);
+      const area = bounds.get(page);
+      const name = languages[column].lang;
+      const key = page.id + "\u0000" + name;
+      if (!sections.has(key)) {
+        let section = page.children.find(n => n.type === "SECTION" && n.name === name && !frames.includes(n));
+        if (!section) {
+          if (!origins.has(page)) {
+            const content = contentBounds(page);
+            origins.set(page, { x: content.x + content.width + gap * 2, y: area.y });
+          }
+          const origin = origins.get(page);
+          section = figma.createSection();
+          section.name = name;
+          page.appendChild(section);
+          section.x = origin.x;
+          section.y = origin.y + (area.height + gap * 3) * column;
+          section.resizeWithoutConstraints(area.width + gap * 2, area.height + gap * 2);
+        }
+        const bottom = Math.max(0, ...section.children.map(n => n.y + n.height));
+        sections.set(key, { section, top: section.children.length > 0 ? bottom + gap : gap });
+      }
+      const box = pageBox(masterFrame);
+      const slot = sections.get(key);
+      slot.section.appendChild(clone);
+      clone.x = gap + box.x - area.x;
+      clone.y = slot.top + box.y - area.y;
+      slot.section.resizeWithoutConstraints(
+        Math.max(slot.section.width, clone.x + clone.width + gap),
+        Math.max(slot.section.height, clone.y + clone.height + gap)
+      );
+    };
+  }
+
+  // "beside": one row per master (kept level with it where the rows
+  // don't overlap), to the right of every master on the page
+  const slots = {};
+  for (const area of bounds.values()) {
+    const boxes = area.boxes.slice().sort((a, b) => a.y - b.y || a.x - b.x);
+    const left = area.x + area.width + gap;
+    const columnWidth = Math.max(...boxes.map(b => b.width)) + gap;
+    let top = -Infinity;
+    for (const box of boxes) {
+      const y = Math.max(box.y, top);
+      slots[box.frame.id] = { x: left, y, columnWidth };
+      top = y + box.height + gap;
+    }
+  }
+  return (clone, masterFrame, column) => {
+    const slot = slots[masterFrame.id];
+    pageOf(masterFrame).appendChild(clone);
+    clone.x = slot.x + slot.columnWidth * column;
+    clone.y = slot.y;
+  };
+}
+
+// Returns the selected master frame, or null after telling the UI why not
+function getMasterFrame() {
   const selection = figma.currentPage.selection;
 
   if (selection.length === 0) {
     figma.ui.postMessage({ type: "error", message: "No frame selected. Please select a frame first." });
-    return;
+    return null;
   }
 
   if (selection.length > 1) {
     figma.ui.postMessage({ type: "error", message: "Please select only one frame (your EN master)." });
-    return;
+    return null;
   }
 
   const masterFrame = selection[0];
 
   if (masterFrame.type !== "FRAME" && masterFrame.type !== "COMPONENT" && masterFrame.type !== "INSTANCE") {
     figma.ui.postMessage({ type: "error", message: "Selected item is not a frame. Please select a frame." });
+    return null;
+  }
+
+  return masterFrame;
+}
+
+// ─── SYNC LINKS ─────────────────────────────────────────────
+// Clones remember their master and language in plugin data, plus
+// the cell values applied last time ("cells", JSON). Sync finds
+// them through this link, so renaming or moving them is safe.
+
+async function findLocalizedFrame(masterFrame, lang) {
+  await figma.loadAllPagesAsync();
+  for (const page of figma.root.children) {
+    const found = page.findOne(n =>
+      n !== masterFrame &&
+      n.getPluginData("masterId") === masterFrame.id &&
+      n.getPluginData("lang") === lang
+    );
+    if (found) return found;
+  }
+  return null;
+}
+
+function getAppliedCells(node) {
+  try {
+    return JSON.parse(node.getPluginData("cells") || "{}");
+  } catch (err) {
+    return {};
+  }
+}
+
+// ─── MAIN LOCALIZATION FUNCTION ─────────────────────────────
+// options.sync: update clones made by an earlier run (only cells
+// that changed since then) instead of cloning again; languages
+// without a clone yet still get one.
+// options.fitMode: default for rows without a fit column.
+// options.limitMode: text over max_chars / max_lines — report, skip,
+// truncate or fit (LocalizationCore.enforceLimits).
+// options.layerMatch: "all" (default) sets every layer a row's
+// layer_name matches, "first" only the first in layer order.
+// options.fontMap: per-language font fallbacks (shared/fonts.js).
+// options.layout: where new clones go and their names (readLayout).
+// options.componentProperties: text rows also set instance text
+// properties of the same name (setComponentProperties).
+
+async function runLocalization(data, options = {}) {
+  if (LocalizationCore.hasErrors(data.issues)) {
+    figma.ui.postMessage({ type: "error", message: "Fix the CSV errors listed in the preview first." });
     return;
   }
 
-  const stats = { languages: languages.length, success: 0, skipped: 0, errors: 0 };
+  const languages = data.languages;
+  const plan = LocalizationCore.buildReplacementPlan(data, languages, { targetColumn: data.targetColumn });
+
+  // Validate selection (or find the frames the sheet names)
+  const masters = await getMasterFrames(data.targetColumn, plan.targets);
+  if (!masters) return;
+
+  LocalizationCore.resolvePlaceholders(plan, data.variables);
+  const textLog = LocalizationCore.enforceLimits(plan, options.limitMode || "report", options.fitMode);
+  const stats = { frames: masters.length, languages: languages.length, success: 0, skipped: 0, errors: 0, mirrored: 0, fonts: 0 };
   const errorLog = [];
+  const reports = [];
+  const outputNodes = masters.map(m => m.frame);
+  const layout = readLayout(options.layout);
+  const place = await createPlacer(masters.map(m => m.frame), plan.languages, layout);
+  const total = masters.length * plan.languages.length;
+  let done = 0;
+  for (const langPlan of plan.languages) stats.skipped += langPlan.skipped * (data.targetColumn ? 1 : masters.length);
 
-  // Build a lookup of layer_name → row data for quick matching
-  const layerMap = {};
-  for (const row of rows) {
-    const name = row["layer_name"];
-    if (name) {
-      layerMap[name] = row;
-    }
-  }
+  for (const { frame: masterFrame, target } of masters) {
+    const textOptions = {
+      mode: options.fitMode || "none",
+      match: options.layerMatch || "all",
+      master: masterFrame,
+      fontMap: options.fontMap || LocalizationCore.DEFAULT_FONT_MAP,
+      componentProperties: !!options.componentProperties,
+      log: textLog
+    };
 
-  // Process each language
-  for (let i = 0; i < languages.length; i++) {
-    const lang = languages[i];
+    // Process each language
+    for (let i = 0; i < plan.languages.length; i++) {
+      const langPlan = plan.languages[i];
+      const lang = langPlan.lang;
+      const replacements = langPlan.replacements.filter(rep => rep.target === target);
 
-    // Report progress
-    const percent = Math.round(((i + 1) / languages.length) * 90) + 10;
-    figma.ui.postMessage({ type: "progress", percent });
+      // Report progress
+      done++;
+      const percent = Math.round((done / total) * 90) + 10;
+      figma.ui.postMessage({ type: "progress", percent });
 
-    // 1. Duplicate the master frame
-    const clone = masterFrame.clone();
+      // 1. Reuse the clone from an earlier run, or duplicate the master
+      let clone = options.sync ? await findLocalizedFrame(masterFrame, lang) : null;
+      const created = !clone;
 
-    // 2. Position it next to the previous frame (spaced out)
-    clone.x = masterFrame.x + (masterFrame.width + 80) * (i + 1);
-    clone.y = masterFrame.y;
+      if (created) {
+        clone = masterFrame.clone();
 
-    // 3. Rename the frame
-    clone.name = masterFrame.name + " — " + lang;
+        // 2. Place it as the output layout says
+        place(clone, masterFrame, i);
 
-    // 4. Find and replace all text layers
-    const textNodes = findAllTextNodes(clone);
+        // 3. Rename the frame and link it to the master
+        clone.name = cloneName(layout.nameTemplate, masterFrame, langPlan);
+        clone.setPluginData("masterId", masterFrame.id);
+        clone.setPluginData("lang", lang);
+      }
+      outputNodes.push(clone);
 
-    for (const textNode of textNodes) {
-      const layerName = textNode.name;
-      const rowData = layerMap[layerName];
+      // 4. Replace what changed since the last run (everything on a new clone)
+      const previous = created ? {} : getAppliedCells(clone);
+      const diff = LocalizationCore.diffReplacements(previous, replacements);
+      const cells = {};
+      for (const rep of diff.unchanged) cells[rep.layerName] = rep.value;
+      for (const change of diff.changed) cells[change.replacement.layerName] = change.previous;
 
-      if (!rowData) {
-        // No mapping for this layer — skip silently
-        // (not every text layer needs to be in the CSV)
-        continue;
+      const toApply = diff.changed.map(c => c.replacement).concat(diff.added);
+      const applied = await applyReplacements(clone, toApply, lang, stats, errorLog, textOptions, replacements);
+      for (const rep of toApply) {
+        if (applied.has(rep.layerName)) cells[rep.layerName] = rep.value;
       }
+      clone.setPluginData("cells", JSON.stringify(cells));
+
+      // 5. Mirror marked layouts for RTL (once, on a new clone)
+      if (langPlan.rtl && created) stats.mirrored += mirrorMarkedNodes(clone);
+
+      reports.push({
+        frame: masters.length > 1 ? masterFrame.name : null,
+        lang,
+        created,
+        changed: diff.changed.filter(c => applied.has(c.replacement.layerName)).map(c => c.replacement.layerName),
+        added: diff.added.filter(rep => applied.has(rep.layerName)).length,
+        unchanged: diff.unchanged.length,
+        removed: diff.removed.length
+      });
+    }
+  }
+
+  // Reselect the master frames on this page
+  const onPage = outputNodes.filter(n => pageOf(n) === figma.currentPage);
+  figma.currentPage.selection = masters.map(m => m.frame).filter(f => pageOf(f) === figma.currentPage);
+
+  // Zoom to fit the masters and the new frames on this page
+  if (onPage.length > 0) figma.viewport.scrollAndZoomIntoView(onPage);
+
+  // Report completion
+  figma.ui.postMessage({
+    type: "complete",
+    stats,
+    errorLog,
+    textLog,
+    reports: options.sync ? reports : null
+  });
+}
+
+// Sets every layer one of `replacements` matches by its layer_name
+// (a name or pattern, see LocalizationCore.parseLayerPattern): text
+// (swapping fonts and fitting overflowing text as `textOptions`
+// says, { mode, match, master, fontMap, componentProperties, log })
+// or the image fill. `rows`, all of the frame's rows in this
+// language, decide which row a layer several rows match belongs to.
+// Returns the set of layer names that were applied.
+async function applyReplacements(root, replacements, lang, stats, errorLog, textOptions, rows = replacements) {
+  const patterns = rows.map(rep => LocalizationCore.parseLayerPattern(rep.layerName));
+  const wanted = new Set(replacements.map(rep => rep.layerName));
+
+  const applied = new Set();
+  const done = new Set();
 
-      const newValue = rowData[lang];
+  for (const { node, index } of findMatchingNodes(root, patterns)) {
+    const rep = rows[index];
+    const layerName = node.name;
+    const type = rep.type;
+    if (!wanted.has(rep.layerName) || (textOptions.match === "first" && done.has(rep.layerName))) continue;
 
-      if (!newValue || newValue === "") {
-        stats.skipped++;
-        continue;
+    if (type === "image" || type === "footage") {
+      // Image rows go to layers with an image fill, never to text
+      if (node.type === "TEXT") continue;
+      done.add(rep.layerName);
+      try {
+        setImageFill(node, rep, lang);
+        applied.add(rep.layerName);
+        stats.success++;
+      } catch (err) {
+        const errMsg = `[${lang}] Image '${rep.value}' on '${layerName}': ${err.message || err}`;
+        if (errorLog.length < 20) errorLog.push(errMsg);
+        stats.errors++;
       }
+      continue;
+    }
 
-      const type = (rowData["type"] || "text").toLowerCase();
+    // Text rows only apply to text layers
+    if (node.type !== "TEXT") continue;
+    const textNode = node;
+    done.add(rep.layerName);
 
-      if (type === "text") {
-        try {
-          // Load all fonts used in this text node
-          await loadAllFonts(textNode);
+    if (type === "text") {
+      try {
+        // Load all fonts used in this text node
+        await loadAllFonts(textNode);
 
-          // Replace the text (preserves formatting)
-          textNode.characters = newValue;
-          stats.success++;
+        // Swap in a font that has the translation's glyphs
+        if (await applyFontFallback(textNode, rep, lang, textOptions)) stats.fonts++;
 
-        } catch (err) {
-          const errMsg = `[${lang}] Failed to set text on '${layerName}': ${err.message || err}`;
-          if (errorLog.length < 20) errorLog.push(errMsg);
-          stats.errors++;
-        }
+        // Replace the text (preserves formatting), then fit it
+        await setLocalizedText(textNode, rep, root, lang, textOptions);
+        applied.add(rep.layerName);
+        stats.success++;
 
-      } else if (type === "image" || type === "footage") {
-        // Image replacement is not directly supported via CSV file paths in Figma
-        // You'd need to use image URLs or the plugin API's createImageAsync
-        const errMsg = `[${lang}] Image replacement not yet supported for '${layerName}'. Use text type only.`;
+      } catch (err) {
+        const errMsg = `[${lang}] Failed to set text on '${layerName}': ${err.message || err}`;
         if (errorLog.length < 20) errorLog.push(errMsg);
         stats.errors++;
+      }
+
+    } else {
+      // Default to text
+      try {
+        await loadAllFonts(textNode);
+        if (await applyFontFallback(textNode, rep, lang, textOptions)) stats.fonts++;
+        await setLocalizedText(textNode, rep, root, lang, textOptions);
+        applied.add(rep.layerName);
+        stats.success++;
+      } catch (err) {
+        stats.errors++;
+      }
+    }
+  }
+
+  if (textOptions.componentProperties) {
+    const filled = await setComponentProperties(root, replacements, lang, stats, errorLog);
+    for (const name of filled) applied.add(name);
+  }
+
+  return applied;
+}
+
+// ─── COMPONENT PROPERTIES ───────────────────────────────────
+// Design-system instances expose their text as TEXT properties
+// ("Label#12:0"). Text rows set the property whose name (without the
+// "#id" suffix) is the row's layer_name on every instance in `root`.
+// Properties hold plain text, so markup is dropped.
+// Returns the set of layer names that were applied.
+
+async function setComponentProperties(root, replacements, lang, stats, errorLog) {
+  const byName = {};
+  for (const rep of replacements) {
+    if (rep.type !== "image" && rep.type !== "footage") byName[rep.layerName] = rep;
+  }
+
+  const instances = root.type === "INSTANCE" ? [root] : [];
+  instances.push(...root.findAllWithCriteria({ types: ["INSTANCE"] }));
+
+  const applied = new Set();
+  for (const instance of instances) {
+    const updates = {};
+    for (const [key, property] of Object.entries(instance.componentProperties)) {
+      const name = key.split("#")[0];
+      if (property.type === "TEXT" && Object.prototype.hasOwnProperty.call(byName, name)) {
+        updates[key] = LocalizationCore.parseMarkup(byName[name].value).text;
+      }
+    }
+    const keys = Object.keys(updates);
+    if (keys.length === 0) continue;
+
+    try {
+      // The text layers bound to the properties need their fonts
+      for (const textNode of findAllTextNodes(instance)) await loadAllFonts(textNode);
+      instance.setProperties(updates);
+      for (const key of keys) applied.add(key.split("#")[0]);
+      stats.success += keys.length;
+    } catch (err) {
+      const errMsg = `[${lang}] Failed to set properties on '${instance.name}': ${err.message || err}`;
+      if (errorLog.length < 20) errorLog.push(errMsg);
+      stats.errors++;
+    }
+  }
+  return applied;
+}
+
+// ─── VARIABLES ──────────────────────────────────────────────
+// Writes the sheet into a local variable collection: one STRING
+// variable per text row (named frame_name/layer_name when the
+// sheet has frame_name), one mode per language column. Frames can
+// then switch language by mode instead of being cloned. Empty cells
+// take the first language's text.
+// options: { collection: name, bind: also bind the text layers of
+// the selected frames to the variables of the rows matching them }
+
+async function syncVariables(data, options = {}) {
+  if (LocalizationCore.hasErrors(data.issues)) {
+    figma.ui.postMessage({ type: "error", message: "Fix the CSV errors listed in the preview first." });
+    return;
+  }
 
-      } else {
-        // Default to text
+  const plan = LocalizationCore.buildReplacementPlan(data, data.languages, { targetColumn: data.targetColumn });
+  LocalizationCore.resolvePlaceholders(plan, data.variables);
+
+  // name → { lang: text }, in sheet order
+  const values = new Map();
+  for (const langPlan of plan.languages) {
+    for (const rep of langPlan.replacements) {
+      if (rep.type === "image" || rep.type === "footage") continue;
+      const name = variableName(rep);
+      if (!values.has(name)) values.set(name, { rep, byLang: {} });
+      values.get(name).byLang[langPlan.lang] = LocalizationCore.parseMarkup(rep.value).text;
+    }
+  }
+  if (values.size === 0) {
+    figma.ui.postMessage({ type: "error", message: "The sheet has no text rows to write." });
+    return;
+  }
+
+  const collectionName = (options.collection || "").trim() || "Localization";
+  const collections = await figma.variables.getLocalVariableCollectionsAsync();
+  let collection = collections.find(c => c.name === collectionName);
+  const created = !collection;
+  if (created) collection = figma.variables.createVariableCollection(collectionName);
+
+  // One mode per language; a new collection's default mode becomes the first
+  const modeIds = {};
+  const modeErrors = [];
+  for (const lang of data.languages) {
+    const existing = collection.modes.find(m => m.name === lang);
+    if (existing) {
+      modeIds[lang] = existing.modeId;
+    } else if (created && Object.keys(modeIds).length === 0) {
+      collection.renameMode(collection.modes[0].modeId, lang);
+      modeIds[lang] = collection.modes[0].modeId;
+    } else {
+      try {
+        modeIds[lang] = collection.addMode(lang);
+      } catch (err) {
+        // Plans limit the number of modes per collection
+        modeErrors.push(lang);
+      }
+    }
+  }
+
+  // Names are unique across types, so a COLOR "Headline" blocks a STRING one
+  const existingVariables = (await figma.variables.getLocalVariablesAsync())
+    .filter(v => v.variableCollectionId === collection.id);
+  const existingByName = new Map(existingVariables.map(v => [v.name, v]));
+  const byName = new Map();
+  const sourceLanguage = data.languages[0];
+  const skipped = [];
+  let added = 0;
+
+  for (const [name, entry] of values) {
+    let variable = existingByName.get(name);
+    if (variable && variable.resolvedType !== "STRING") {
+      skipped.push(`${name} (already a ${variable.resolvedType} variable)`);
+      continue;
+    }
+    try {
+      if (!variable) {
+        variable = figma.variables.createVariable(name, collection, "STRING");
+        added++;
+      }
+      for (const lang of Object.keys(modeIds)) {
+        const text = entry.byLang[lang] !== undefined ? entry.byLang[lang] : entry.byLang[sourceLanguage];
+        if (text !== undefined) variable.setValueForMode(modeIds[lang], text);
+      }
+      byName.set(name, variable);
+    } catch (err) {
+      skipped.push(`${name} (${err.message})`);
+    }
+  }
+
+  let bound = 0;
+  const unbound = [];
+  if (options.bind) {
+    const reps = [...values.values()].map(entry => entry.rep);
+    for (const frame of selectedFrames()) {
+      const frameReps = reps.filter(rep => rep.target === (data.targetColumn ? frame.name : ""));
+      const patterns = frameReps.map(rep => LocalizationCore.parseLayerPattern(rep.layerName));
+      for (const { node: textNode, index } of findMatchingNodes(frame, patterns)) {
+        if (textNode.type !== "TEXT") continue;
+        const variable = byName.get(variableName(frameReps[index]));
+        if (!variable) continue;
         try {
           await loadAllFonts(textNode);
-          textNode.characters = newValue;
-          stats.success++;
+          textNode.setBoundVariable("characters", variable);
+          bound++;
         } catch (err) {
-          stats.errors++;
+          unbound.push(`${frame.name}/${textNode.name} (${err.message})`);
         }
       }
     }
   }
 
-  // Reselect the master frame
-  figma.currentPage.selection = [masterFrame];
+  let message = `✓ ${collectionName}: ${byName.size} variable(s) (${added} new) × ${Object.keys(modeIds).length} mode(s)`;
+  if (options.bind) message += ` · ${bound} text layer(s) bound`;
+  if (modeErrors.length > 0) message += `\n⚠ No mode for ${modeErrors.join(", ")} — your Figma plan limits modes per collection`;
+  if (skipped.length > 0) message += `\n⚠ ${skipped.length} variable(s) not written: ${skipped.slice(0, 5).join("; ")}${skipped.length > 5 ? "; ..." : ""}`;
+  if (unbound.length > 0) message += `\n⚠ ${unbound.length} text layer(s) not bound: ${unbound.slice(0, 5).join("; ")}${unbound.length > 5 ? "; ..." : ""}`;
+  figma.ui.postMessage({ type: "notice", message });
+}
 
-  // Zoom to fit all the new frames
-  const allNodes = [masterFrame];
-  for (let i = 0; i < languages.length; i++) {
-    // The clones are on the same page
-    const cloneName = masterFrame.name + " — " + languages[i];
-    const found = figma.currentPage.findOne(n => n.name === cloneName);
-    if (found) allNodes.push(found);
-  }
-  figma.viewport.scrollAndZoomIntoView(allNodes);
+// Figma variable names can't contain "." "{" or "}"
+function variableName(rep) {
+  const name = rep.target ? rep.target + "/" + rep.layerName : rep.layerName;
+  return name.replace(/[.{}]/g, "_");
+}
 
-  // Report completion
-  figma.ui.postMessage({
-    type: "complete",
-    stats,
-    errorLog
-  });
+function pageOf(node) {
+  let current = node;
+  while (current && current.type !== "PAGE") current = current.parent;
+  return current;
 }
 
 // ─── HELPER: Find all text nodes recursively ────────────────
@@ -180,41 +1005,4033 @@ function findAllTextNodes(node) {
   return result;
 }
 
-// ─── HELPER: Load all fonts in a text node ──────────────────
-// A text node can have multiple fonts (e.g., mixed bold/regular).
-// We need to load ALL of them before we can set .characters.
+// ─── HELPER: Find layers by pattern ─────────────────────────
+// Every node below `root` some layer_name pattern matches, with the
+// index of the pattern that owns it (LocalizationCore.findLayerOwner),
+// in document order: [{ node, index }]
 
-async function loadAllFonts(textNode) {
-  if (textNode.hasMissingFont) {
-    throw new Error("Missing font on layer '" + textNode.name + "'");
+function findMatchingNodes(root, patterns, path = []) {
+  const result = [];
+  if (!("children" in root)) return result;
+
+  for (const child of root.children) {
+    const childPath = path.concat([child.name]);
+    const index = LocalizationCore.findLayerOwner(patterns, childPath);
+    if (index >= 0) result.push({ node: child, index });
+    result.push(...findMatchingNodes(child, patterns, childPath));
   }
 
-  const len = textNode.characters.length;
+  return result;
+}
 
-  if (len === 0) {
-    // Empty text node — load the default font
-    const fontName = textNode.fontName;
-    if (fontName !== figma.mixed) {
-      await figma.loadFontAsync(fontName);
-    }
-    return;
+// ─── HELPER: Layer path inside the master ───────────────────
+// Names from just below `root` down to `node`: "Card/Title"
+
+function getLayerPath(node, root) {
+  const names = [];
+  let current = node;
+  while (current && current !== root) {
+    names.unshift(current.name);
+    current = current.parent;
   }
+  return LocalizationCore.joinLayerPath(names);
+}
 
-  // Collect unique fonts used across the text
-  const fonts = [];
-  const seen = new Set();
+// ─── EXPORT XLIFF ───────────────────────────────────────────
+// One file per target language (or a source-only file), sent to
+// the UI for download. Unit ids are layer paths in the frame.
 
-  for (let i = 0; i < len; i++) {
-    const fontName = textNode.getRangeFontName(i, i + 1);
-    if (fontName === figma.mixed) continue;
+function exportXLIFF(options) {
+  const masterFrame = getMasterFrame();
+  if (!masterFrame) return;
 
-    const key = fontName.family + "|" + fontName.style;
-    if (!seen.has(key)) {
-      seen.add(key);
-      fonts.push(fontName);
-    }
+  const units = [];
+  const seen = new Set();
+  for (const textNode of findAllTextNodes(masterFrame)) {
+    const id = getLayerPath(textNode, masterFrame);
+    if (seen.has(id)) continue;  // same path twice: only the first is addressable
+    seen.add(id);
+    units.push({ file: masterFrame.name, id, source: textNode.characters });
   }
 
-  // Load all fonts in parallel
-  await Promise.all(fonts.map(f => figma.loadFontAsync(f)));
-}
+  if (units.length === 0) {
+    figma.ui.postMessage({ type: "error", message: "No text layers found in the selected frame." });
+    return;
+  }
+
+  const sourceLanguage = options.sourceLanguage || "en-US";
+  const targets = options.targetLanguages.length > 0 ? options.targetLanguages : [""];
+  const safeName = masterFrame.name.replace(/[\/\\:*?"<>|]/g, "_");
+
+  const files = targets.map(lang => ({
+    name: `${safeName}_${lang || sourceLanguage}.xlf`,
+    content: LocalizationCore.buildXLIFF(units, {
+      version: options.version,
+      sourceLanguage,
+      targetLanguage: lang
+    }),
+    mime: "application/xml"
+  }));
+
+  figma.ui.postMessage({ type: "download-files", files, message: `✓ Exported ${units.length} string(s) to ${files.length} XLIFF file(s)` });
+}
+
+// ─── EXTRACT STRINGS ────────────────────────────────────────
+// CSV template (layer_name,type,<source>) with every text layer
+// name in the frame, so translators start from exact names.
+
+function extractStrings(options) {
+  const masterFrame = getMasterFrame();
+  if (!masterFrame) return;
+
+  const sourceLanguage = options.sourceLanguage || "en-US";
+  const rows = [];
+  const seen = new Set();
+  let duplicates = 0;
+
+  for (const textNode of findAllTextNodes(masterFrame)) {
+    // Layers are matched by name, so one row per name
+    if (seen.has(textNode.name)) { duplicates++; continue; }
+    seen.add(textNode.name);
+    rows.push({ layer_name: textNode.name, type: "text", [sourceLanguage]: textNode.characters });
+  }
+
+  if (rows.length === 0) {
+    figma.ui.postMessage({ type: "error", message: "No text layers found in the selected frame." });
+    return;
+  }
+
+  const csv = LocalizationCore.buildCSV(["layer_name", "type", sourceLanguage], rows, { bom: true });
+  const safeName = masterFrame.name.replace(/[\/\\:*?"<>|]/g, "_");
+  let message = `✓ Extracted ${rows.length} text layer(s)`;
+  if (duplicates > 0) message += ` · ${duplicates} duplicate name(s) listed once — rename them if they need different text`;
+
+  figma.ui.postMessage({
+    type: "download-files",
+    files: [{ name: `${safeName}_strings.csv`, content: csv, mime: "text/csv" }],
+    message
+  });
+}
+
+// ─── TEXT FITTING ───────────────────────────────────────────
+// Translations that overflow the space the master text had are
+// shrunk, tracked tighter or just reported. Row fit/min_font_size
+// columns win over the mode picked in the UI.
+
+const FIT_DEFAULTS = {
+  minScale: 0.7,       // shrink floor when min_font_size is empty
+  minTracking: -5,     // track floor, % of the font size
+  trackingStep: 0.5
+};
+
+// Sets the text, aligns it for RTL languages and fits it
+async function setLocalizedText(textNode, rep, root, lang, textOptions) {
+  const markup = LocalizationCore.parseMarkup(rep.value);
+  const mode = (rep.fit && rep.fit.mode) || (textOptions && textOptions.mode) || "none";
+  const rtl = LocalizationCore.isRTL(lang);
+  const styled = markup.spans.length > 0;
+  if (mode === "none" && !rtl && !styled) {
+    textNode.characters = markup.text;
+    return;
+  }
+
+  // Measure, align and style from the master's node, so a sync run
+  // does not start from a text it already shrank, mirrored or styled
+  const path = getLayerPath(textNode, root);
+  const master = textOptions.master;
+  const masterNode = (master && findAllTextNodes(master).find(n => getLayerPath(n, master) === path)) || textNode;
+  const box = textBoxOf(masterNode);
+  const captured = styled ? styledRuns(masterNode) : null;
+
+  textNode.characters = markup.text;
+  if (rtl) textNode.textAlignHorizontal = LocalizationCore.mirrorAlignment(masterNode.textAlignHorizontal);
+  if (styled) await applyMarkup(textNode, markup, captured, rep, lang, textOptions);
+  if (mode === "none") return;
+
+  const result = fitTextNode(textNode, box, mode, rep.fit && rep.fit.minFontSize);
+
+  const where = `[${lang}] ${rep.layerName}: `;
+  let line = "";
+  if (result.status === "shrunk") line = `${where}shrunk ${box.fontSize} → ${result.fontSize} px`;
+  if (result.status === "tracked") line = `${where}letter spacing ${box.tracking}% → ${result.tracking}%`;
+  if (result.status === "overflow") {
+    line = where + "does not fit" +
+      (result.fontSize !== box.fontSize ? ` (even at ${result.fontSize} px)` :
+        result.tracking !== box.tracking ? ` (even at ${result.tracking}%)` : "");
+  }
+  if (line) textOptions.log.push(line);
+}
+
+function largestFontSize(node) {
+  return Math.max(...node.getStyledTextSegments(["fontSize"]).map(seg => seg.fontSize));
+}
+
+// Letter spacing as % of the font size (0 when mixed)
+function trackingPercent(node, fontSize) {
+  const spacing = node.letterSpacing;
+  if (spacing === figma.mixed) return 0;
+  return spacing.unit === "PERCENT" ? spacing.value : Math.round(spacing.value / fontSize * 1000) / 10;
+}
+
+// The space the master text was designed for, and its size/spacing
+function textBoxOf(node) {
+  const fontSize = largestFontSize(node);
+  return {
+    width: node.width,
+    height: node.height,
+    fontSize,
+    tracking: trackingPercent(node, fontSize)
+  };
+}
+
+// Content size; a fixed-size box is switched to auto height for a moment
+function measureText(node) {
+  if (node.textAutoResize !== "NONE" && node.textAutoResize !== "TRUNCATE") {
+    return { width: node.width, height: node.height };
+  }
+  const { width, height } = node;
+  const resize = node.textAutoResize;
+  node.textAutoResize = "HEIGHT";
+  const measured = { width: node.width, height: node.height };
+  node.textAutoResize = resize;
+  node.resize(width, height);
+  return measured;
+}
+
+// Returns the LocalizationCore.fitText result
+function fitTextNode(node, box, mode, minFontSize) {
+  const segments = node.getStyledTextSegments(["fontSize"]);
+  const current = Math.max(...segments.map(seg => seg.fontSize));
+
+  return LocalizationCore.fitText({
+    mode,
+    fontSize: box.fontSize,
+    minFontSize: minFontSize || Math.round(box.fontSize * FIT_DEFAULTS.minScale * 2) / 2,
+    tracking: box.tracking,
+    minTracking: FIT_DEFAULTS.minTracking,
+    trackingStep: FIT_DEFAULTS.trackingStep,
+    fits: () => {
+      const size = measureText(node);
+      return size.width <= box.width + 0.5 && size.height <= box.height + 0.5;
+    },
+    // Mixed sizes keep their proportions
+    setFontSize: n => {
+      for (const seg of segments) node.setRangeFontSize(seg.start, seg.end, seg.fontSize * n / current);
+    },
+    setTracking: n => {
+      node.letterSpacing = { unit: "PERCENT", value: n };
+    }
+  });
+}
+
+// ─── INLINE MARKUP ──────────────────────────────────────────
+// "Trade <b>Bitcoin</b> now": marked words take the master node's
+// emphasis styling; LocalizationCore.markupStyles decides which
+// run of the master each tag stands for.
+
+const MARKUP_FIELDS = ["fontName", "fontSize", "fills", "textDecoration", "textCase", "letterSpacing"];
+
+// The master node's text split into runs of identical style
+function styledRuns(node) {
+  const styles = {};
+  const runs = node.getStyledTextSegments(MARKUP_FIELDS).map(seg => {
+    const style = {};
+    for (const field of MARKUP_FIELDS) style[field] = seg[field];
+    const key = JSON.stringify(style);
+    styles[key] = style;
+    return { start: seg.start, end: seg.end, key };
+  });
+  return { text: node.characters, runs, styles };
+}
+
+// Base style over the whole text, then each marked span
+async function applyMarkup(textNode, markup, captured, rep, lang, textOptions) {
+  const source = rep.source ? LocalizationCore.parseMarkup(rep.source) : null;
+  const styles = LocalizationCore.markupStyles(source, captured.text, captured.runs);
+  if (styles.base === null) return;
+
+  const ranges = [{ start: 0, end: markup.text.length, key: styles.base }];
+  const missing = [];
+  for (const span of markup.spans) {
+    const key = Object.prototype.hasOwnProperty.call(styles.tags, span.tag) ? styles.tags[span.tag] : styles.fallback;
+    if (key === null) {
+      if (!missing.includes(span.tag)) missing.push(span.tag);
+      continue;
+    }
+    ranges.push({ start: span.start, end: span.end, key });
+  }
+
+  for (const range of ranges) {
+    if (range.end <= range.start) continue;
+    const text = markup.text.substring(range.start, range.end);
+    await setRangeStyle(textNode, range, captured.styles[range.key], text, lang, textOptions);
+  }
+  if (missing.length > 0) textOptions.log.push(`[${lang}] ${rep.layerName}: no master style for <${missing.join(">, <")}>`);
+}
+
+// Fonts go through the fallback map too, so the master's bold
+// Latin font becomes the bold substitute for CJK words
+async function setRangeStyle(node, range, style, text, lang, textOptions) {
+  let fontName = style.fontName;
+  const choice = LocalizationCore.chooseFont(text, lang, fontName, { fontMap: textOptions.fontMap });
+  if (choice.font) fontName = (await loadSubstitute(choice.font)) || fontName;
+  await figma.loadFontAsync(fontName);
+
+  const { start, end } = range;
+  node.setRangeFontName(start, end, fontName);
+  node.setRangeFontSize(start, end, style.fontSize);
+  node.setRangeFills(start, end, style.fills);
+  node.setRangeTextDecoration(start, end, style.textDecoration);
+  node.setRangeTextCase(start, end, style.textCase);
+  node.setRangeLetterSpacing(start, end, style.letterSpacing);
+}
+
+// ─── FONT FALLBACKS ─────────────────────────────────────────
+// Latin master fonts have no glyphs for CJK, Arabic, Thai...
+// LocalizationCore.chooseFont picks the substitute from the font
+// map; characters still not covered are reported.
+
+// UI JSON text → font map over the defaults (a language in the
+// text replaces that language's default entries), null when empty
+function readFontMap(text) {
+  if (!text.trim()) return null;
+  const custom = JSON.parse(text);
+  if (!custom || typeof custom !== "object" || Array.isArray(custom)) {
+    throw new Error("expected an object keyed by language");
+  }
+  return Object.assign({}, LocalizationCore.DEFAULT_FONT_MAP, custom);
+}
+
+// Sets the substitute font on the whole node before the text goes
+// in. Returns true when the font was swapped.
+async function applyFontFallback(textNode, rep, lang, textOptions) {
+  const current = textNode.characters.length > 0 ? textNode.getRangeFontName(0, 1) : textNode.fontName;
+  if (current === figma.mixed) return false;
+
+  const text = LocalizationCore.parseMarkup(rep.value).text;
+  const choice = LocalizationCore.chooseFont(text, lang, current, { fontMap: textOptions.fontMap });
+  const where = `[${lang}] ${rep.layerName}: `;
+  let family = current.family;
+  let swapped = false;
+
+  if (choice.font) {
+    const fontName = await loadSubstitute(choice.font);
+    if (!fontName) {
+      textOptions.log.push(`${where}substitute font '${choice.font.family}' is not available`);
+      return false;
+    }
+    textNode.fontName = fontName;
+    family = fontName.family;
+    swapped = true;
+  }
+
+  if (choice.missing.length > 0) textOptions.log.push(where + LocalizationCore.describeMissingGlyphs(family, choice.missing));
+  return swapped;
+}
+
+// Loads the substitute in the master's style, else its Regular
+async function loadSubstitute(font) {
+  const styles = font.style === "Regular" ? ["Regular"] : [font.style, "Regular"];
+  for (const style of styles) {
+    try {
+      await figma.loadFontAsync({ family: font.family, style });
+      return { family: font.family, style };
+    } catch (err) {
+      // Try the next style
+    }
+  }
+  return null;
+}
+
+// ─── RIGHT-TO-LEFT ──────────────────────────────────────────
+// Replaced text in ar, he, fa... is right-aligned (mirrored from the
+// master; Figma picks the bidi direction from the text itself). On
+// a new clone, nodes whose name holds "[mirror]" — the master frame
+// included — get their layout mirrored.
+
+const MIRROR_TAG = "[mirror]";
+
+const SWAP_SIDE = { MIN: "MAX", MAX: "MIN" };
+
+function mirrorMarkedNodes(root) {
+  const marked = [root, ...root.findAll(n => "children" in n)].filter(n => n.name.includes(MIRROR_TAG));
+  let mirrored = 0;
+  for (const node of marked) {
+    if (mirrorLayout(node)) mirrored++;
+  }
+  return mirrored;
+}
+
+// Returns false when the node's children can't be moved (instances)
+function mirrorLayout(node) {
+  if (node.type === "INSTANCE") return false;
+
+  if (node.layoutMode === "HORIZONTAL") {
+    // Auto layout: reverse the flow, absolutely positioned children stay put
+    const slots = [];
+    node.children.forEach((child, i) => { if (child.layoutPositioning !== "ABSOLUTE") slots.push(i); });
+    const reversed = slots.map(i => node.children[i]).reverse();
+    reversed.forEach((child, k) => node.insertChild(slots[k], child));
+    if (SWAP_SIDE[node.primaryAxisAlignItems]) node.primaryAxisAlignItems = SWAP_SIDE[node.primaryAxisAlignItems];
+    return true;
+  }
+
+  if (node.layoutMode === "VERTICAL") {
+    if (SWAP_SIDE[node.counterAxisAlignItems]) node.counterAxisAlignItems = SWAP_SIDE[node.counterAxisAlignItems];
+    return true;
+  }
+
+  // Free layout. Group children use the group's parent coordinates.
+  const isGroup = node.type === "GROUP" || node.type === "BOOLEAN_OPERATION";
+  const axis = isGroup ? 2 * node.x + node.width : node.width;
+  for (const child of node.children) {
+    child.x = axis - child.x - child.width;
+    if ("constraints" in child && SWAP_SIDE[child.constraints.horizontal]) {
+      child.constraints = { horizontal: SWAP_SIDE[child.constraints.horizontal], vertical: child.constraints.vertical };
+    }
+  }
+  return true;
+}
+
+// ─── HELPER: Load all fonts in a text node ──────────────────
+// A text node can have multiple fonts (e.g., mixed bold/regular).
+// We need to load ALL of them before we can set .characters.
+
+async function loadAllFonts(textNode) {
+  if (textNode.hasMissingFont) {
+    throw new Error("Missing font on layer '" + textNode.name + "'");
+  }
+
+  const len = textNode.characters.length;
+
+  if (len === 0) {
+    // Empty text node — load the default font
+    const fontName = textNode.fontName;
+    if (fontName !== figma.mixed) {
+      await figma.loadFontAsync(fontName);
+    }
+    return;
+  }
+
+  // Collect unique fonts used across the text
+  const fonts = [];
+  const seen = new Set();
+
+  for (let i = 0; i < len; i++) {
+    const fontName = textNode.getRangeFontName(i, i + 1);
+    if (fontName === figma.mixed) continue;
+
+    const key = fontName.family + "|" + fontName.style;
+    if (!seen.has(key)) {
+      seen.add(key);
+      fonts.push(fontName);
+    }
+  }
+
+  // Load all fonts in parallel
+  await Promise.all(fonts.map(f => figma.loadFontAsync(f)));
+}
+
+// ─── SHARED CORE ────────────────────────────────────────────
+
+// @shared-begin
+// Generated from shared/ by tools/embed-shared.js — do not edit by hand.
+
+// ─── shared/localization-core.js ───
+/**
+ * ============================================================
+ *  LOCALIZATION CORE
+ *  Shared CSV parsing, language detection, row validation and
+ *  replacement planning for the Batch Asset Replacer (AE) and
+ *  the Batch Localizer (Figma).
+ * ============================================================
+ *
+ *  ES3-compatible on purpose: the same file is included by
+ *  ExtendScript (//@include), embedded into the Figma plugin
+ *  (tools/embed-shared.js) and required by the Node tests.
+ *  No let/const, arrow functions, JSON, Array#indexOf or
+ *  String#trim in here.
+ *
+ *  Author: Gelvan Neo | Bybit Livestream & Video
+ *  Version: 1.0
+ */
+
+var LocalizationCore = (function () {
+
+    // ─── CONFIGURATION ──────────────────────────────────────
+
+    // Columns that describe a row rather than a language.
+    // Shared by both tools so a CSV means the same thing in AE and Figma.
+    var RESERVED_COLUMNS = ["comp_name", "frame_name", "layer_name", "type", "fit", "min_font_size", "max_chars", "max_lines", "value"];
+
+    var KNOWN_TYPES = ["text", "footage", "image", "variable"];
+
+    // Primary subtags of languages written right to left
+    var RTL_LANGUAGES = ["ar", "he", "iw", "fa", "ur", "ps", "sd", "ug", "yi", "dv", "ckb"];
+
+    // What to do when a translation overflows its text box
+    var FIT_MODES = ["none", "flag", "shrink", "track"];
+
+    // What to do with a translation over its max_chars / max_lines
+    var LIMIT_MODES = ["report", "skip", "truncate", "fit"];
+
+    // ─── UTILITIES ──────────────────────────────────────────
+
+    function trim(str) {
+        return String(str).replace(/^\s+|\s+$/g, "");
+    }
+
+    function contains(list, value) {
+        for (var i = 0; i < list.length; i++) {
+            if (list[i] === value) return true;
+        }
+        return false;
+    }
+
+    // ─── CSV PARSING ────────────────────────────────────────
+    //
+    // RFC 4180 reader, fed in chunks: quoted cells may contain
+    // delimiters, "" escapes and line breaks (CRLF, LF or CR).
+    // A leading UTF-8 BOM is dropped. The delimiter is detected
+    // from the header line (",", ";" or tab) unless given.
+    // Malformed input never throws — it is reported with the
+    // line/column where it happened and parsed leniently.
+
+    var DELIMITERS = [",", ";", "\t"];
+
+    // Picks the candidate that occurs most often outside quotes
+    // in the first line of `text`. Ties go to the comma.
+    function detectDelimiter(text) {
+        var counts = {};
+        var inQuotes = false;
+        for (var d = 0; d < DELIMITERS.length; d++) counts[DELIMITERS[d]] = 0;
+
+        for (var i = 0; i < text.length; i++) {
+            var ch = text.charAt(i);
+            if (ch === '"') inQuotes = !inQuotes;
+            else if (!inQuotes && (ch === "\n" || ch === "\r")) break;
+            else if (!inQuotes && counts.hasOwnProperty(ch)) counts[ch]++;
+        }
+
+        var best = ",";
+        for (var c = 1; c < DELIMITERS.length; c++) {
+            if (counts[DELIMITERS[c]] > counts[best]) best = DELIMITERS[c];
+        }
+        return best;
+    }
+
+    // options.delimiter: "," ";" "\t" — omit to auto-detect
+    // options.onRecord(fields, line): called once per record
+    //   (line = where the record starts; blank lines are skipped)
+    // options.onError({ line, column, message })
+    function CSVReader(options) {
+        options = options || {};
+        this.delimiter = options.delimiter || null;
+        this.onRecord = options.onRecord || function () {};
+        this.onError = options.onError || function () {};
+
+        this._pending = "";        // text held back until the delimiter is known
+        this._started = false;     // BOM check done
+        this._field = "";
+        this._fields = [];
+        this._quoted = false;      // current field started with a quote
+        this._inQuotes = false;
+        this._quoteSeen = false;   // saw a quote inside quotes; next char decides
+        this._afterQuote = false;  // closing quote seen, expecting delimiter/EOL
+        this._lastWasCR = false;
+        this._line = 1;
+        this._column = 0;
+        this._recordLine = 1;
+    }
+
+    CSVReader.prototype.write = function (chunk) {
+        chunk = String(chunk);
+
+        if (!this._started) {
+            this._pending += chunk;
+            if (this._pending === "") return this;
+            if (this._pending.charCodeAt(0) === 0xFEFF) this._pending = this._pending.substring(1);
+            if (!this.delimiter) {
+                // Need the whole header line to pick a delimiter
+                if (!/[\r\n]/.test(this._pending)) return this;
+                this.delimiter = detectDelimiter(this._pending);
+            }
+            this._started = true;
+            chunk = this._pending;
+            this._pending = "";
+        }
+
+        for (var i = 0; i < chunk.length; i++) this._consume(chunk.charAt(i));
+        return this;
+    };
+
+    CSVReader.prototype.end = function () {
+        if (!this._started) {
+            if (!this.delimiter) this.delimiter = detectDelimiter(this._pending);
+            this._started = true;
+            var rest = this._pending;
+            this._pending = "";
+            for (var i = 0; i < rest.length; i++) this._consume(rest.charAt(i));
+        }
+
+        if (this._quoteSeen) {
+            // Closing quote was the last character of the file
+            this._quoteSeen = false;
+            this._inQuotes = false;
+        }
+        if (this._inQuotes) {
+            this._error(this._recordLine, 0, "Unterminated quoted cell (opened on line " + this._recordLine + ")");
+            this._inQuotes = false;
+        }
+        this._endRecord();
+        return this;
+    };
+
+    CSVReader.prototype._error = function (line, column, message) {
+        this.onError({ line: line, column: column, message: message });
+    };
+
+    CSVReader.prototype._consume = function (ch) {
+        // CRLF is one line break
+        if (this._lastWasCR) {
+            this._lastWasCR = false;
+            if (ch === "\n") return;
+        }
+
+        if (ch === "\n" || ch === "\r") {
+            this._lastWasCR = (ch === "\r");
+        }
+
+        this._column++;
+
+        if (this._quoteSeen) {
+            this._quoteSeen = false;
+            if (ch === '"') {
+                this._field += '"';          // "" → "
+                return;
+            }
+            this._inQuotes = false;
+            this._afterQuote = true;
+        }
+
+        if (this._inQuotes) {
+            if (ch === '"') {
+                this._quoteSeen = true;
+            } else {
+                this._field += (ch === "\r") ? "\n" : ch;
+                if (ch === "\n" || ch === "\r") this._newLine();
+            }
+            return;
+        }
+
+        if (ch === this.delimiter) {
+            this._endField();
+            return;
+        }
+
+        if (ch === "\n" || ch === "\r") {
+            this._endRecord();
+            this._newLine();
+            this._recordLine = this._line;
+            return;
+        }
+
+        if (this._afterQuote) {
+            if (ch !== " " && ch !== "\t") {
+                this._error(this._line, this._column, "Unexpected '" + ch + "' after closing quote");
+                this._field += ch;
+            }
+            return;
+        }
+
+        if (ch === '"') {
+            if (trim(this._field) === "") {
+                this._field = "";
+                this._quoted = true;
+                this._inQuotes = true;
+                return;
+            }
+            this._error(this._line, this._column, "Quote inside unquoted cell (wrap the cell in quotes and double it)");
+        }
+
+        this._field += ch;
+    };
+
+    CSVReader.prototype._newLine = function () {
+        this._line++;
+        this._column = 0;
+    };
+
+    CSVReader.prototype._endField = function () {
+        // Quoted cells are kept verbatim; unquoted ones are trimmed
+        this._fields.push(this._quoted ? this._field : trim(this._field));
+        this._field = "";
+        this._quoted = false;
+        this._afterQuote = false;
+    };
+
+    CSVReader.prototype._endRecord = function () {
+        var blank = this._fields.length === 0 && !this._quoted && trim(this._field) === "";
+        this._endField();
+        var fields = this._fields;
+        this._fields = [];
+        if (!blank) this.onRecord(fields, this._recordLine);
+    };
+
+    // `input` is the whole file as a string, or a function that
+    // returns the next chunk (null/undefined when done) so large
+    // files can be streamed from disk.
+    // Returns {
+    //   headers:   [...],
+    //   rows:      [{ header: value, __line: n }],
+    //   delimiter: "," | ";" | "\t",
+    //   errors:    [{ line, column, message }]
+    // }
+    function parseCSV(input, options) {
+        options = options || {};
+        var headers = null;
+        var rows = [];
+        var errors = [];
+
+        var reader = new CSVReader({
+            delimiter: options.delimiter,
+            onError: function (err) { errors.push(err); },
+            onRecord: function (fields, line) {
+                if (!headers) {
+                    headers = fields;
+                    for (var h = 0; h < headers.length; h++) headers[h] = trim(headers[h]);
+                    return;
+                }
+                if (fields.length > headers.length) {
+                    var extra = fields.slice(headers.length);
+                    var hasContent = false;
+                    for (var e = 0; e < extra.length; e++) {
+                        if (extra[e] !== "") { hasContent = true; break; }
+                    }
+                    if (hasContent) {
+                        errors.push({ line: line, column: 0,
+                            message: "Row has " + fields.length + " cells but the header has " + headers.length +
+                                " (unquoted '" + reader.delimiter + "' in a cell?)" });
+                    }
+                }
+                var row = {};
+                for (var j = 0; j < headers.length; j++) {
+                    row[headers[j]] = (j < fields.length) ? fields[j] : "";
+                }
+                row.__line = line;
+                rows.push(row);
+            }
+        });
+
+        if (typeof input === "function") {
+            var chunk = input();
+            while (chunk !== null && chunk !== undefined) {
+                reader.write(chunk);
+                chunk = input();
+            }
+        } else {
+            reader.write(input);
+        }
+        reader.end();
+
+        return { headers: headers || [], rows: rows, delimiter: reader.delimiter, errors: errors };
+    }
+
+    // ─── CSV WRITING ────────────────────────────────────────
+
+    // Quotes a cell only when it needs it (delimiter, quote, line
+    // break, or leading/trailing space that must survive parsing).
+    function formatCSVCell(value, delimiter) {
+        var str = (value === null || value === undefined) ? "" : String(value);
+        if (str.indexOf(delimiter || ",") >= 0 || /["\r\n]/.test(str) || /^\s|\s$/.test(str)) {
+            return '"' + str.replace(/"/g, '""') + '"';
+        }
+        return str;
+    }
+
+    // headers: [...], rows: [{ header: value }] or [[value, ...]]
+    // options.delimiter (","), options.bom (false) — Excel needs the
+    // BOM to open UTF-8 files correctly.
+    // Lines end in CRLF as RFC 4180 asks.
+    function buildCSV(headers, rows, options) {
+        options = options || {};
+        var delimiter = options.delimiter || ",";
+        var lines = [];
+        var cells = [];
+        var h;
+
+        for (h = 0; h < headers.length; h++) cells.push(formatCSVCell(headers[h], delimiter));
+        lines.push(cells.join(delimiter));
+
+        for (var r = 0; r < rows.length; r++) {
+            cells = [];
+            for (h = 0; h < headers.length; h++) {
+                var value = (rows[r] instanceof Array) ? rows[r][h] : rows[r][headers[h]];
+                cells.push(formatCSVCell(value, delimiter));
+            }
+            lines.push(cells.join(delimiter));
+        }
+
+        return (options.bom ? "\uFEFF" : "") + lines.join("\r\n") + "\r\n";
+    }
+
+    // ─── LANGUAGES ──────────────────────────────────────────
+
+    function isReservedColumn(header) {
+        return contains(RESERVED_COLUMNS, trim(header).toLowerCase());
+    }
+
+    function detectLanguages(headers) {
+        var langs = [];
+        for (var i = 0; i < headers.length; i++) {
+            if (headers[i] === "" || isReservedColumn(headers[i])) continue;
+            langs.push(headers[i]);
+        }
+        return langs;
+    }
+
+    // "zh-TW" → "zh_tw" (used for comp name suffixes)
+    function languageSuffix(lang) {
+        return lang.toLowerCase().replace(/[^a-z0-9]/g, "_");
+    }
+
+    // "zh-TW" → "ZH-TW" (used for folder names)
+    function languageLabel(lang) {
+        return lang.toUpperCase().replace(/[^A-Z0-9\-]/g, "_");
+    }
+
+    // "ar-SA", "he_IL", "fa" → true
+    function isRTL(lang) {
+        var primary = trim(String(lang)).toLowerCase().split(/[-_]/)[0];
+        return contains(RTL_LANGUAGES, primary);
+    }
+
+    // Alignment for RTL output, by enum name: "LEFT" ↔ "RIGHT" (Figma),
+    // "LEFT_JUSTIFY" ↔ "RIGHT_JUSTIFY", "FULL_JUSTIFY_LASTLINE_LEFT"
+    // ↔ "..._RIGHT" (AE). Center and full justify stay as they are.
+    function mirrorAlignment(name) {
+        return String(name).replace(/LEFT|RIGHT/g, function (side) {
+            return side === "LEFT" ? "RIGHT" : "LEFT";
+        });
+    }
+
+    // ─── ROW VALIDATION ─────────────────────────────────────
+
+    function rowType(row) {
+        return trim(row["type"] || "text").toLowerCase() || "text";
+    }
+
+    // Checks the parsed data before anything is duplicated.
+    // options.targetColumn: column naming the master comp/frame
+    //                       (AE: "comp_name", Figma: "frame_name"
+    //                       when the sheet has it)
+    // options.sourceLanguage: column markup is compared against
+    //                       (default: first language column)
+    // Returns [{ line, severity: "error"|"warning", message }]
+    function validateRows(data, options) {
+        options = options || {};
+        var issues = [];
+        var targetColumn = options.targetColumn || null;
+        var seen = {};
+
+        function add(row, severity, message) {
+            var where = row.__sheet ? "[" + row.__sheet + "] " : "";
+            issues.push({ line: row.__line || 0, severity: severity, message: where + message });
+        }
+
+        var parseErrors = data.errors || [];
+        for (var p = 0; p < parseErrors.length; p++) {
+            var where = parseErrors[p].column ? ", column " + parseErrors[p].column : "";
+            issues.push({ line: parseErrors[p].line, severity: "error", message: parseErrors[p].message + where });
+        }
+
+        if (!contains(data.headers, "layer_name")) {
+            issues.push({ line: 1, severity: "error", message: "Missing required column 'layer_name'" });
+            return issues;
+        }
+        if (targetColumn && !contains(data.headers, targetColumn)) {
+            issues.push({ line: 1, severity: "error", message: "Missing required column '" + targetColumn + "'" });
+            return issues;
+        }
+
+        var languageColumns = detectLanguages(data.headers);
+        var sourceLanguage = options.sourceLanguage || languageColumns[0] || "";
+
+        for (var i = 0; i < data.rows.length; i++) {
+            var row = data.rows[i];
+            var layerName = row["layer_name"];
+            var target = targetColumn ? row[targetColumn] : "";
+
+            if (!layerName) {
+                add(row, "error", "Empty layer_name");
+                continue;
+            }
+            // Variables (see format.js) name no layer or comp
+            if (rowType(row) === "variable") continue;
+            if (targetColumn && !target) {
+                add(row, "error", "Empty " + targetColumn + " for layer '" + layerName + "'");
+                continue;
+            }
+
+            var pattern = parseLayerPattern(layerName);
+            if (pattern.error) add(row, "error", "layer_name '" + layerName + "' " + pattern.error);
+
+            var fit = rowFit(row);
+            if (fit && fit.mode && !contains(FIT_MODES, fit.mode)) {
+                add(row, "error", "Unknown fit '" + fit.mode + "' for layer '" + layerName + "' (use " + FIT_MODES.join(", ") + ")");
+            }
+            if (fit && trim(row["min_font_size"] || "") !== "" && !(fit.minFontSize > 0)) {
+                add(row, "error", "min_font_size must be a positive number for layer '" + layerName + "'");
+            }
+            var limitColumns = ["max_chars", "max_lines"];
+            for (var lim = 0; lim < limitColumns.length; lim++) {
+                var limit = parseLimit(row[limitColumns[lim]] || "");
+                if (limit.error) add(row, "error", limitColumns[lim] + " " + limit.error + " for layer '" + layerName + "'");
+            }
+
+            var type = rowType(row);
+            if (!contains(KNOWN_TYPES, type)) {
+                add(row, "warning", "Unknown type '" + type + "' for layer '" + layerName + "' (treated as text)");
+            }
+            // Translations should mark the same words as the source
+            var sourceMarkup = type === "text" && sourceLanguage ? parseMarkup(row[sourceLanguage] || "") : null;
+            if (sourceMarkup && sourceMarkup.spans.length > 0) {
+                for (var l = 0; l < languageColumns.length; l++) {
+                    if (languageColumns[l] === sourceLanguage || !row[languageColumns[l]]) continue;
+                    var markupDiffs = compareMarkup(sourceMarkup, parseMarkup(row[languageColumns[l]]));
+                    if (markupDiffs.length > 0) {
+                        add(row, "warning", "Markup in " + languageColumns[l] + " differs from " + sourceLanguage +
+                            " for layer '" + layerName + "' (" + markupDiffs.join(", ") + ")");
+                    }
+                }
+            }
+
+            var key = target + "\u0000" + layerName;
+            if (seen[key]) {
+                add(row, "warning", "Duplicate row for layer '" + layerName + "'" +
+                    (target ? " in '" + target + "'" : "") + " (line " + seen[key] + " wins)");
+            } else {
+                seen[key] = row.__line || (i + 2);
+            }
+        }
+
+        return issues;
+    }
+
+    // Fit settings from the optional fit / min_font_size columns:
+    // { mode, minFontSize } (either may be null = tool default),
+    // or null when the row sets neither.
+    function rowFit(row) {
+        var mode = trim(row["fit"] || "").toLowerCase();
+        var min = trim(row["min_font_size"] || "");
+        if (!mode && !min) return null;
+        return { mode: mode || null, minFontSize: min ? parseFloat(min) : null };
+    }
+
+    function hasErrors(issues) {
+        for (var i = 0; i < issues.length; i++) {
+            if (issues[i].severity === "error") return true;
+        }
+        return false;
+    }
+
+    // ─── REPLACEMENT PLAN ───────────────────────────────────
+
+    // Turns rows × languages into the list of replacements each tool
+    // applies. The first row for a target/layer pair wins.
+    // options.targetColumn: see validateRows
+    // options.sourceLanguage: column the master was written in
+    //                         (default: the first language column)
+    // Rows of type "variable" are left out (see format.js).
+    // Returns {
+    //   targets:   [unique target names, in CSV order],
+    //   sourceLanguage,
+    //   languages: [{ lang, suffix, label, rtl, skipped,
+    //                 replacements: [{ target, layerName, type, value,
+    //                                  source, line, fit, limits }] }]
+    // }
+    function buildReplacementPlan(data, languages, options) {
+        options = options || {};
+        var targetColumn = options.targetColumn || null;
+        var sourceLanguage = options.sourceLanguage || detectLanguages(data.headers || [])[0] || "";
+        var targets = [];
+        var targetSeen = {};
+        var usable = [];
+        var pairSeen = {};
+
+        for (var i = 0; i < data.rows.length; i++) {
+            var row = data.rows[i];
+            var target = targetColumn ? (row[targetColumn] || "") : "";
+            if (!row["layer_name"] || (targetColumn && !target) || rowType(row) === "variable") continue;
+
+            var key = target + "\u0000" + row["layer_name"];
+            if (pairSeen[key]) continue;
+            pairSeen[key] = true;
+            usable.push(row);
+
+            if (targetColumn && !targetSeen[target]) {
+                targetSeen[target] = true;
+                targets.push(target);
+            }
+        }
+
+        var plan = { targets: targets, sourceLanguage: sourceLanguage, languages: [] };
+
+        for (var l = 0; l < languages.length; l++) {
+            var lang = languages[l];
+            var entry = {
+                lang: lang,
+                suffix: languageSuffix(lang),
+                label: languageLabel(lang),
+                rtl: isRTL(lang),
+                skipped: 0,
+                replacements: []
+            };
+
+            for (var r = 0; r < usable.length; r++) {
+                var value = usable[r][lang];
+                if (!value || value === "") { entry.skipped++; continue; }
+                entry.replacements.push({
+                    target: targetColumn ? usable[r][targetColumn] : "",
+                    layerName: usable[r]["layer_name"],
+                    type: rowType(usable[r]),
+                    value: value,
+                    source: usable[r][sourceLanguage] || "",
+                    line: usable[r].__line || 0,
+                    fit: rowFit(usable[r]),
+                    limits: rowLimits(usable[r], lang)
+                });
+            }
+
+            plan.languages.push(entry);
+        }
+
+        return plan;
+    }
+
+    // ─── LAYER MATCHING ─────────────────────────────────────
+    // layer_name is an exact name or a pattern:
+    //
+    //   Headline                        every layer named Headline
+    //   Sub_Comp_A/Sub_Comp_B/Headline  path from the master down
+    //   **/Card/Headline                "**" stands for any depth
+    //   Headline_*, Price_?             wildcards inside one name
+    //   /^CTA \d+$/i                    regular expression on the name
+    //
+    // "\" escapes a "/", "*" or "?" that is part of a name. A layer
+    // named exactly as the cell reads always matches, so sheets
+    // written before patterns keep working.
+
+    // Specificity, for a layer more than one row matches
+    var PATTERN_RANK = { path: 3, wildpath: 2, name: 1, wildname: 0, regex: 0 };
+
+    function escapeRegExp(str) {
+        return str.replace(/[\\^$.*+?()[\]{}|\/]/g, "\\$&");
+    }
+
+    // Returns { text, kind: "name"|"path"|"regex", rank,
+    //           segments: [name | RegExp | "**"], regex, error }
+    function parseLayerPattern(text) {
+        text = String(text);
+        var pattern = { text: text, kind: "name", rank: 0, segments: [], regex: null, error: null };
+
+        var literal = /^\/(.+)\/([im]*)$/.exec(text);
+        if (literal) {
+            pattern.kind = "regex";
+            pattern.rank = PATTERN_RANK.regex;
+            try {
+                pattern.regex = new RegExp(literal[1], literal[2]);
+            } catch (e) {
+                pattern.error = "is not a valid regular expression (" + e.message + ")";
+            }
+            return pattern;
+        }
+
+        var wild = false;
+        var name = "";
+        var source = "";
+        var segmentWild = false;
+
+        function endSegment() {
+            if (name === "") pattern.error = "has an empty name in its path";
+            else if (name === "**" && segmentWild) pattern.segments.push("**");
+            else pattern.segments.push(segmentWild ? new RegExp("^" + source + "$") : name);
+            wild = wild || segmentWild;
+            name = "";
+            source = "";
+            segmentWild = false;
+        }
+
+        for (var i = 0; i < text.length; i++) {
+            var ch = text.charAt(i);
+            if (ch === "\\" && i + 1 < text.length) {
+                ch = text.charAt(++i);
+                name += ch;
+                source += escapeRegExp(ch);
+            } else if (ch === "/") {
+                endSegment();
+            } else if (ch === "*" || ch === "?") {
+                name += ch;
+                source += ch === "*" ? "[\\s\\S]*" : "[\\s\\S]";
+                segmentWild = true;
+            } else {
+                name += ch;
+                source += escapeRegExp(ch);
+            }
+        }
+        endSegment();
+
+        if (pattern.segments.length > 1) pattern.kind = "path";
+        pattern.rank = PATTERN_RANK[(wild ? "wild" : "") + pattern.kind];
+        return pattern;
+    }
+
+    function matchSegment(segment, name) {
+        return typeof segment === "string" ? segment === name : segment.test(name);
+    }
+
+    function matchSegments(segments, s, path, p) {
+        if (s === segments.length) return p === path.length;
+        if (segments[s] === "**") {
+            for (var k = p; k <= path.length; k++) {
+                if (matchSegments(segments, s + 1, path, k)) return true;
+            }
+            return false;
+        }
+        return p < path.length && matchSegment(segments[s], path[p]) && matchSegments(segments, s + 1, path, p + 1);
+    }
+
+    // pattern: layer_name cell or parseLayerPattern result
+    // path: layer names from just below the master down to the layer
+    function matchLayerPath(pattern, path) {
+        if (typeof pattern === "string") pattern = parseLayerPattern(pattern);
+        var name = path[path.length - 1];
+        if (name === pattern.text) return true;
+        if (pattern.error) return false;
+        if (pattern.kind === "regex") return pattern.regex.test(name);
+        if (pattern.kind === "name") return matchSegment(pattern.segments[0], name);
+        return matchSegments(pattern.segments, 0, path, 0);
+    }
+
+    // Index of the pattern (parseLayerPattern results) that owns the
+    // layer at `path`: the most specific match — exact path, wildcard
+    // path, exact name, then wildcard/regex name — and the first one
+    // listed on a tie. -1 if none matches.
+    function findLayerOwner(patterns, path) {
+        var owner = -1;
+        for (var i = 0; i < patterns.length; i++) {
+            if (matchLayerPath(patterns[i], path) && (owner < 0 || patterns[i].rank > patterns[owner].rank)) owner = i;
+        }
+        return owner;
+    }
+
+    // Key of `cells` ({ layer_name: value }, as a localized master
+    // records them) that owns the layer at `path`, or null
+    function findLayerCell(cells, path) {
+        var keys = [];
+        var patterns = [];
+        for (var key in cells) {
+            if (!cells.hasOwnProperty(key)) continue;
+            keys.push(key);
+            patterns.push(parseLayerPattern(key));
+        }
+        var owner = findLayerOwner(patterns, path);
+        return owner < 0 ? null : keys[owner];
+    }
+
+    // ─── INLINE MARKUP ──────────────────────────────────────
+    // Cells can mark words that get the master's emphasis styling:
+    // "Trade <b>Bitcoin</b> now", "<accent>0%</accent> fees", and
+    // <br> for a line break. Tag names are free; each host maps a
+    // tag to a style it reads from the master layer (markupStyles).
+    // &lt; &gt; &amp; write a literal <, > or &.
+
+    var MARKUP_TAG = /<(\/?)([A-Za-z][\w\-]*)\s*(\/?)>/g;
+
+    // Returns { text, spans: [{ tag, start, end }], unmatched: [tag] }
+    // with line breaks in text as "\n".
+    // Only balanced tags count: an unclosed "<made>" or a stray
+    // "</b>" stays in the text as typed (listed in unmatched).
+    // Spans are ordered by start, outer before inner, so applying
+    // them in order lets nested tags win.
+    function parseMarkup(value) {
+        value = String(value);
+        var tokens = [];
+        var open = [];
+        var pos = 0;
+        var match;
+
+        MARKUP_TAG.lastIndex = 0;
+        while ((match = MARKUP_TAG.exec(value)) !== null) {
+            if (match.index > pos) tokens.push({ text: value.substring(pos, match.index) });
+            pos = match.index + match[0].length;
+            var token = { raw: match[0], tag: match[2].toLowerCase(), close: match[1] === "/", pair: null };
+            tokens.push(token);
+
+            if (token.tag === "br" || (!token.close && match[3] === "/")) continue;
+            if (!token.close) {
+                open.push(token);
+                continue;
+            }
+            var depth = open.length - 1;
+            while (depth >= 0 && open[depth].tag !== token.tag) depth--;
+            if (depth < 0) continue;
+            token.pair = open[depth];
+            open[depth].pair = token;
+            open.length = depth;
+        }
+        if (pos < value.length) tokens.push({ text: value.substring(pos) });
+
+        var result = { text: "", spans: [], unmatched: [] };
+        for (var i = 0; i < tokens.length; i++) {
+            var t = tokens[i];
+            if (t.hasOwnProperty("text")) {
+                result.text += t.text.replace(/\r\n?/g, "\n").replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+            } else if (t.tag === "br") {
+                result.text += "\n";
+            } else if (!t.pair) {
+                result.text += t.raw;
+                if (!contains(result.unmatched, t.tag)) result.unmatched.push(t.tag);
+            } else if (!t.close) {
+                t.span = { tag: t.tag, start: result.text.length, end: -1 };
+                result.spans.push(t.span);
+            } else {
+                t.pair.span.end = result.text.length;
+            }
+        }
+        return result;
+    }
+
+    // "<b> 1 vs 0" style differences between the balanced tags of
+    // two cells, [] when they mark the same tags the same number
+    // of times
+    function compareMarkup(source, translation) {
+        function count(markup) {
+            var counts = {};
+            for (var i = 0; i < markup.spans.length; i++) {
+                counts[markup.spans[i].tag] = (counts[markup.spans[i].tag] || 0) + 1;
+            }
+            return counts;
+        }
+        var a = count(source);
+        var b = count(translation);
+        var diffs = [];
+        var tag;
+        for (tag in a) {
+            if (a.hasOwnProperty(tag) && a[tag] !== (b[tag] || 0)) diffs.push("<" + tag + "> " + a[tag] + " vs " + (b[tag] || 0));
+        }
+        for (tag in b) {
+            if (b.hasOwnProperty(tag) && !a.hasOwnProperty(tag)) diffs.push("<" + tag + "> 0 vs " + b[tag]);
+        }
+        return diffs;
+    }
+
+    // Which master style each tag stands for. runs: the master
+    // layer's styled runs [{ start, end, key }] where key names a
+    // distinct style (hosts build them). The base style covers the
+    // most characters. When the source-language cell carries the
+    // same markup over the master's text, each tag takes the style
+    // found under it; otherwise a master with a single emphasis
+    // style lends it to every tag (fallback).
+    // Returns { base, tags: { tag: key }, fallback: key | null }
+    function markupStyles(source, masterText, runs) {
+        var lengths = {};
+        var keys = [];
+        for (var r = 0; r < runs.length; r++) {
+            var key = runs[r].key;
+            if (!lengths.hasOwnProperty(key)) {
+                lengths[key] = 0;
+                keys.push(key);
+            }
+            lengths[key] += runs[r].end - runs[r].start;
+        }
+
+        var base = null;
+        for (var k = 0; k < keys.length; k++) {
+            if (base === null || lengths[keys[k]] > lengths[base]) base = keys[k];
+        }
+
+        var tags = {};
+        var sameText = source && source.text.replace(/\r\n?/g, "\n") === String(masterText).replace(/\r\n?/g, "\n");
+        if (sameText) {
+            for (var s = 0; s < source.spans.length; s++) {
+                var span = source.spans[s];
+                if (tags.hasOwnProperty(span.tag) || span.end <= span.start) continue;
+                for (var i = 0; i < runs.length; i++) {
+                    if (span.start >= runs[i].start && span.start < runs[i].end) {
+                        tags[span.tag] = runs[i].key;
+                        break;
+                    }
+                }
+            }
+        }
+
+        var emphasis = [];
+        for (var e = 0; e < keys.length; e++) {
+            if (keys[e] !== base) emphasis.push(keys[e]);
+        }
+        return { base: base, tags: tags, fallback: emphasis.length === 1 ? emphasis[0] : null };
+    }
+
+    // ─── TEXT FITTING ───────────────────────────────────────
+
+    // Fits a replaced text into its box. Measuring is up to the
+    // host (sourceRectAtTime in AE, node bounds in Figma):
+    //   o.fits()           true when the text fits at the size and
+    //                      tracking last passed to the setters
+    //   o.setFontSize(n), o.setTracking(n)
+    //   o.mode             "flag" | "shrink" | "track" ("none" = skip)
+    //   o.fontSize, o.minFontSize, o.tracking, o.minTracking,
+    //   o.trackingStep     in host units
+    // Returns { status: "fits"|"shrunk"|"tracked"|"overflow"|"skipped",
+    //           fontSize, tracking } — the values to keep. A text that
+    // cannot fit stays at the tightest setting tried.
+    function fitText(o) {
+        var result = { status: "fits", fontSize: o.fontSize, tracking: o.tracking };
+        if (!o.mode || o.mode === "none") {
+            result.status = "skipped";
+            return result;
+        }
+
+        o.setFontSize(o.fontSize);
+        o.setTracking(o.tracking);
+        if (o.fits()) return result;
+
+        if (o.mode === "shrink") {
+            var lo = Math.min(o.minFontSize, o.fontSize);
+            var hi = o.fontSize;
+            o.setFontSize(lo);
+            if (!o.fits()) {
+                result.status = "overflow";
+                result.fontSize = lo;
+                return result;
+            }
+            // Largest size that fits, in half-point steps
+            while (hi - lo > 0.5) {
+                var mid = Math.round((lo + hi)) / 2;
+                if (mid <= lo || mid >= hi) break;
+                o.setFontSize(mid);
+                if (o.fits()) lo = mid;
+                else hi = mid;
+            }
+            o.setFontSize(lo);
+            result.status = "shrunk";
+            result.fontSize = lo;
+            return result;
+        }
+
+        if (o.mode === "track") {
+            var step = o.trackingStep || 1;
+            var tracking = o.tracking;
+            while (tracking - step >= o.minTracking) {
+                tracking -= step;
+                o.setTracking(tracking);
+                if (o.fits()) {
+                    result.status = "tracked";
+                    result.tracking = tracking;
+                    return result;
+                }
+            }
+            result.tracking = tracking;
+        }
+
+        result.status = "overflow";
+        return result;
+    }
+
+    // ─── LENGTH LIMITS ──────────────────────────────────────
+    // Optional max_chars / max_lines columns cap what fits a CTA or
+    // a lower third. A cell holds the row's limit, optionally
+    // followed by per-language ones: "20", "20; de-DE=26; ja=12".
+    // Characters are counted on the text as shown (markup removed,
+    // line breaks not counted); lines are the text's line breaks.
+
+    // { value: n | null, byLang: { lang: n }, error }
+    function parseLimit(cell) {
+        var limit = { value: null, byLang: {}, error: null };
+        var parts = trim(cell) === "" ? [] : trim(cell).split(/\s*[;,]\s*/);
+        for (var i = 0; i < parts.length; i++) {
+            var pair = parts[i].split("=");
+            var number = trim(pair[pair.length - 1]);
+            var badLang = pair.length === 2 && !/^[A-Za-z]{2,3}([\-_][A-Za-z0-9]+)*$/.test(trim(pair[0]));
+            if (pair.length > 2 || badLang || !/^\d+$/.test(number) || parseInt(number, 10) < 1) {
+                limit.error = "must be a whole number above 0, optionally with lang=number overrides ('" + parts[i] + "')";
+                return limit;
+            }
+            if (pair.length === 2) limit.byLang[trim(pair[0]).replace(/_/g, "-").toLowerCase()] = parseInt(number, 10);
+            else limit.value = parseInt(number, 10);
+        }
+        return limit;
+    }
+
+    function limitFor(limit, lang) {
+        var code = String(lang).replace(/_/g, "-").toLowerCase();
+        if (limit.byLang.hasOwnProperty(code)) return limit.byLang[code];
+        if (limit.byLang.hasOwnProperty(code.split("-")[0])) return limit.byLang[code.split("-")[0]];
+        return limit.value;
+    }
+
+    // { maxChars, maxLines } (either may be null) for one language,
+    // or null when the row sets neither
+    function rowLimits(row, lang) {
+        var chars = parseLimit(row["max_chars"] || "");
+        var lines = parseLimit(row["max_lines"] || "");
+        if (chars.error || lines.error) return null;
+        var limits = { maxChars: limitFor(chars, lang), maxLines: limitFor(lines, lang) };
+        return limits.maxChars === null && limits.maxLines === null ? null : limits;
+    }
+
+    // { chars, lines } of a cell as it will be shown
+    function measureText(value) {
+        var text = parseMarkup(value).text;
+        return {
+            chars: text.replace(/\n/g, "").replace(/[\uD800-\uDBFF][\uDC00-\uDFFF]/g, "_").length,
+            lines: text.split("\n").length
+        };
+    }
+
+    // Cuts a cell to its limits with an ellipsis, counting as
+    // measureText does. Tags opened in the kept part are closed.
+    function truncateText(value, limits) {
+        value = String(value);
+        var size = measureText(value);
+        var maxChars = limits.maxChars || Infinity;
+        var maxLines = limits.maxLines || Infinity;
+        if (size.chars <= maxChars && size.lines <= maxLines) return value;
+
+        // Tags and single characters (entities, surrogate pairs and
+        // CRLF count as one)
+        var UNIT = /<(\/?)([A-Za-z][\w\-]*)\s*(\/?)>|&(?:lt|gt|amp);|[\uD800-\uDBFF][\uDC00-\uDFFF]|\r\n|[\s\S]/g;
+        var out = "";
+        var chars = 0;
+        var lines = 1;
+        var open = [];
+        var cut = value.length;
+        var match;
+        UNIT.lastIndex = 0;
+        while ((match = UNIT.exec(value)) !== null) {
+            var unit = match[0];
+            var tag = match[2] ? match[2].toLowerCase() : null;
+            var isBreak = tag === "br" || unit === "\n" || unit === "\r" || unit === "\r\n";
+            var full = isBreak ? lines + 1 > maxLines : (!tag && chars + 1 > maxChars - 1);
+            if (full) {
+                cut = match.index;
+                break;
+            }
+            if (isBreak) lines++;
+            else if (!tag) chars++;
+            else if (match[1] !== "/" && match[3] !== "/") open.push(tag);
+            else if (match[1] === "/" && open.length > 0 && open[open.length - 1] === tag) open.pop();
+            out += unit;
+        }
+        UNIT.lastIndex = 0;
+
+        var rest = value.substring(cut).toLowerCase();
+        out = out.replace(/\s+$/, "") + "\u2026";
+        for (var i = open.length - 1; i >= 0; i--) {
+            // Only tags the original closes were markup
+            if (rest.indexOf("</" + open[i] + ">") >= 0) out += "</" + open[i] + ">";
+        }
+        return out;
+    }
+
+    // Applies each text replacement's limits across a plan (after
+    // placeholders are filled), in place. mode (LIMIT_MODES):
+    //   report    set the text anyway
+    //   skip      leave the layer as in the master
+    //   truncate  cut it with an ellipsis (truncateText)
+    //   fit       set it and fit it to its box — the row's fit mode,
+    //             else defaultFit (the tool's setting), else shrink
+    // Returns summary lines, one per replacement over its limits.
+    function enforceLimits(plan, mode, defaultFit) {
+        var fallbackFit = defaultFit && defaultFit !== "none" && defaultFit !== "flag" ? defaultFit : "shrink";
+        var log = [];
+        for (var l = 0; l < plan.languages.length; l++) {
+            var entry = plan.languages[l];
+            var kept = [];
+            for (var r = 0; r < entry.replacements.length; r++) {
+                var rep = entry.replacements[r];
+                var limits = rep.limits;
+                var size = limits && rep.type === "text" ? measureText(rep.value) : null;
+                var over = [];
+                if (size && limits.maxChars !== null && size.chars > limits.maxChars) over.push(size.chars + "/" + limits.maxChars + " characters");
+                if (size && limits.maxLines !== null && size.lines > limits.maxLines) over.push(size.lines + "/" + limits.maxLines + " lines");
+                if (over.length === 0) {
+                    kept.push(rep);
+                    continue;
+                }
+
+                var action = "set anyway";
+                if (mode === "skip") {
+                    entry.skipped++;
+                    action = "skipped";
+                } else if (mode === "truncate") {
+                    rep.value = truncateText(rep.value, limits);
+                    action = "truncated";
+                } else if (mode === "fit") {
+                    var fitMode = rep.fit && rep.fit.mode && rep.fit.mode !== "none" ? rep.fit.mode : fallbackFit;
+                    rep.fit = { mode: fitMode, minFontSize: rep.fit ? rep.fit.minFontSize : null };
+                    action = "fit to box";
+                }
+                if (mode !== "skip") kept.push(rep);
+                log.push("[" + entry.lang + "] " + rep.layerName + ": " + over.join(", ") + " — " + action);
+            }
+            entry.replacements = kept;
+        }
+        return log;
+    }
+
+    // ─── SYNC METADATA ──────────────────────────────────────
+    //
+    // Generated comps/frames remember which master they came from
+    // and which cell values were applied, so a later sync run can
+    // find them without relying on names and touch only changed
+    // cells. AE keeps this in the comp comment, as a tagged block
+    // below anything the user wrote:
+    //
+    //   [BatchReplacer]
+    //   master=42
+    //   lang=zh-TW
+    //   cell.Headline=加密貨幣交易\n哪有那麼難
+    //   [/BatchReplacer]
+
+    function escapeMeta(str) {
+        return String(str)
+            .replace(/\\/g, "\\\\")
+            .replace(/\r/g, "\\r")
+            .replace(/\n/g, "\\n")
+            .replace(/=/g, "\\=");
+    }
+
+    function unescapeMeta(str) {
+        return str.replace(/\\(.)/g, function (match, ch) {
+            if (ch === "n") return "\n";
+            if (ch === "r") return "\r";
+            return ch;
+        });
+    }
+
+    // Returns the block's { key: value } or null when there is none
+    function readMetaBlock(text, tag) {
+        text = String(text || "");
+        var open = "[" + tag + "]";
+        var close = "[/" + tag + "]";
+        var start = text.indexOf(open);
+        var end = text.indexOf(close);
+        if (start < 0 || end < start) return null;
+
+        var meta = {};
+        var lines = text.substring(start + open.length, end).split(/\r\n|\r|\n/);
+        for (var i = 0; i < lines.length; i++) {
+            if (lines[i] === "") continue;
+            var eq = -1;
+            for (var c = 0; c < lines[i].length; c++) {
+                if (lines[i].charAt(c) === "\\") { c++; continue; }
+                if (lines[i].charAt(c) === "=") { eq = c; break; }
+            }
+            if (eq < 0) continue;
+            meta[unescapeMeta(lines[i].substring(0, eq))] = unescapeMeta(lines[i].substring(eq + 1));
+        }
+        return meta;
+    }
+
+    // Returns `text` with the tagged block replaced by `meta`
+    // (appended when missing; removed when meta is null).
+    function writeMetaBlock(text, tag, meta) {
+        text = String(text || "");
+        var open = "[" + tag + "]";
+        var close = "[/" + tag + "]";
+        var start = text.indexOf(open);
+        var end = text.indexOf(close);
+        if (start >= 0 && end > start) {
+            text = text.substring(0, start) + text.substring(end + close.length);
+        }
+        text = text.replace(/\s+$/, "");
+        if (!meta) return text;
+
+        var lines = [open];
+        for (var key in meta) {
+            if (meta.hasOwnProperty(key)) lines.push(escapeMeta(key) + "=" + escapeMeta(meta[key]));
+        }
+        lines.push(close);
+        return (text ? text + "\n" : "") + lines.join("\n");
+    }
+
+    // Compares the values applied last time ({ layerName: value })
+    // with this run's replacements for one language and target.
+    // Returns {
+    //   changed:   [{ replacement, previous }],
+    //   added:     [replacement],       // not applied before
+    //   unchanged: [replacement],
+    //   removed:   [layerName]          // applied before, now empty/gone
+    // }
+    function diffReplacements(previous, replacements) {
+        previous = previous || {};
+        var result = { changed: [], added: [], unchanged: [], removed: [] };
+        var current = {};
+
+        for (var i = 0; i < replacements.length; i++) {
+            var rep = replacements[i];
+            current[rep.layerName] = true;
+            if (!previous.hasOwnProperty(rep.layerName)) result.added.push(rep);
+            else if (previous[rep.layerName] !== rep.value) result.changed.push({ replacement: rep, previous: previous[rep.layerName] });
+            else result.unchanged.push(rep);
+        }
+
+        for (var name in previous) {
+            if (previous.hasOwnProperty(name) && !current.hasOwnProperty(name)) result.removed.push(name);
+        }
+
+        return result;
+    }
+
+    // Pairs a master comp's layers with those of a localized copy.
+    // sources/targets: [{ key, kind }] in layer order, where key
+    // identifies the layer (name, or the master comp id for precomp
+    // layers) and kind is the layer type. Same key pairs first, by
+    // occurrence ("Title" #2 with "Title" #2); leftovers then pair
+    // at the same position when the kind matches, which catches
+    // layers whose name follows their localized text or footage.
+    // Returns { pairs: [[s, t]], added: [s], removed: [t] } (indexes).
+    function pairLayers(sources, targets) {
+        var pairs = [];
+        var sourceTaken = [];
+        var targetTaken = [];
+        var s, t;
+
+        var byKey = {};
+        for (t = 0; t < targets.length; t++) {
+            var tk = "#" + targets[t].key;
+            if (!byKey.hasOwnProperty(tk)) byKey[tk] = [];
+            byKey[tk].push(t);
+        }
+        for (s = 0; s < sources.length; s++) {
+            var list = byKey["#" + sources[s].key];
+            if (list && list.length > 0) {
+                t = list.shift();
+                pairs.push([s, t]);
+                sourceTaken[s] = true;
+                targetTaken[t] = true;
+            }
+        }
+
+        for (s = 0; s < sources.length; s++) {
+            if (sourceTaken[s] || s >= targets.length || targetTaken[s]) continue;
+            if (sources[s].kind === targets[s].kind) {
+                pairs.push([s, s]);
+                sourceTaken[s] = true;
+                targetTaken[s] = true;
+            }
+        }
+
+        var added = [];
+        var removed = [];
+        for (s = 0; s < sources.length; s++) if (!sourceTaken[s]) added.push(s);
+        for (t = 0; t < targets.length; t++) if (!targetTaken[t]) removed.push(t);
+
+        pairs.sort(function (a, b) { return a[0] - b[0]; });
+        return { pairs: pairs, added: added, removed: removed };
+    }
+
+    // ─── ASSET FILES ────────────────────────────────────────
+    // Image/footage cells name a file. AE opens the path as given;
+    // Figma gets a dropped folder or zip and looks the cell up in
+    // its file list with findAsset.
+
+    // Formats figma.createImage accepts
+    var IMAGE_EXTENSIONS = ["png", "jpg", "jpeg", "gif"];
+
+    function isImageFile(path) {
+        var match = /\.([^.\/\\]+)$/.exec(String(path));
+        return !!match && contains(IMAGE_EXTENSIONS, match[1].toLowerCase());
+    }
+
+    function assetSegments(path) {
+        var parts = String(path).replace(/\\/g, "/").toLowerCase().split("/");
+        var segments = [];
+        for (var i = 0; i < parts.length; i++) {
+            if (parts[i] !== "" && parts[i] !== ".") segments.push(parts[i]);
+        }
+        return segments;
+    }
+
+    // Finds the file a cell refers to among `paths` (relative paths
+    // of the dropped files, "Banners/zh-TW/hero.png"). The longest
+    // trailing part of the cell that some path ends with wins, so
+    // "hero.png", "zh-TW/hero.png" and a full AE-style path
+    // "D:\Assets\zh-TW\hero.png" all work; several hits are narrowed
+    // to the ones inside a folder named after the language.
+    // Case-insensitive. Returns { path } or { error }.
+    function findAsset(paths, value, lang) {
+        var wanted = assetSegments(value);
+        if (wanted.length === 0) return { error: "No file name" };
+
+        var files = [];
+        for (var p = 0; p < paths.length; p++) files.push(assetSegments(paths[p]));
+
+        for (var k = wanted.length; k >= 1; k--) {
+            var hits = [];
+            for (var f = 0; f < files.length; f++) {
+                var segments = files[f];
+                if (segments.length < k) continue;
+                var same = true;
+                for (var j = 1; j <= k && same; j++) {
+                    same = segments[segments.length - j] === wanted[wanted.length - j];
+                }
+                if (same) hits.push(f);
+            }
+            if (hits.length === 0) continue;
+
+            if (hits.length > 1 && lang) {
+                var inLang = [];
+                for (var h = 0; h < hits.length; h++) {
+                    if (contains(files[hits[h]].slice(0, -1), String(lang).toLowerCase())) inLang.push(hits[h]);
+                }
+                if (inLang.length > 0) hits = inLang;
+            }
+            if (hits.length > 1) {
+                return { error: "'" + value + "' matches " + hits.length + " files (" + paths[hits[0]] + ", " + paths[hits[1]] + "...)" };
+            }
+            return { path: paths[hits[0]] };
+        }
+        return { error: "No file '" + value + "' among the images" };
+    }
+
+    // ─── PUBLIC API ─────────────────────────────────────────
+
+    return {
+        VERSION: "1.0",
+        RESERVED_COLUMNS: RESERVED_COLUMNS,
+        KNOWN_TYPES: KNOWN_TYPES,
+        FIT_MODES: FIT_MODES,
+        LIMIT_MODES: LIMIT_MODES,
+        IMAGE_EXTENSIONS: IMAGE_EXTENSIONS,
+        trim: trim,
+        contains: contains,
+        CSVReader: CSVReader,
+        detectDelimiter: detectDelimiter,
+        parseCSV: parseCSV,
+        formatCSVCell: formatCSVCell,
+        buildCSV: buildCSV,
+        isReservedColumn: isReservedColumn,
+        detectLanguages: detectLanguages,
+        languageSuffix: languageSuffix,
+        languageLabel: languageLabel,
+        isRTL: isRTL,
+        mirrorAlignment: mirrorAlignment,
+        rowType: rowType,
+        validateRows: validateRows,
+        hasErrors: hasErrors,
+        rowFit: rowFit,
+        buildReplacementPlan: buildReplacementPlan,
+        parseLayerPattern: parseLayerPattern,
+        matchLayerPath: matchLayerPath,
+        findLayerOwner: findLayerOwner,
+        findLayerCell: findLayerCell,
+        readMetaBlock: readMetaBlock,
+        writeMetaBlock: writeMetaBlock,
+        diffReplacements: diffReplacements,
+        pairLayers: pairLayers,
+        parseMarkup: parseMarkup,
+        compareMarkup: compareMarkup,
+        markupStyles: markupStyles,
+        fitText: fitText,
+        parseLimit: parseLimit,
+        rowLimits: rowLimits,
+        measureText: measureText,
+        truncateText: truncateText,
+        enforceLimits: enforceLimits,
+        isImageFile: isImageFile,
+        findAsset: findAsset
+    };
+})();
+
+if (typeof module !== "undefined" && module.exports) module.exports = LocalizationCore;
+
+// ─── shared/xml.js ───
+/**
+ * ============================================================
+ *  XML — minimal, dependency-free XML reader/writer helpers
+ *  for LocalizationCore (spreadsheets, XLIFF).
+ * ============================================================
+ *
+ *  Not a validating parser: it reads well-formed documents
+ *  into a light tree and ignores DTDs and processing
+ *  instructions. ES3-compatible, see localization-core.js.
+ *
+ *  Element shape: { name, attributes: {}, children: [element | string] }
+ */
+
+var LocalizationCore = (typeof LocalizationCore !== "undefined")
+    ? LocalizationCore
+    : require("./localization-core.js");
+
+(function (core) {
+
+    var NAMED_ENTITIES = { lt: "<", gt: ">", amp: "&", quot: "\"", apos: "'" };
+
+    function fromCodePoint(code) {
+        if (code <= 0xFFFF) return String.fromCharCode(code);
+        code -= 0x10000;
+        return String.fromCharCode(0xD800 + (code >> 10), 0xDC00 + (code & 0x3FF));
+    }
+
+    function decodeEntities(str) {
+        if (str.indexOf("&") < 0) return str;
+        return str.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, function (match, ref) {
+            if (ref.charAt(0) === "#") {
+                var code = (ref.charAt(1) === "x" || ref.charAt(1) === "X")
+                    ? parseInt(ref.substring(2), 16)
+                    : parseInt(ref.substring(1), 10);
+                return fromCodePoint(code);
+            }
+            return NAMED_ENTITIES.hasOwnProperty(ref) ? NAMED_ENTITIES[ref] : match;
+        });
+    }
+
+    function escapeXML(str) {
+        return String(str)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;");
+    }
+
+    // "table:table-cell" → "table-cell"
+    function localName(name) {
+        var colon = name.indexOf(":");
+        return colon < 0 ? name : name.substring(colon + 1);
+    }
+
+    function parseAttributes(source) {
+        var attrs = {};
+        var re = /([^\s=\/]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+        var m = re.exec(source);
+        while (m) {
+            attrs[m[1]] = decodeEntities(m[3] !== undefined && m[3] !== "" ? m[3] : (m[4] || ""));
+            m = re.exec(source);
+        }
+        return attrs;
+    }
+
+    // Returns the root element. Throws on unbalanced tags.
+    function parseXML(text) {
+        text = String(text);
+        if (text.charCodeAt(0) === 0xFEFF) text = text.substring(1);
+
+        var root = { name: "#document", attributes: {}, children: [] };
+        var stack = [root];
+        var pos = 0;
+
+        function current() { return stack[stack.length - 1]; }
+
+        function addText(str) {
+            if (str === "") return;
+            var children = current().children;
+            var last = children.length - 1;
+            if (last >= 0 && typeof children[last] === "string") children[last] += str;
+            else children.push(str);
+        }
+
+        while (pos < text.length) {
+            var lt = text.indexOf("<", pos);
+            if (lt < 0) {
+                addText(decodeEntities(text.substring(pos)));
+                break;
+            }
+            if (lt > pos) addText(decodeEntities(text.substring(pos, lt)));
+
+            if (text.substr(lt, 4) === "<!--") {
+                pos = text.indexOf("-->", lt);
+                if (pos < 0) throw new Error("Unclosed XML comment");
+                pos += 3;
+            } else if (text.substr(lt, 9) === "<![CDATA[") {
+                var cdataEnd = text.indexOf("]]>", lt);
+                if (cdataEnd < 0) throw new Error("Unclosed CDATA section");
+                addText(text.substring(lt + 9, cdataEnd));
+                pos = cdataEnd + 3;
+            } else if (text.charAt(lt + 1) === "?" || text.charAt(lt + 1) === "!") {
+                pos = text.indexOf(">", lt);
+                if (pos < 0) throw new Error("Unclosed XML declaration");
+                pos += 1;
+            } else if (text.charAt(lt + 1) === "/") {
+                var closeEnd = text.indexOf(">", lt);
+                if (closeEnd < 0) throw new Error("Unclosed end tag");
+                var closeName = core.trim(text.substring(lt + 2, closeEnd));
+                if (stack.length < 2 || current().name !== closeName) {
+                    throw new Error("Unexpected </" + closeName + ">");
+                }
+                stack.pop();
+                pos = closeEnd + 1;
+            } else {
+                // Find the end of the tag, skipping '>' inside attribute values
+                var i = lt + 1;
+                var quote = null;
+                while (i < text.length) {
+                    var ch = text.charAt(i);
+                    if (quote) { if (ch === quote) quote = null; }
+                    else if (ch === "\"" || ch === "'") quote = ch;
+                    else if (ch === ">") break;
+                    i++;
+                }
+                if (i >= text.length) throw new Error("Unclosed start tag");
+
+                var body = text.substring(lt + 1, i);
+                var selfClosing = body.charAt(body.length - 1) === "/";
+                if (selfClosing) body = body.substring(0, body.length - 1);
+
+                var nameMatch = /^[^\s\/>]+/.exec(body);
+                var element = {
+                    name: nameMatch ? nameMatch[0] : "",
+                    attributes: parseAttributes(body.substring(nameMatch ? nameMatch[0].length : 0)),
+                    children: []
+                };
+                current().children.push(element);
+                if (!selfClosing) stack.push(element);
+                pos = i + 1;
+            }
+        }
+
+        if (stack.length > 1) throw new Error("Unclosed <" + current().name + ">");
+
+        for (var r = 0; r < root.children.length; r++) {
+            if (typeof root.children[r] !== "string") return root.children[r];
+        }
+        throw new Error("No XML root element");
+    }
+
+    // Child elements of `el` whose local name is `name` (all if omitted)
+    function xmlChildren(el, name) {
+        var out = [];
+        for (var i = 0; i < el.children.length; i++) {
+            var child = el.children[i];
+            if (typeof child === "string") continue;
+            if (!name || localName(child.name) === name) out.push(child);
+        }
+        return out;
+    }
+
+    function xmlChild(el, name) {
+        var list = xmlChildren(el, name);
+        return list.length > 0 ? list[0] : null;
+    }
+
+    // All descendants with local name `name`, document order
+    function xmlFind(el, name, out) {
+        out = out || [];
+        for (var i = 0; i < el.children.length; i++) {
+            var child = el.children[i];
+            if (typeof child === "string") continue;
+            if (localName(child.name) === name) out.push(child);
+            xmlFind(child, name, out);
+        }
+        return out;
+    }
+
+    // Attribute by local name, so "r:id" and "id" both work
+    function xmlAttr(el, name) {
+        if (el.attributes.hasOwnProperty(name)) return el.attributes[name];
+        for (var key in el.attributes) {
+            if (el.attributes.hasOwnProperty(key) && localName(key) === name) return el.attributes[key];
+        }
+        return null;
+    }
+
+    // Concatenated text content of `el` and its descendants
+    function xmlText(el) {
+        var out = "";
+        for (var i = 0; i < el.children.length; i++) {
+            var child = el.children[i];
+            out += (typeof child === "string") ? child : xmlText(child);
+        }
+        return out;
+    }
+
+    core.parseXML = parseXML;
+    core.escapeXML = escapeXML;
+    core.decodeXMLEntities = decodeEntities;
+    core.xmlLocalName = localName;
+    core.xmlChildren = xmlChildren;
+    core.xmlChild = xmlChild;
+    core.xmlFind = xmlFind;
+    core.xmlAttr = xmlAttr;
+    core.xmlText = xmlText;
+
+})(LocalizationCore);
+
+if (typeof module !== "undefined" && module.exports) module.exports = LocalizationCore;
+
+// ─── shared/spreadsheet-reader.js ───
+/**
+ * ============================================================
+ *  SPREADSHEET READER — XLSX, ODS, TSV, CSV and XLIFF input
+ *  for LocalizationCore. Pure JS: its own unzip + inflate.
+ * ============================================================
+ *
+ *  readSpreadsheet(input, fileName) → {
+ *      format: "csv" | "tsv" | "xlsx" | "ods" | "xliff",
+ *      sheets: [{ name, headers, rows, errors }]   // rows as in parseCSV
+ *  }
+ *
+ *  `input` is text for CSV/TSV/XLIFF and bytes for XLSX/ODS: any
+ *  array-like of 0–255 values (Uint8Array in Figma/Node, or
+ *  bytesFromBinaryString(file.read()) in ExtendScript).
+ *
+ *  mergeSheets() then maps each sheet to a master comp/frame.
+ *  ES3-compatible, see localization-core.js.
+ */
+
+var LocalizationCore = (typeof LocalizationCore !== "undefined")
+    ? LocalizationCore
+    : require("./localization-core.js");
+
+if (typeof LocalizationCore.parseXML === "undefined" && typeof require === "function") require("./xml.js");
+if (typeof LocalizationCore.readXLIFF === "undefined" && typeof require === "function") require("./xliff.js");
+
+(function (core) {
+
+    // ─── BYTES ──────────────────────────────────────────────
+
+    // ExtendScript reads binary files (encoding "BINARY") as a
+    // string with one char per byte.
+    function bytesFromBinaryString(str) {
+        var bytes = [];
+        for (var i = 0; i < str.length; i++) bytes.push(str.charCodeAt(i) & 0xFF);
+        return bytes;
+    }
+
+    function decodeUTF8(bytes, start, end) {
+        start = start || 0;
+        end = (end === undefined) ? bytes.length : end;
+        if (end - start >= 3 && bytes[start] === 0xEF && bytes[start + 1] === 0xBB && bytes[start + 2] === 0xBF) start += 3;
+
+        var parts = [];
+        var chunk = "";
+        for (var i = start; i < end; i++) {
+            var b = bytes[i];
+            var code;
+            if (b < 0x80) {
+                code = b;
+            } else if (b >= 0xC0 && b < 0xE0) {
+                code = ((b & 0x1F) << 6) | (bytes[++i] & 0x3F);
+            } else if (b >= 0xE0 && b < 0xF0) {
+                code = ((b & 0x0F) << 12) | ((bytes[++i] & 0x3F) << 6) | (bytes[++i] & 0x3F);
+            } else if (b >= 0xF0) {
+                code = ((b & 0x07) << 18) | ((bytes[++i] & 0x3F) << 12) | ((bytes[++i] & 0x3F) << 6) | (bytes[++i] & 0x3F);
+            } else {
+                code = 0xFFFD;
+            }
+
+            if (code > 0xFFFF) {
+                code -= 0x10000;
+                chunk += String.fromCharCode(0xD800 + (code >> 10), 0xDC00 + (code & 0x3FF));
+            } else {
+                chunk += String.fromCharCode(code);
+            }
+
+            // Keep string concatenation cheap on large sheets
+            if (chunk.length > 8192) { parts.push(chunk); chunk = ""; }
+        }
+        parts.push(chunk);
+        return parts.join("");
+    }
+
+    function readUInt16(bytes, pos) {
+        return bytes[pos] | (bytes[pos + 1] << 8);
+    }
+
+    function readUInt32(bytes, pos) {
+        return (bytes[pos] | (bytes[pos + 1] << 8) | (bytes[pos + 2] << 16)) + bytes[pos + 3] * 0x1000000;
+    }
+
+    // ─── INFLATE (RFC 1951) ─────────────────────────────────
+
+    var LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+        35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+    var LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+        3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+    var DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+        257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+    var DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+        7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+    var CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+    // Canonical Huffman table: counts per code length + symbols in code order
+    function buildHuffman(lengths) {
+        var count = [];
+        var offsets = [];
+        var symbol = [];
+        var len;
+        for (len = 0; len <= 15; len++) count[len] = 0;
+        for (var s = 0; s < lengths.length; s++) count[lengths[s]]++;
+        offsets[1] = 0;
+        for (len = 1; len < 15; len++) offsets[len + 1] = offsets[len] + count[len];
+        for (var t = 0; t < lengths.length; t++) {
+            if (lengths[t] !== 0) symbol[offsets[lengths[t]]++] = t;
+        }
+        return { count: count, symbol: symbol };
+    }
+
+    var FIXED_TABLES = null;
+
+    function fixedTables() {
+        if (FIXED_TABLES) return FIXED_TABLES;
+        var lit = [];
+        var i;
+        for (i = 0; i < 144; i++) lit.push(8);
+        for (; i < 256; i++) lit.push(9);
+        for (; i < 280; i++) lit.push(7);
+        for (; i < 288; i++) lit.push(8);
+        var dist = [];
+        for (i = 0; i < 30; i++) dist.push(5);
+        FIXED_TABLES = { lit: buildHuffman(lit), dist: buildHuffman(dist) };
+        return FIXED_TABLES;
+    }
+
+    // Raw DEFLATE stream (as stored in zip entries) → byte array
+    function inflateRaw(data, start, end) {
+        var pos = start || 0;
+        var limit = (end === undefined) ? data.length : end;
+        var bitBuf = 0;
+        var bitCount = 0;
+        var out = [];
+
+        function bits(n) {
+            while (bitCount < n) {
+                if (pos >= limit) throw new Error("Unexpected end of compressed data");
+                bitBuf |= data[pos++] << bitCount;
+                bitCount += 8;
+            }
+            var value = bitBuf & ((1 << n) - 1);
+            bitBuf >>>= n;
+            bitCount -= n;
+            return value;
+        }
+
+        function decode(table) {
+            var code = 0, first = 0, index = 0;
+            for (var len = 1; len <= 15; len++) {
+                code |= bits(1);
+                var count = table.count[len];
+                if (code - count < first) return table.symbol[index + (code - first)];
+                index += count;
+                first += count;
+                first <<= 1;
+                code <<= 1;
+            }
+            throw new Error("Invalid Huffman code in compressed data");
+        }
+
+        function inflateBlock(lit, dist) {
+            for (;;) {
+                var sym = decode(lit);
+                if (sym < 256) {
+                    out.push(sym);
+                } else if (sym === 256) {
+                    return;
+                } else {
+                    sym -= 257;
+                    if (sym >= 29) throw new Error("Invalid length code in compressed data");
+                    var length = LENGTH_BASE[sym] + bits(LENGTH_EXTRA[sym]);
+                    var dsym = decode(dist);
+                    var distance = DIST_BASE[dsym] + bits(DIST_EXTRA[dsym]);
+                    if (distance > out.length) throw new Error("Invalid distance in compressed data");
+                    var from = out.length - distance;
+                    for (var k = 0; k < length; k++) out.push(out[from + k]);
+                }
+            }
+        }
+
+        function dynamicTables() {
+            var nlen = bits(5) + 257;
+            var ndist = bits(5) + 1;
+            var ncode = bits(4) + 4;
+            var lengths = [];
+            var i;
+            for (i = 0; i < 19; i++) lengths[i] = 0;
+            for (i = 0; i < ncode; i++) lengths[CODE_LENGTH_ORDER[i]] = bits(3);
+            var codeTable = buildHuffman(lengths);
+
+            lengths = [];
+            while (lengths.length < nlen + ndist) {
+                var sym = decode(codeTable);
+                if (sym < 16) {
+                    lengths.push(sym);
+                } else {
+                    var repeat, value = 0;
+                    if (sym === 16) {
+                        if (lengths.length === 0) throw new Error("Invalid code lengths in compressed data");
+                        value = lengths[lengths.length - 1];
+                        repeat = 3 + bits(2);
+                    } else if (sym === 17) {
+                        repeat = 3 + bits(3);
+                    } else {
+                        repeat = 11 + bits(7);
+                    }
+                    while (repeat--) lengths.push(value);
+                }
+            }
+            return {
+                lit: buildHuffman(lengths.slice(0, nlen)),
+                dist: buildHuffman(lengths.slice(nlen, nlen + ndist))
+            };
+        }
+
+        var last = 0;
+        while (!last) {
+            last = bits(1);
+            var type = bits(2);
+            if (type === 0) {
+                bitBuf = 0;
+                bitCount = 0;
+                if (pos + 4 > limit) throw new Error("Unexpected end of compressed data");
+                var len = readUInt16(data, pos);
+                pos += 4;
+                if (pos + len > limit) throw new Error("Unexpected end of compressed data");
+                for (var c = 0; c < len; c++) out.push(data[pos++]);
+            } else if (type === 1) {
+                var fixed = fixedTables();
+                inflateBlock(fixed.lit, fixed.dist);
+            } else if (type === 2) {
+                var tables = dynamicTables();
+                inflateBlock(tables.lit, tables.dist);
+            } else {
+                throw new Error("Invalid block type in compressed data");
+            }
+        }
+
+        return out;
+    }
+
+    // ─── UNZIP ──────────────────────────────────────────────
+
+    // Returns { "path/in/zip": { method, offset, compressedSize } }
+    function readZipDirectory(bytes) {
+        var eocd = -1;
+        var minPos = Math.max(0, bytes.length - 22 - 0xFFFF);
+        for (var p = bytes.length - 22; p >= minPos; p--) {
+            if (readUInt32(bytes, p) === 0x06054B50) { eocd = p; break; }
+        }
+        if (eocd < 0) throw new Error("Not a zip file (XLSX and ODS files are zip archives)");
+
+        var entryCount = readUInt16(bytes, eocd + 10);
+        var pos = readUInt32(bytes, eocd + 16);
+        var entries = {};
+
+        for (var i = 0; i < entryCount; i++) {
+            if (readUInt32(bytes, pos) !== 0x02014B50) throw new Error("Corrupt zip directory");
+            var method = readUInt16(bytes, pos + 10);
+            var compressedSize = readUInt32(bytes, pos + 20);
+            var nameLength = readUInt16(bytes, pos + 28);
+            var extraLength = readUInt16(bytes, pos + 30);
+            var commentLength = readUInt16(bytes, pos + 32);
+            var localOffset = readUInt32(bytes, pos + 42);
+            var name = decodeUTF8(bytes, pos + 46, pos + 46 + nameLength);
+
+            entries[name] = { method: method, offset: localOffset, compressedSize: compressedSize };
+            pos += 46 + nameLength + extraLength + commentLength;
+        }
+        return entries;
+    }
+
+    function readZipEntry(bytes, entry) {
+        var pos = entry.offset;
+        if (readUInt32(bytes, pos) !== 0x04034B50) throw new Error("Corrupt zip entry");
+        var start = pos + 30 + readUInt16(bytes, pos + 26) + readUInt16(bytes, pos + 28);
+        var end = start + entry.compressedSize;
+
+        if (entry.method === 0) {
+            var stored = [];
+            for (var i = start; i < end; i++) stored.push(bytes[i]);
+            return stored;
+        }
+        if (entry.method === 8) return inflateRaw(bytes, start, end);
+        throw new Error("Unsupported zip compression method " + entry.method);
+    }
+
+    // Opens a zip once; file(path) returns the entry as text (or null)
+    function openZip(bytes) {
+        var entries = readZipDirectory(bytes);
+        return {
+            entries: entries,
+            has: function (path) { return entries.hasOwnProperty(path); },
+            bytes: function (path) {
+                return entries.hasOwnProperty(path) ? readZipEntry(bytes, entries[path]) : null;
+            },
+            text: function (path) {
+                return entries.hasOwnProperty(path) ? decodeUTF8(readZipEntry(bytes, entries[path])) : null;
+            }
+        };
+    }
+
+    // ─── TABLE → ROWS ───────────────────────────────────────
+
+    // First non-empty row is the header, like parseCSV.
+    // `table` is [[cell, ...], ...]; row numbers start at 1.
+    function tableToData(table) {
+        var headers = null;
+        var rows = [];
+
+        for (var r = 0; r < table.length; r++) {
+            var cells = table[r] || [];
+            var empty = true;
+            for (var e = 0; e < cells.length; e++) {
+                if (cells[e] !== undefined && cells[e] !== null && core.trim(cells[e]) !== "") { empty = false; break; }
+            }
+            if (empty) continue;
+
+            if (!headers) {
+                headers = [];
+                for (var h = 0; h < cells.length; h++) headers.push(core.trim(cells[h] || ""));
+                while (headers.length > 0 && headers[headers.length - 1] === "") headers.pop();
+                continue;
+            }
+
+            var row = {};
+            for (var c = 0; c < headers.length; c++) {
+                var value = (c < cells.length && cells[c] !== undefined && cells[c] !== null) ? String(cells[c]) : "";
+                row[headers[c]] = value;
+            }
+            row.__line = r + 1;
+            rows.push(row);
+        }
+
+        return { headers: headers || [], rows: rows, errors: [] };
+    }
+
+    // ─── XLSX ───────────────────────────────────────────────
+
+    // "AB12" → 27 (zero-based column index)
+    function columnIndex(ref) {
+        var letters = /^[A-Za-z]+/.exec(ref);
+        if (!letters) return -1;
+        var index = 0;
+        var s = letters[0].toUpperCase();
+        for (var i = 0; i < s.length; i++) index = index * 26 + (s.charCodeAt(i) - 64);
+        return index - 1;
+    }
+
+    function resolveZipPath(base, target) {
+        if (target.charAt(0) === "/") return target.substring(1);
+        var parts = base.split("/");
+        parts.pop();
+        var segments = target.split("/");
+        for (var i = 0; i < segments.length; i++) {
+            if (segments[i] === "..") parts.pop();
+            else if (segments[i] !== ".") parts.push(segments[i]);
+        }
+        return parts.join("/");
+    }
+
+    // Shared-string / inline-string text, skipping phonetic runs
+    function richText(el) {
+        var out = "";
+        for (var i = 0; i < el.children.length; i++) {
+            var child = el.children[i];
+            if (typeof child === "string") continue;
+            var name = core.xmlLocalName(child.name);
+            if (name === "t") out += core.xmlText(child);
+            else if (name === "r") out += richText(child);
+        }
+        return out;
+    }
+
+    function readXLSX(bytes) {
+        var zip = openZip(bytes);
+        var workbookPath = "xl/workbook.xml";
+        if (!zip.has(workbookPath)) throw new Error("Not an XLSX workbook (xl/workbook.xml missing)");
+
+        var rels = {};
+        var relsText = zip.text("xl/_rels/workbook.xml.rels");
+        if (relsText) {
+            var relList = core.xmlFind(core.parseXML(relsText), "Relationship");
+            for (var r = 0; r < relList.length; r++) {
+                rels[core.xmlAttr(relList[r], "Id")] = resolveZipPath(workbookPath, core.xmlAttr(relList[r], "Target"));
+            }
+        }
+
+        var shared = [];
+        if (zip.has("xl/sharedStrings.xml")) {
+            var siList = core.xmlFind(core.parseXML(zip.text("xl/sharedStrings.xml")), "si");
+            for (var s = 0; s < siList.length; s++) shared.push(richText(siList[s]));
+        }
+
+        var sheets = [];
+        var sheetList = core.xmlFind(core.parseXML(zip.text(workbookPath)), "sheet");
+        for (var i = 0; i < sheetList.length; i++) {
+            var name = core.xmlAttr(sheetList[i], "name");
+            var path = rels[core.xmlAttr(sheetList[i], "id")] || ("xl/worksheets/sheet" + (i + 1) + ".xml");
+            var sheetText = zip.text(path);
+            if (sheetText === null) continue;
+
+            var data = tableToData(readXLSXSheet(core.parseXML(sheetText), shared));
+            data.name = name;
+            sheets.push(data);
+        }
+        return sheets;
+    }
+
+    function readXLSXSheet(sheetXml, shared) {
+        var table = [];
+        var rowEls = core.xmlFind(sheetXml, "row");
+        for (var r = 0; r < rowEls.length; r++) {
+            var rowNumber = parseInt(core.xmlAttr(rowEls[r], "r"), 10) || (table.length + 1);
+            var cells = [];
+            var cellEls = core.xmlChildren(rowEls[r], "c");
+            for (var c = 0; c < cellEls.length; c++) {
+                var cell = cellEls[c];
+                var ref = core.xmlAttr(cell, "r");
+                var col = ref ? columnIndex(ref) : cells.length;
+                var type = core.xmlAttr(cell, "t") || "n";
+                var v = core.xmlChild(cell, "v");
+                var value = "";
+
+                if (type === "s") value = v ? (shared[parseInt(core.xmlText(v), 10)] || "") : "";
+                else if (type === "inlineStr") value = core.xmlChild(cell, "is") ? richText(core.xmlChild(cell, "is")) : "";
+                else if (type === "b") value = (v && core.xmlText(v) === "1") ? "TRUE" : "FALSE";
+                else value = v ? core.xmlText(v) : "";
+
+                while (cells.length < col) cells.push("");
+                cells[col] = value;
+            }
+            table[rowNumber - 1] = cells;
+        }
+        for (var t = 0; t < table.length; t++) if (!table[t]) table[t] = [];
+        return table;
+    }
+
+    // ─── ODS ────────────────────────────────────────────────
+
+    // Text of a <text:p>, honouring <text:s>, <text:tab>, <text:line-break>
+    function odsParagraphText(el) {
+        var out = "";
+        for (var i = 0; i < el.children.length; i++) {
+            var child = el.children[i];
+            if (typeof child === "string") { out += child; continue; }
+            var name = core.xmlLocalName(child.name);
+            if (name === "s") {
+                var n = parseInt(core.xmlAttr(child, "c"), 10) || 1;
+                while (n--) out += " ";
+            } else if (name === "tab") {
+                out += "\t";
+            } else if (name === "line-break") {
+                out += "\n";
+            } else if (name !== "annotation") {
+                out += odsParagraphText(child);
+            }
+        }
+        return out;
+    }
+
+    function odsCellText(cell) {
+        var paragraphs = core.xmlChildren(cell, "p");
+        if (paragraphs.length === 0) {
+            // Numbers/dates without a text rendering
+            return core.xmlAttr(cell, "value") || core.xmlAttr(cell, "date-value") || "";
+        }
+        var lines = [];
+        for (var i = 0; i < paragraphs.length; i++) lines.push(odsParagraphText(paragraphs[i]));
+        return lines.join("\n");
+    }
+
+    // Trailing empty cells/rows are often "repeated" a million
+    // times in ODS, so repeats are only expanded before content.
+    function readODS(bytes) {
+        var zip = openZip(bytes);
+        if (!zip.has("content.xml")) throw new Error("Not an ODS spreadsheet (content.xml missing)");
+
+        var sheets = [];
+        var tables = core.xmlFind(core.parseXML(zip.text("content.xml")), "table");
+        for (var t = 0; t < tables.length; t++) {
+            var table = [];
+            var pendingRows = 0;
+            var rowEls = core.xmlFind(tables[t], "table-row");
+
+            for (var r = 0; r < rowEls.length; r++) {
+                var rowRepeat = parseInt(core.xmlAttr(rowEls[r], "number-rows-repeated"), 10) || 1;
+                var cells = [];
+                var pendingCells = 0;
+                var cellEls = core.xmlChildren(rowEls[r]);
+
+                for (var c = 0; c < cellEls.length; c++) {
+                    var cellName = core.xmlLocalName(cellEls[c].name);
+                    if (cellName !== "table-cell" && cellName !== "covered-table-cell") continue;
+                    var cellRepeat = parseInt(core.xmlAttr(cellEls[c], "number-columns-repeated"), 10) || 1;
+                    var text = odsCellText(cellEls[c]);
+                    if (text === "") { pendingCells += cellRepeat; continue; }
+                    while (pendingCells > 0) { cells.push(""); pendingCells--; }
+                    while (cellRepeat--) cells.push(text);
+                }
+
+                if (cells.length === 0) { pendingRows += rowRepeat; continue; }
+                while (pendingRows > 0) { table.push([]); pendingRows--; }
+                while (rowRepeat--) table.push(cells);
+            }
+
+            var data = tableToData(table);
+            data.name = core.xmlAttr(tables[t], "name") || ("Sheet" + (t + 1));
+            sheets.push(data);
+        }
+        return sheets;
+    }
+
+    // ─── ENTRY POINT ────────────────────────────────────────
+
+    var FORMATS = {
+        csv: "csv", txt: "csv", tsv: "tsv", tab: "tsv",
+        xlsx: "xlsx", ods: "ods", xlf: "xliff", xliff: "xliff"
+    };
+
+    function spreadsheetFormat(fileName) {
+        var m = /\.([A-Za-z0-9]+)$/.exec(fileName || "");
+        var ext = m ? m[1].toLowerCase() : "";
+        return FORMATS.hasOwnProperty(ext) ? FORMATS[ext] : null;
+    }
+
+    function baseName(fileName) {
+        return String(fileName || "Sheet1").replace(/^.*[\/\\]/, "").replace(/\.[^.]*$/, "");
+    }
+
+    function readSpreadsheet(input, fileName) {
+        var format = spreadsheetFormat(fileName);
+        if (!format) throw new Error("Unsupported file type: " + fileName + " (use .csv, .tsv, .xlsx, .ods or .xlf)");
+
+        if (format === "xlsx") return { format: format, sheets: readXLSX(input) };
+        if (format === "ods") return { format: format, sheets: readODS(input) };
+
+        var text = (typeof input === "string" || typeof input === "function") ? input : decodeUTF8(input);
+        if (format === "xliff") {
+            if (typeof text === "function") {
+                var parts = [];
+                var chunk = text();
+                while (chunk !== null && chunk !== undefined) { parts.push(chunk); chunk = text(); }
+                text = parts.join("");
+            }
+            return core.readXLIFF([text], baseName(fileName));
+        }
+
+        var data = core.parseCSV(text, format === "tsv" ? { delimiter: "\t" } : {});
+        data.name = baseName(fileName);
+        return { format: format, sheets: [data] };
+    }
+
+    // Combines sheets into one parseCSV-shaped table.
+    // mapping: { sheetName: target } — target fills options.targetColumn
+    //   for rows that leave it empty; "" or a missing key skips the sheet
+    //   unless the sheet has its own targetColumn.
+    // Rows get __sheet so issues can say where they came from.
+    function mergeSheets(sheets, mapping, options) {
+        options = options || {};
+        var targetColumn = options.targetColumn || null;
+        var headers = [];
+        var rows = [];
+        var errors = [];
+        var seen = {};
+
+        function addHeader(h) {
+            if (h !== "" && !seen.hasOwnProperty(h)) { seen[h] = true; headers.push(h); }
+        }
+
+        if (targetColumn) addHeader(targetColumn);
+
+        for (var s = 0; s < sheets.length; s++) {
+            var sheet = sheets[s];
+            var target = (mapping && mapping.hasOwnProperty(sheet.name)) ? mapping[sheet.name] : "";
+            var ownTarget = targetColumn && core.contains(sheet.headers, targetColumn);
+            if (!target && !ownTarget) continue;
+
+            for (var h = 0; h < sheet.headers.length; h++) addHeader(sheet.headers[h]);
+            for (var e = 0; e < sheet.errors.length; e++) {
+                var err = sheet.errors[e];
+                errors.push({ line: err.line, column: err.column, message: "[" + sheet.name + "] " + err.message });
+            }
+            for (var r = 0; r < sheet.rows.length; r++) {
+                var row = sheet.rows[r];
+                if (targetColumn && !row[targetColumn] && target) row[targetColumn] = target;
+                row.__sheet = sheet.name;
+                rows.push(row);
+            }
+        }
+
+        for (var i = 0; i < rows.length; i++) {
+            for (var k = 0; k < headers.length; k++) {
+                if (!rows[i].hasOwnProperty(headers[k])) rows[i][headers[k]] = "";
+            }
+        }
+
+        return { headers: headers, rows: rows, errors: errors };
+    }
+
+    core.bytesFromBinaryString = bytesFromBinaryString;
+    core.decodeUTF8 = decodeUTF8;
+    core.inflateRaw = inflateRaw;
+    core.openZip = openZip;
+    core.spreadsheetFormat = spreadsheetFormat;
+    core.readSpreadsheet = readSpreadsheet;
+    core.mergeSheets = mergeSheets;
+
+})(LocalizationCore);
+
+if (typeof module !== "undefined" && module.exports) module.exports = LocalizationCore;
+
+// ─── shared/xliff.js ───
+/**
+ * ============================================================
+ *  XLIFF — 1.2 and 2.0 export/import for LocalizationCore
+ * ============================================================
+ *
+ *  Export: buildXLIFF(units, options) with one unit per text
+ *  layer, id = layer path inside the master ("Sub_Comp_A/Headline").
+ *  Import: readXLIFF(texts) turns one or more translated files
+ *  (usually one per target language) into a parseCSV-shaped table
+ *  with comp_name = <file original> and layer_name = the unit's
+ *  layer path, so it drops in where a CSV would and same-named
+ *  layers in different sub-comps stay apart.
+ *
+ *  ES3-compatible, see localization-core.js.
+ */
+
+var LocalizationCore = (typeof LocalizationCore !== "undefined")
+    ? LocalizationCore
+    : require("./localization-core.js");
+
+if (typeof LocalizationCore.parseXML === "undefined" && typeof require === "function") require("./xml.js");
+
+(function (core) {
+
+    var NS_12 = "urn:oasis:names:tc:xliff:document:1.2";
+    var NS_20 = "urn:oasis:names:tc:xliff:document:2.0";
+
+    // ─── PATH IDS ───────────────────────────────────────────
+
+    // Layer path segments joined with "/"; "/", "*" and "?" inside a
+    // name are escaped ("\/") so the path can be split back reliably
+    // and reads as a literal layer_name path (see parseLayerPattern).
+    function joinLayerPath(segments) {
+        var parts = [];
+        for (var i = 0; i < segments.length; i++) {
+            parts.push(String(segments[i]).replace(/[\\\/*?]/g, "\\$&"));
+        }
+        return parts.join("/");
+    }
+
+    function splitLayerPath(path) {
+        var segments = [];
+        var current = "";
+        for (var i = 0; i < path.length; i++) {
+            var ch = path.charAt(i);
+            if (ch === "\\" && i + 1 < path.length) {
+                current += path.charAt(++i);
+            } else if (ch === "/") {
+                segments.push(current);
+                current = "";
+            } else {
+                current += ch;
+            }
+        }
+        segments.push(current);
+        return segments;
+    }
+
+    // XLIFF 2.0 ids are NMTOKENs (no "/" or spaces); the exact path
+    // goes into the unit's name attribute instead.
+    function nmtoken(str) {
+        return String(str).replace(/[^A-Za-z0-9._:\-]/g, "_");
+    }
+
+    // ─── EXPORT ─────────────────────────────────────────────
+
+    // units:   [{ file, id, source, target?, note? }]
+    //          file = master comp/frame name, id = layer path
+    // options: { version: "1.2" | "2.0", sourceLanguage, targetLanguage? }
+    function buildXLIFF(units, options) {
+        options = options || {};
+        var version = options.version === "2.0" ? "2.0" : "1.2";
+        var src = options.sourceLanguage || "en-US";
+        var trg = options.targetLanguage || "";
+        var esc = core.escapeXML;
+
+        // Group by file, keeping first-seen order
+        var files = [];
+        var byFile = {};
+        for (var u = 0; u < units.length; u++) {
+            var fileName = units[u].file || "master";
+            if (!byFile.hasOwnProperty(fileName)) {
+                byFile[fileName] = [];
+                files.push(fileName);
+            }
+            byFile[fileName].push(units[u]);
+        }
+
+        var out = ['<?xml version="1.0" encoding="UTF-8"?>'];
+
+        if (version === "1.2") {
+            out.push('<xliff version="1.2" xmlns="' + NS_12 + '">');
+            for (var f = 0; f < files.length; f++) {
+                out.push('  <file original="' + esc(files[f]) + '" source-language="' + esc(src) + '"' +
+                    (trg ? ' target-language="' + esc(trg) + '"' : "") + ' datatype="plaintext">');
+                out.push("    <body>");
+                var list = byFile[files[f]];
+                for (var i = 0; i < list.length; i++) {
+                    var segments = splitLayerPath(list[i].id);
+                    out.push('      <trans-unit id="' + esc(list[i].id) + '" resname="' + esc(segments[segments.length - 1]) + '" xml:space="preserve">');
+                    out.push("        <source>" + esc(list[i].source) + "</source>");
+                    if (trg) {
+                        var target = list[i].target || "";
+                        out.push('        <target state="' + (target ? "translated" : "needs-translation") + '">' + esc(target) + "</target>");
+                    }
+                    if (list[i].note) out.push("        <note>" + esc(list[i].note) + "</note>");
+                    out.push("      </trans-unit>");
+                }
+                out.push("    </body>");
+                out.push("  </file>");
+            }
+        } else {
+            out.push('<xliff version="2.0" xmlns="' + NS_20 + '" srcLang="' + esc(src) + '"' +
+                (trg ? ' trgLang="' + esc(trg) + '"' : "") + ">");
+            for (var g = 0; g < files.length; g++) {
+                out.push('  <file id="f' + (g + 1) + '" original="' + esc(files[g]) + '">');
+                var units20 = byFile[files[g]];
+                var usedIds = {};
+                for (var k = 0; k < units20.length; k++) {
+                    var id = nmtoken(units20[k].id);
+                    var n = 2;
+                    while (usedIds[id]) id = nmtoken(units20[k].id) + "_" + (n++);
+                    usedIds[id] = true;
+
+                    out.push('    <unit id="' + esc(id) + '" name="' + esc(units20[k].id) + '">');
+                    if (units20[k].note) out.push("      <notes><note>" + esc(units20[k].note) + "</note></notes>");
+                    out.push('      <segment' + (trg ? ' state="' + (units20[k].target ? "translated" : "initial") + '"' : "") + ">");
+                    out.push('        <source xml:space="preserve">' + esc(units20[k].source) + "</source>");
+                    if (trg) out.push('        <target xml:space="preserve">' + esc(units20[k].target || "") + "</target>");
+                    out.push("      </segment>");
+                    out.push("    </unit>");
+                }
+                out.push("  </file>");
+            }
+        }
+
+        out.push("</xliff>");
+        return out.join("\n") + "\n";
+    }
+
+    // ─── IMPORT ─────────────────────────────────────────────
+
+    // Text of <source>/<target>; inline codes (<x/>, <ph/>, <g>, <pc>)
+    // are flattened to their text content.
+    function segmentText(el) {
+        return el ? core.xmlText(el) : "";
+    }
+
+    // Returns { version, sourceLanguage, targetLanguage,
+    //           units: [{ file, id, source, target, line }] }
+    function parseXLIFF(text) {
+        var root = core.parseXML(text);
+        if (core.xmlLocalName(root.name) !== "xliff") throw new Error("Not an XLIFF file (root element is <" + root.name + ">)");
+
+        var version = core.xmlAttr(root, "version") || "1.2";
+        var doc = {
+            version: version,
+            sourceLanguage: core.xmlAttr(root, "srcLang") || "",
+            targetLanguage: core.xmlAttr(root, "trgLang") || "",
+            units: []
+        };
+
+        var files = core.xmlChildren(root, "file");
+        for (var f = 0; f < files.length; f++) {
+            var fileName = core.xmlAttr(files[f], "original") || core.xmlAttr(files[f], "id") || ("file" + (f + 1));
+
+            if (version.charAt(0) === "1") {
+                if (!doc.sourceLanguage) doc.sourceLanguage = core.xmlAttr(files[f], "source-language") || "";
+                if (!doc.targetLanguage) doc.targetLanguage = core.xmlAttr(files[f], "target-language") || "";
+
+                var transUnits = core.xmlFind(files[f], "trans-unit");
+                for (var t = 0; t < transUnits.length; t++) {
+                    doc.units.push({
+                        file: fileName,
+                        id: core.xmlAttr(transUnits[t], "id") || core.xmlAttr(transUnits[t], "resname") || "",
+                        source: segmentText(core.xmlChild(transUnits[t], "source")),
+                        target: segmentText(core.xmlChild(transUnits[t], "target")),
+                        line: doc.units.length + 1
+                    });
+                }
+            } else {
+                var units = core.xmlFind(files[f], "unit");
+                for (var u = 0; u < units.length; u++) {
+                    // A unit may hold several segments; they are concatenated
+                    var source = "";
+                    var target = "";
+                    var parts = core.xmlChildren(units[u]);
+                    for (var p = 0; p < parts.length; p++) {
+                        var partName = core.xmlLocalName(parts[p].name);
+                        if (partName !== "segment" && partName !== "ignorable") continue;
+                        source += segmentText(core.xmlChild(parts[p], "source"));
+                        target += segmentText(core.xmlChild(parts[p], "target"));
+                    }
+                    doc.units.push({
+                        file: fileName,
+                        id: core.xmlAttr(units[u], "name") || core.xmlAttr(units[u], "id") || "",
+                        source: source,
+                        target: target,
+                        line: doc.units.length + 1
+                    });
+                }
+            }
+        }
+
+        return doc;
+    }
+
+    // One or more XLIFF documents (text) → { format: "xliff", sheets: [data] }
+    // with columns comp_name, layer_name, type, <source>, <target>...
+    // Files for the same source language merge on file + unit id.
+    function readXLIFF(texts, name) {
+        if (typeof texts === "string") texts = [texts];
+
+        var headers = ["comp_name", "layer_name", "type"];
+        var rows = [];
+        var byKey = {};
+        var errors = [];
+
+        for (var i = 0; i < texts.length; i++) {
+            var doc = parseXLIFF(texts[i]);
+            var src = doc.sourceLanguage || "source";
+            var trg = doc.targetLanguage;
+
+            if (!core.contains(headers, src)) headers.push(src);
+            if (trg && !core.contains(headers, trg)) headers.push(trg);
+            if (!trg) {
+                errors.push({ line: 0, column: 0, message: "XLIFF file " + (i + 1) + " has no target language" });
+            }
+
+            for (var u = 0; u < doc.units.length; u++) {
+                var unit = doc.units[u];
+                var key = unit.file + "\u0000" + unit.id;
+                var row = byKey[key];
+                if (!row) {
+                    row = {
+                        comp_name: unit.file,
+                        layer_name: unit.id,
+                        type: "text",
+                        __line: rows.length + 1
+                    };
+                    byKey[key] = row;
+                    rows.push(row);
+                }
+                row[src] = unit.source;
+                if (trg) row[trg] = unit.target;
+            }
+        }
+
+        for (var r = 0; r < rows.length; r++) {
+            for (var h = 0; h < headers.length; h++) {
+                if (!rows[r].hasOwnProperty(headers[h])) rows[r][headers[h]] = "";
+            }
+        }
+
+        return {
+            format: "xliff",
+            sheets: [{ name: name || "XLIFF", headers: headers, rows: rows, errors: errors }]
+        };
+    }
+
+    core.joinLayerPath = joinLayerPath;
+    core.splitLayerPath = splitLayerPath;
+    core.buildXLIFF = buildXLIFF;
+    core.parseXLIFF = parseXLIFF;
+    core.readXLIFF = readXLIFF;
+
+})(LocalizationCore);
+
+if (typeof module !== "undefined" && module.exports) module.exports = LocalizationCore;
+
+// ─── shared/fonts.js ───
+/**
+ * ============================================================
+ *  FONTS — per-language font fallbacks for LocalizationCore
+ * ============================================================
+ *
+ *  Latin master fonts have no glyphs for zh-TW, ja-JP, ar-SA...
+ *  chooseFont() looks at the scripts a translation uses, keeps
+ *  the master font when it covers them and otherwise picks the
+ *  substitute from a font map, reporting characters no font in
+ *  play covers.
+ *
+ *  FONT MAP (per language, then per source family/style):
+ *
+ *    {
+ *      "zh-TW": { "*": { family: "Noto Sans TC" } },
+ *      "ja":    { "Inter/Bold": { family: "Noto Sans JP", style: "Bold" },
+ *                 "*":          { family: "Noto Sans JP" } }
+ *    }
+ *
+ *  A language key matches exactly or by primary subtag ("ja" →
+ *  ja-JP). Inside it "Family/Style" beats "Family" beats "*". A
+ *  substitute without a style keeps the master's style; AE needs
+ *  a PostScript name, built from family + style unless the entry
+ *  has its own postScriptName.
+ *
+ *  Coverage is a declared table (family → scripts), not read from
+ *  font files; families it doesn't list are taken as Latin-only.
+ *
+ *  ES3-compatible, see localization-core.js.
+ */
+
+var LocalizationCore = (typeof LocalizationCore !== "undefined")
+    ? LocalizationCore
+    : require("./localization-core.js");
+
+(function (core) {
+
+    // ─── SCRIPTS ────────────────────────────────────────────
+
+    // [first, last, script]; anything else (digits, punctuation,
+    // spaces, emoji) is "Common" and never reported.
+    var SCRIPT_RANGES = [
+        [0x0041, 0x005A, "Latin"], [0x0061, 0x007A, "Latin"],
+        [0x00C0, 0x024F, "Latin"], [0x1E00, 0x1EFF, "Latin"],
+        [0x0370, 0x03FF, "Greek"], [0x1F00, 0x1FFF, "Greek"],
+        [0x0400, 0x052F, "Cyrillic"],
+        [0x0530, 0x058F, "Armenian"],
+        [0x0590, 0x05FF, "Hebrew"], [0xFB1D, 0xFB4F, "Hebrew"],
+        [0x0600, 0x06FF, "Arabic"], [0x0750, 0x077F, "Arabic"], [0x08A0, 0x08FF, "Arabic"],
+        [0xFB50, 0xFDFF, "Arabic"], [0xFE70, 0xFEFF, "Arabic"],
+        [0x0900, 0x097F, "Devanagari"],
+        [0x0980, 0x09FF, "Bengali"],
+        [0x0E00, 0x0E7F, "Thai"],
+        [0x0E80, 0x0EFF, "Lao"],
+        [0x10A0, 0x10FF, "Georgian"],
+        [0x1100, 0x11FF, "Hangul"], [0x3130, 0x318F, "Hangul"], [0xAC00, 0xD7AF, "Hangul"],
+        [0x3040, 0x309F, "Hiragana"],
+        [0x30A0, 0x30FF, "Katakana"], [0x31F0, 0x31FF, "Katakana"], [0xFF65, 0xFF9F, "Katakana"],
+        [0x3100, 0x312F, "Bopomofo"],
+        // CJK punctuation and full-width forms only come with CJK fonts
+        [0x2E80, 0x2FDF, "Han"], [0x3000, 0x303F, "Han"], [0x3400, 0x4DBF, "Han"],
+        [0x4E00, 0x9FFF, "Han"], [0xF900, 0xFAFF, "Han"], [0xFF00, 0xFF64, "Han"],
+        [0x20000, 0x3134F, "Han"]
+    ];
+
+    function scriptOf(code) {
+        for (var i = 0; i < SCRIPT_RANGES.length; i++) {
+            if (code >= SCRIPT_RANGES[i][0] && code <= SCRIPT_RANGES[i][1]) return SCRIPT_RANGES[i][2];
+        }
+        return "Common";
+    }
+
+    // { script: "unique chars" } for every non-Common script in text
+    function textScripts(text) {
+        var scripts = {};
+        text = String(text);
+        for (var i = 0; i < text.length; i++) {
+            var ch = text.charAt(i);
+            var code = text.charCodeAt(i);
+            // Surrogate pair → one code point
+            if (code >= 0xD800 && code <= 0xDBFF && i + 1 < text.length) {
+                var low = text.charCodeAt(i + 1);
+                code = (code - 0xD800) * 0x400 + (low - 0xDC00) + 0x10000;
+                ch += text.charAt(++i);
+            }
+            var script = scriptOf(code);
+            if (script === "Common") continue;
+            if (!scripts.hasOwnProperty(script)) scripts[script] = "";
+            if (scripts[script].indexOf(ch) < 0) scripts[script] += ch;
+        }
+        return scripts;
+    }
+
+    // ─── COVERAGE ───────────────────────────────────────────
+
+    // Lower-case family → scripts it has glyphs for. Extend through
+    // options.coverage rather than editing this list.
+    var FONT_COVERAGE = {
+        "inter": ["Latin", "Greek", "Cyrillic"],
+        "roboto": ["Latin", "Greek", "Cyrillic"],
+        "helvetica neue": ["Latin", "Greek", "Cyrillic"],
+        "arial": ["Latin", "Greek", "Cyrillic", "Hebrew", "Arabic"],
+        "noto sans": ["Latin", "Greek", "Cyrillic"],
+        "noto sans tc": ["Latin", "Han", "Bopomofo", "Hiragana", "Katakana"],
+        "noto sans hk": ["Latin", "Han", "Bopomofo", "Hiragana", "Katakana"],
+        "noto sans sc": ["Latin", "Han", "Bopomofo", "Hiragana", "Katakana"],
+        "noto sans jp": ["Latin", "Greek", "Cyrillic", "Han", "Hiragana", "Katakana"],
+        "noto sans kr": ["Latin", "Hangul", "Han", "Hiragana", "Katakana"],
+        "noto sans arabic": ["Arabic"],
+        "noto sans hebrew": ["Hebrew"],
+        "noto sans thai": ["Thai"],
+        "noto sans devanagari": ["Devanagari"],
+        "source han sans": ["Latin", "Greek", "Cyrillic", "Han", "Bopomofo", "Hiragana", "Katakana", "Hangul"],
+        "pingfang tc": ["Latin", "Han", "Bopomofo"],
+        "pingfang sc": ["Latin", "Han", "Bopomofo"],
+        "hiragino sans": ["Latin", "Greek", "Cyrillic", "Han", "Hiragana", "Katakana"]
+    };
+
+    function fontScripts(family, coverage) {
+        var key = core.trim(String(family)).toLowerCase();
+        if (coverage) {
+            for (var name in coverage) {
+                if (coverage.hasOwnProperty(name) && name.toLowerCase() === key) return coverage[name];
+            }
+        }
+        return FONT_COVERAGE.hasOwnProperty(key) ? FONT_COVERAGE[key] : ["Latin"];
+    }
+
+    // ─── FONT MAP ───────────────────────────────────────────
+
+    // Used when a tool has no map of its own
+    var DEFAULT_FONT_MAP = {
+        "zh-TW": { "*": { family: "Noto Sans TC" } },
+        "zh-HK": { "*": { family: "Noto Sans HK" } },
+        "zh": { "*": { family: "Noto Sans SC" } },
+        "ja": { "*": { family: "Noto Sans JP" } },
+        "ko": { "*": { family: "Noto Sans KR" } },
+        "ar": { "*": { family: "Noto Sans Arabic" } },
+        "fa": { "*": { family: "Noto Sans Arabic" } },
+        "ur": { "*": { family: "Noto Sans Arabic" } },
+        "he": { "*": { family: "Noto Sans Hebrew" } },
+        "th": { "*": { family: "Noto Sans Thai" } },
+        "hi": { "*": { family: "Noto Sans Devanagari" } }
+    };
+
+    function findKey(obj, wanted) {
+        wanted = wanted.toLowerCase();
+        for (var key in obj) {
+            if (obj.hasOwnProperty(key) && key.toLowerCase() === wanted) return obj[key];
+        }
+        return null;
+    }
+
+    // Substitute for (lang, family, style), or null
+    function resolveFont(fontMap, lang, family, style) {
+        var normalized = String(lang).replace(/_/g, "-");
+        var byFont = findKey(fontMap, normalized) || findKey(fontMap, normalized.split("-")[0]);
+        if (!byFont) return null;
+
+        var entry = findKey(byFont, family + "/" + style) || findKey(byFont, family) || byFont["*"] || null;
+        if (!entry || !entry.family) return null;
+        return {
+            family: entry.family,
+            style: entry.style || style,
+            postScriptName: entry.postScriptName || null
+        };
+    }
+
+    // "Noto Sans TC" + "Bold" → "NotoSansTC-Bold" (AE's TextDocument.font)
+    function postScriptName(font) {
+        if (font.postScriptName) return font.postScriptName;
+        var style = String(font.style || "Regular").replace(/\s+/g, "");
+        return String(font.family).replace(/\s+/g, "") + "-" + style;
+    }
+
+    // text: the translation; font: { family, style } of the master
+    // options: { fontMap (default DEFAULT_FONT_MAP), coverage }
+    // Returns {
+    //   font:    substitute { family, style, postScriptName } or null
+    //            to keep the master font,
+    //   missing: [{ script, chars }] not covered by the font used
+    // }
+    function chooseFont(text, lang, font, options) {
+        options = options || {};
+        var fontMap = options.fontMap || DEFAULT_FONT_MAP;
+        var scripts = textScripts(text);
+
+        function uncovered(family) {
+            var have = fontScripts(family, options.coverage);
+            var missing = [];
+            for (var script in scripts) {
+                if (scripts.hasOwnProperty(script) && !core.contains(have, script)) {
+                    missing.push({ script: script, chars: scripts[script] });
+                }
+            }
+            return missing;
+        }
+
+        var missing = uncovered(font.family);
+        if (missing.length === 0) return { font: null, missing: [] };
+
+        var substitute = resolveFont(fontMap, lang, font.family, font.style);
+        if (!substitute) return { font: null, missing: missing };
+
+        return { font: substitute, missing: uncovered(substitute.family) };
+    }
+
+    // "Noto Sans TC: no Katakana (アイ)" — for reports
+    function describeMissingGlyphs(family, missing) {
+        var parts = [];
+        for (var i = 0; i < missing.length; i++) {
+            var chars = missing[i].chars;
+            parts.push(missing[i].script + " (" + (chars.length > 8 ? chars.substring(0, 8) + "…" : chars) + ")");
+        }
+        return family + " has no " + parts.join(", ");
+    }
+
+    core.SCRIPT_RANGES = SCRIPT_RANGES;
+    core.FONT_COVERAGE = FONT_COVERAGE;
+    core.DEFAULT_FONT_MAP = DEFAULT_FONT_MAP;
+    core.scriptOf = scriptOf;
+    core.textScripts = textScripts;
+    core.fontScripts = fontScripts;
+    core.resolveFont = resolveFont;
+    core.postScriptName = postScriptName;
+    core.chooseFont = chooseFont;
+    core.describeMissingGlyphs = describeMissingGlyphs;
+
+})(LocalizationCore);
+
+if (typeof module !== "undefined" && module.exports) module.exports = LocalizationCore;
+
+// ─── shared/format.js ───
+/**
+ * ============================================================
+ *  FORMAT — {placeholder} variables and locale formatting
+ *  for LocalizationCore
+ * ============================================================
+ *
+ *  Cells can hold placeholders that are filled in per language
+ *  before the text is set:
+ *
+ *    Get started in just {steps} easy steps
+ *    Only {price, currency, USD} a month
+ *    {rate, percent} APR until {end, date, long}
+ *
+ *  Types: number (style: integer or a digit count), currency
+ *  (style: ISO code), percent (the value is the percentage, "20"
+ *  or "20%"), date (value YYYY-MM-DD, style: short or long).
+ *  A '{ ... }' in apostrophes is literal; '' writes an apostrophe.
+ *
+ *  PLURAL and SELECT pick a variant by a variable (ICU syntax):
+ *
+ *    {count, plural, one {# day left} other {# days left}}
+ *    {count, plural, =0 {Last day} one {# день} few {# дня}
+ *                    many {# дней} other {# дня}}
+ *    {gender, select, female {Sie} male {Er} other {Sie}}
+ *
+ *  # is the count formatted for the language; =N matches exactly.
+ *  The categories follow CLDR per language (ru needs one, few,
+ *  many, other; ar six; ja only other) and checkMessage() reports
+ *  the ones a cell is missing.
+ *
+ *  An apostrophe right before { or } quotes text up to the next
+ *  apostrophe ('{' is a brace); '' is an apostrophe. checkMessage()
+ *  warns when that swallows a placeholder and more, as in French
+ *  "l'{app} aujourd'hui" — write "l''{app}" there.
+ *
+ *  VARIABLES come from rows with type "variable" (layer_name is
+ *  the name) or from a sheet named "Variables" with a name column.
+ *  A language column gives that language's value; an empty cell
+ *  falls back to the value column, then to the first language.
+ *
+ *  Number and date conventions are a built-in table (ExtendScript
+ *  has no Intl); languages it doesn't list format like "en".
+ *
+ *  ES3-compatible, see localization-core.js.
+ */
+
+var LocalizationCore = (typeof LocalizationCore !== "undefined")
+    ? LocalizationCore
+    : require("./localization-core.js");
+
+(function (core) {
+
+    var NBSP = "\u00A0";
+    var NNBSP = "\u202F";
+
+    // ─── LOCALE DATA ────────────────────────────────────────
+
+    var MONTHS = {
+        en: ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"],
+        de: ["Januar", "Februar", "März", "April", "Mai", "Juni", "Juli", "August", "September", "Oktober", "November", "Dezember"],
+        fr: ["janvier", "février", "mars", "avril", "mai", "juin", "juillet", "août", "septembre", "octobre", "novembre", "décembre"],
+        es: ["enero", "febrero", "marzo", "abril", "mayo", "junio", "julio", "agosto", "septiembre", "octubre", "noviembre", "diciembre"],
+        pt: ["janeiro", "fevereiro", "março", "abril", "maio", "junho", "julho", "agosto", "setembro", "outubro", "novembro", "dezembro"],
+        it: ["gennaio", "febbraio", "marzo", "aprile", "maggio", "giugno", "luglio", "agosto", "settembre", "ottobre", "novembre", "dicembre"],
+        nl: ["januari", "februari", "maart", "april", "mei", "juni", "juli", "augustus", "september", "oktober", "november", "december"],
+        pl: ["stycznia", "lutego", "marca", "kwietnia", "maja", "czerwca", "lipca", "sierpnia", "września", "października", "listopada", "grudnia"],
+        ru: ["января", "февраля", "марта", "апреля", "мая", "июня", "июля", "августа", "сентября", "октября", "ноября", "декабря"],
+        uk: ["січня", "лютого", "березня", "квітня", "травня", "червня", "липня", "серпня", "вересня", "жовтня", "листопада", "грудня"],
+        kk: ["қаңтар", "ақпан", "наурыз", "сәуір", "мамыр", "маусым", "шілде", "тамыз", "қыркүйек", "қазан", "қараша", "желтоқсан"],
+        tr: ["Ocak", "Şubat", "Mart", "Nisan", "Mayıs", "Haziran", "Temmuz", "Ağustos", "Eylül", "Ekim", "Kasım", "Aralık"],
+        vi: ["tháng 1", "tháng 2", "tháng 3", "tháng 4", "tháng 5", "tháng 6", "tháng 7", "tháng 8", "tháng 9", "tháng 10", "tháng 11", "tháng 12"],
+        id: ["Januari", "Februari", "Maret", "April", "Mei", "Juni", "Juli", "Agustus", "September", "Oktober", "November", "Desember"],
+        ms: ["Januari", "Februari", "Mac", "April", "Mei", "Jun", "Julai", "Ogos", "September", "Oktober", "November", "Disember"],
+        th: ["มกราคม", "กุมภาพันธ์", "มีนาคม", "เมษายน", "พฤษภาคม", "มิถุนายน", "กรกฎาคม", "สิงหาคม", "กันยายน", "ตุลาคม", "พฤศจิกายน", "ธันวาคม"],
+        ar: ["يناير", "فبراير", "مارس", "أبريل", "مايو", "يونيو", "يوليو", "أغسطس", "سبتمبر", "أكتوبر", "نوفمبر", "ديسمبر"],
+        he: ["ינואר", "פברואר", "מרץ", "אפריל", "מאי", "יוני", "יולי", "אוגוסט", "ספטמבר", "אוקטובר", "נובמבר", "דצמבר"],
+        hi: ["जनवरी", "फ़रवरी", "मार्च", "अप्रैल", "मई", "जून", "जुलाई", "अगस्त", "सितंबर", "अक्तूबर", "नवंबर", "दिसंबर"]
+    };
+
+    // Per language, then per language-region (merged over the
+    // language). Patterns: "#" = number, "¤" = currency symbol;
+    // dates use yyyy, M, MM, MMMM, d, dd and 'quoted' literals.
+    // grouping [3, 2] is the Indian 12,34,567; minGrouping 2 leaves
+    // four-digit numbers ungrouped (es 1000, pl 1000).
+    var LOCALE_FORMATS = {
+        "en": { decimal: ".", group: ",", percent: "#%", currency: "¤#", short: "M/d/yyyy", long: "MMMM d, yyyy" },
+        "en-GB": { short: "dd/MM/yyyy", long: "d MMMM yyyy" },
+        "en-AU": { short: "d/M/yyyy", long: "d MMMM yyyy" },
+        "en-SG": { short: "d/M/yyyy", long: "d MMMM yyyy" },
+        "en-IN": { grouping: [3, 2], short: "d/M/yyyy", long: "d MMMM yyyy" },
+        "de": { decimal: ",", group: ".", percent: "#" + NBSP + "%", currency: "#" + NBSP + "¤", short: "dd.MM.yyyy", long: "d. MMMM yyyy" },
+        "de-AT": { group: NBSP, currency: "¤" + NBSP + "#" },
+        "de-CH": { decimal: ".", group: "’", percent: "#%", currency: "¤" + NBSP + "#" },
+        "fr": { decimal: ",", group: NNBSP, percent: "#" + NNBSP + "%", currency: "#" + NBSP + "¤", short: "dd/MM/yyyy", long: "d MMMM yyyy" },
+        "es": { decimal: ",", group: ".", minGrouping: 2, percent: "#" + NBSP + "%", currency: "#" + NBSP + "¤", short: "d/M/yyyy", long: "d 'de' MMMM 'de' yyyy" },
+        "es-MX": { decimal: ".", group: ",", minGrouping: 1, currency: "¤#", short: "dd/MM/yyyy" },
+        "es-US": { decimal: ".", group: ",", minGrouping: 1, currency: "¤#" },
+        "es-AR": { currency: "¤" + NBSP + "#" },
+        "pt": { decimal: ",", group: ".", percent: "#%", currency: "¤" + NBSP + "#", short: "dd/MM/yyyy", long: "d 'de' MMMM 'de' yyyy" },
+        "pt-PT": { group: NBSP, minGrouping: 2, currency: "#" + NBSP + "¤" },
+        "it": { decimal: ",", group: ".", percent: "#%", currency: "#" + NBSP + "¤", short: "dd/MM/yyyy", long: "d MMMM yyyy" },
+        "nl": { decimal: ",", group: ".", percent: "#%", currency: "¤" + NBSP + "#", short: "dd-MM-yyyy", long: "d MMMM yyyy" },
+        "pl": { decimal: ",", group: NBSP, minGrouping: 2, percent: "#%", currency: "#" + NBSP + "¤", short: "dd.MM.yyyy", long: "d MMMM yyyy" },
+        "ru": { decimal: ",", group: NBSP, percent: "#" + NBSP + "%", currency: "#" + NBSP + "¤", short: "dd.MM.yyyy", long: "d MMMM yyyy 'г.'" },
+        "uk": { decimal: ",", group: NBSP, percent: "#%", currency: "#" + NBSP + "¤", short: "dd.MM.yyyy", long: "d MMMM yyyy 'р.'" },
+        "kk": { decimal: ",", group: NBSP, percent: "#%", currency: "#" + NBSP + "¤", short: "dd.MM.yyyy", long: "yyyy 'ж'. d MMMM" },
+        "tr": { decimal: ",", group: ".", percent: "%#", currency: "¤#", short: "dd.MM.yyyy", long: "d MMMM yyyy" },
+        "vi": { decimal: ",", group: ".", percent: "#%", currency: "#" + NBSP + "¤", short: "dd/MM/yyyy", long: "d MMMM, yyyy" },
+        "id": { decimal: ",", group: ".", percent: "#%", currency: "¤#", short: "dd/MM/yyyy", long: "d MMMM yyyy" },
+        "ms": { decimal: ".", group: ",", percent: "#%", currency: "¤#", short: "d/MM/yyyy", long: "d MMMM yyyy" },
+        "th": { decimal: ".", group: ",", percent: "#%", currency: "¤#", short: "d/M/yyyy", long: "d MMMM yyyy", yearOffset: 543 },
+        "zh": { decimal: ".", group: ",", percent: "#%", currency: "¤#", short: "yyyy/M/d", long: "yyyy年M月d日" },
+        "zh-HK": { short: "d/M/yyyy" },
+        "ja": { decimal: ".", group: ",", percent: "#%", currency: "¤#", short: "yyyy/MM/dd", long: "yyyy年M月d日" },
+        "ko": { decimal: ".", group: ",", percent: "#%", currency: "¤#", short: "yyyy. M. d.", long: "yyyy년 M월 d일" },
+        "ar": { decimal: ".", group: ",", percent: "#%", currency: "#" + NBSP + "¤", short: "d/M/yyyy", long: "d MMMM yyyy" },
+        "he": { decimal: ".", group: ",", percent: "#%", currency: "#" + NBSP + "¤", short: "d.M.yyyy", long: "d 'ב'MMMM yyyy" },
+        "hi": { decimal: ".", group: ",", grouping: [3, 2], percent: "#%", currency: "¤#", short: "d/M/yyyy", long: "d MMMM yyyy" }
+    };
+
+    // Symbols for common currencies; other codes print as the code.
+    // Fraction digits are 2 unless listed; codes not in the table
+    // (USDT, BTC...) keep the digits of the value as written.
+    var CURRENCY_SYMBOLS = {
+        USD: "$", EUR: "€", GBP: "£", JPY: "¥", CNY: "¥", HKD: "HK$", TWD: "NT$", SGD: "S$",
+        MYR: "RM", IDR: "Rp", THB: "฿", VND: "₫", KRW: "₩", PHP: "₱", INR: "₹", RUB: "₽",
+        UAH: "₴", KZT: "₸", TRY: "₺", BRL: "R$", ARS: "$", MXN: "$", PLN: "zł", NGN: "₦"
+    };
+    var CURRENCY_DIGITS = { JPY: 0, KRW: 0, VND: 0 };
+
+    function normalizeLang(lang) {
+        return String(lang || "").replace(/_/g, "-");
+    }
+
+    // Number/date conventions for a language code ("pt-BR" → pt)
+    function localeFormat(lang) {
+        var code = normalizeLang(lang);
+        var primary = code.split("-")[0].toLowerCase();
+        var base = LOCALE_FORMATS.hasOwnProperty(primary) ? LOCALE_FORMATS[primary] : LOCALE_FORMATS["en"];
+        var result = { minGrouping: 1, grouping: [3], yearOffset: 0, months: MONTHS[primary] || MONTHS.en };
+        var key;
+        for (key in base) if (base.hasOwnProperty(key)) result[key] = base[key];
+        for (var region in LOCALE_FORMATS) {
+            if (!LOCALE_FORMATS.hasOwnProperty(region) || region.toLowerCase() !== code.toLowerCase() || region === primary) continue;
+            for (key in LOCALE_FORMATS[region]) if (LOCALE_FORMATS[region].hasOwnProperty(key)) result[key] = LOCALE_FORMATS[region][key];
+        }
+        return result;
+    }
+
+    // ─── NUMBERS AND DATES ──────────────────────────────────
+
+    // "1234.50" → { value: 1234.5, decimals: 2 }, or null
+    function parseNumber(str) {
+        var clean = core.trim(String(str)).replace(/[\s_,]/g, "");
+        if (!/^[+\-]?(\d+\.?\d*|\.\d+)$/.test(clean)) return null;
+        var dot = clean.indexOf(".");
+        return { value: parseFloat(clean), decimals: dot < 0 ? 0 : clean.length - dot - 1 };
+    }
+
+    function groupDigits(digits, format) {
+        if (digits.length < format.grouping[0] + format.minGrouping) return digits;
+        var parts = [];
+        var size = format.grouping[0];
+        var end = digits.length;
+        while (end > size) {
+            parts.unshift(digits.substring(end - size, end));
+            end -= size;
+            if (format.grouping.length > 1) size = format.grouping[1];
+        }
+        parts.unshift(digits.substring(0, end));
+        return parts.join(format.group);
+    }
+
+    // decimals: fixed fraction digits
+    function formatNumber(value, lang, decimals) {
+        var format = localeFormat(lang);
+        var fixed = Math.abs(value).toFixed(decimals || 0);
+        var dot = fixed.indexOf(".");
+        var integer = dot < 0 ? fixed : fixed.substring(0, dot);
+        var out = groupDigits(integer, format);
+        if (dot >= 0) out += format.decimal + fixed.substring(dot + 1);
+        return (value < 0 && Number(fixed) !== 0 ? "-" : "") + out;
+    }
+
+    function isLetter(ch) {
+        return /[A-Za-z]/.test(ch);
+    }
+
+    function formatCurrency(value, lang, code, decimals) {
+        var format = localeFormat(lang);
+        code = String(code).toUpperCase();
+        var symbol = CURRENCY_SYMBOLS.hasOwnProperty(code) ? CURRENCY_SYMBOLS[code] : code;
+        if (CURRENCY_SYMBOLS.hasOwnProperty(code)) decimals = CURRENCY_DIGITS.hasOwnProperty(code) ? CURRENCY_DIGITS[code] : 2;
+
+        var number = formatNumber(Math.abs(value), lang, decimals);
+        var pattern = format.currency;
+        // Letters next to digits get a space ("RM 9.99", "9,99 USDT")
+        var at = pattern.indexOf("¤");
+        var hash = pattern.indexOf("#");
+        if (at < hash && hash === at + 1 && isLetter(symbol.charAt(symbol.length - 1))) symbol += NBSP;
+        if (at > hash && at === hash + 1 && isLetter(symbol.charAt(0))) symbol = NBSP + symbol;
+
+        return (value < 0 ? "-" : "") + pattern.replace("#", number).replace("¤", symbol);
+    }
+
+    function formatPercent(value, lang, decimals) {
+        return localeFormat(lang).percent.replace("#", formatNumber(value, lang, decimals));
+    }
+
+    function pad2(n) {
+        return n < 10 ? "0" + n : String(n);
+    }
+
+    // "2026-11-01" → { year, month (1-12), day }, or null
+    function parseDate(str) {
+        var m = /^\s*(\d{4})[\-\/.](\d{1,2})[\-\/.](\d{1,2})\s*$/.exec(String(str));
+        if (!m) return null;
+        var date = { year: parseInt(m[1], 10), month: parseInt(m[2], 10), day: parseInt(m[3], 10) };
+        if (date.month < 1 || date.month > 12 || date.day < 1 || date.day > 31) return null;
+        return date;
+    }
+
+    function formatDate(date, lang, style) {
+        var format = localeFormat(lang);
+        var pattern = style === "short" ? format.short : format.long;
+        var year = String(date.year + format.yearOffset);
+        var out = "";
+        var i = 0;
+        while (i < pattern.length) {
+            var ch = pattern.charAt(i);
+            if (ch === "'") {
+                var close = pattern.indexOf("'", i + 1);
+                if (close < 0) close = pattern.length;
+                out += pattern.substring(i + 1, close);
+                i = close + 1;
+                continue;
+            }
+            var run = 1;
+            while (pattern.charAt(i + run) === ch) run++;
+            if (ch === "y") out += year;
+            else if (ch === "M") out += run >= 3 ? format.months[date.month - 1] : (run === 2 ? pad2(date.month) : String(date.month));
+            else if (ch === "d") out += run === 2 ? pad2(date.day) : String(date.day);
+            else out += pattern.substr(i, run);
+            i += run;
+        }
+        return out;
+    }
+
+    // ─── VARIABLES ──────────────────────────────────────────
+
+    var VARIABLE_COLUMNS = ["name", "value", "layer_name", "comp_name", "type"];
+
+    function isVariablesSheet(sheet) {
+        return core.trim(String(sheet.name || "")).toLowerCase() === "variables";
+    }
+
+    // tables: parseCSV-shaped tables (a "Variables" sheet, and/or the
+    // localization table with type=variable rows).
+    // Returns { name: { value, byLang: { lang: value } } }
+    function readVariables(tables) {
+        var variables = {};
+        for (var t = 0; t < tables.length; t++) {
+            var table = tables[t];
+            var whole = isVariablesSheet(table);
+            var langs = [];
+            for (var h = 0; h < table.headers.length; h++) {
+                var header = table.headers[h];
+                if (header !== "" && !core.contains(VARIABLE_COLUMNS, header.toLowerCase()) && !core.isReservedColumn(header)) langs.push(header);
+            }
+
+            for (var r = 0; r < table.rows.length; r++) {
+                var row = table.rows[r];
+                if (!whole && core.rowType(row) !== "variable") continue;
+                var name = core.trim(row["name"] || row["layer_name"] || "");
+                if (!name || variables.hasOwnProperty(name)) continue;
+
+                var variable = { value: core.trim(row["value"] || "") || (langs.length > 0 ? row[langs[0]] || "" : ""), byLang: {} };
+                for (var l = 0; l < langs.length; l++) {
+                    if (row[langs[l]]) variable.byLang[normalizeLang(langs[l]).toLowerCase()] = row[langs[l]];
+                }
+                variables[name] = variable;
+            }
+        }
+        return variables;
+    }
+
+    // Value for `lang` ("zh-TW" falls back to a "zh" column), or null
+    function variableValue(variables, name, lang) {
+        if (!variables.hasOwnProperty(name)) return null;
+        var variable = variables[name];
+        var code = normalizeLang(lang).toLowerCase();
+        if (variable.byLang.hasOwnProperty(code)) return variable.byLang[code];
+        var primary = code.split("-")[0];
+        if (variable.byLang.hasOwnProperty(primary)) return variable.byLang[primary];
+        return variable.value;
+    }
+
+    // ─── PLURAL RULES ───────────────────────────────────────
+
+    // CLDR cardinal rules. o: operands of the number as written —
+    // n (absolute value), i (integer part), v (visible decimals).
+    function oneIfExactlyOne(o) { return o.i === 1 && o.v === 0 ? "one" : "other"; }
+    function oneIfOne(o) { return o.n === 1 ? "one" : "other"; }
+    function oneIfZeroOrOne(o) { return o.i === 0 || o.n === 1 ? "one" : "other"; }
+    function alwaysOther() { return "other"; }
+
+    function eastSlavic(o) {
+        var mod10 = o.i % 10;
+        var mod100 = o.i % 100;
+        if (o.v !== 0) return "other";
+        if (mod10 === 1 && mod100 !== 11) return "one";
+        if (mod10 >= 2 && mod10 <= 4 && (mod100 < 12 || mod100 > 14)) return "few";
+        return "many";
+    }
+
+    var PLURAL_RULES = {
+        one_other: { categories: ["one", "other"], select: oneIfExactlyOne },
+        one_n: { categories: ["one", "other"], select: oneIfOne },
+        zero_one: { categories: ["one", "other"], select: oneIfZeroOrOne },
+        french: { categories: ["one", "other"], select: function (o) { return o.i === 0 || o.i === 1 ? "one" : "other"; } },
+        none: { categories: ["other"], select: alwaysOther },
+        east_slavic: { categories: ["one", "few", "many", "other"], select: eastSlavic },
+        polish: {
+            categories: ["one", "few", "many", "other"],
+            select: function (o) {
+                if (o.v !== 0) return "other";
+                if (o.i === 1) return "one";
+                var mod10 = o.i % 10;
+                var mod100 = o.i % 100;
+                if (mod10 >= 2 && mod10 <= 4 && (mod100 < 12 || mod100 > 14)) return "few";
+                return "many";
+            }
+        },
+        czech: {
+            categories: ["one", "few", "many", "other"],
+            select: function (o) {
+                if (o.v !== 0) return "many";
+                if (o.i === 1) return "one";
+                return o.i >= 2 && o.i <= 4 ? "few" : "other";
+            }
+        },
+        romanian: {
+            categories: ["one", "few", "other"],
+            select: function (o) {
+                if (o.i === 1 && o.v === 0) return "one";
+                var mod100 = o.n % 100;
+                return o.v !== 0 || o.n === 0 || (o.n !== 1 && mod100 >= 1 && mod100 <= 19) ? "few" : "other";
+            }
+        },
+        arabic: {
+            categories: ["zero", "one", "two", "few", "many", "other"],
+            select: function (o) {
+                var mod100 = o.n % 100;
+                if (o.n === 0) return "zero";
+                if (o.n === 1) return "one";
+                if (o.n === 2) return "two";
+                if (o.v === 0 && mod100 >= 3 && mod100 <= 10) return "few";
+                if (o.v === 0 && mod100 >= 11 && mod100 <= 99) return "many";
+                return "other";
+            }
+        },
+        hebrew: {
+            categories: ["one", "two", "other"],
+            select: function (o) {
+                if ((o.i === 1 && o.v === 0) || (o.i === 0 && o.v !== 0)) return "one";
+                return o.i === 2 && o.v === 0 ? "two" : "other";
+            }
+        }
+    };
+
+    // Language → rule; languages not listed use "one_other" (en)
+    var PLURAL_LANGUAGES = {
+        es: "one_n", tr: "one_n", kk: "one_n", el: "one_n", bg: "one_n", hu: "one_n", az: "one_n", uz: "one_n", ka: "one_n",
+        fr: "french", pt: "french",
+        hi: "zero_one", fa: "zero_one", bn: "zero_one", gu: "zero_one", mr: "one_n",
+        ja: "none", zh: "none", ko: "none", th: "none", vi: "none", id: "none", ms: "none", lo: "none", my: "none", km: "none",
+        ru: "east_slavic", uk: "east_slavic", be: "east_slavic",
+        pl: "polish", cs: "czech", sk: "czech", ro: "romanian",
+        ar: "arabic", he: "hebrew", iw: "hebrew"
+    };
+
+    function pluralRule(lang) {
+        var code = normalizeLang(lang).toLowerCase();
+        if (code === "pt-pt") return PLURAL_RULES.one_other;
+        var primary = code.split("-")[0];
+        return PLURAL_RULES[PLURAL_LANGUAGES.hasOwnProperty(primary) ? PLURAL_LANGUAGES[primary] : "one_other"];
+    }
+
+    // Categories a plural in `lang` has to provide ("other" last)
+    function pluralCategories(lang) {
+        return pluralRule(lang).categories.slice(0);
+    }
+
+    // number: { value, decimals } as from parseNumber
+    function pluralCategory(lang, number) {
+        var n = Math.abs(number.value);
+        return pluralRule(lang).select({ n: n, i: Math.floor(n), v: number.decimals });
+    }
+
+    // ─── MESSAGES ───────────────────────────────────────────
+    // ICU MessageFormat subset: {name}, {name, number|currency|
+    // percent|date, style}, {name, plural, [offset:n] =0 {...}
+    // one {...} other {...}} with # for the number, and {name,
+    // select, female {...} other {...}}. Parsed into nodes:
+    //   "text" | { pound: true } | { name, type, style, raw }
+    //   | { name, type: "plural"|"select", offset, options: { key: nodes }, raw }
+
+    // quotes (optional): collects the apostrophe-quoted spans as
+    // { text, closed }
+    function parseMessage(pattern, quotes) {
+        var pos = 0;
+
+        function fail(message) {
+            throw new Error(message + " at character " + (pos + 1));
+        }
+
+        function skipSpace() {
+            while (pos < pattern.length && /\s/.test(pattern.charAt(pos))) pos++;
+        }
+
+        function readToken(stops) {
+            var start = pos;
+            while (pos < pattern.length && stops.indexOf(pattern.charAt(pos)) < 0) pos++;
+            return core.trim(pattern.substring(start, pos));
+        }
+
+        function parseNodes(inPlural, nested) {
+            var nodes = [];
+            var text = "";
+            while (pos < pattern.length) {
+                var ch = pattern.charAt(pos);
+                var next = pattern.charAt(pos + 1);
+
+                // Apostrophes quote syntax characters; '' is one apostrophe
+                if (ch === "'" && next === "'") {
+                    text += "'";
+                    pos += 2;
+                } else if (ch === "'" && (next === "{" || next === "}" || (inPlural && next === "#"))) {
+                    var endQuote = pattern.indexOf("'", pos + 1);
+                    if (quotes) quotes.push({ text: pattern.substring(pos + 1, endQuote < 0 ? pattern.length : endQuote), closed: endQuote >= 0 });
+                    if (endQuote < 0) endQuote = pattern.length;
+                    text += pattern.substring(pos + 1, endQuote).replace(/''/g, "'");
+                    pos = endQuote + 1;
+                } else if (ch === "{") {
+                    if (text) nodes.push(text);
+                    text = "";
+                    nodes.push(parseArgument());
+                } else if (ch === "}") {
+                    if (nested) break;
+                    fail("Unmatched }");
+                } else if (ch === "#" && inPlural) {
+                    if (text) nodes.push(text);
+                    text = "";
+                    nodes.push({ pound: true });
+                    pos++;
+                } else {
+                    text += ch;
+                    pos++;
+                }
+            }
+            if (text) nodes.push(text);
+            return nodes;
+        }
+
+        function parseArgument() {
+            var start = pos;
+            pos++;
+            var node = { name: readToken(",}"), type: "", style: "" };
+            if (!node.name) fail("Empty placeholder {}");
+            if (pos >= pattern.length) fail("Unclosed {" + node.name);
+
+            if (pattern.charAt(pos) === ",") {
+                pos++;
+                node.type = readToken(",}").toLowerCase();
+                if (node.type === "plural" || node.type === "select") {
+                    if (pattern.charAt(pos) !== ",") fail("{" + node.name + ", " + node.type + "} needs options");
+                    pos++;
+                    node.offset = 0;
+                    node.options = {};
+                    for (;;) {
+                        skipSpace();
+                        if (pos >= pattern.length) fail("Unclosed {" + node.name + ", " + node.type);
+                        if (pattern.charAt(pos) === "}") break;
+                        var key = readToken("{} \t\r\n");
+                        if (/^offset:/.test(key) && node.type === "plural") {
+                            node.offset = parseFloat(key.substring(7)) || 0;
+                            continue;
+                        }
+                        skipSpace();
+                        if (!key || pattern.charAt(pos) !== "{") fail("Expected a {message} after '" + key + "' in {" + node.name + "}");
+                        pos++;
+                        node.options[key] = parseNodes(node.type === "plural", true);
+                        if (pattern.charAt(pos) !== "}") fail("Unclosed option '" + key + "' in {" + node.name + "}");
+                        pos++;
+                    }
+                } else if (pattern.charAt(pos) === ",") {
+                    pos++;
+                    node.style = readToken("}");
+                }
+            }
+            if (pattern.charAt(pos) !== "}") fail("Unclosed {" + node.name);
+            pos++;
+            node.raw = pattern.substring(start, pos);
+            return node;
+        }
+
+        return parseNodes(false, false);
+    }
+
+    // A simple {name, type, style} argument → text. Pushes to errors
+    // and returns null when it can't.
+    function formatArgument(node, lang, variables, errors) {
+        var name = node.name;
+        var type = node.type;
+        var style = node.style;
+
+        var raw = variableValue(variables, name, lang);
+        if (raw === null) {
+            errors.push("Unknown placeholder {" + name + "}");
+            return null;
+        }
+        if (type === "") return raw;
+
+        if (type === "date") {
+            var date = parseDate(raw);
+            if (!date) { errors.push("{" + name + "} is not a YYYY-MM-DD date: '" + raw + "'"); return null; }
+            return formatDate(date, lang, style.toLowerCase());
+        }
+
+        var number = parseNumber(String(raw).replace(/%\s*$/, ""));
+        if (!number) {
+            errors.push("{" + name + "} is not a number: '" + raw + "'");
+            return null;
+        }
+        var decimals = number.decimals;
+        if (/^\d+$/.test(style)) decimals = parseInt(style, 10);
+        if (style.toLowerCase() === "integer") decimals = 0;
+
+        if (type === "number") return formatNumber(number.value, lang, decimals);
+        if (type === "percent") return formatPercent(number.value, lang, decimals);
+        if (type === "currency") {
+            if (!style) { errors.push("{" + name + ", currency} needs a currency code, e.g. {" + name + ", currency, USD}"); return null; }
+            return formatCurrency(number.value, lang, style, number.decimals);
+        }
+        errors.push("Unknown placeholder type '" + type + "' in " + node.raw);
+        return null;
+    }
+
+    // The option of a plural/select node for its variable's value
+    function chooseOption(node, lang, variables, errors, context) {
+        var raw = variableValue(variables, node.name, lang);
+        if (raw === null) {
+            errors.push("Unknown placeholder {" + node.name + "}");
+            return null;
+        }
+
+        if (node.type === "select") {
+            var choice = core.trim(raw);
+            if (node.options.hasOwnProperty(choice)) return node.options[choice];
+            if (node.options.hasOwnProperty("other")) return node.options.other;
+            errors.push("{" + node.name + ", select} has no '" + choice + "' or 'other' option");
+            return null;
+        }
+
+        var number = parseNumber(raw);
+        if (!number) {
+            errors.push("{" + node.name + "} is not a number: '" + raw + "'");
+            return null;
+        }
+        if (node.options.hasOwnProperty("=" + number.value)) return node.options["=" + number.value];
+
+        var shown = { value: number.value - node.offset, decimals: number.decimals };
+        context.pound = formatNumber(shown.value, lang, shown.decimals);
+        var category = pluralCategory(lang, shown);
+        if (node.options.hasOwnProperty(category)) return node.options[category];
+        if (node.options.hasOwnProperty("other")) return node.options.other;
+        errors.push("{" + node.name + ", plural} has no '" + category + "' or 'other' option");
+        return null;
+    }
+
+    function formatNodes(nodes, lang, variables, errors, pound) {
+        var out = "";
+        for (var i = 0; i < nodes.length; i++) {
+            var node = nodes[i];
+            if (typeof node === "string") {
+                out += node;
+            } else if (node.pound) {
+                out += pound === null ? "#" : pound;
+            } else if (node.options) {
+                var context = { pound: pound };
+                var option = chooseOption(node, lang, variables, errors, context);
+                out += option === null ? node.raw : formatNodes(option, lang, variables, errors, context.pound);
+            } else {
+                var value = formatArgument(node, lang, variables, errors);
+                out += value === null ? node.raw : value;
+            }
+        }
+        return out;
+    }
+
+    // Fills the {placeholders} in `pattern` for `lang`.
+    // Returns { text, errors: [message] }; a placeholder that fails
+    // stays in the text as written, a syntax error leaves it all.
+    function formatMessage(pattern, lang, variables) {
+        pattern = String(pattern);
+        var nodes;
+        try {
+            nodes = parseMessage(pattern);
+        } catch (e) {
+            return { text: pattern, errors: [e.message] };
+        }
+        var errors = [];
+        return { text: formatNodes(nodes, lang, variables, errors, null), errors: errors };
+    }
+
+    // Plural forms a message written for `lang` lacks or doesn't
+    // need, whatever the values, and apostrophes that quote away a
+    // placeholder. Returns [{ severity, message }]; syntax errors are
+    // left to formatMessage.
+    function checkMessage(pattern, lang) {
+        var issues = [];
+        var nodes;
+        var quotes = [];
+        try {
+            nodes = parseMessage(String(pattern), quotes);
+        } catch (e) {
+            return issues;
+        }
+
+        // '{name}' on its own is a deliberate literal; a quote that
+        // runs on past it (or never ends) is an elision like l'{app}
+        for (var q = 0; q < quotes.length; q++) {
+            var quoted = /^\{\s*([^{}\s,]+)[^{}]*\}/.exec(quotes[q].text);
+            if (quoted && (!quotes[q].closed || quoted[0].length < quotes[q].text.length)) {
+                issues.push({ severity: "warning", message: "The apostrophe before {" + quoted[1] + "} makes \"" + quotes[q].text +
+                    "\" plain text (write '' for an apostrophe before a placeholder)" });
+            }
+        }
+
+        function walk(list) {
+            for (var i = 0; i < list.length; i++) {
+                var node = list[i];
+                if (!node.options) continue;
+                var key;
+                if (node.type === "plural") {
+                    var needed = pluralCategories(lang);
+                    var missing = [];
+                    for (var c = 0; c < needed.length; c++) {
+                        if (!node.options.hasOwnProperty(needed[c])) missing.push(needed[c]);
+                    }
+                    if (missing.length > 0) {
+                        issues.push({ severity: "error", message: "{" + node.name + ", plural} needs " + needed.join(", ") + " in " + lang + " (missing " + missing.join(", ") + ")" });
+                    }
+                    for (key in node.options) {
+                        if (node.options.hasOwnProperty(key) && key.charAt(0) !== "=" && !core.contains(needed, key)) {
+                            issues.push({ severity: "warning", message: "{" + node.name + ", plural} option '" + key + "' is never used in " + lang });
+                        }
+                    }
+                } else if (!node.options.hasOwnProperty("other")) {
+                    issues.push({ severity: "error", message: "{" + node.name + ", select} needs an 'other' option" });
+                }
+                for (key in node.options) {
+                    if (node.options.hasOwnProperty(key)) walk(node.options[key]);
+                }
+            }
+        }
+        walk(nodes);
+        return issues;
+    }
+
+    // Fills placeholders in every text replacement of a plan (from
+    // buildReplacementPlan), in place. Returns validateRows-style
+    // issues: errors for placeholders that could not be filled or
+    // plurals missing a form the language needs.
+    function resolvePlaceholders(plan, variables) {
+        var issues = [];
+        for (var l = 0; l < plan.languages.length; l++) {
+            var entry = plan.languages[l];
+            for (var r = 0; r < entry.replacements.length; r++) {
+                var rep = entry.replacements[r];
+                if (rep.type !== "text" || rep.value.indexOf("{") < 0) continue;
+                var where = "[" + entry.lang + "] " + rep.layerName + ": ";
+
+                var checks = checkMessage(rep.value, entry.lang);
+                for (var c = 0; c < checks.length; c++) {
+                    issues.push({ line: rep.line, severity: checks[c].severity, message: where + checks[c].message });
+                }
+                var filled = formatMessage(rep.value, entry.lang, variables);
+                rep.value = filled.text;
+                for (var e = 0; e < filled.errors.length; e++) {
+                    issues.push({ line: rep.line, severity: "error", message: where + filled.errors[e] });
+                }
+                if (rep.source && rep.source.indexOf("{") >= 0) rep.source = formatMessage(rep.source, plan.sourceLanguage, variables).text;
+            }
+        }
+        return issues;
+    }
+
+    core.LOCALE_FORMATS = LOCALE_FORMATS;
+    core.CURRENCY_SYMBOLS = CURRENCY_SYMBOLS;
+    core.localeFormat = localeFormat;
+    core.formatNumber = formatNumber;
+    core.formatCurrency = formatCurrency;
+    core.formatPercent = formatPercent;
+    core.parseDate = parseDate;
+    core.formatDate = formatDate;
+    core.isVariablesSheet = isVariablesSheet;
+    core.readVariables = readVariables;
+    core.variableValue = variableValue;
+    core.pluralCategories = pluralCategories;
+    core.pluralCategory = pluralCategory;
+    core.parseMessage = parseMessage;
+    core.formatMessage = formatMessage;
+    core.checkMessage = checkMessage;
+    core.resolvePlaceholders = resolvePlaceholders;
+
+})(LocalizationCore);
+
+if (typeof module !== "undefined" && module.exports) module.exports = LocalizationCore;
+
+// ─── shared/qa.js ───
+/**
+ * ============================================================
+ *  QA — translation checks for LocalizationCore
+ * ============================================================
+ *
+ *  Runs over the parsed sheet before anything is duplicated and
+ *  flags cells that would ship broken or suspicious text:
+ *
+ *    empty         no translation while the source has text
+ *    untranslated  same text as the source language
+ *    placeholders  {names} differ from the source
+ *    markup        a tag the source uses is left unclosed
+ *    whitespace    leading/trailing spaces the source doesn't have
+ *    length        much longer/shorter than the source
+ *    glyphs        characters the layer's font (or its fallback
+ *                  from fonts.js) can't draw — hosts that can read
+ *                  the master's fonts pass options.fontOf
+ *
+ *  Only placeholders and markup are errors by default; each
+ *  check's severity can be changed or turned "off".
+ *
+ *  Needs fonts.js and format.js. ES3-compatible, see
+ *  localization-core.js.
+ */
+
+var LocalizationCore = (typeof LocalizationCore !== "undefined")
+    ? LocalizationCore
+    : (require("./fonts.js"), require("./format.js"));
+
+(function (core) {
+
+    var QA_SEVERITY = {
+        empty: "warning",
+        untranslated: "warning",
+        placeholders: "error",
+        markup: "error",
+        whitespace: "warning",
+        length: "warning",
+        glyphs: "warning"
+    };
+
+    // Translation length / source length outside this is reported.
+    // Sources shorter than minSource characters are left alone.
+    var QA_LENGTH = { min: 0.5, max: 2, minSource: 10 };
+
+    // Han, kana and Hangul take about two Latin letters of space
+    var WIDE_SCRIPTS = ["Han", "Hiragana", "Katakana", "Hangul", "Bopomofo"];
+
+    // Marks drawn over the previous letter (Latin accents, Thai
+    // vowels and tones, Arabic harakat) take none
+    var COMBINING_MARKS = /[\u0300-\u036F\u064B-\u065F\u0E31\u0E34-\u0E3A\u0E47-\u0E4E]/;
+
+    function displayLength(text) {
+        var length = 0;
+        for (var i = 0; i < text.length; i++) {
+            var code = text.charCodeAt(i);
+            if ((code >= 0xDC00 && code <= 0xDFFF) || COMBINING_MARKS.test(text.charAt(i))) continue;
+            length += core.contains(WIDE_SCRIPTS, core.scriptOf(code)) ? 2 : 1;
+        }
+        return length;
+    }
+
+    // Sorted placeholder names of a cell, nested ones included;
+    // null when it doesn't parse (formatMessage reports that)
+    function placeholderNames(value) {
+        var names = [];
+        var nodes;
+        try {
+            nodes = core.parseMessage(value);
+        } catch (e) {
+            return null;
+        }
+        function walk(list) {
+            for (var i = 0; i < list.length; i++) {
+                if (typeof list[i] === "string" || list[i].pound) continue;
+                if (!core.contains(names, list[i].name)) names.push(list[i].name);
+                for (var key in list[i].options || {}) {
+                    if (list[i].options.hasOwnProperty(key)) walk(list[i].options[key]);
+                }
+            }
+        }
+        walk(nodes);
+        return names.sort();
+    }
+
+    function missingFrom(list, other) {
+        var missing = [];
+        for (var i = 0; i < list.length; i++) {
+            if (!core.contains(other, list[i])) missing.push("{" + list[i] + "}");
+        }
+        return missing;
+    }
+
+    function primaryTag(lang) {
+        return String(lang).replace(/_/g, "-").split("-")[0].toLowerCase();
+    }
+
+    // data: parsed sheet (parseCSV / mergeSheets); languages: the
+    // columns to check.
+    // options: {
+    //   targetColumn, sourceLanguage (default: first language),
+    //   fontOf:   function (target, layerName) → { family, style }
+    //             of the master layer, or null to skip "glyphs",
+    //   fontMap, coverage: as for chooseFont,
+    //   length:   overrides of QA_LENGTH,
+    //   severity: { check: "error" | "warning" | "off" }
+    // }
+    // Returns validateRows-style issues with the check and language:
+    // [{ line, severity, check, lang, message }]
+    function checkTranslations(data, languages, options) {
+        options = options || {};
+        var targetColumn = options.targetColumn || null;
+        var sourceLanguage = options.sourceLanguage || languages[0] || "";
+        var severity = {};
+        var length = {};
+        var key;
+        for (key in QA_SEVERITY) {
+            if (QA_SEVERITY.hasOwnProperty(key)) severity[key] = QA_SEVERITY[key];
+        }
+        for (key in options.severity || {}) {
+            if (options.severity.hasOwnProperty(key)) severity[key] = options.severity[key];
+        }
+        for (key in QA_LENGTH) {
+            if (QA_LENGTH.hasOwnProperty(key)) length[key] = (options.length && options.length.hasOwnProperty(key)) ? options.length[key] : QA_LENGTH[key];
+        }
+
+        var issues = [];
+        var fonts = {};
+
+        function add(row, lang, check, message) {
+            if (severity[check] === "off") return;
+            var where = (row.__sheet ? "[" + row.__sheet + "] " : "") + "[" + lang + "] " + row["layer_name"] + ": ";
+            issues.push({ line: row.__line || 0, severity: severity[check], check: check, lang: lang, message: where + message });
+        }
+
+        function fontOf(row) {
+            var target = targetColumn ? row[targetColumn] : "";
+            var id = target + "\u0000" + row["layer_name"];
+            if (!fonts.hasOwnProperty(id)) fonts[id] = options.fontOf(target, row["layer_name"]) || null;
+            return fonts[id];
+        }
+
+        for (var i = 0; i < data.rows.length; i++) {
+            var row = data.rows[i];
+            var type = core.rowType(row);
+            if (!row["layer_name"] || type === "variable" || type === "image" || type === "footage") continue;
+
+            var source = row[sourceLanguage] || "";
+            var sourceMarkup = core.parseMarkup(source);
+            var sourceTags = [];
+            for (var s = 0; s < sourceMarkup.spans.length; s++) sourceTags.push(sourceMarkup.spans[s].tag);
+            var sourceNames = placeholderNames(source);
+
+            for (var l = 0; l < languages.length; l++) {
+                var lang = languages[l];
+                var value = row[lang] || "";
+                var isSource = lang === sourceLanguage;
+
+                if (core.trim(value) === "") {
+                    if (!isSource && core.trim(source) !== "") add(row, lang, "empty", "no translation");
+                    continue;
+                }
+
+                if (!isSource && value === source && /[A-Za-z\u00C0-\u024F]{2}/.test(sourceMarkup.text) &&
+                    primaryTag(lang) !== primaryTag(sourceLanguage)) {
+                    add(row, lang, "untranslated", "same as " + sourceLanguage);
+                }
+
+                if (value !== core.trim(value) && source === core.trim(source)) {
+                    add(row, lang, "whitespace", "leading or trailing spaces");
+                }
+
+                var markup = core.parseMarkup(value);
+                var unclosed = [];
+                for (var u = 0; u < markup.unmatched.length; u++) {
+                    if (core.contains(sourceTags, markup.unmatched[u])) unclosed.push("<" + markup.unmatched[u] + ">");
+                }
+                if (unclosed.length > 0) add(row, lang, "markup", "unbalanced " + unclosed.join(", "));
+
+                if (!isSource && sourceNames) {
+                    var names = placeholderNames(value);
+                    if (names) {
+                        var missing = missingFrom(sourceNames, names);
+                        var extra = missingFrom(names, sourceNames);
+                        if (missing.length > 0) add(row, lang, "placeholders", "missing " + missing.join(", ") + " from " + sourceLanguage);
+                        if (extra.length > 0) add(row, lang, "placeholders", extra.join(", ") + " not in " + sourceLanguage);
+                    }
+                }
+
+                if (!isSource) {
+                    var sourceLength = displayLength(sourceMarkup.text);
+                    var ratio = sourceLength > 0 ? displayLength(markup.text) / sourceLength : 1;
+                    if (sourceLength >= length.minSource && (ratio < length.min || ratio > length.max)) {
+                        add(row, lang, "length", Math.round(ratio * 100) + "% of the " + sourceLanguage + " length");
+                    }
+                }
+
+                var font = options.fontOf ? fontOf(row) : null;
+                if (font) {
+                    var choice = core.chooseFont(markup.text, lang, font, { fontMap: options.fontMap, coverage: options.coverage });
+                    if (choice.missing.length > 0) {
+                        add(row, lang, "glyphs", core.describeMissingGlyphs(choice.font ? choice.font.family : font.family, choice.missing));
+                    }
+                }
+            }
+        }
+
+        return issues;
+    }
+
+    // Plain-text report of QA issues, errors first, for a file or a
+    // dialog: a count line, then one line per issue.
+    function formatQAReport(issues, title) {
+        var errors = [];
+        var warnings = [];
+        for (var i = 0; i < issues.length; i++) {
+            (issues[i].severity === "error" ? errors : warnings).push(issues[i]);
+        }
+        var lines = [(title ? title + " — " : "") + errors.length + " error(s), " + warnings.length + " warning(s)"];
+        var sorted = errors.concat(warnings);
+        for (var j = 0; j < sorted.length; j++) {
+            lines.push((sorted[j].severity === "error" ? "ERROR  " : "warn   ") + "line " + sorted[j].line + "  " + sorted[j].message);
+        }
+        return lines.join("\n") + "\n";
+    }
+
+    core.QA_SEVERITY = QA_SEVERITY;
+    core.QA_LENGTH = QA_LENGTH;
+    core.checkTranslations = checkTranslations;
+    core.formatQAReport = formatQAReport;
+
+})(LocalizationCore);
+
+if (typeof module !== "undefined" && module.exports) module.exports = LocalizationCore;
+// @shared-end
@@ -0,0 +1,231 @@
+/**
+ * ============================================================
+ *  FONTS — per-language font fallbacks for LocalizationCore
+ * ============================================================
+ *
+ *  Latin master fonts have no glyphs for zh-TW, ja-JP, ar-SA...
+ *  chooseFont() looks at the scripts a translation uses, keeps
+ *  the master font when it covers them and otherwise picks the
+ *  substitute from a font map, reporting characters no font in
+ *  play covers.
+ *
+ *  FONT MAP (per language, then per source family/style):
+ *
+ *    {
+ *      "zh-TW": { "*": { family: "Noto Sans TC" } },
+ *      "ja":    { "Inter/Bold": { family: "Noto Sans JP", style: "Bold" },
+ *                 "*":          { family: "Noto Sans JP" } }
+ *    }
+ *
+ *  A language key matches exactly or by primary subtag ("ja" →
+ *  ja-JP). Inside it "Family/Style" beats "Family" beats "*". A
+ *  substitute without a style keeps the master's style; AE needs
+ *  a PostScript name, built from family + style unless the entry
+ *  has its own postScriptName.
+ *
+ *  Coverage is a declared table (family → scripts), not read from
+ *  font files; families it doesn't list are taken as Latin-only.
+ *
+ *  ES3-compatible, see localization-core.js.
+ */
+
+var LocalizationCore = (typeof LocalizationCore !== "undefined")
+    ? LocalizationCore
+    : require("./localization-core.js");
+
+(function (core) {
+
+    // ─── SCRIPTS ────────────────────────────────────────────
+
+    // [first, last, script]; anything else (digits, punctuation,
+    // spaces, emoji) is "Common" and never reported.
+    var SCRIPT_RANGES = [
+        [0x0041, 0x005A, "Latin"], [0x0061, 0x007A, "Latin"],
+        [0x00C0, 0x024F, "Latin"], [0x1E00, 0x1EFF, "Latin"],
+        [0x0370, 0x03FF, "Greek"], [0x1F00, 0x1FFF, "Greek"],
+        [0x0400, 0x052F, "Cyrillic"],
+        [0x0530, 0x058F, "Armenian"],
+        [0x0590, 0x05FF, "Hebrew"], [0xFB1D, 0xFB4F, "Hebrew"],
+        [0x0600, 0x06FF, "Arabic"], [0x0750, 0x077F, "Arabic"], [0x08A0, 0x08FF, "Arabic"],
+        [0xFB50, 0xFDFF, "Arabic"], [0xFE70, 0xFEFF, "Arabic"],
+        [0x0900, 0x097F, "Devanagari"],
+        [0x0980, 0x09FF, "Bengali"],
+        [0x0E00, 0x0E7F, "Thai"],
+        [0x0E80, 0x0EFF, "Lao"],
+        [0x10A0, 0x10FF, "Georgian"],
+        [0x1100, 0x11FF, "Hangul"], [0x3130, 0x318F, "Hangul"], [0xAC00, 0xD7AF, "Hangul"],
+        [0x3040, 0x309F, "Hiragana"],
+        [0x30A0, 0x30FF, "Katakana"], [0x31F0, 0x31FF, "Katakana"], [0xFF65, 0xFF9F, "Katakana"],
+        [0x3100, 0x312F, "Bopomofo"],
+        // CJK punctuation and full-width forms only come with CJK fonts
+        [0x2E80, 0x2FDF, "Han"], [0x3000, 0x303F, "Han"], [0x3400, 0x4DBF, "Han"],
+        [0x4E00, 0x9FFF, "Han"], [0xF900, 0xFAFF, "Han"], [0xFF00, 0xFF64, "Han"],
+        [0x20000, 0x3134F, "Han"]
+    ];
+
+    function scriptOf(code) {
+        for (var i = 0; i < SCRIPT_RANGES.length; i++) {
+            if (code >= SCRIPT_RANGES[i][0] && code <= SCRIPT_RANGES[i][1]) return SCRIPT_RANGES[i][2];
+        }
+        return "Common";
+    }
+
+    // { script: "unique chars" } for every non-Common script in text
+    function textScripts(text) {
+        var scripts = {};
+        text = String(text);
+        for (var i = 0; i < text.length; i++) {
+            var ch = text.charAt(i);
+            var code = text.charCodeAt(i);
+            // Surrogate pair → one code point
+            if (code >= 0xD800 && code <= 0xDBFF && i + 1 < text.length) {
+                var low = text.charCodeAt(i + 1);
+                code = (code - 0xD800) * 0x400 + (low - 0xDC00) + 0x10000;
+                ch += text.charAt(++i);
+            }
+            var script = scriptOf(code);
+            if (script === "Common") continue;
+            if (!scripts.hasOwnProperty(script)) scripts[script] = "";
+            if (scripts[script].indexOf(ch) < 0) scripts[script] += ch;
+        }
+        return scripts;
+    }
+
+    // ─── COVERAGE ───────────────────────────────────────────
+
+    // Lower-case family → scripts it has glyphs for. Extend through
+    // options.coverage rather than editing this list.
+    var FONT_COVERAGE = {
+        "inter": ["Latin", "Greek", "Cyrillic"],
+        "roboto": ["Latin", "Greek", "Cyrillic"],
+        "helvetica neue": ["Latin", "Greek", "Cyrillic"],
+        "arial": ["Latin", "Greek", "Cyrillic", "Hebrew", "Arabic"],
+        "noto sans": ["Latin", "Greek", "Cyrillic"],
+        "noto sans tc": ["Latin", "Han", "Bopomofo", "Hiragana", "Katakana"],
+        "noto sans hk": ["Latin", "Han", "Bopomofo", "Hiragana", "Katakana"],
+        "noto sans sc": ["Latin", "Han", "Bopomofo", "Hiragana", "Katakana"],
+        "noto sans jp": ["Latin", "Greek", "Cyrillic", "Han", "Hiragana", "Katakana"],
+        "noto sans kr": ["Latin", "Hangul", "Han", "Hiragana", "Katakana"],
+        "noto sans arabic": ["Arabic"],
+        "noto sans hebrew": ["Hebrew"],
+        "noto sans thai": ["Thai"],
+        "noto sans devanagari": ["Devanagari"],
+        "source han sans": ["Latin", "Greek", "Cyrillic", "Han", "Bopomofo", "Hiragana", "Katakana", "Hangul"],
+        "pingfang tc": ["Latin", "Han", "Bopomofo"],
+        "pingfang sc": ["Latin", "Han", "Bopomofo"],
+        "hiragino sans": ["Latin", "Greek", "Cyrillic", "Han", "Hiragana", "Katakana"]
+    };
+
+    function fontScripts(family, coverage) {
+        var key = core.trim(String(family)).toLowerCase();
+        if (coverage) {
+            for (var name in coverage) {
+                if (coverage.hasOwnProperty(name) && name.toLowerCase() === key) return coverage[name];
+            }
+        }
+        return FONT_COVERAGE.hasOwnProperty(key) ? FONT_COVERAGE[key] : ["Latin"];
+    }
+
+    // ─── FONT MAP ───────────────────────────────────────────
+
+    // Used when a tool has no map of its own
+    var DEFAULT_FONT_MAP = {
+        "zh-TW": { "*": { family: "Noto Sans TC" } },
+        "zh-HK": { "*": { family: "Noto Sans HK" } },
+        "zh": { "*": { family: "Noto Sans SC" } },
+        "ja": { "*": { family: "Noto Sans JP" } },
+        "ko": { "*": { family: "Noto Sans KR" } },
+        "ar": { "*": { family: "Noto Sans Arabic" } },
+        "fa": { "*": { family: "Noto Sans Arabic" } },
+        "ur": { "*": { family: "Noto Sans Arabic" } },
+        "he": { "*": { family: "Noto Sans Hebrew" } },
+        "th": { "*": { family: "Noto Sans Thai" } },
+        "hi": { "*": { family: "Noto Sans Devanagari" } }
+    };
+
+    function findKey(obj, wanted) {
+        wanted = wanted.toLowerCase();
+        for (var key in obj) {
+            if (obj.hasOwnProperty(key) && key.toLowerCase() === wanted) return obj[key];
+        }
+        return null;
+    }
+
+    // Substitute for (lang, family, style), or null
+    function resolveFont(fontMap, lang, family, style) {
+        var normalized = String(lang).replace(/_/g, "-");
+        var byFont = findKey(fontMap, normalized) || findKey(fontMap, normalized.split("-")[0]);
+        if (!byFont) return null;
+
+        var entry = findKey(byFont, family + "/" + style) || findKey(byFont, family) || byFont["*"] || null;
+        if (!entry || !entry.family) return null;
+        return {
+            family: entry.family,
+            style: entry.style || style,
+            postScriptName: entry.postScriptName || null
+        };
+    }
+
+    // "Noto Sans TC" + "Bold" → "NotoSansTC-Bold" (AE's TextDocument.font)
+    function postScriptName(font) {
+        if (font.postScriptName) return font.postScriptName;
+        var style = String(font.style || "Regular").replace(/\s+/g, "");
+        return String(font.family).replace(/\s+/g, "") + "-" + style;
+    }
+
+    // text: the translation; font: { family, style } of the master
+    // options: { fontMap (default DEFAULT_FONT_MAP), coverage }
+    // Returns {
+    //   font:    substitute { family, style, postScriptName } or null
+    //            to keep the master font,
+    //   missing: [{ script, chars }] not covered by the font used
+    // }
+    function chooseFont(text, lang, font, options) {
+        options = options || {};
+        var fontMap = options.fontMap || DEFAULT_FONT_MAP;
+        var scripts = textScripts(text);
+
+        function uncovered(family) {
+            var have = fontScripts(family, options.coverage);
+            var missing = [];
+            for (var script in scripts) {
+                if (scripts.hasOwnProperty(script) && !core.contains(have, script)) {
+                    missing.push({ script: script, chars: scripts[script] });
+                }
+            }
+            return missing;
+        }
+
+        var missing = uncovered(font.family);
+        if (missing.length === 0) return { font: null, missing: [] };
+
+        var substitute = resolveFont(fontMap, lang, font.family, font.style);
+        if (!substitute) return { font: null, missing: missing };
+
+        return { font: substitute, missing: uncovered(substitute.family) };
+    }
+
+    // "Noto Sans TC: no Katakana (アイ)" — for reports
+    function describeMissingGlyphs(family, missing) {
+        var parts = [];
+        for (var i = 0; i < missing.length; i++) {
+            var chars = missing[i].chars;
+            parts.push(missing[i].script + " (" + (chars.length > 8 ? chars.substring(0, 8) + "…" : chars) + ")");
+        }
+        return family + " has no " + parts.join(", ");
+    }
+
+    core.SCRIPT_RANGES = SCRIPT_RANGES;
+    core.FONT_COVERAGE = FONT_COVERAGE;
+    core.DEFAULT_FONT_MAP = DEFAULT_FONT_MAP;
+    core.scriptOf = scriptOf;
+    core.textScripts = textScripts;
+    core.fontScripts = fontScripts;
+    core.resolveFont = resolveFont;
+    core.postScriptName = postScriptName;
+    core.chooseFont = chooseFont;
+    core.describeMissingGlyphs = describeMissingGlyphs;
+
+})(LocalizationCore);
+
+if (typeof module !== "undefined" && module.exports) module.exports = LocalizationCore;
@@ -0,0 +1,719 @@
+/**
+ * ============================================================
+ *  FORMAT — {placeholder} variables and locale formatting
+ *  for LocalizationCore
+ * ============================================================
+ *
+ *  Cells can hold placeholders that are filled in per language
+ *  before the text is set:
+ *
+ *    Get started in just {steps} easy steps
+ *    Only {price, currency, USD} a month
+ *    {rate, percent} APR until {end, date, long}
+ *
+ *  Types: number (style: integer or a digit count), currency
+ *  (style: ISO code), percent (the value is the percentage, "20"
+ *  or "20%"), date (value YYYY-MM-DD, style: short or long).
+ *  A '{ ... }' in apostrophes is literal; '' writes an apostrophe.
+ *
+ *  PLURAL and SELECT pick a variant by a variable (ICU syntax):
+ *
+ *    {count, plural, one {# day left} other {# days left}}
+ *    {count, plural, =0 {Last day} one {# день} few {# дня}
+ *                    many {# дней} other {# дня}}
+ *    {gender, select, female {Sie} male {Er} other {Sie}}
+ *
+ *  # is the count formatted for the language; =N matches exactly.
+ *  The categories follow CLDR per language (ru needs one, few,
+ *  many, other; ar six; ja only other) and checkMessage() reports
+ *  the ones a cell is missing.
+ *
+ *  An apostrophe right before { or } quotes text up to the next
+ *  apostrophe ('{' is a brace); '' is an apostrophe. checkMessage()
+ *  warns when that swallows a placeholder and more, as in French
+ *  "l'{app} aujourd'hui" — write "l''{app}" there.
+ *
+ *  VARIABLES come from rows with type "variable" (layer_name is
+ *  the name) or from a sheet named "Variables" with a name column.
+ *  A language column gives that language's value; an empty cell
+ *  falls back to the value column, then to the first language.
+ *
+ *  Number and date conventions are a built-in table (ExtendScript
+ *  has no Intl); languages it doesn't list format like "en".
+ *
+ *  ES3-compatible, see localization-core.js.
+ */
+
+var LocalizationCore = (typeof LocalizationCore !== "undefined")
+    ? LocalizationCore
+    : require("./localization-core.js");
+
+(function (core) {
+
+    var NBSP = "\u00A0";
+    var NNBSP = "\u202F";
+
+    // ─── LOCALE DATA ────────────────────────────────────────
+
+    var MONTHS = {
+        en: ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"],
+        de: ["Januar", "Februar", "März", "April", "Mai", "Juni", "Juli", "August", "September", "Oktober", "November", "Dezember"],
+        fr: ["janvier", "février", "mars", "avril", "mai", "juin", "juillet", "août", "septembre", "octobre", "novembre", "décembre"],
+        es: ["enero", "febrero", "marzo", "abril", "mayo", "junio", "julio", "agosto", "septiembre", "octubre", "noviembre", "diciembre"],
+        pt: ["janeiro", "fevereiro", "março", "abril", "maio", "junho", "julho", "agosto", "setembro", "outubro", "novembro", "dezembro"],
+        it: ["gennaio", "febbraio", "marzo", "aprile", "maggio", "giugno", "luglio", "agosto", "settembre", "ottobre", "novembre", "dicembre"],
+        nl: ["januari", "februari", "maart", "april", "mei", "juni", "juli", "augustus", "september", "oktober", "november", "december"],
+        pl: ["stycznia", "lutego", "marca", "kwietnia", "maja", "czerwca", "lipca", "sierpnia", "września", "października", "listopada", "grudnia"],
+        ru: ["января", "февраля", "марта", "апреля", "мая", "июня", "июля", "августа", "сентября", "октября", "ноября", "декабря"],
+        uk: ["січня", "лютого", "березня", "квітня", "травня", "червня", "липня", "серпня", "вересня", "жовтня", "листопада", "грудня"],
+        kk: ["қаңтар", "ақпан", "наурыз", "сәуір", "мамыр", "маусым", "шілде", "тамыз", "қыркүйек", "қазан", "қараша", "желтоқсан"],
+        tr: ["Ocak", "Şubat", "Mart", "Nisan", "Mayıs", "Haziran", "Temmuz", "Ağustos", "Eylül", "Ekim", "Kasım", "Aralık"],
+        vi: ["tháng 1", "tháng 2", "tháng 3", "tháng 4", "tháng 5", "tháng 6", "tháng 7", "tháng 8", "tháng 9", "tháng 10", "tháng 11", "tháng 12"],
+        id: ["Januari", "Februari", "Maret", "April", "Mei", "Juni", "Juli", "Agustus", "September", "Oktober", "November", "Desember"],
+        ms: ["Januari", "Februari", "Mac", "April", "Mei", "Jun", "Julai", "Ogos", "September", "Oktober", "November", "Disember"],
+        th: ["มกราคม", "กุมภาพันธ์", "มีนาคม", "เมษายน", "พฤษภาคม", "มิถุนายน", "กรกฎาคม", "สิงหาคม", "กันยายน", "ตุลาคม", "พฤศจิกายน", "ธันวาคม"],
+        ar: ["يناير", "فبراير", "مارس", "أبريل", "مايو", "يونيو", "يوليو", "أغسطس", "سبتمبر", "أكتوبر", "نوفمبر", "ديسمبر"],
+        he: ["ינואר", "פברואר", "מרץ", "אפריל", "מאי", "יוני", "יולי", "אוגוסט", "ספטמבר", "אוקטובר", "נובמבר", "דצמבר"],
+        hi: ["जनवरी", "फ़रवरी", "मार्च", "अप्रैल", "मई", "जून", "जुलाई", "अगस्त", "सितंबर", "अक्तूबर", "नवंबर", "दिसंबर"]
+    };
+
+    // Per language, then per language-region (merged over the
+    // language). Patterns: "#" = number, "¤" = currency symbol;
+    // dates use yyyy, M, MM, MMMM, d, dd and 'quoted' literals.
+    // grouping [3, 2] is the Indian 12,34,567; minGrouping 2 leaves
+    // four-digit numbers ungrouped (es 1000, pl 1000).
+    var LOCALE_FORMATS = {
+        "en": { decimal: ".", group: ",", percent: "#%", currency: "¤#", short: "M/d/yyyy", long: "MMMM d, yyyy" },
+        "en-GB": { short: "dd/MM/yyyy", long: "d MMMM yyyy" },
+        "en-AU": { short: "d/M/yyyy", long: "d MMMM yyyy" },
+        "en-SG": { short: "d/M/yyyy", long: "d MMMM yyyy" },
+        "en-IN": { grouping: [3, 2], short: "d/M/yyyy", long: "d MMMM yyyy" },
+        "de": { decimal: ",", group: ".", percent: "#" + NBSP + "%", currency: "#" + NBSP + "¤", short: "dd.MM.yyyy", long: "d. MMMM yyyy" },
+        "de-AT": { group: NBSP, currency: "¤" + NBSP + "#" },
+        "de-CH": { decimal: ".", group: "’", percent: "#%", currency: "¤" + NBSP + "#" },
+        "fr": { decimal: ",", group: NNBSP, percent: "#" + NNBSP + "%", currency: "#" + NBSP + "¤", short: "dd/MM/yyyy", long: "d MMMM yyyy" },
+        "es": { decimal: ",", group: ".", minGrouping: 2, percent: "#" + NBSP + "%", currency: "#" + NBSP + "¤", short: "d/M/yyyy", long: "d 'de' MMMM 'de' yyyy" },
+        "es-MX": { decimal: ".", group: ",", minGrouping: 1, currency: "¤#", short: "dd/MM/yyyy" },
+        "es-US": { decimal: ".", group: ",", minGrouping: 1, currency: "¤#" },
+        "es-AR": { currency: "¤" + NBSP + "#" },
+        "pt": { decimal: ",", group: ".", percent: "#%", currency: "¤" + NBSP + "#", short: "dd/MM/yyyy", long: "d 'de' MMMM 'de' yyyy" },
+        "pt-PT": { group: NBSP, minGrouping: 2, currency: "#" + NBSP + "¤" },
+        "it": { decimal: ",", group: ".", percent: "#%", currency: "#" + NBSP + "¤", short: "dd/MM/yyyy", long: "d MMMM yyyy" },
+        "nl": { decimal: ",", group: ".", percent: "#%", currency: "¤" + NBSP + "#", short: "dd-MM-yyyy", long: "d MMMM yyyy" },
+        "pl": { decimal: ",", group: NBSP, minGrouping: 2, percent: "#%", currency: "#" + NBSP + "¤", short: "dd.MM.yyyy", long: "d MMMM yyyy" },
+        "ru": { decimal: ",", group: NBSP, percent: "#" + NBSP + "%", currency: "#" + NBSP + "¤", short: "dd.MM.yyyy", long: "d MMMM yyyy 'г.'" },
+        "uk": { decimal: ",", group: NBSP, percent: "#%", currency: "#" + NBSP + "¤", short: "dd.MM.yyyy", long: "d MMMM yyyy 'р.'" },
+        "kk": { decimal: ",", group: NBSP, percent: "#%", currency: "#" + NBSP + "¤", short: "dd.MM.yyyy", long: "yyyy 'ж'. d MMMM" },
+        "tr": { decimal: ",", group: ".", percent: "%#", currency: "¤#", short: "dd.MM.yyyy", long: "d MMMM yyyy" },
+        "vi": { decimal: ",", group: ".", percent: "#%", currency: "#" + NBSP + "¤", short: "dd/MM/yyyy", long: "d MMMM, yyyy" },
+        "id": { decimal: ",", group: ".", percent: "#%", currency: "¤#", short: "dd/MM/yyyy", long: "d MMMM yyyy" },
+        "ms": { decimal: ".", group: ",", percent: "#%", currency: "¤#", short: "d/MM/yyyy", long: "d MMMM yyyy" },
+        "th": { decimal: ".", group: ",", percent: "#%", currency: "¤#", short: "d/M/yyyy", long: "d MMMM yyyy", yearOffset: 543 },
+        "zh": { decimal: ".", group: ",", percent: "#%", currency: "¤#", short: "yyyy/M/d", long: "yyyy年M月d日" },
+        "zh-HK": { short: "d/M/yyyy" },
+        "ja": { decimal: ".", group: ",", percent: "#%", currency: "¤#", short: "yyyy/MM/dd", long: "yyyy年M月d日" },
+        "ko": { decimal: ".", group: ",", percent: "#%", currency: "¤#", short: "yyyy. M. d.", long: "yyyy년 M월 d일" },
+        "ar": { decimal: ".", group: ",", percent: "#%", currency: "#" + NBSP + "¤", short: "d/M/yyyy", long: "d MMMM yyyy" },
+        "he": { decimal: ".", group: ",", percent: "#%", currency: "#" + NBSP + "¤", short: "d.M.yyyy", long: "d 'ב'MMMM yyyy" },
+        "hi": { decimal: ".", group: ",", grouping: [3, 2], percent: "#%", currency: "¤#", short: "d/M/yyyy", long: "d MMMM yyyy" }
+    };
+
+    // Symbols for common currencies; other codes print as the code.
+    // Fraction digits are 2 unless listed; codes not in the table
+    // (USDT, BTC...) keep the digits of the value as written.
+    var CURRENCY_SYMBOLS = {
+        USD: "$", EUR: "€", GBP: "£", JPY: "¥", CNY: "¥", HKD: "HK$", TWD: "NT$", SGD: "S$",
+        MYR: "RM", IDR: "Rp", THB: "฿", VND: "₫", KRW: "₩", PHP: "₱", INR: "₹", RUB: "₽",
+        UAH: "₴", KZT: "₸", TRY: "₺", BRL: "R$", ARS: "$", MXN: "$", PLN: "zł", NGN: "₦"
+    };
+    var CURRENCY_DIGITS = { JPY: 0, KRW: 0, VND: 0 };
+
+    function normalizeLang(lang) {
+        return String(lang || "").replace(/_/g, "-");
+    }
+
+    // Number/date conventions for a language code ("pt-BR" → pt)
+    function localeFormat(lang) {
+        var code = normalizeLang(lang);
+        var primary = code.split("-")[0].toLowerCase();
+        var base = LOCALE_FORMATS.hasOwnProperty(primary) ? LOCALE_FORMATS[primary] : LOCALE_FORMATS["en"];
+        var result = { minGrouping: 1, grouping: [3], yearOffset: 0, months: MONTHS[primary] || MONTHS.en };
+        var key;
+        for (key in base) if (base.hasOwnProperty(key)) result[key] = base[key];
+        for (var region in LOCALE_FORMATS) {
+            if (!LOCALE_FORMATS.hasOwnProperty(region) || region.toLowerCase() !== code.toLowerCase() || region === primary) continue;
+            for (key in LOCALE_FORMATS[region]) if (LOCALE_FORMATS[region].hasOwnProperty(key)) result[key] = LOCALE_FORMATS[region][key];
+        }
+        return result;
+    }
+
+    // ─── NUMBERS AND DATES ──────────────────────────────────
+
+    // "1234.50" → { value: 1234.5, decimals: 2 }, or null
+    function parseNumber(str) {
+        var clean = core.trim(String(str)).replace(/[\s_,]/g, "");
+        if (!/^[+\-]?(\d+\.?\d*|\.\d+)$/.test(clean)) return null;
+        var dot = clean.indexOf(".");
+        return { value: parseFloat(clean), decimals: dot < 0 ? 0 : clean.length - dot - 1 };
+    }
+
+    function groupDigits(digits, format) {
+        if (digits.length < format.grouping[0] + format.minGrouping) return digits;
+        var parts = [];
+        var size = format.grouping[0];
+        var end = digits.length;
+        while (end > size) {
+            parts.unshift(digits.substring(end - size, end));
+            end -= size;
+            if (format.grouping.length > 1) size = format.grouping[1];
+        }
+        parts.unshift(digits.substring(0, end));
+        return parts.join(format.group);
+    }
+
+    // decimals: fixed fraction digits
+    function formatNumber(value, lang, decimals) {
+        var format = localeFormat(lang);
+        var fixed = Math.abs(value).toFixed(decimals || 0);
+        var dot = fixed.indexOf(".");
+        var integer = dot < 0 ? fixed : fixed.substring(0, dot);
+        var out = groupDigits(integer, format);
+        if (dot >= 0) out += format.decimal + fixed.substring(dot + 1);
+        return (value < 0 && Number(fixed) !== 0 ? "-" : "") + out;
+    }
+
+    function isLetter(ch) {
+        return /[A-Za-z]/.test(ch);
+    }
+
+    function formatCurrency(value, lang, code, decimals) {
+        var format = localeFormat(lang);
+        code = String(code).toUpperCase();
+        var symbol = CURRENCY_SYMBOLS.hasOwnProperty(code) ? CURRENCY_SYMBOLS[code] : code;
+        if (CURRENCY_SYMBOLS.hasOwnProperty(code)) decimals = CURRENCY_DIGITS.hasOwnProperty(code) ? CURRENCY_DIGITS[code] : 2;
+
+        var number = formatNumber(Math.abs(value), lang, decimals);
+        var pattern = format.currency;
+        // Letters next to digits get a space ("RM 9.99", "9,99 USDT")
+        var at = pattern.indexOf("¤");
+        var hash = pattern.indexOf("#");
+        if (at < hash && hash === at + 1 && isLetter(symbol.charAt(symbol.length - 1))) symbol += NBSP;
+        if (at > hash && at === hash + 1 && isLetter(symbol.charAt(0))) symbol = NBSP + symbol;
+
+        return (value < 0 ? "-" : "") + pattern.replace("#", number).replace("¤", symbol);
+    }
+
+    function formatPercent(value, lang, decimals) {
+        return localeFormat(lang).percent.replace("#", formatNumber(value, lang, decimals));
+    }
+
+    function pad2(n) {
+        return n < 10 ? "0" + n : String(n);
+    }
+
+    // "2026-11-01" → { year, month (1-12), day }, or null
+    function parseDate(str) {
+        var m = /^\s*(\d{4})[\-\/.](\d{1,2})[\-\/.](\d{1,2})\s*$/.exec(String(str));
+        if (!m) return null;
+        var date = { year: parseInt(m[1], 10), month: parseInt(m[2], 10), day: parseInt(m[3], 10) };
+        if (date.month < 1 || date.month > 12 || date.day < 1 || date.day > 31) return null;
+        return date;
+    }
+
+    function formatDate(date, lang, style) {
+        var format = localeFormat(lang);
+        var pattern = style === "short" ? format.short : format.long;
+        var year = String(date.year + format.yearOffset);
+        var out = "";
+        var i = 0;
+        while (i < pattern.length) {
+            var ch = pattern.charAt(i);
+            if (ch === "'") {
+                var close = pattern.indexOf("'", i + 1);
+                if (close < 0) close = pattern.length;
+                out += pattern.substring(i + 1, close);
+                i = close + 1;
+                continue;
+            }
+            var run = 1;
+            while (pattern.charAt(i + run) === ch) run++;
+            if (ch === "y") out += year;
+            else if (ch === "M") out += run >= 3 ? format.months[date.month - 1] : (run === 2 ? pad2(date.month) : String(date.month));
+            else if (ch === "d") out += run === 2 ? pad2(date.day) : String(date.day);
+            else out += pattern.substr(i, run);
+            i += run;
+        }
+        return out;
+    }
+
+    // ─── VARIABLES ──────────────────────────────────────────
+
+    var VARIABLE_COLUMNS = ["name", "value", "layer_name", "comp_name", "type"];
+
+    function isVariablesSheet(sheet) {
+        return core.trim(String(sheet.name || "")).toLowerCase() === "variables";
+    }
+
+    // tables: parseCSV-shaped tables (a "Variables" sheet, and/or the
+    // localization table with type=variable rows).
+    // Returns { name: { value, byLang: { lang: value } } }
+    function readVariables(tables) {
+        var variables = {};
+        for (var t = 0; t < tables.length; t++) {
+            var table = tables[t];
+            var whole = isVariablesSheet(table);
+            var langs = [];
+            for (var h = 0; h < table.headers.length; h++) {
+                var header = table.headers[h];
+                if (header !== "" && !core.contains(VARIABLE_COLUMNS, header.toLowerCase()) && !core.isReservedColumn(header)) langs.push(header);
+            }
+
+            for (var r = 0; r < table.rows.length; r++) {
+                var row = table.rows[r];
+                if (!whole && core.rowType(row) !== "variable") continue;
+                var name = core.trim(row["name"] || row["layer_name"] || "");
+                if (!name || variables.hasOwnProperty(name)) continue;
+
+                var variable = { value: core.trim(row["value"] || "") || (langs.length > 0 ? row[langs[0]] || "" : ""), byLang: {} };
+                for (var l = 0; l < langs.length; l++) {
+                    if (row[langs[l]]) variable.byLang[normalizeLang(langs[l]).toLowerCase()] = row[langs[l]];
+                }
+                variables[name] = variable;
+            }
+        }
+        return variables;
+    }
+
+    // Value for `lang` ("zh-TW" falls back to a "zh" column), or null
+    function variableValue(variables, name, lang) {
+        if (!variables.hasOwnProperty(name)) return null;
+        var variable = variables[name];
+        var code = normalizeLang(lang).toLowerCase();
+        if (variable.byLang.hasOwnProperty(code)) return variable.byLang[code];
+        var primary = code.split("-")[0];
+        if (variable.byLang.hasOwnProperty(primary)) return variable.byLang[primary];
+        return variable.value;
+    }
+
+    // ─── PLURAL RULES ───────────────────────────────────────
+
+    // CLDR cardinal rules. o: operands of the number as written —
+    // n (absolute value), i (integer part), v (visible decimals).
+    function oneIfExactlyOne(o) { return o.i === 1 && o.v === 0 ? "one" : "other"; }
+    function oneIfOne(o) { return o.n === 1 ? "one" : "other"; }
+    function oneIfZeroOrOne(o) { return o.i === 0 || o.n === 1 ? "one" : "other"; }
+    function alwaysOther() { return "other"; }
+
+    function eastSlavic(o) {
+        var mod10 = o.i % 10;
+        var mod100 = o.i % 100;
+        if (o.v !== 0) return "other";
+        if (mod10 === 1 && mod100 !== 11) return "one";
+        if (mod10 >= 2 && mod10 <= 4 && (mod100 < 12 || mod100 > 14)) return "few";
+        return "many";
+    }
+
+    var PLURAL_RULES = {
+        one_other: { categories: ["one", "other"], select: oneIfExactlyOne },
+        one_n: { categories: ["one", "other"], select: oneIfOne },
+        zero_one: { categories: ["one", "other"], select: oneIfZeroOrOne },
+        french: { categories: ["one", "other"], select: function (o) { return o.i === 0 || o.i === 1 ? "one" : "other"; } },
+        none: { categories: ["other"], select: alwaysOther },
+        east_slavic: { categories: ["one", "few", "many", "other"], select: eastSlavic },
+        polish: {
+            categories: ["one", "few", "many", "other"],
+            select: function (o) {
+                if (o.v !== 0) return "other";
+                if (o.i === 1) return "one";
+                var mod10 = o.i % 10;
+                var mod100 = o.i % 100;
+                if (mod10 >= 2 && mod10 <= 4 && (mod100 < 12 || mod100 > 14)) return "few";
+                return "many";
+            }
+        },
+        czech: {
+            categories: ["one", "few", "many", "other"],
+            select: function (o) {
+                if (o.v !== 0) return "many";
+                if (o.i === 1) return "one";
+                return o.i >= 2 && o.i <= 4 ? "few" : "other";
+            }
+        },
+        romanian: {
+            categories: ["one", "few", "other"],
+            select: function (o) {
+                if (o.i === 1 && o.v === 0) return "one";
+                var mod100 = o.n % 100;
+                return o.v !== 0 || o.n === 0 || (o.n !== 1 && mod100 >= 1 && mod100 <= 19) ? "few" : "other";
+            }
+        },
+        arabic: {
+            categories: ["zero", "one", "two", "few", "many", "other"],
+            select: function (o) {
+                var mod100 = o.n % 100;
+                if (o.n === 0) return "zero";
+                if (o.n === 1) return "one";
+                if (o.n === 2) return "two";
+                if (o.v === 0 && mod100 >= 3 && mod100 <= 10) return "few";
+                if (o.v === 0 && mod100 >= 11 && mod100 <= 99) return "many";
+                return "other";
+            }
+        },
+        hebrew: {
+            categories: ["one", "two", "other"],
+            select: function (o) {
+                if ((o.i === 1 && o.v === 0) || (o.i === 0 && o.v !== 0)) return "one";
+                return o.i === 2 && o.v === 0 ? "two" : "other";
+            }
+        }
+    };
+
+    // Language → rule; languages not listed use "one_other" (en)
+    var PLURAL_LANGUAGES = {
+        es: "one_n", tr: "one_n", kk: "one_n", el: "one_n", bg: "one_n", hu: "one_n", az: "one_n", uz: "one_n", ka: "one_n",
+        fr: "french", pt: "french",
+        hi: "zero_one", fa: "zero_one", bn: "zero_one", gu: "zero_one", mr: "one_n",
+        ja: "none", zh: "none", ko: "none", th: "none", vi: "none", id: "none", ms: "none", lo: "none", my: "none", km: "none",
+        ru: "east_slavic", uk: "east_slavic", be: "east_slavic",
+        pl: "polish", cs: "czech", sk: "czech", ro: "romanian",
+        ar: "arabic", he: "hebrew", iw: "hebrew"
+    };
+
+    function pluralRule(lang) {
+        var code = normalizeLang(lang).toLowerCase();
+        if (code === "pt-pt") return PLURAL_RULES.one_other;
+        var primary = code.split("-")[0];
+        return PLURAL_RULES[PLURAL_LANGUAGES.hasOwnProperty(primary) ? PLURAL_LANGUAGES[primary] : "one_other"];
+    }
+
+    // Categories a plural in `lang` has to provide ("other" last)
+    function pluralCategories(lang) {
+        return pluralRule(lang).categories.slice(0);
+    }
+
+    // number: { value, decimals } as from parseNumber
+    function pluralCategory(lang, number) {
+        var n = Math.abs(number.value);
+        return pluralRule(lang).select({ n: n, i: Math.floor(n), v: number.decimals });
+    }
+
+    // ─── MESSAGES ───────────────────────────────────────────
+    // ICU MessageFormat subset: {name}, {name, number|currency|
+    // percent|date, style}, {name, plural, [offset:n] =0 {...}
+    // one {...} other {...}} with # for the number, and {name,
+    // select, female {...} other {...}}. Parsed into nodes:
+    //   "text" | { pound: true } | { name, type, style, raw }
+    //   | { name, type: "plural"|"select", offset, options: { key: nodes }, raw }
+
+    // quotes (optional): collects the apostrophe-quoted spans as
+    // { text, closed }
+    function parseMessage(pattern, quotes) {
+        var pos = 0;
+
+        function fail(message) {
+            throw new Error(message + " at character " + (pos + 1));
+        }
+
+        function skipSpace() {
+            while (pos < pattern.length && /\s/.test(pattern.charAt(pos))) pos++;
+        }
+
+        function readToken(stops) {
+            var start = pos;
+            while (pos < pattern.length && stops.indexOf(pattern.charAt(pos)) < 0) pos++;
+            return core.trim(pattern.substring(start, pos));
+        }
+
+        function parseNodes(inPlural, nested) {
+            var nodes = [];
+            var text = "";
+            while (pos < pattern.length) {
+                var ch = pattern.charAt(pos);
+                var next = pattern.charAt(pos + 1);
+
+                // Apostrophes quote syntax characters; '' is one apostrophe
+                if (ch === "'" && next === "'") {
+                    text += "'";
+                    pos += 2;
+                } else if (ch === "'" && (next === "{" || next === "}" || (inPlural && next === "#"))) {
+                    var endQuote = pattern.indexOf("'", pos + 1);
+                    if (quotes) quotes.push({ text: pattern.substring(pos + 1, endQuote < 0 ? pattern.length : endQuote), closed: endQuote >= 0 });
+                    if (endQuote < 0) endQuote = pattern.length;
+                    text += pattern.substring(pos + 1, endQuote).replace(/''/g, "'");
+                    pos = endQuote + 1;
+                } else if (ch === "{") {
+                    if (text) nodes.push(text);
+                    text = "";
+                    nodes.push(parseArgument());
+                } else if (ch === "}") {
+                    if (nested) break;
+                    fail("Unmatched }");
+                } else if (ch === "#" && inPlural) {
+                    if (text) nodes.push(text);
+                    text = "";
+                    nodes.push({ pound: true });
+                    pos++;
+                } else {
+                    text += ch;
+                    pos++;
+                }
+            }
+            if (text) nodes.push(text);
+            return nodes;
+        }
+
+        function parseArgument() {
+            var start = pos;
+            pos++;
+            var node = { name: readToken(",}"), type: "", style: "" };
+            if (!node.name) fail("Empty placeholder {}");
+            if (pos >= pattern.length) fail("Unclosed {" + node.name);
+
+            if (pattern.charAt(pos) === ",") {
+                pos++;
+                node.type = readToken(",}").toLowerCase();
+                if (node.type === "plural" || node.type === "select") {
+                    if (pattern.charAt(pos) !== ",") fail("{" + node.name + ", " + node.type + "} needs options");
+                    pos++;
+                    node.offset = 0;
+                    node.options = {};
+                    for (;;) {
+                        skipSpace();
+                        if (pos >= pattern.length) fail("Unclosed {" + node.name + ", " + node.type);
+                        if (pattern.charAt(pos) === "}") break;
+                        var key = readToken("{} \t\r\n");
+                        if (/^offset:/.test(key) && node.type === "plural") {
+                            node.offset = parseFloat(key.substring(7)) || 0;
+                            continue;
+                        }
+                        skipSpace();
+                        if (!key || pattern.charAt(pos) !== "{") fail("Expected a {message} after '" + key + "' in {" + node.name + "}");
+                        pos++;
+                        node.options[key] = parseNodes(node.type === "plural", true);
+                        if (pattern.charAt(pos) !== "}") fail("Unclosed option '" + key + "' in {" + node.name + "}");
+                        pos++;
+                    }
+                } else if (pattern.charAt(pos) === ",") {
+                    pos++;
+                    node.style = readToken("}");
+                }
+            }
+            if (pattern.charAt(pos) !== "}") fail("Unclosed {" + node.name);
+            pos++;
+            node.raw = pattern.substring(start, pos);
+            return node;
+        }
+
+        return parseNodes(false, false);
+    }
+
+    // A simple {name, type, style} argument → text. Pushes to errors
+    // and returns null when it can't.
+    function formatArgument(node, lang, variables, errors) {
+        var name = node.name;
+        var type = node.type;
+        var style = node.style;
+
+        var raw = variableValue(variables, name, lang);
+        if (raw === null) {
+            errors.push("Unknown placeholder {" + name + "}");
+            return null;
+        }
+        if (type === "") return raw;
+
+        if (type === "date") {
+            var date = parseDate(raw);
+            if (!date) { errors.push("{" + name + "} is not a YYYY-MM-DD date: '" + raw + "'"); return null; }
+            return formatDate(date, lang, style.toLowerCase());
+        }
+
+        var number = parseNumber(String(raw).replace(/%\s*$/, ""));
+        if (!number) {
+            errors.push("{" + name + "} is not a number: '" + raw + "'");
+            return null;
+        }
+        var decimals = number.decimals;
+        if (/^\d+$/.test(style)) decimals = parseInt(style, 10);
+        if (style.toLowerCase() === "integer") decimals = 0;
+
+        if (type === "number") return formatNumber(number.value, lang, decimals);
+        if (type === "percent") return formatPercent(number.value, lang, decimals);
+        if (type === "currency") {
+            if (!style) { errors.push("{" + name + ", currency} needs a currency code, e.g. {" + name + ", currency, USD}"); return null; }
+            return formatCurrency(number.value, lang, style, number.decimals);
+        }
+        errors.push("Unknown placeholder type '" + type + "' in " + node.raw);
+        return null;
+    }
+
+    // The option of a plural/select node for its variable's value
+    function chooseOption(node, lang, variables, errors, context) {
+        var raw = variableValue(variables, node.name, lang);
+        if (raw === null) {
+            errors.push("Unknown placeholder {" + node.name + "}");
+            return null;
+        }
+
+        if (node.type === "select") {
+            var choice = core.trim(raw);
+            if (node.options.hasOwnProperty(choice)) return node.options[choice];
+            if (node.options.hasOwnProperty("other")) return node.options.other;
+            errors.push("{" + node.name + ", select} has no '" + choice + "' or 'other' option");
+            return null;
+        }
+
+        var number = parseNumber(raw);
+        if (!number) {
+            errors.push("{" + node.name + "} is not a number: '" + raw + "'");
+            return null;
+        }
+        if (node.options.hasOwnProperty("=" + number.value)) return node.options["=" + number.value];
+
+        var shown = { value: number.value - node.offset, decimals: number.decimals };
+        context.pound = formatNumber(shown.value, lang, shown.decimals);
+        var category = pluralCategory(lang, shown);
+        if (node.options.hasOwnProperty(category)) return node.options[category];
+        if (node.options.hasOwnProperty("other")) return node.options.other;
+        errors.push("{" + node.name + ", plural} has no '" + category + "' or 'other' option");
+        return null;
+    }
+
+    function formatNodes(nodes, lang, variables, errors, pound) {
+        var out = "";
+        for (var i = 0; i < nodes.length; i++) {
+            var node = nodes[i];
+            if (typeof node === "string") {
+                out += node;
+            } else if (node.pound) {
+                out += pound === null ? "#" : pound;
+            } else if (node.options) {
+                var context = { pound: pound };
+                var option = chooseOption(node, lang, variables, errors, context);
+                out += option === null ? node.raw : formatNodes(option, lang, variables, errors, context.pound);
+            } else {
+                var value = formatArgument(node, lang, variables, errors);
+                out += value === null ? node.raw : value;
+            }
+        }
+        return out;
+    }
+
+    // Fills the {placeholders} in `pattern` for `lang`.
+    // Returns { text, errors: [message] }; a placeholder that fails
+    // stays in the text as written, a syntax error leaves it all.
+    function formatMessage(pattern, lang, variables) {
+        pattern = String(pattern);
+        var nodes;
+        try {
+            nodes = parseMessage(pattern);
+        } catch (e) {
+            return { text: pattern, errors: [e.message] };
+        }
+        var errors = [];
+        return { text: formatNodes(nodes, lang, variables, errors, null), errors: errors };
+    }
+
+    // Plural forms a message written for `lang` lacks or doesn't
+    // need, whatever the values, and apostrophes that quote away a
+    // placeholder. Returns [{ severity, message }]; syntax errors are
+    // left to formatMessage.
+    function checkMessage(pattern, lang) {
+        var issues = [];
+        var nodes;
+        var quotes = [];
+        try {
+            nodes = parseMessage(String(pattern), quotes);
+        } catch (e) {
+            return issues;
+        }
+
+        // '{name}' on its own is a deliberate literal; a quote that
+        // runs on past it (or never ends) is an elision like l'{app}
+        for (var q = 0; q < quotes.length; q++) {
+            var quoted = /^\{\s*([^{}\s,]+)[^{}]*\}/.exec(quotes[q].text);
+            if (quoted && (!quotes[q].closed || quoted[0].length < quotes[q].text.length)) {
+                issues.push({ severity: "warning", message: "The apostrophe before {" + quoted[1] + "} makes \"" + quotes[q].text +
+                    "\" plain text (write '' for an apostrophe before a placeholder)" });
+            }
+        }
+
+        function walk(list) {
+            for (var i = 0; i < list.length; i++) {
+                var node = list[i];
+                if (!node.options) continue;
+                var key;
+                if (node.type === "plural") {
+                    var needed = pluralCategories(lang);
+                    var missing = [];
+                    for (var c = 0; c < needed.length; c++) {
+                        if (!node.options.hasOwnProperty(needed[c])) missing.push(needed[c]);
+                    }
+                    if (missing.length > 0) {
+                        issues.push({ severity: "error", message: "{" + node.name + ", plural} needs " + needed.join(", ") + " in " + lang + " (missing " + missing.join(", ") + ")" });
+                    }
+                    for (key in node.options) {
+                        if (node.options.hasOwnProperty(key) && key.charAt(0) !== "=" && !core.contains(needed, key)) {
+                            issues.push({ severity: "warning", message: "{" + node.name + ", plural} option '" + key + "' is never used in " + lang });
+                        }
+                    }
+                } else if (!node.options.hasOwnProperty("other")) {
+                    issues.push({ severity: "error", message: "{" + node.name + ", select} needs an 'other' option" });
+                }
+                for (key in node.options) {
+                    if (node.options.hasOwnProperty(key)) walk(node.options[key]);
+                }
+            }
+        }
+        walk(nodes);
+        return issues;
+    }
+
+    // Fills placeholders in every text replacement of a plan (from
+    // buildReplacementPlan), in place. Returns validateRows-style
+    // issues: errors for placeholders that could not be filled or
+    // plurals missing a form the language needs.
+    function resolvePlaceholders(plan, variables) {
+        var issues = [];
+        for (var l = 0; l < plan.languages.length; l++) {
+            var entry = plan.languages[l];
+            for (var r = 0; r < entry.replacements.length; r++) {
+                var rep = entry.replacements[r];
+                if (rep.type !== "text" || rep.value.indexOf("{") < 0) continue;
+                var where = "[" + entry.lang + "] " + rep.layerName + ": ";
+
+                var checks = checkMessage(rep.value, entry.lang);
+                for (var c = 0; c < checks.length; c++) {
+                    issues.push({ line: rep.line, severity: checks[c].severity, message: where + checks[c].message });
+                }
+                var filled = formatMessage(rep.value, entry.lang, variables);
+                rep.value = filled.text;
+                for (var e = 0; e < filled.errors.length; e++) {
+                    issues.push({ line: rep.line, severity: "error", message: where + filled.errors[e] });
+                }
+                if (rep.source && rep.source.indexOf("{") >= 0) rep.source = formatMessage(rep.source, plan.sourceLanguage, variables).text;
+            }
+        }
+        return issues;
+    }
+
+    core.LOCALE_FORMATS = LOCALE_FORMATS;
+    core.CURRENCY_SYMBOLS = CURRENCY_SYMBOLS;
+    core.localeFormat = localeFormat;
+    core.formatNumber = formatNumber;
+    core.formatCurrency = formatCurrency;
+    core.formatPercent = formatPercent;
+    core.parseDate = parseDate;
+    core.formatDate = formatDate;
+    core.isVariablesSheet = isVariablesSheet;
+    core.readVariables = readVariables;
+    core.variableValue = variableValue;
+    core.pluralCategories = pluralCategories;
+    core.pluralCategory = pluralCategory;
+    core.parseMessage = parseMessage;
+    core.formatMessage = formatMessage;
+    core.checkMessage = checkMessage;
+    core.resolvePlaceholders = resolvePlaceholders;
+
+})(LocalizationCore);
+
+if (typeof module !== "undefined" && module.exports) module.exports = LocalizationCore;
@@ -0,0 +1,170 @@
+/**
+ * ============================================================
+ *  JSON — parse and format for LocalizationCore
+ * ============================================================
+ *
+ *  ExtendScript has no JSON object. parseJSON() is strict
+ *  (RFC 8259: no comments, no trailing commas) so a file that
+ *  loads in AE also loads anywhere else, and reports where a
+ *  hand-edited file went wrong. formatJSON() writes objects
+ *  with their keys in insertion order, indented for diffs.
+ *
+ *  ES3-compatible, see localization-core.js.
+ */
+
+var LocalizationCore = (typeof LocalizationCore !== "undefined")
+    ? LocalizationCore
+    : require("./localization-core.js");
+
+(function (core) {
+
+    var ESCAPES = { "\"": "\"", "\\": "\\", "/": "/", b: "\b", f: "\f", n: "\n", r: "\r", t: "\t" };
+
+    // Throws Error("... at line L, column C")
+    function parseJSON(text) {
+        text = String(text);
+        var pos = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+        function fail(message) {
+            var line = 1;
+            var column = 1;
+            for (var i = 0; i < pos && i < text.length; i++) {
+                if (text.charAt(i) === "\n") { line++; column = 1; } else column++;
+            }
+            throw new Error(message + " at line " + line + ", column " + column);
+        }
+
+        function describe() {
+            return pos < text.length ? "'" + text.charAt(pos) + "'" : "end of file";
+        }
+
+        function skipSpace() {
+            while (pos < text.length && /[ \t\r\n]/.test(text.charAt(pos))) pos++;
+        }
+
+        function expect(ch) {
+            skipSpace();
+            if (text.charAt(pos) !== ch) fail("Expected '" + ch + "' but found " + describe());
+            pos++;
+        }
+
+        function parseString() {
+            var out = "";
+            pos++;
+            while (true) {
+                if (pos >= text.length) fail("Unterminated string");
+                var ch = text.charAt(pos);
+                if (ch === "\"") { pos++; return out; }
+                if (ch.charCodeAt(0) < 0x20) fail("Unescaped control character in string");
+                if (ch === "\\") {
+                    var esc = text.charAt(pos + 1);
+                    if (esc === "u") {
+                        var hex = text.substring(pos + 2, pos + 6);
+                        if (!/^[0-9a-fA-F]{4}$/.test(hex)) fail("Bad \\u escape");
+                        out += String.fromCharCode(parseInt(hex, 16));
+                        pos += 6;
+                        continue;
+                    }
+                    if (!ESCAPES.hasOwnProperty(esc)) { pos++; fail("Bad escape '\\" + esc + "'"); }
+                    out += ESCAPES[esc];
+                    pos += 2;
+                    continue;
+                }
+                out += ch;
+                pos++;
+            }
+        }
+
+        function parseValue() {
+            skipSpace();
+            var ch = text.charAt(pos);
+
+            if (ch === "{") {
+                var obj = {};
+                pos++;
+                skipSpace();
+                if (text.charAt(pos) === "}") { pos++; return obj; }
+                while (true) {
+                    skipSpace();
+                    if (text.charAt(pos) !== "\"") fail("Expected a \"key\" but found " + describe());
+                    var key = parseString();
+                    expect(":");
+                    obj[key] = parseValue();
+                    skipSpace();
+                    if (text.charAt(pos) === "}") { pos++; return obj; }
+                    expect(",");
+                }
+            }
+
+            if (ch === "[") {
+                var list = [];
+                pos++;
+                skipSpace();
+                if (text.charAt(pos) === "]") { pos++; return list; }
+                while (true) {
+                    list.push(parseValue());
+                    skipSpace();
+                    if (text.charAt(pos) === "]") { pos++; return list; }
+                    expect(",");
+                }
+            }
+
+            if (ch === "\"") return parseString();
+
+            var literal = /^(true|false|null|-?(0|[1-9][0-9]*)(\.[0-9]+)?([eE][+\-]?[0-9]+)?)/.exec(text.substring(pos, pos + 40));
+            if (!literal) fail("Unexpected " + describe());
+            pos += literal[0].length;
+            if (literal[0] === "true") return true;
+            if (literal[0] === "false") return false;
+            if (literal[0] === "null") return null;
+            return parseFloat(literal[0]);
+        }
+
+        var value = parseValue();
+        skipSpace();
+        if (pos < text.length) fail("Unexpected " + describe() + " after the value");
+        return value;
+    }
+
+    function quoteJSON(str) {
+        return "\"" + String(str).replace(/[\\"\u0000-\u001F]/g, function (ch) {
+            if (ch === "\"" || ch === "\\") return "\\" + ch;
+            if (ch === "\n") return "\\n";
+            if (ch === "\r") return "\\r";
+            if (ch === "\t") return "\\t";
+            var hex = ch.charCodeAt(0).toString(16);
+            return "\\u" + "0000".substring(hex.length) + hex;
+        }) + "\"";
+    }
+
+    // Two-space indented JSON; undefined and function members are left out
+    function formatJSON(value, indent) {
+        indent = indent || "";
+        var inner = indent + "  ";
+
+        if (value === null || typeof value === "undefined") return "null";
+        if (typeof value === "string") return quoteJSON(value);
+        if (typeof value === "number") return isFinite(value) ? String(value) : "null";
+        if (typeof value === "boolean") return String(value);
+
+        var parts = [];
+        if (value instanceof Array) {
+            if (value.length === 0) return "[]";
+            for (var i = 0; i < value.length; i++) parts.push(inner + formatJSON(value[i], inner));
+            return "[\n" + parts.join(",\n") + "\n" + indent + "]";
+        }
+
+        for (var key in value) {
+            if (!value.hasOwnProperty(key) || typeof value[key] === "undefined" || typeof value[key] === "function") continue;
+            parts.push(inner + quoteJSON(key) + ": " + formatJSON(value[key], inner));
+        }
+        if (parts.length === 0) return "{}";
+        return "{\n" + parts.join(",\n") + "\n" + indent + "}";
+    }
+
+    core.parseJSON = parseJSON;
+    core.formatJSON = formatJSON;
+
+})(LocalizationCore);
+
+if (typeof module !== "undefined" && module.exports) module.exports = LocalizationCore;
@@ -0,0 +1,1309 @@
+/**
+ * ============================================================
+ *  LOCALIZATION CORE
+ *  Shared CSV parsing, language detection, row validation and
+ *  replacement planning for the Batch Asset Replacer (AE) and
+ *  the Batch Localizer (Figma).
+ * ============================================================
+ *
+ *  ES3-compatible on purpose: the same file is included by
+ *  ExtendScript (//@include), embedded into the Figma plugin
+ *  (tools/embed-shared.js) and required by the Node tests.
+ *  No let/const, arrow functions, JSON, Array#indexOf or
+ *  String#trim in here.
+ *
+ *  Author: Gelvan Neo | Bybit Livestream & Video
+ *  Version: 1.0
+ */
+
+var LocalizationCore = (function () {
+
+    // ─── CONFIGURATION ──────────────────────────────────────
+
+    // Columns that describe a row rather than a language.
+    // Shared by both tools so a CSV means the same thing in AE and Figma.
+    var RESERVED_COLUMNS = ["comp_name", "frame_name", "layer_name", "type", "fit", "min_font_size", "max_chars", "max_lines", "value"];
+
+    var KNOWN_TYPES = ["text", "footage", "image", "variable"];
+
+    // Primary subtags of languages written right to left
+    var RTL_LANGUAGES = ["ar", "he", "iw", "fa", "ur", "ps", "sd", "ug", "yi", "dv", "ckb"];
+
+    // What to do when a translation overflows its text box
+    var FIT_MODES = ["none", "flag", "shrink", "track"];
+
+    // What to do with a translation over its max_chars / max_lines
+    var LIMIT_MODES = ["report", "skip", "truncate", "fit"];
+
+    // ─── UTILITIES ──────────────────────────────────────────
+
+    function trim(str) {
+        return String(str).replace(/^\s+|\s+$/g, "");
+    }
+
+    function contains(list, value) {
+        for (var i = 0; i < list.length; i++) {
+            if (list[i] === value) return true;
+        }
+        return false;
+    }
+
+    // ─── CSV PARSING ────────────────────────────────────────
+    //
+    // RFC 4180 reader, fed in chunks: quoted cells may contain
+    // delimiters, "" escapes and line breaks (CRLF, LF or CR).
+    // A leading UTF-8 BOM is dropped. The delimiter is detected
+    // from the header line (",", ";" or tab) unless given.
+    // Malformed input never throws — it is reported with the
+    // line/column where it happened and parsed leniently.
+
+    var DELIMITERS = [",", ";", "\t"];
+
+    // Picks the candidate that occurs most often outside quotes
+    // in the first line of `text`. Ties go to the comma.
+    function detectDelimiter(text) {
+        var counts = {};
+        var inQuotes = false;
+        for (var d = 0; d < DELIMITERS.length; d++) counts[DELIMITERS[d]] = 0;
+
+        for (var i = 0; i < text.length; i++) {
+            var ch = text.charAt(i);
+            if (ch === '"') inQuotes = !inQuotes;
+            else if (!inQuotes && (ch === "\n" || ch === "\r")) break;
+            else if (!inQuotes && counts.hasOwnProperty(ch)) counts[ch]++;
+        }
+
+        var best = ",";
+        for (var c = 1; c < DELIMITERS.length; c++) {
+            if (counts[DELIMITERS[c]] > counts[best]) best = DELIMITERS[c];
+        }
+        return best;
+    }
+
+    // options.delimiter: "," ";" "\t" — omit to auto-detect
+    // options.onRecord(fields, line): called once per record
+    //   (line = where the record starts; blank lines are skipped)
+    // options.onError({ line, column, message })
+    function CSVReader(options) {
+        options = options || {};
+        this.delimiter = options.delimiter || null;
+        this.onRecord = options.onRecord || function () {};
+        this.onError = options.onError || function () {};
+
+        this._pending = "";        // text held back until the delimiter is known
+        this._started = false;     // BOM check done
+        this._field = "";
+        this._fields = [];
+        this._quoted = false;      // current field started with a quote
+        this._inQuotes = false;
+        this._quoteSeen = false;   // saw a quote inside quotes; next char decides
+        this._afterQuote = false;  // closing quote seen, expecting delimiter/EOL
+        this._lastWasCR = false;
+        this._line = 1;
+        this._column = 0;
+        this._recordLine = 1;
+    }
+
+    CSVReader.prototype.write = function (chunk) {
+        chunk = String(chunk);
+
+        if (!this._started) {
+            this._pending += chunk;
+            if (this._pending === "") return this;
+            if (this._pending.charCodeAt(0) === 0xFEFF) this._pending = this._pending.substring(1);
+            if (!this.delimiter) {
+                // Need the whole header line to pick a delimiter
+                if (!/[\r\n]/.test(this._pending)) return this;
+                this.delimiter = detectDelimiter(this._pending);
+            }
+            this._started = true;
+            chunk = this._pending;
+            this._pending = "";
+        }
+
+        for (var i = 0; i < chunk.length; i++) this._consume(chunk.charAt(i));
+        return this;
+    };
+
+    CSVReader.prototype.end = function () {
+        if (!this._started) {
+            if (!this.delimiter) this.delimiter = detectDelimiter(this._pending);
+            this._started = true;
+            var rest = this._pending;
+            this._pending = "";
+            for (var i = 0; i < rest.length; i++) this._consume(rest.charAt(i));
+        }
+
+        if (this._quoteSeen) {
+            // Closing quote was the last character of the file
+            this._quoteSeen = false;
+            this._inQuotes = false;
+        }
+        if (this._inQuotes) {
+            this._error(this._recordLine, 0, "Unterminated quoted cell (opened on line " + this._recordLine + ")");
+            this._inQuotes = false;
+        }
+        this._endRecord();
+        return this;
+    };
+
+    CSVReader.prototype._error = function (line, column, message) {
+        this.onError({ line: line, column: column, message: message });
+    };
+
+    CSVReader.prototype._consume = function (ch) {
+        // CRLF is one line break
+        if (this._lastWasCR) {
+            this._lastWasCR = false;
+            if (ch === "\n") return;
+        }
+
+        if (ch === "\n" || ch === "\r") {
+            this._lastWasCR = (ch === "\r");
+        }
+
+        this._column++;
+
+        if (this._quoteSeen) {
+            this._quoteSeen = false;
+            if (ch === '"') {
+                this._field += '"';          // "" → "
+                return;
+            }
+            this._inQuotes = false;
+            this._afterQuote = true;
+        }
+
+        if (this._inQuotes) {
+            if (ch === '"') {
+                this._quoteSeen = true;
+            } else {
+                this._field += (ch === "\r") ? "\n" : ch;
+                if (ch === "\n" || ch === "\r") this._newLine();
+            }
+            return;
+        }
+
+        if (ch === this.delimiter) {
+            this._endField();
+            return;
+        }
+
+        if (ch === "\n" || ch === "\r") {
+            this._endRecord();
+            this._newLine();
+            this._recordLine = this._line;
+            return;
+        }
+
+        if (this._afterQuote) {
+            if (ch !== " " && ch !== "\t") {
+                this._error(this._line, this._column, "Unexpected '" + ch + "' after closing quote");
+                this._field += ch;
+            }
+            return;
+        }
+
+        if (ch === '"') {
+            if (trim(this._field) === "") {
+                this._field = "";
+                this._quoted = true;
+                this._inQuotes = true;
+                return;
+            }
+            this._error(this._line, this._column, "Quote inside unquoted cell (wrap the cell in quotes and double it)");
+        }
+
+        this._field += ch;
+    };
+
+    CSVReader.prototype._newLine = function () {
+        this._line++;
+        this._column = 0;
+    };
+
+    CSVReader.prototype._endField = function () {
+        // Quoted cells are kept verbatim; unquoted ones are trimmed
+        this._fields.push(this._quoted ? this._field : trim(this._field));
+        this._field = "";
+        this._quoted = false;
+        this._afterQuote = false;
+    };
+
+    CSVReader.prototype._endRecord = function () {
+        var blank = this._fields.length === 0 && !this._quoted && trim(this._field) === "";
+        this._endField();
+        var fields = this._fields;
+        this._fields = [];
+        if (!blank) this.onRecord(fields, this._recordLine);
+    };
+
+    // `input` is the whole file as a string, or a function that
+    // returns the next chunk (null/undefined when done) so large
+    // files can be streamed from disk.
+    // Returns {
+    //   headers:   [...],
+    //   rows:      [{ header: value, __line: n }],
+    //   delimiter: "," | ";" | "\t",
+    //   errors:    [{ line, column, message }]
+    // }
+    function parseCSV(input, options) {
+        options = options || {};
+        var headers = null;
+        var rows = [];
+        var errors = [];
+
+        var reader = new CSVReader({
+            delimiter: options.delimiter,
+            onError: function (err) { errors.push(err); },
+            onRecord: function (fields, line) {
+                if (!headers) {
+                    headers = fields;
+                    for (var h = 0; h < headers.length; h++) headers[h] = trim(headers[h]);
+                    return;
+                }
+                if (fields.length > headers.length) {
+                    var extra = fields.slice(headers.length);
+                    var hasContent = false;
+                    for (var e = 0; e < extra.length; e++) {
+                        if (extra[e] !== "") { hasContent = true; break; }
+                    }
+                    if (hasContent) {
+                        errors.push({ line: line, column: 0,
+                            message: "Row has " + fields.length + " cells but the header has " + headers.length +
+                                " (unquoted '" + reader.delimiter + "' in a cell?)" });
+                    }
+                }
+                var row = {};
+                for (var j = 0; j < headers.length; j++) {
+                    row[headers[j]] = (j < fields.length) ? fields[j] : "";
+                }
+                row.__line = line;
+                rows.push(row);
+            }
+        });
+
+        if (typeof input === "function") {
+            var chunk = input();
+            while (chunk !== null && chunk !== undefined) {
+                reader.write(chunk);
+                chunk = input();
+            }
+        } else {
+            reader.write(input);
+        }
+        reader.end();
+
+        return { headers: headers || [], rows: rows, delimiter: reader.delimiter, errors: errors };
+    }
+
+    // ─── CSV WRITING ────────────────────────────────────────
+
+    // Quotes a cell only when it needs it (delimiter, quote, line
+    // break, or leading/trailing space that must survive parsing).
+    function formatCSVCell(value, delimiter) {
+        var str = (value === null || value === undefined) ? "" : String(value);
+        if (str.indexOf(delimiter || ",") >= 0 || /["\r\n]/.test(str) || /^\s|\s$/.test(str)) {
+            return '"' + str.replace(/"/g, '""') + '"';
+        }
+        return str;
+    }
+
+    // headers: [...], rows: [{ header: value }] or [[value, ...]]
+    // options.delimiter (","), options.bom (false) — Excel needs the
+    // BOM to open UTF-8 files correctly.
+    // Lines end in CRLF as RFC 4180 asks.
+    function buildCSV(headers, rows, options) {
+        options = options || {};
+        var delimiter = options.delimiter || ",";
+        var lines = [];
+        var cells = [];
+        var h;
+
+        for (h = 0; h < headers.length; h++) cells.push(formatCSVCell(headers[h], delimiter));
+        lines.push(cells.join(delimiter));
+
+        for (var r = 0; r < rows.length; r++) {
+            cells = [];
+            for (h = 0; h < headers.length; h++) {
+                var value = (rows[r] instanceof Array) ? rows[r][h] : rows[r][headers[h]];
+                cells.push(formatCSVCell(value, delimiter));
+            }
+            lines.push(cells.join(delimiter));
+        }
+
+        return (options.bom ? "\uFEFF" : "") + lines.join("\r\n") + "\r\n";
+    }
+
+    // ─── LANGUAGES ──────────────────────────────────────────
+
+    function isReservedColumn(header) {
+        return contains(RESERVED_COLUMNS, trim(header).toLowerCase());
+    }
+
+    function detectLanguages(headers) {
+        var langs = [];
+        for (var i = 0; i < headers.length; i++) {
+            if (headers[i] === "" || isReservedColumn(headers[i])) continue;
+            langs.push(headers[i]);
+        }
+        return langs;
+    }
+
+    // "zh-TW" → "zh_tw" (used for comp name suffixes)
+    function languageSuffix(lang) {
+        return lang.toLowerCase().replace(/[^a-z0-9]/g, "_");
+    }
+
+    // "zh-TW" → "ZH-TW" (used for folder names)
+    function languageLabel(lang) {
+        return lang.toUpperCase().replace(/[^A-Z0-9\-]/g, "_");
+    }
+
+    // "ar-SA", "he_IL", "fa" → true
+    function isRTL(lang) {
+        var primary = trim(String(lang)).toLowerCase().split(/[-_]/)[0];
+        return contains(RTL_LANGUAGES, primary);
+    }
+
+    // Alignment for RTL output, by enum name: "LEFT" ↔ "RIGHT" (Figma),
+    // "LEFT_JUSTIFY" ↔ "RIGHT_JUSTIFY", "FULL_JUSTIFY_LASTLINE_LEFT"
+    // ↔ "..._RIGHT" (AE). Center and full justify stay as they are.
+    function mirrorAlignment(name) {
+        return String(name).replace(/LEFT|RIGHT/g, function (side) {
+            return side === "LEFT" ? "RIGHT" : "LEFT";
+        });
+    }
+
+    // ─── ROW VALIDATION ─────────────────────────────────────
+
+    function rowType(row) {
+        return trim(row["type"] || "text").toLowerCase() || "text";
+    }
+
+    // Checks the parsed data before anything is duplicated.
+    // options.targetColumn: column naming the master comp/frame
+    //                       (AE: "comp_name", Figma: "frame_name"
+    //                       when the sheet has it)
+    // options.sourceLanguage: column markup is compared against
+    //                       (default: first language column)
+    // Returns [{ line, severity: "error"|"warning", message }]
+    function validateRows(data, options) {
+        options = options || {};
+        var issues = [];
+        var targetColumn = options.targetColumn || null;
+        var seen = {};
+
+        function add(row, severity, message) {
+            var where = row.__sheet ? "[" + row.__sheet + "] " : "";
+            issues.push({ line: row.__line || 0, severity: severity, message: where + message });
+        }
+
+        var parseErrors = data.errors || [];
+        for (var p = 0; p < parseErrors.length; p++) {
+            var where = parseErrors[p].column ? ", column " + parseErrors[p].column : "";
+            issues.push({ line: parseErrors[p].line, severity: "error", message: parseErrors[p].message + where });
+        }
+
+        if (!contains(data.headers, "layer_name")) {
+            issues.push({ line: 1, severity: "error", message: "Missing required column 'layer_name'" });
+            return issues;
+        }
+        if (targetColumn && !contains(data.headers, targetColumn)) {
+            issues.push({ line: 1, severity: "error", message: "Missing required column '" + targetColumn + "'" });
+            return issues;
+        }
+
+        var languageColumns = detectLanguages(data.headers);
+        var sourceLanguage = options.sourceLanguage || languageColumns[0] || "";
+
+        for (var i = 0; i < data.rows.length; i++) {
+            var row = data.rows[i];
+            var layerName = row["layer_name"];
+            var target = targetColumn ? row[targetColumn] : "";
+
+            if (!layerName) {
+                add(row, "error", "Empty layer_name");
+                continue;
+            }
+            // Variables (see format.js) name no layer or comp
+            if (rowType(row) === "variable") continue;
+            if (targetColumn && !target) {
+                add(row, "error", "Empty " + targetColumn + " for layer '" + layerName + "'");
+                continue;
+            }
+
+            var pattern = parseLayerPattern(layerName);
+            if (pattern.error) add(row, "error", "layer_name '" + layerName + "' " + pattern.error);
+
+            var fit = rowFit(row);
+            if (fit && fit.mode && !contains(FIT_MODES, fit.mode)) {
+                add(row, "error", "Unknown fit '" + fit.mode + "' for layer '" + layerName + "' (use " + FIT_MODES.join(", ") + ")");
+            }
+            if (fit && trim(row["min_font_size"] || "") !== "" && !(fit.minFontSize > 0)) {
+                add(row, "error", "min_font_size must be a positive number for layer '" + layerName + "'");
+            }
+            var limitColumns = ["max_chars", "max_lines"];
+            for (var lim = 0; lim < limitColumns.length; lim++) {
+                var limit = parseLimit(row[limitColumns[lim]] || "");
+                if (limit.error) add(row, "error", limitColumns[lim] + " " + limit.error + " for layer '" + layerName + "'");
+            }
+
+            var type = rowType(row);
+            if (!contains(KNOWN_TYPES, type)) {
+                add(row, "warning", "Unknown type '" + type + "' for layer '" + layerName + "' (treated as text)");
+            }
+            // Translations should mark the same words as the source
+            var sourceMarkup = type === "text" && sourceLanguage ? parseMarkup(row[sourceLanguage] || "") : null;
+            if (sourceMarkup && sourceMarkup.spans.length > 0) {
+                for (var l = 0; l < languageColumns.length; l++) {
+                    if (languageColumns[l] === sourceLanguage || !row[languageColumns[l]]) continue;
+                    var markupDiffs = compareMarkup(sourceMarkup, parseMarkup(row[languageColumns[l]]));
+                    if (markupDiffs.length > 0) {
+                        add(row, "warning", "Markup in " + languageColumns[l] + " differs from " + sourceLanguage +
+                            " for layer '" + layerName + "' (" + markupDiffs.join(", ") + ")");
+                    }
+                }
+            }
+
+            var key = target + "\u0000" + layerName;
+            if (seen[key]) {
+                add(row, "warning", "Duplicate row for layer '" + layerName + "'" +
+                    (target ? " in '" + target + "'" : "") + " (line " + seen[key] + " wins)");
+            } else {
+                seen[key] = row.__line || (i + 2);
+            }
+        }
+
+        return issues;
+    }
+
+    // Fit settings from the optional fit / min_font_size columns:
+    // { mode, minFontSize } (either may be null = tool default),
+    // or null when the row sets neither.
+    function rowFit(row) {
+        var mode = trim(row["fit"] || "").toLowerCase();
+        var min = trim(row["min_font_size"] || "");
+        if (!mode && !min) return null;
+        return { mode: mode || null, minFontSize: min ? parseFloat(min) : null };
+    }
+
+    function hasErrors(issues) {
+        for (var i = 0; i < issues.length; i++) {
+            if (issues[i].severity === "error") return true;
+        }
+        return false;
+    }
+
+    // ─── REPLACEMENT PLAN ───────────────────────────────────
+
+    // Turns rows × languages into the list of replacements each tool
+    // applies. The first row for a target/layer pair wins.
+    // options.targetColumn: see validateRows
+    // options.sourceLanguage: column the master was written in
+    //                         (default: the first language column)
+    // Rows of type "variable" are left out (see format.js).
+    // Returns {
+    //   targets:   [unique target names, in CSV order],
+    //   sourceLanguage,
+    //   languages: [{ lang, suffix, label, rtl, skipped,
+    //                 replacements: [{ target, layerName, type, value,
+    //                                  source, line, fit, limits }] }]
+    // }
+    function buildReplacementPlan(data, languages, options) {
+        options = options || {};
+        var targetColumn = options.targetColumn || null;
+        var sourceLanguage = options.sourceLanguage || detectLanguages(data.headers || [])[0] || "";
+        var targets = [];
+        var targetSeen = {};
+        var usable = [];
+        var pairSeen = {};
+
+        for (var i = 0; i < data.rows.length; i++) {
+            var row = data.rows[i];
+            var target = targetColumn ? (row[targetColumn] || "") : "";
+            if (!row["layer_name"] || (targetColumn && !target) || rowType(row) === "variable") continue;
+
+            var key = target + "\u0000" + row["layer_name"];
+            if (pairSeen[key]) continue;
+            pairSeen[key] = true;
+            usable.push(row);
+
+            if (targetColumn && !targetSeen[target]) {
+                targetSeen[target] = true;
+                targets.push(target);
+            }
+        }
+
+        var plan = { targets: targets, sourceLanguage: sourceLanguage, languages: [] };
+
+        for (var l = 0; l < languages.length; l++) {
+            var lang = languages[l];
+            var entry = {
+                lang: lang,
+                suffix: languageSuffix(lang),
+                label: languageLabel(lang),
+                rtl: isRTL(lang),
+                skipped: 0,
+                replacements: []
+            };
+
+            for (var r = 0; r < usable.length; r++) {
+                var value = usable[r][lang];
+                if (!value || value === "") { entry.skipped++; continue; }
+                entry.replacements.push({
+                    target: targetColumn ? usable[r][targetColumn] : "",
+                    layerName: usable[r]["layer_name"],
+                    type: rowType(usable[r]),
+                    value: value,
+                    source: usable[r][sourceLanguage] || "",
+                    line: usable[r].__line || 0,
+                    fit: rowFit(usable[r]),
+                    limits: rowLimits(usable[r], lang)
+                });
+            }
+
+            plan.languages.push(entry);
+        }
+
+        return plan;
+    }
+
+    // ─── LAYER MATCHING ─────────────────────────────────────
+    // layer_name is an exact name or a pattern:
+    //
+    //   Headline                        every layer named Headline
+    //   Sub_Comp_A/Sub_Comp_B/Headline  path from the master down
+    //   **/Card/Headline                "**" stands for any depth
+    //   Headline_*, Price_?             wildcards inside one name
+    //   /^CTA \d+$/i                    regular expression on the name
+    //
+    // "\" escapes a "/", "*" or "?" that is part of a name. A layer
+    // named exactly as the cell reads always matches, so sheets
+    // written before patterns keep working.
+
+    // Specificity, for a layer more than one row matches
+    var PATTERN_RANK = { path: 3, wildpath: 2, name: 1, wildname: 0, regex: 0 };
+
+    function escapeRegExp(str) {
+        return str.replace(/[\\^$.*+?()[\]{}|\/]/g, "\\$&");
+    }
+
+    // Returns { text, kind: "name"|"path"|"regex", rank,
+    //           segments: [name | RegExp | "**"], regex, error }
+    function parseLayerPattern(text) {
+        text = String(text);
+        var pattern = { text: text, kind: "name", rank: 0, segments: [], regex: null, error: null };
+
+        var literal = /^\/(.+)\/([im]*)$/.exec(text);
+        if (literal) {
+            pattern.kind = "regex";
+            pattern.rank = PATTERN_RANK.regex;
+            try {
+                pattern.regex = new RegExp(literal[1], literal[2]);
+            } catch (e) {
+                pattern.error = "is not a valid regular expression (" + e.message + ")";
+            }
+            return pattern;
+        }
+
+        var wild = false;
+        var name = "";
+        var source = "";
+        var segmentWild = false;
+
+        function endSegment() {
+            if (name === "") pattern.error = "has an empty name in its path";
+            else if (name === "**" && segmentWild) pattern.segments.push("**");
+            else pattern.segments.push(segmentWild ? new RegExp("^" + source + "$") : name);
+            wild = wild || segmentWild;
+            name = "";
+            source = "";
+            segmentWild = false;
+        }
+
+        for (var i = 0; i < text.length; i++) {
+            var ch = text.charAt(i);
+            if (ch === "\\" && i + 1 < text.length) {
+                ch = text.charAt(++i);
+                name += ch;
+                source += escapeRegExp(ch);
+            } else if (ch === "/") {
+                endSegment();
+            } else if (ch === "*" || ch === "?") {
+                name += ch;
+                source += ch === "*" ? "[\\s\\S]*" : "[\\s\\S]";
+                segmentWild = true;
+            } else {
+                name += ch;
+                source += escapeRegExp(ch);
+            }
+        }
+        endSegment();
+
+        if (pattern.segments.length > 1) pattern.kind = "path";
+        pattern.rank = PATTERN_RANK[(wild ? "wild" : "") + pattern.kind];
+        return pattern;
+    }
+
+    function matchSegment(segment, name) {
+        return typeof segment === "string" ? segment === name : segment.test(name);
+    }
+
+    function matchSegments(segments, s, path, p) {
+        if (s === segments.length) return p === path.length;
+        if (segments[s] === "**") {
+            for (var k = p; k <= path.length; k++) {
+                if (matchSegments(segments, s + 1, path, k)) return true;
+            }
+            return false;
+        }
+        return p < path.length && matchSegment(segments[s], path[p]) && matchSegments(segments, s + 1, path, p + 1);
+    }
+
+    // pattern: layer_name cell or parseLayerPattern result
+    // path: layer names from just below the master down to the layer
+    function matchLayerPath(pattern, path) {
+        if (typeof pattern === "string") pattern = parseLayerPattern(pattern);
+        var name = path[path.length - 1];
+        if (name === pattern.text) return true;
+        if (pattern.error) return false;
+        if (pattern.kind === "regex") return pattern.regex.test(name);
+        if (pattern.kind === "name") return matchSegment(pattern.segments[0], name);
+        return matchSegments(pattern.segments, 0, path, 0);
+    }
+
+    // Index of the pattern (parseLayerPattern results) that owns the
+    // layer at `path`: the most specific match — exact path, wildcard
+    // path, exact name, then wildcard/regex name — and the first one
+    // listed on a tie. -1 if none matches.
+    function findLayerOwner(patterns, path) {
+        var owner = -1;
+        for (var i = 0; i < patterns.length; i++) {
+            if (matchLayerPath(patterns[i], path) && (owner < 0 || patterns[i].rank > patterns[owner].rank)) owner = i;
+        }
+        return owner;
+    }
+
+    // Key of `cells` ({ layer_name: value }, as a localized master
+    // records them) that owns the layer at `path`, or null
+    function findLayerCell(cells, path) {
+        var keys = [];
+        var patterns = [];
+        for (var key in cells) {
+            if (!cells.hasOwnProperty(key)) continue;
+            keys.push(key);
+            patterns.push(parseLayerPattern(key));
+        }
+        var owner = findLayerOwner(patterns, path);
+        return owner < 0 ? null : keys[owner];
+    }
+
+    // ─── INLINE MARKUP ──────────────────────────────────────
+    // Cells can mark words that get the master's emphasis styling:
+    // "Trade <b>Bitcoin</b> now", "<accent>0%</accent> fees", and
+    // <br> for a line break. Tag names are free; each host maps a
+    // tag to a style it reads from the master layer (markupStyles).
+    // &lt; &gt; &amp; write a literal <, > or &.
+
+    var MARKUP_TAG = /<(\/?)([A-Za-z][\w\-]*)\s*(\/?)>/g;
+
+    // Returns { text, spans: [{ tag, start, end }], unmatched: [tag] }
+    // with line breaks in text as "\n".
+    // Only balanced tags count: an unclosed "<made>" or a stray
+    // "</b>" stays in the text as typed (listed in unmatched).
+    // Spans are ordered by start, outer before inner, so applying
+    // them in order lets nested tags win.
+    function parseMarkup(value) {
+        value = String(value);
+        var tokens = [];
+        var open = [];
+        var pos = 0;
+        var match;
+
+        MARKUP_TAG.lastIndex = 0;
+        while ((match = MARKUP_TAG.exec(value)) !== null) {
+            if (match.index > pos) tokens.push({ text: value.substring(pos, match.index) });
+            pos = match.index + match[0].length;
+            var token = { raw: match[0], tag: match[2].toLowerCase(), close: match[1] === "/", pair: null };
+            tokens.push(token);
+
+            if (token.tag === "br" || (!token.close && match[3] === "/")) continue;
+            if (!token.close) {
+                open.push(token);
+                continue;
+            }
+            var depth = open.length - 1;
+            while (depth >= 0 && open[depth].tag !== token.tag) depth--;
+            if (depth < 0) continue;
+            token.pair = open[depth];
+            open[depth].pair = token;
+            open.length = depth;
+        }
+        if (pos < value.length) tokens.push({ text: value.substring(pos) });
+
+        var result = { text: "", spans: [], unmatched: [] };
+        for (var i = 0; i < tokens.length; i++) {
+            var t = tokens[i];
+            if (t.hasOwnProperty("text")) {
+                result.text += t.text.replace(/\r\n?/g, "\n").replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+            } else if (t.tag === "br") {
+                result.text += "\n";
+            } else if (!t.pair) {
+                result.text += t.raw;
+                if (!contains(result.unmatched, t.tag)) result.unmatched.push(t.tag);
+            } else if (!t.close) {
+                t.span = { tag: t.tag, start: result.text.length, end: -1 };
+                result.spans.push(t.span);
+            } else {
+                t.pair.span.end = result.text.length;
+            }
+        }
+        return result;
+    }
+
+    // "<b> 1 vs 0" style differences between the balanced tags of
+    // two cells, [] when they mark the same tags the same number
+    // of times
+    function compareMarkup(source, translation) {
+        function count(markup) {
+            var counts = {};
+            for (var i = 0; i < markup.spans.length; i++) {
+                counts[markup.spans[i].tag] = (counts[markup.spans[i].tag] || 0) + 1;
+            }
+            return counts;
+        }
+        var a = count(source);
+        var b = count(translation);
+        var diffs = [];
+        var tag;
+        for (tag in a) {
+            if (a.hasOwnProperty(tag) && a[tag] !== (b[tag] || 0)) diffs.push("<" + tag + "> " + a[tag] + " vs " + (b[tag] || 0));
+        }
+        for (tag in b) {
+            if (b.hasOwnProperty(tag) && !a.hasOwnProperty(tag)) diffs.push("<" + tag + "> 0 vs " + b[tag]);
+        }
+        return diffs;
+    }
+
+    // Which master style each tag stands for. runs: the master
+    // layer's styled runs [{ start, end, key }] where key names a
+    // distinct style (hosts build them). The base style covers the
+    // most characters. When the source-language cell carries the
+    // same markup over the master's text, each tag takes the style
+    // found under it; otherwise a master with a single emphasis
+    // style lends it to every tag (fallback).
+    // Returns { base, tags: { tag: key }, fallback: key | null }
+    function markupStyles(source, masterText, runs) {
+        var lengths = {};
+        var keys = [];
+        for (var r = 0; r < runs.length; r++) {
+            var key = runs[r].key;
+            if (!lengths.hasOwnProperty(key)) {
+                lengths[key] = 0;
+                keys.push(key);
+            }
+            lengths[key] += runs[r].end - runs[r].start;
+        }
+
+        var base = null;
+        for (var k = 0; k < keys.length; k++) {
+            if (base === null || lengths[keys[k]] > lengths[base]) base = keys[k];
+        }
+
+        var tags = {};
+        var sameText = source && source.text.replace(/\r\n?/g, "\n") === String(masterText).replace(/\r\n?/g, "\n");
+        if (sameText) {
+            for (var s = 0; s < source.spans.length; s++) {
+                var span = source.spans[s];
+                if (tags.hasOwnProperty(span.tag) || span.end <= span.start) continue;
+                for (var i = 0; i < runs.length; i++) {
+                    if (span.start >= runs[i].start && span.start < runs[i].end) {
+                        tags[span.tag] = runs[i].key;
+                        break;
+                    }
+                }
+            }
+        }
+
+        var emphasis = [];
+        for (var e = 0; e < keys.length; e++) {
+            if (keys[e] !== base) emphasis.push(keys[e]);
+        }
+        return { base: base, tags: tags, fallback: emphasis.length === 1 ? emphasis[0] : null };
+    }
+
+    // ─── TEXT FITTING ───────────────────────────────────────
+
+    // Fits a replaced text into its box. Measuring is up to the
+    // host (sourceRectAtTime in AE, node bounds in Figma):
+    //   o.fits()           true when the text fits at the size and
+    //                      tracking last passed to the setters
+    //   o.setFontSize(n), o.setTracking(n)
+    //   o.mode             "flag" | "shrink" | "track" ("none" = skip)
+    //   o.fontSize, o.minFontSize, o.tracking, o.minTracking,
+    //   o.trackingStep     in host units
+    // Returns { status: "fits"|"shrunk"|"tracked"|"overflow"|"skipped",
+    //           fontSize, tracking } — the values to keep. A text that
+    // cannot fit stays at the tightest setting tried.
+    function fitText(o) {
+        var result = { status: "fits", fontSize: o.fontSize, tracking: o.tracking };
+        if (!o.mode || o.mode === "none") {
+            result.status = "skipped";
+            return result;
+        }
+
+        o.setFontSize(o.fontSize);
+        o.setTracking(o.tracking);
+        if (o.fits()) return result;
+
+        if (o.mode === "shrink") {
+            var lo = Math.min(o.minFontSize, o.fontSize);
+            var hi = o.fontSize;
+            o.setFontSize(lo);
+            if (!o.fits()) {
+                result.status = "overflow";
+                result.fontSize = lo;
+                return result;
+            }
+            // Largest size that fits, in half-point steps
+            while (hi - lo > 0.5) {
+                var mid = Math.round((lo + hi)) / 2;
+                if (mid <= lo || mid >= hi) break;
+                o.setFontSize(mid);
+                if (o.fits()) lo = mid;
+                else hi = mid;
+            }
+            o.setFontSize(lo);
+            result.status = "shrunk";
+            result.fontSize = lo;
+            return result;
+        }
+
+        if (o.mode === "track") {
+            var step = o.trackingStep || 1;
+            var tracking = o.tracking;
+            while (tracking - step >= o.minTracking) {
+                tracking -= step;
+                o.setTracking(tracking);
+                if (o.fits()) {
+                    result.status = "tracked";
+                    result.tracking = tracking;
+                    return result;
+                }
+            }
+            result.tracking = tracking;
+        }
+
+        result.status = "overflow";
+        return result;
+    }
+
+    // ─── LENGTH LIMITS ──────────────────────────────────────
+    // Optional max_chars / max_lines columns cap what fits a CTA or
+    // a lower third. A cell holds the row's limit, optionally
+    // followed by per-language ones: "20", "20; de-DE=26; ja=12".
+    // Characters are counted on the text as shown (markup removed,
+    // line breaks not counted); lines are the text's line breaks.
+
+    // { value: n | null, byLang: { lang: n }, error }
+    function parseLimit(cell) {
+        var limit = { value: null, byLang: {}, error: null };
+        var parts = trim(cell) === "" ? [] : trim(cell).split(/\s*[;,]\s*/);
+        for (var i = 0; i < parts.length; i++) {
+            var pair = parts[i].split("=");
+            var number = trim(pair[pair.length - 1]);
+            var badLang = pair.length === 2 && !/^[A-Za-z]{2,3}([\-_][A-Za-z0-9]+)*$/.test(trim(pair[0]));
+            if (pair.length > 2 || badLang || !/^\d+$/.test(number) || parseInt(number, 10) < 1) {
+                limit.error = "must be a whole number above 0, optionally with lang=number overrides ('" + parts[i] + "')";
+                return limit;
+            }
+            if (pair.length === 2) limit.byLang[trim(pair[0]).replace(/_/g, "-").toLowerCase()] = parseInt(number, 10);
+            else limit.value = parseInt(number, 10);
+        }
+        return limit;
+    }
+
+    function limitFor(limit, lang) {
+        var code = String(lang).replace(/_/g, "-").toLowerCase();
+        if (limit.byLang.hasOwnProperty(code)) return limit.byLang[code];
+        if (limit.byLang.hasOwnProperty(code.split("-")[0])) return limit.byLang[code.split("-")[0]];
+        return limit.value;
+    }
+
+    // { maxChars, maxLines } (either may be null) for one language,
+    // or null when the row sets neither
+    function rowLimits(row, lang) {
+        var chars = parseLimit(row["max_chars"] || "");
+        var lines = parseLimit(row["max_lines"] || "");
+        if (chars.error || lines.error) return null;
+        var limits = { maxChars: limitFor(chars, lang), maxLines: limitFor(lines, lang) };
+        return limits.maxChars === null && limits.maxLines === null ? null : limits;
+    }
+
+    // { chars, lines } of a cell as it will be shown
+    function measureText(value) {
+        var text = parseMarkup(value).text;
+        return {
+            chars: text.replace(/\n/g, "").replace(/[\uD800-\uDBFF][\uDC00-\uDFFF]/g, "_").length,
+            lines: text.split("\n").length
+        };
+    }
+
+    // Cuts a cell to its limits with an ellipsis, counting as
+    // measureText does. Tags opened in the kept part are closed.
+    function truncateText(value, limits) {
+        value = String(value);
+        var size = measureText(value);
+        var maxChars = limits.maxChars || Infinity;
+        var maxLines = limits.maxLines || Infinity;
+        if (size.chars <= maxChars && size.lines <= maxLines) return value;
+
+        // Tags and single characters (entities, surrogate pairs and
+        // CRLF count as one)
+        var UNIT = /<(\/?)([A-Za-z][\w\-]*)\s*(\/?)>|&(?:lt|gt|amp);|[\uD800-\uDBFF][\uDC00-\uDFFF]|\r\n|[\s\S]/g;
+        var out = "";
+        var chars = 0;
+        var lines = 1;
+        var open = [];
+        var cut = value.length;
+        var match;
+        UNIT.lastIndex = 0;
+        while ((match = UNIT.exec(value)) !== null) {
+            var unit = match[0];
+            var tag = match[2] ? match[2].toLowerCase() : null;
+            var isBreak = tag === "br" || unit === "\n" || unit === "\r" || unit === "\r\n";
+            var full = isBreak ? lines + 1 > maxLines : (!tag && chars + 1 > maxChars - 1);
+            if (full) {
+                cut = match.index;
+                break;
+            }
+            if (isBreak) lines++;
+            else if (!tag) chars++;
+            else if (match[1] !== "/" && match[3] !== "/") open.push(tag);
+            else if (match[1] === "/" && open.length > 0 && open[open.length - 1] === tag) open.pop();
+            out += unit;
+        }
+        UNIT.lastIndex = 0;
+
+        var rest = value.substring(cut).toLowerCase();
+        out = out.replace(/\s+$/, "") + "\u2026";
+        for (var i = open.length - 1; i >= 0; i--) {
+            // Only tags the original closes were markup
+            if (rest.indexOf("</" + open[i] + ">") >= 0) out += "</" + open[i] + ">";
+        }
+        return out;
+    }
+
+    // Applies each text replacement's limits across a plan (after
+    // placeholders are filled), in place. mode (LIMIT_MODES):
+    //   report    set the text anyway
+    //   skip      leave the layer as in the master
+    //   truncate  cut it with an ellipsis (truncateText)
+    //   fit       set it and fit it to its box — the row's fit mode,
+    //             else defaultFit (the tool's setting), else shrink
+    // Returns summary lines, one per replacement over its limits.
+    function enforceLimits(plan, mode, defaultFit) {
+        var fallbackFit = defaultFit && defaultFit !== "none" && defaultFit !== "flag" ? defaultFit : "shrink";
+        var log = [];
+        for (var l = 0; l < plan.languages.length; l++) {
+            var entry = plan.languages[l];
+            var kept = [];
+            for (var r = 0; r < entry.replacements.length; r++) {
+                var rep = entry.replacements[r];
+                var limits = rep.limits;
+                var size = limits && rep.type === "text" ? measureText(rep.value) : null;
+                var over = [];
+                if (size && limits.maxChars !== null && size.chars > limits.maxChars) over.push(size.chars + "/" + limits.maxChars + " characters");
+                if (size && limits.maxLines !== null && size.lines > limits.maxLines) over.push(size.lines + "/" + limits.maxLines + " lines");
+                if (over.length === 0) {
+                    kept.push(rep);
+                    continue;
+                }
+
+                var action = "set anyway";
+                if (mode === "skip") {
+                    entry.skipped++;
+                    action = "skipped";
+                } else if (mode === "truncate") {
+                    rep.value = truncateText(rep.value, limits);
+                    action = "truncated";
+                } else if (mode === "fit") {
+                    var fitMode = rep.fit && rep.fit.mode && rep.fit.mode !== "none" ? rep.fit.mode : fallbackFit;
+                    rep.fit = { mode: fitMode, minFontSize: rep.fit ? rep.fit.minFontSize : null };
+                    action = "fit to box";
+                }
+                if (mode !== "skip") kept.push(rep);
+                log.push("[" + entry.lang + "] " + rep.layerName + ": " + over.join(", ") + " — " + action);
+            }
+            entry.replacements = kept;
+        }
+        return log;
+    }
+
+    // ─── SYNC METADATA ──────────────────────────────────────
+    //
+    // Generated comps/frames remember which master they came from
+    // and which cell values were applied, so a later sync run can
+    // find them without relying on names and touch only changed
+    // cells. AE keeps this in the comp comment, as a tagged block
+    // below anything the user wrote:
+    //
+    //   [BatchReplacer]
+    //   master=42
+    //   lang=zh-TW
+    //   cell.Headline=加密貨幣交易\n哪有那麼難
+    //   [/BatchReplacer]
+
+    function escapeMeta(str) {
+        return String(str)
+            .replace(/\\/g, "\\\\")
+            .replace(/\r/g, "\\r")
+            .replace(/\n/g, "\\n")
+            .replace(/=/g, "\\=");
+    }
+
+    function unescapeMeta(str) {
+        return str.replace(/\\(.)/g, function (match, ch) {
+            if (ch === "n") return "\n";
+            if (ch === "r") return "\r";
+            return ch;
+        });
+    }
+
+    // Returns the block's { key: value } or null when there is none
+    function readMetaBlock(text, tag) {
+        text = String(text || "");
+        var open = "[" + tag + "]";
+        var close = "[/" + tag + "]";
+        var start = text.indexOf(open);
+        var end = text.indexOf(close);
+        if (start < 0 || end < start) return null;
+
+        var meta = {};
+        var lines = text.substring(start + open.length, end).split(/\r\n|\r|\n/);
+        for (var i = 0; i < lines.length; i++) {
+            if (lines[i] === "") continue;
+            var eq = -1;
+            for (var c = 0; c < lines[i].length; c++) {
+                if (lines[i].charAt(c) === "\\") { c++; continue; }
+                if (lines[i].charAt(c) === "=") { eq = c; break; }
+            }
+            if (eq < 0) continue;
+            meta[unescapeMeta(lines[i].substring(0, eq))] = unescapeMeta(lines[i].substring(eq + 1));
+        }
+        return meta;
+    }
+
+    // Returns `text` with the tagged block replaced by `meta`
+    // (appended when missing; removed when meta is null).
+    function writeMetaBlock(text, tag, meta) {
+        text = String(text || "");
+        var open = "[" + tag + "]";
+        var close = "[/" + tag + "]";
+        var start = text.indexOf(open);
+        var end = text.indexOf(close);
+        if (start >= 0 && end > start) {
+            text = text.substring(0, start) + text.substring(end + close.length);
+        }
+        text = text.replace(/\s+$/, "");
+        if (!meta) return text;
+
+        var lines = [open];
+        for (var key in meta) {
+            if (meta.hasOwnProperty(key)) lines.push(escapeMeta(key) + "=" + escapeMeta(meta[key]));
+        }
+        lines.push(close);
+        return (text ? text + "\n" : "") + lines.join("\n");
+    }
+
+    // Compares the values applied last time ({ layerName: value })
+    // with this run's replacements for one language and target.
+    // Returns {
+    //   changed:   [{ replacement, previous }],
+    //   added:     [replacement],       // not applied before
+    //   unchanged: [replacement],
+    //   removed:   [layerName]          // applied before, now empty/gone
+    // }
+    function diffReplacements(previous, replacements) {
+        previous = previous || {};
+        var result = { changed: [], added: [], unchanged: [], removed: [] };
+        var current = {};
+
+        for (var i = 0; i < replacements.length; i++) {
+            var rep = replacements[i];
+            current[rep.layerName] = true;
+            if (!previous.hasOwnProperty(rep.layerName)) result.added.push(rep);
+            else if (previous[rep.layerName] !== rep.value) result.changed.push({ replacement: rep, previous: previous[rep.layerName] });
+            else result.unchanged.push(rep);
+        }
+
+        for (var name in previous) {
+            if (previous.hasOwnProperty(name) && !current.hasOwnProperty(name)) result.removed.push(name);
+        }
+
+        return result;
+    }
+
+    // Pairs a master comp's layers with those of a localized copy.
+    // sources/targets: [{ key, kind }] in layer order, where key
+    // identifies the layer (name, or the master comp id for precomp
+    // layers) and kind is the layer type. Same key pairs first, by
+    // occurrence ("Title" #2 with "Title" #2); leftovers then pair
+    // at the same position when the kind matches, which catches
+    // layers whose name follows their localized text or footage.
+    // Returns { pairs: [[s, t]], added: [s], removed: [t] } (indexes).
+    function pairLayers(sources, targets) {
+        var pairs = [];
+        var sourceTaken = [];
+        var targetTaken = [];
+        var s, t;
+
+        var byKey = {};
+        for (t = 0; t < targets.length; t++) {
+            var tk = "#" + targets[t].key;
+            if (!byKey.hasOwnProperty(tk)) byKey[tk] = [];
+            byKey[tk].push(t);
+        }
+        for (s = 0; s < sources.length; s++) {
+            var list = byKey["#" + sources[s].key];
+            if (list && list.length > 0) {
+                t = list.shift();
+                pairs.push([s, t]);
+                sourceTaken[s] = true;
+                targetTaken[t] = true;
+            }
+        }
+
+        for (s = 0; s < sources.length; s++) {
+            if (sourceTaken[s] || s >= targets.length || targetTaken[s]) continue;
+            if (sources[s].kind === targets[s].kind) {
+                pairs.push([s, s]);
+                sourceTaken[s] = true;
+                targetTaken[s] = true;
+            }
+        }
+
+        var added = [];
+        var removed = [];
+        for (s = 0; s < sources.length; s++) if (!sourceTaken[s]) added.push(s);
+        for (t = 0; t < targets.length; t++) if (!targetTaken[t]) removed.push(t);
+
+        pairs.sort(function (a, b) { return a[0] - b[0]; });
+        return { pairs: pairs, added: added, removed: removed };
+    }
+
+    // ─── ASSET FILES ────────────────────────────────────────
+    // Image/footage cells name a file. AE opens the path as given;
+    // Figma gets a dropped folder or zip and looks the cell up in
+    // its file list with findAsset.
+
+    // Formats figma.createImage accepts
+    var IMAGE_EXTENSIONS = ["png", "jpg", "jpeg", "gif"];
+
+    function isImageFile(path) {
+        var match = /\.([^.\/\\]+)$/.exec(String(path));
+        return !!match && contains(IMAGE_EXTENSIONS, match[1].toLowerCase());
+    }
+
+    function assetSegments(path) {
+        var parts = String(path).replace(/\\/g, "/").toLowerCase().split("/");
+        var segments = [];
+        for (var i = 0; i < parts.length; i++) {
+            if (parts[i] !== "" && parts[i] !== ".") segments.push(parts[i]);
+        }
+        return segments;
+    }
+
+    // Finds the file a cell refers to among `paths` (relative paths
+    // of the dropped files, "Banners/zh-TW/hero.png"). The longest
+    // trailing part of the cell that some path ends with wins, so
+    // "hero.png", "zh-TW/hero.png" and a full AE-style path
+    // "D:\Assets\zh-TW\hero.png" all work; several hits are narrowed
+    // to the ones inside a folder named after the language.
+    // Case-insensitive. Returns { path } or { error }.
+    function findAsset(paths, value, lang) {
+        var wanted = assetSegments(value);
+        if (wanted.length === 0) return { error: "No file name" };
+
+        var files = [];
+        for (var p = 0; p < paths.length; p++) files.push(assetSegments(paths[p]));
+
+        for (var k = wanted.length; k >= 1; k--) {
+            var hits = [];
+            for (var f = 0; f < files.length; f++) {
+                var segments = files[f];
+                if (segments.length < k) continue;
+                var same = true;
+                for (var j = 1; j <= k && same; j++) {
+                    same = segments[segments.length - j] === wanted[wanted.length - j];
+                }
+                if (same) hits.push(f);
+            }
+            if (hits.length === 0) continue;
+
+            if (hits.length > 1 && lang) {
+                var inLang = [];
+                for (var h = 0; h < hits.length; h++) {
+                    if (contains(files[hits[h]].slice(0, -1), String(lang).toLowerCase())) inLang.push(hits[h]);
+                }
+                if (inLang.length > 0) hits = inLang;
+            }
+            if (hits.length > 1) {
+                return { error: "'" + value + "' matches " + hits.length + " files (" + paths[hits[0]] + ", " + paths[hits[1]] + "...)" };
+            }
+            return { path: paths[hits[0]] };
+        }
+        return { error: "No file '" + value + "' among the images" };
+    }
+
+    // ─── PUBLIC API ─────────────────────────────────────────
+
+    return {
+        VERSION: "1.0",
+        RESERVED_COLUMNS: RESERVED_COLUMNS,
+        KNOWN_TYPES: KNOWN_TYPES,
+        FIT_MODES: FIT_MODES,
+        LIMIT_MODES: LIMIT_MODES,
+        IMAGE_EXTENSIONS: IMAGE_EXTENSIONS,
+        trim: trim,
+        contains: contains,
+        CSVReader: CSVReader,
+        detectDelimiter: detectDelimiter,
+        parseCSV: parseCSV,
+        formatCSVCell: formatCSVCell,
+        buildCSV: buildCSV,
+        isReservedColumn: isReservedColumn,
+        detectLanguages: detectLanguages,
+        languageSuffix: languageSuffix,
+        languageLabel: languageLabel,
+        isRTL: isRTL,
+        mirrorAlignment: mirrorAlignment,
+        rowType: rowType,
+        validateRows: validateRows,
+        hasErrors: hasErrors,
+        rowFit: rowFit,
+        buildReplacementPlan: buildReplacementPlan,
+        parseLayerPattern: parseLayerPattern,
+        matchLayerPath: matchLayerPath,
+        findLayerOwner: findLayerOwner,
+        findLayerCell: findLayerCell,
+        readMetaBlock: readMetaBlock,
+        writeMetaBlock: writeMetaBlock,
+        diffReplacements: diffReplacements,
+        pairLayers: pairLayers,
+        parseMarkup: parseMarkup,
+        compareMarkup: compareMarkup,
+        markupStyles: markupStyles,
+        fitText: fitText,
+        parseLimit: parseLimit,
+        rowLimits: rowLimits,
+        measureText: measureText,
+        truncateText: truncateText,
+        enforceLimits: enforceLimits,
+        isImageFile: isImageFile,
+        findAsset: findAsset
+    };
+})();
+
+if (typeof module !== "undefined" && module.exports) module.exports = LocalizationCore;
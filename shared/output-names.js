@@ -0,0 +1,252 @@
+/**
+ * ============================================================
+ *  OUTPUT NAMES — render file name templates
+ * ============================================================
+ *
+ *  A template is a relative path with {tokens}; each token can
+ *  go through filters and may appear any number of times:
+ *
+ *    {lang|upper}/{project}/{comp}_{preset|slug}_{width}x{height}_{version}
+ *
+ *  Filters: upper, lower, title, slug ("Instagram Story" →
+ *  "instagram-story"). "/" starts a subfolder. {{ and }} are
+ *  literal braces. A token with no value takes one separator
+ *  (_ - . or space) next to it along, so "{comp}_{lang}" on an
+ *  unlocalized comp is just the comp name.
+ *
+ *  {version} is "v01", "v02", ...: formatOutputPath() picks the
+ *  first number whose path isn't taken yet.
+ *
+ *  {lang} of a localized comp comes from what the Batch Asset
+ *  Replacer leaves behind: the link in the comp's comment, else
+ *  its language folder ("Localized_Versions/ZH-TW"), else a name
+ *  that is another comp's plus a language ("Main_Comp_zh_tw"
+ *  next to "Main_Comp"). "Scene_bg" without a "Scene" comp is no
+ *  language.
+ *
+ *  ES3-compatible, see localization-core.js.
+ */
+
+var LocalizationCore = (typeof LocalizationCore !== "undefined")
+    ? LocalizationCore
+    : require("./localization-core.js");
+
+(function (core) {
+
+    var NAME_FILTERS = {
+        upper: function (value) { return value.toUpperCase(); },
+        lower: function (value) { return value.toLowerCase(); },
+        title: function (value) {
+            return value.toLowerCase().replace(/(^|[\s_\-.])([a-z])/g, function (match, before, letter) {
+                return before + letter.toUpperCase();
+            });
+        },
+        slug: function (value) {
+            return value.toLowerCase().replace(/[^a-z0-9\u00C0-\uFFFF]+/g, "-").replace(/^-+|-+$/g, "");
+        }
+    };
+
+    // Characters no file system takes, and what replaces them
+    var UNSAFE_CHARACTERS = /[\\:*?"<>|\u0000-\u001F]/g;
+    var SEPARATORS = "_-. ";
+
+    function isSeparator(ch) {
+        return ch !== "" && SEPARATORS.indexOf(ch) >= 0;
+    }
+
+    // "{comp}_{preset|slug}" → { parts: [{ literal }, { token, filters }, ...],
+    // errors: [unbalanced braces] }
+    function parseNameTemplate(template) {
+        var parts = [];
+        var errors = [];
+        var literal = "";
+        var text = String(template);
+
+        for (var i = 0; i < text.length; i++) {
+            var ch = text.charAt(i);
+            if ((ch === "{" || ch === "}") && text.charAt(i + 1) === ch) {
+                literal += ch;
+                i++;
+                continue;
+            }
+            if (ch === "}") {
+                errors.push("Unmatched '}' at column " + (i + 1));
+                continue;
+            }
+            if (ch !== "{") {
+                literal += ch;
+                continue;
+            }
+
+            var close = text.indexOf("}", i);
+            if (close < 0) {
+                errors.push("Unclosed '{' at column " + (i + 1));
+                literal += text.substring(i);
+                break;
+            }
+            var pieces = text.substring(i + 1, close).split("|");
+            var token = { token: core.trim(pieces[0]), filters: [] };
+            for (var f = 1; f < pieces.length; f++) token.filters.push(core.trim(pieces[f]).toLowerCase());
+            if (literal !== "") parts.push({ literal: literal });
+            literal = "";
+            parts.push(token);
+            i = close;
+        }
+        if (literal !== "") parts.push({ literal: literal });
+        return { parts: parts, errors: errors };
+    }
+
+    // Token names a template uses, once each
+    function templateTokens(template) {
+        var parts = parseNameTemplate(template).parts;
+        var names = [];
+        for (var i = 0; i < parts.length; i++) {
+            if (parts[i].token !== undefined && !core.contains(names, parts[i].token)) names.push(parts[i].token);
+        }
+        return names;
+    }
+
+    // Path segments made safe: unsafe characters become "_", spaces
+    // and dots at either end go, empty and "." / ".." segments are
+    // dropped
+    function cleanOutputPath(path) {
+        var segments = String(path).split("/");
+        var kept = [];
+        for (var i = 0; i < segments.length; i++) {
+            var segment = segments[i].replace(UNSAFE_CHARACTERS, "_").replace(/^[\s.]+|[\s.]+$/g, "");
+            if (segment !== "") kept.push(segment);
+        }
+        return kept.join("/");
+    }
+
+    // values: { token: string | number }. Numbers print as they are;
+    // "version" is formatted "v01".
+    // Returns { path, errors }: path is relative, "/"-separated and
+    // without an extension; unknown tokens and filters are errors
+    // and stay in the path as written.
+    function formatOutputName(template, values) {
+        var parsed = parseNameTemplate(template);
+        var errors = parsed.errors.slice(0);
+        var out = "";
+        var dropNext = false;
+
+        for (var i = 0; i < parsed.parts.length; i++) {
+            var part = parsed.parts[i];
+            if (part.literal !== undefined) {
+                out += dropNext && isSeparator(part.literal.charAt(0)) ? part.literal.substring(1) : part.literal;
+                dropNext = false;
+                continue;
+            }
+
+            if (!values.hasOwnProperty(part.token)) {
+                errors.push("Unknown token {" + part.token + "}");
+                out += "{" + part.token + "}";
+                continue;
+            }
+            var raw = values[part.token];
+            var value = (raw === null || raw === undefined) ? "" : String(raw);
+            if (part.token === "version" && typeof raw === "number") value = "v" + (raw < 10 ? "0" : "") + raw;
+            for (var f = 0; f < part.filters.length; f++) {
+                if (!NAME_FILTERS.hasOwnProperty(part.filters[f])) {
+                    errors.push("Unknown filter '" + part.filters[f] + "' on {" + part.token + "}");
+                    continue;
+                }
+                value = NAME_FILTERS[part.filters[f]](value);
+            }
+            value = value.replace(/[\/\\]/g, "_");
+
+            // An empty value takes the separator before it along, or
+            // the one after it at the start of a name
+            if (value === "") {
+                var before = out.charAt(out.length - 1);
+                if (isSeparator(before)) out = out.substring(0, out.length - 1);
+                else dropNext = before === "" || before === "/";
+            }
+            out += value;
+        }
+
+        return { path: cleanOutputPath(out), errors: errors };
+    }
+
+    // formatOutputName() with {version} counted up from 1 until
+    // isTaken(path) is false (stops at 999). Templates without
+    // {version} are formatted once.
+    function formatOutputPath(template, values, isTaken) {
+        var copy = {};
+        for (var key in values) {
+            if (values.hasOwnProperty(key)) copy[key] = values[key];
+        }
+        var versioned = core.contains(templateTokens(template), "version");
+        copy.version = 1;
+        var result = formatOutputName(template, copy);
+        while (versioned && isTaken && copy.version < 999 && isTaken(result.path)) {
+            copy.version++;
+            result = formatOutputName(template, copy);
+        }
+        result.version = versioned ? copy.version : null;
+        return result;
+    }
+
+    function languageCase(parts) {
+        for (var i = 0; i < parts.length; i++) {
+            if (i === 0) parts[i] = parts[i].toLowerCase();
+            else if (parts[i].length === 4) parts[i] = parts[i].charAt(0).toUpperCase() + parts[i].substring(1).toLowerCase();
+            else parts[i] = parts[i].toUpperCase();
+        }
+        return parts.join("-");
+    }
+
+    // Batch Asset Replacer language folder → code: "ZH-TW" → "zh-TW",
+    // "ZH-HANT" → "zh-Hant"; null for other names
+    function languageFromLabel(label) {
+        if (!/^[A-Za-z]{2,3}([\-_]([A-Za-z]{4}|[A-Za-z]{2}|[0-9]{3}))*$/.test(label)) return null;
+        return languageCase(label.split(/[\-_]/));
+    }
+
+    // "Main_Comp_zh_tw" → "zh-TW" when "Main_Comp" is in compNames:
+    // the name a Batch Asset Replacer copy gets. The part before the
+    // suffix has to be another comp's name, so "Scene_bg" alone is
+    // no language. null if no comp name fits.
+    function languageFromCopyName(name, compNames) {
+        var best = null;
+        var bestLength = -1;
+        for (var i = 0; i < compNames.length; i++) {
+            var master = compNames[i];
+            if (master.length <= bestLength || name.length <= master.length + 1) continue;
+            if (name.substring(0, master.length + 1) !== master + "_") continue;
+            var lang = languageFromLabel(name.substring(master.length + 1));
+            if (lang) {
+                best = lang;
+                bestLength = master.length;
+            }
+        }
+        return best;
+    }
+
+    // comp: { name, comment, folder, parentFolder } — its name, its
+    // comment and the names of its folder and that folder's parent.
+    // localizedFolderName: the Batch Asset Replacer's outputFolderName.
+    // compNames: names of the project's comps, for copies that have
+    // neither link nor language folder (languageFromCopyName).
+    // Returns the comp's language, or "" for comps it didn't make
+    function localizedLanguage(comp, localizedFolderName, compNames) {
+        var meta = core.readMetaBlock(comp.comment, "BatchReplacer");
+        if (meta && meta.lang) return meta.lang;
+        if (comp.folder && comp.parentFolder === localizedFolderName) return languageFromLabel(comp.folder) || "";
+        if (comp.name && compNames) return languageFromCopyName(comp.name, compNames) || "";
+        return "";
+    }
+
+    core.NAME_FILTERS = NAME_FILTERS;
+    core.parseNameTemplate = parseNameTemplate;
+    core.templateTokens = templateTokens;
+    core.cleanOutputPath = cleanOutputPath;
+    core.formatOutputName = formatOutputName;
+    core.formatOutputPath = formatOutputPath;
+    core.languageFromLabel = languageFromLabel;
+    core.languageFromCopyName = languageFromCopyName;
+    core.localizedLanguage = localizedLanguage;
+
+})(LocalizationCore);
+
+if (typeof module !== "undefined" && module.exports) module.exports = LocalizationCore;
@@ -0,0 +1,234 @@
+/**
+ * ============================================================
+ *  QA — translation checks for LocalizationCore
+ * ============================================================
+ *
+ *  Runs over the parsed sheet before anything is duplicated and
+ *  flags cells that would ship broken or suspicious text:
+ *
+ *    empty         no translation while the source has text
+ *    untranslated  same text as the source language
+ *    placeholders  {names} differ from the source
+ *    markup        a tag the source uses is left unclosed
+ *    whitespace    leading/trailing spaces the source doesn't have
+ *    length        much longer/shorter than the source
+ *    glyphs        characters the layer's font (or its fallback
+ *                  from fonts.js) can't draw — hosts that can read
+ *                  the master's fonts pass options.fontOf
+ *
+ *  Only placeholders and markup are errors by default; each
+ *  check's severity can be changed or turned "off".
+ *
+ *  Needs fonts.js and format.js. ES3-compatible, see
+ *  localization-core.js.
+ */
+
+var LocalizationCore = (typeof LocalizationCore !== "undefined")
+    ? LocalizationCore
+    : (require("./fonts.js"), require("./format.js"));
+
+(function (core) {
+
+    var QA_SEVERITY = {
+        empty: "warning",
+        untranslated: "warning",
+        placeholders: "error",
+        markup: "error",
+        whitespace: "warning",
+        length: "warning",
+        glyphs: "warning"
+    };
+
+    // Translation length / source length outside this is reported.
+    // Sources shorter than minSource characters are left alone.
+    var QA_LENGTH = { min: 0.5, max: 2, minSource: 10 };
+
+    // Han, kana and Hangul take about two Latin letters of space
+    var WIDE_SCRIPTS = ["Han", "Hiragana", "Katakana", "Hangul", "Bopomofo"];
+
+    // Marks drawn over the previous letter (Latin accents, Thai
+    // vowels and tones, Arabic harakat) take none
+    var COMBINING_MARKS = /[\u0300-\u036F\u064B-\u065F\u0E31\u0E34-\u0E3A\u0E47-\u0E4E]/;
+
+    function displayLength(text) {
+        var length = 0;
+        for (var i = 0; i < text.length; i++) {
+            var code = text.charCodeAt(i);
+            if ((code >= 0xDC00 && code <= 0xDFFF) || COMBINING_MARKS.test(text.charAt(i))) continue;
+            length += core.contains(WIDE_SCRIPTS, core.scriptOf(code)) ? 2 : 1;
+        }
+        return length;
+    }
+
+    // Sorted placeholder names of a cell, nested ones included;
+    // null when it doesn't parse (formatMessage reports that)
+    function placeholderNames(value) {
+        var names = [];
+        var nodes;
+        try {
+            nodes = core.parseMessage(value);
+        } catch (e) {
+            return null;
+        }
+        function walk(list) {
+            for (var i = 0; i < list.length; i++) {
+                if (typeof list[i] === "string" || list[i].pound) continue;
+                if (!core.contains(names, list[i].name)) names.push(list[i].name);
+                for (var key in list[i].options || {}) {
+                    if (list[i].options.hasOwnProperty(key)) walk(list[i].options[key]);
+                }
+            }
+        }
+        walk(nodes);
+        return names.sort();
+    }
+
+    function missingFrom(list, other) {
+        var missing = [];
+        for (var i = 0; i < list.length; i++) {
+            if (!core.contains(other, list[i])) missing.push("{" + list[i] + "}");
+        }
+        return missing;
+    }
+
+    function primaryTag(lang) {
+        return String(lang).replace(/_/g, "-").split("-")[0].toLowerCase();
+    }
+
+    // data: parsed sheet (parseCSV / mergeSheets); languages: the
+    // columns to check.
+    // options: {
+    //   targetColumn, sourceLanguage (default: first language),
+    //   fontOf:   function (target, layerName) → { family, style }
+    //             of the master layer, or null to skip "glyphs",
+    //   fontMap, coverage: as for chooseFont,
+    //   length:   overrides of QA_LENGTH,
+    //   severity: { check: "error" | "warning" | "off" }
+    // }
+    // Returns validateRows-style issues with the check and language:
+    // [{ line, severity, check, lang, message }]
+    function checkTranslations(data, languages, options) {
+        options = options || {};
+        var targetColumn = options.targetColumn || null;
+        var sourceLanguage = options.sourceLanguage || languages[0] || "";
+        var severity = {};
+        var length = {};
+        var key;
+        for (key in QA_SEVERITY) {
+            if (QA_SEVERITY.hasOwnProperty(key)) severity[key] = QA_SEVERITY[key];
+        }
+        for (key in options.severity || {}) {
+            if (options.severity.hasOwnProperty(key)) severity[key] = options.severity[key];
+        }
+        for (key in QA_LENGTH) {
+            if (QA_LENGTH.hasOwnProperty(key)) length[key] = (options.length && options.length.hasOwnProperty(key)) ? options.length[key] : QA_LENGTH[key];
+        }
+
+        var issues = [];
+        var fonts = {};
+
+        function add(row, lang, check, message) {
+            if (severity[check] === "off") return;
+            var where = (row.__sheet ? "[" + row.__sheet + "] " : "") + "[" + lang + "] " + row["layer_name"] + ": ";
+            issues.push({ line: row.__line || 0, severity: severity[check], check: check, lang: lang, message: where + message });
+        }
+
+        function fontOf(row) {
+            var target = targetColumn ? row[targetColumn] : "";
+            var id = target + "\u0000" + row["layer_name"];
+            if (!fonts.hasOwnProperty(id)) fonts[id] = options.fontOf(target, row["layer_name"]) || null;
+            return fonts[id];
+        }
+
+        for (var i = 0; i < data.rows.length; i++) {
+            var row = data.rows[i];
+            var type = core.rowType(row);
+            if (!row["layer_name"] || type === "variable" || type === "image" || type === "footage") continue;
+
+            var source = row[sourceLanguage] || "";
+            var sourceMarkup = core.parseMarkup(source);
+            var sourceTags = [];
+            for (var s = 0; s < sourceMarkup.spans.length; s++) sourceTags.push(sourceMarkup.spans[s].tag);
+            var sourceNames = placeholderNames(source);
+
+            for (var l = 0; l < languages.length; l++) {
+                var lang = languages[l];
+                var value = row[lang] || "";
+                var isSource = lang === sourceLanguage;
+
+                if (core.trim(value) === "") {
+                    if (!isSource && core.trim(source) !== "") add(row, lang, "empty", "no translation");
+                    continue;
+                }
+
+                if (!isSource && value === source && /[A-Za-z\u00C0-\u024F]{2}/.test(sourceMarkup.text) &&
+                    primaryTag(lang) !== primaryTag(sourceLanguage)) {
+                    add(row, lang, "untranslated", "same as " + sourceLanguage);
+                }
+
+                if (value !== core.trim(value) && source === core.trim(source)) {
+                    add(row, lang, "whitespace", "leading or trailing spaces");
+                }
+
+                var markup = core.parseMarkup(value);
+                var unclosed = [];
+                for (var u = 0; u < markup.unmatched.length; u++) {
+                    if (core.contains(sourceTags, markup.unmatched[u])) unclosed.push("<" + markup.unmatched[u] + ">");
+                }
+                if (unclosed.length > 0) add(row, lang, "markup", "unbalanced " + unclosed.join(", "));
+
+                if (!isSource && sourceNames) {
+                    var names = placeholderNames(value);
+                    if (names) {
+                        var missing = missingFrom(sourceNames, names);
+                        var extra = missingFrom(names, sourceNames);
+                        if (missing.length > 0) add(row, lang, "placeholders", "missing " + missing.join(", ") + " from " + sourceLanguage);
+                        if (extra.length > 0) add(row, lang, "placeholders", extra.join(", ") + " not in " + sourceLanguage);
+                    }
+                }
+
+                if (!isSource) {
+                    var sourceLength = displayLength(sourceMarkup.text);
+                    var ratio = sourceLength > 0 ? displayLength(markup.text) / sourceLength : 1;
+                    if (sourceLength >= length.minSource && (ratio < length.min || ratio > length.max)) {
+                        add(row, lang, "length", Math.round(ratio * 100) + "% of the " + sourceLanguage + " length");
+                    }
+                }
+
+                var font = options.fontOf ? fontOf(row) : null;
+                if (font) {
+                    var choice = core.chooseFont(markup.text, lang, font, { fontMap: options.fontMap, coverage: options.coverage });
+                    if (choice.missing.length > 0) {
+                        add(row, lang, "glyphs", core.describeMissingGlyphs(choice.font ? choice.font.family : font.family, choice.missing));
+                    }
+                }
+            }
+        }
+
+        return issues;
+    }
+
+    // Plain-text report of QA issues, errors first, for a file or a
+    // dialog: a count line, then one line per issue.
+    function formatQAReport(issues, title) {
+        var errors = [];
+        var warnings = [];
+        for (var i = 0; i < issues.length; i++) {
+            (issues[i].severity === "error" ? errors : warnings).push(issues[i]);
+        }
+        var lines = [(title ? title + " — " : "") + errors.length + " error(s), " + warnings.length + " warning(s)"];
+        var sorted = errors.concat(warnings);
+        for (var j = 0; j < sorted.length; j++) {
+            lines.push((sorted[j].severity === "error" ? "ERROR  " : "warn   ") + "line " + sorted[j].line + "  " + sorted[j].message);
+        }
+        return lines.join("\n") + "\n";
+    }
+
+    core.QA_SEVERITY = QA_SEVERITY;
+    core.QA_LENGTH = QA_LENGTH;
+    core.checkTranslations = checkTranslations;
+    core.formatQAReport = formatQAReport;
+
+})(LocalizationCore);
+
+if (typeof module !== "undefined" && module.exports) module.exports = LocalizationCore;
@@ -0,0 +1,565 @@
+/**
+ * ============================================================
+ *  RENDER PRESETS — preset library for the Smart Render Queue
+ * ============================================================
+ *
+ *  Platform presets come from JSON files layered over the
+ *  built-in DEFAULT_PRESETS: every *.json in the team folder
+ *  (alphabetical), then the user's own library. A later layer
+ *  replaces a preset of the same name, changes some of its
+ *  fields, or hides it with null:
+ *
+ *    {
+ *      "presets": {
+ *        "Threads":         { "description": "1080×1920 | H.264",
+ *                             "width": 1080, "height": 1920, "fps": 30,
+ *                             "codec": "H.264", "fileExtension": ".mp4",
+ *                             "outputModule": "H.264 - Match Render Settings - 15 Mbps" },
+ *        "Instagram Story": { "fps": 25 },
+ *        "GIF Preview":     null
+ *      },
+ *      "bundles": {
+ *        "Launch": ["Threads", "Instagram Story", "YouTube 1080p"]
+ *      }
+ *    }
+ *
+ *  Bundles are named sets of presets queued together; they are
+ *  layered the same way, a later one replacing the whole list.
+ *
+ *  Needs json.js. ES3-compatible, see localization-core.js.
+ */
+
+var LocalizationCore = (typeof LocalizationCore !== "undefined")
+    ? LocalizationCore
+    : require("./json.js");
+
+(function (core) {
+
+    // Used when there is no team folder or user library
+    var DEFAULT_PRESETS = {
+        // ─── INSTAGRAM ───
+        "Instagram Story": {
+            description: "1080×1920 | H.264 | 9:16 vertical | Max 60s",
+            width: 1080,
+            height: 1920,
+            fps: 30,
+            quality: "Best",
+            codec: "H.264",
+            outputModule: "H.264 - Match Render Settings - 15 Mbps",
+            fileExtension: ".mp4",
+            maxDuration: 60,
+            notes: "Keep under 60s. Use 15Mbps+ for quality."
+        },
+        "Instagram Reels": {
+            description: "1080×1920 | H.264 | 9:16 vertical | Max 90s",
+            width: 1080,
+            height: 1920,
+            fps: 30,
+            quality: "Best",
+            codec: "H.264",
+            outputModule: "H.264 - Match Render Settings - 15 Mbps",
+            fileExtension: ".mp4",
+            maxDuration: 90,
+            notes: "Optimal for Reels algorithm. First 3s are critical."
+        },
+        "Instagram Feed": {
+            description: "1080×1080 | H.264 | 1:1 square | Max 60s",
+            width: 1080,
+            height: 1080,
+            fps: 30,
+            quality: "Best",
+            codec: "H.264",
+            outputModule: "H.264 - Match Render Settings - 15 Mbps",
+            fileExtension: ".mp4",
+            maxDuration: 60,
+            notes: "Square format. Also works 1080×1350 (4:5) for more screen space."
+        },
+
+        // ─── YOUTUBE ───
+        "YouTube 1080p": {
+            description: "1920×1080 | H.264 | 16:9 | High bitrate",
+            width: 1920,
+            height: 1080,
+            fps: 30,
+            quality: "Best",
+            codec: "H.264",
+            outputModule: "H.264 - Match Render Settings - 40 Mbps",
+            fileExtension: ".mp4",
+            maxDuration: null,
+            notes: "YouTube re-encodes everything. Upload at 40Mbps+ for best quality after compression."
+        },
+        "YouTube 4K": {
+            description: "3840×2160 | H.264 | 16:9 | Maximum quality",
+            width: 3840,
+            height: 2160,
+            fps: 30,
+            quality: "Best",
+            codec: "H.264",
+            outputModule: "H.264 - Match Render Settings - 80 Mbps",
+            fileExtension: ".mp4",
+            maxDuration: null,
+            notes: "4K upload gets VP9 codec on YouTube = better quality even for 1080p viewers."
+        },
+        "YouTube Shorts": {
+            description: "1080×1920 | H.264 | 9:16 | Max 60s",
+            width: 1080,
+            height: 1920,
+            fps: 30,
+            quality: "Best",
+            codec: "H.264",
+            outputModule: "H.264 - Match Render Settings - 15 Mbps",
+            fileExtension: ".mp4",
+            maxDuration: 60,
+            notes: "Must be under 60s to qualify as a Short."
+        },
+
+        // ─── LINKEDIN ───
+        "LinkedIn Feed": {
+            description: "1920×1080 | H.264 | 16:9 | Max 10min",
+            width: 1920,
+            height: 1080,
+            fps: 30,
+            quality: "Best",
+            codec: "H.264",
+            outputModule: "H.264 - Match Render Settings - 20 Mbps",
+            fileExtension: ".mp4",
+            maxDuration: 600,
+            notes: "LinkedIn compresses heavily. Keep under 200MB. Add captions!"
+        },
+        "LinkedIn Square": {
+            description: "1080×1080 | H.264 | 1:1 | Max 10min",
+            width: 1080,
+            height: 1080,
+            fps: 30,
+            quality: "Best",
+            codec: "H.264",
+            outputModule: "H.264 - Match Render Settings - 15 Mbps",
+            fileExtension: ".mp4",
+            maxDuration: 600,
+            notes: "Square takes more feed space on LinkedIn mobile."
+        },
+
+        // ─── TWITTER/X ───
+        "Twitter/X": {
+            description: "1920×1080 | H.264 | 16:9 | Max 140s",
+            width: 1920,
+            height: 1080,
+            fps: 30,
+            quality: "Best",
+            codec: "H.264",
+            outputModule: "H.264 - Match Render Settings - 25 Mbps",
+            fileExtension: ".mp4",
+            maxDuration: 140,
+            notes: "Max 512MB file size. Twitter compresses aggressively — upload high quality."
+        },
+
+        // ─── TIKTOK ───
+        "TikTok": {
+            description: "1080×1920 | H.264 | 9:16 | Max 10min",
+            width: 1080,
+            height: 1920,
+            fps: 30,
+            quality: "Best",
+            codec: "H.264",
+            outputModule: "H.264 - Match Render Settings - 15 Mbps",
+            fileExtension: ".mp4",
+            maxDuration: 600,
+            notes: "Keep 15-60s for best algorithm performance. Max file 287.6MB."
+        },
+
+        // ─── FACEBOOK ───
+        "Facebook Feed": {
+            description: "1920×1080 | H.264 | 16:9 | High quality",
+            width: 1920,
+            height: 1080,
+            fps: 30,
+            quality: "Best",
+            codec: "H.264",
+            outputModule: "H.264 - Match Render Settings - 25 Mbps",
+            fileExtension: ".mp4",
+            maxDuration: null,
+            notes: "Facebook supports up to 240min but compresses hard. Keep under 1GB."
+        },
+
+        // ─── MASTER/INTERNAL ───
+        "Bybit Internal Master": {
+            description: "1920×1080 | ProRes 422 HQ | 16:9 | Archive quality",
+            width: 1920,
+            height: 1080,
+            fps: 30,
+            quality: "Best",
+            codec: "ProRes 422 HQ",
+            outputModule: "Apple ProRes 422 HQ",
+            fileExtension: ".mov",
+            maxDuration: null,
+            notes: "Internal distribution & archive. Large files — use for master copies."
+        },
+        "ProRes 4444 Master": {
+            description: "Match comp | ProRes 4444 | Preserves alpha | Master",
+            width: null,  // null = match comp
+            height: null,
+            fps: null,
+            quality: "Best",
+            codec: "ProRes 4444",
+            outputModule: "Apple ProRes 4444",
+            fileExtension: ".mov",
+            maxDuration: null,
+            notes: "Highest quality with alpha channel. Use for assets that need compositing."
+        },
+
+        // ─── GIF ───
+        "GIF Preview": {
+            description: "480px wide | Animated GIF | Quick preview",
+            width: 480,
+            height: null,  // auto-calculate from aspect ratio
+            fps: 15,
+            quality: "Best",
+            codec: "Animated GIF",
+            outputModule: "Animated GIF",
+            fileExtension: ".gif",
+            maxDuration: 15,
+            notes: "Low-res preview for Slack/email. Keep under 10s for reasonable file size."
+        }
+    };
+
+
+    // Delivery bundles: name → preset names
+    var DEFAULT_BUNDLES = {
+        "Social pack": ["Instagram Story", "Instagram Reels", "TikTok", "YouTube Shorts"]
+    };
+
+    // How a comp of another shape fills the preset's frame:
+    //   fit        all of it, scaled to fit; the rest left empty
+    //   fill       scaled to cover the frame, edges cropped
+    //   letterbox  fit, on black
+    //   blur       fit, over a blurred copy scaled to cover
+    var REFRAME_MODES = ["fit", "fill", "letterbox", "blur"];
+
+    // ─── SCHEMA ─────────────────────────────────────────────
+
+    // Field → kind:
+    //   size       whole pixels, or null to match the comp (or keep
+    //              its aspect ratio when the other side is set)
+    //   number     positive, or null for none / match the comp
+    //   text       any string
+    //   extension  ".mp4"
+    //   reframe    one of REFRAME_MODES
+    var PRESET_FIELDS = {
+        description: "text",
+        width: "size",
+        height: "size",
+        fps: "number",
+        quality: "text",
+        codec: "text",
+        outputModule: "text",
+        fileExtension: "extension",
+        maxDuration: "number",
+        reframe: "reframe",
+        notes: "text"
+    };
+
+    var REQUIRED_FIELDS = ["outputModule", "fileExtension"];
+
+    var KIND_HINTS = {
+        size: "a whole number of pixels or null",
+        number: "a positive number or null",
+        text: "text",
+        extension: "a file extension like \".mp4\"",
+        reframe: "one of " + REFRAME_MODES.join(", ")
+    };
+
+    function fieldValid(kind, value) {
+        if (kind === "text") return typeof value === "string";
+        if (kind === "extension") return typeof value === "string" && /^\.[A-Za-z0-9]+$/.test(value);
+        if (kind === "reframe") return core.contains(REFRAME_MODES, value);
+        if (value === null) return true;
+        if (typeof value !== "number" || !(value > 0)) return false;
+        return kind !== "size" || Math.floor(value) === value;
+    }
+
+    // Issues with the fields a preset sets (all optional here):
+    // [{ severity, message }], message starting with the field name
+    function checkPresetFields(preset) {
+        var issues = [];
+        for (var key in preset) {
+            if (!preset.hasOwnProperty(key)) continue;
+            if (!PRESET_FIELDS.hasOwnProperty(key)) {
+                issues.push({ severity: "warning", message: "unknown field '" + key + "' (ignored)" });
+            } else if (!fieldValid(PRESET_FIELDS[key], preset[key])) {
+                issues.push({ severity: "error", message: key + " must be " + KIND_HINTS[PRESET_FIELDS[key]] });
+            }
+        }
+        return issues;
+    }
+
+    // A complete preset: its fields plus the required ones
+    function validatePreset(preset) {
+        var issues = checkPresetFields(preset);
+        for (var i = 0; i < REQUIRED_FIELDS.length; i++) {
+            if (!preset.hasOwnProperty(REQUIRED_FIELDS[i]) || preset[REQUIRED_FIELDS[i]] === "") {
+                issues.push({ severity: "error", message: REQUIRED_FIELDS[i] + " is required" });
+            }
+        }
+        return issues;
+    }
+
+    // Editor fields (all strings) → { preset, issues }. Empty size and
+    // number fields become null, an empty reframe is left unset;
+    // unknown fields are left out.
+    function readPresetFields(fields) {
+        var preset = {};
+        for (var key in PRESET_FIELDS) {
+            if (!PRESET_FIELDS.hasOwnProperty(key) || !fields.hasOwnProperty(key)) continue;
+            var text = core.trim(fields[key]);
+            var kind = PRESET_FIELDS[key];
+            if (kind === "size" || kind === "number") preset[key] = text === "" ? null : (isNaN(Number(text)) ? text : Number(text));
+            else if (kind === "extension") preset[key] = (text !== "" && text.charAt(0) !== ".") ? "." + text : text;
+            else if (kind === "reframe") { if (text !== "") preset[key] = text.toLowerCase(); }
+            else preset[key] = text;
+        }
+        return { preset: preset, issues: validatePreset(preset) };
+    }
+
+    // "1080×1920 | H.264 | 30 fps" for presets without a description
+    function describePreset(preset) {
+        var parts = [];
+        if (preset.width || preset.height) parts.push((preset.width || "auto") + "×" + (preset.height || "auto"));
+        else parts.push("Match comp");
+        if (preset.codec) parts.push(preset.codec);
+        if (preset.fps) parts.push(preset.fps + " fps");
+        if (preset.maxDuration) parts.push("Max " + preset.maxDuration + "s");
+        return parts.join(" | ");
+    }
+
+    // ─── REFRAMING ──────────────────────────────────────────
+
+    function even(n) {
+        return Math.max(2, Math.round(n / 2) * 2);
+    }
+
+    // Output frame of a preset for a comp ({ width, height,
+    // pixelAspect, frameRate }): a null side follows the comp, or
+    // its aspect ratio when the other side is set (rounded to even
+    // pixels for H.264); a null fps keeps the comp's.
+    // Returns { width, height, fps, matches: the comp already is it }
+    function presetFrame(preset, comp) {
+        var compWidth = comp.width * (comp.pixelAspect || 1);
+        var width = preset.width || null;
+        var height = preset.height || null;
+        if (width && !height) height = even(width * comp.height / compWidth);
+        else if (height && !width) width = even(height * compWidth / comp.height);
+        else if (!width && !height) {
+            width = comp.width;
+            height = comp.height;
+        }
+        var fps = preset.fps || comp.frameRate;
+        var matches = width === comp.width && height === comp.height && fps === comp.frameRate &&
+            ((comp.pixelAspect || 1) === 1 || (!preset.width && !preset.height));
+        return { width: width, height: height, fps: fps, matches: matches };
+    }
+
+    // Where a comp goes inside a `frame` ({ width, height }) for a
+    // REFRAME_MODES mode: scale in percent, centered.
+    // Returns { scale, position: [x, y], background: null |
+    //           { kind: "solid" } | { kind: "blur", scale } }
+    function reframeLayout(comp, frame, mode) {
+        var compWidth = comp.width * (comp.pixelAspect || 1);
+        var fit = Math.min(frame.width / compWidth, frame.height / comp.height) * 100;
+        var fill = Math.max(frame.width / compWidth, frame.height / comp.height) * 100;
+        var layout = { scale: fit, position: [frame.width / 2, frame.height / 2], background: null };
+        if (mode === "fill") layout.scale = fill;
+        else if (mode === "letterbox") layout.background = { kind: "solid" };
+        else if (mode === "blur") layout.background = { kind: "blur", scale: fill };
+        return layout;
+    }
+
+    // ─── LIBRARIES ──────────────────────────────────────────
+
+    function isObject(value) {
+        return !!value && typeof value === "object" && !(value instanceof Array);
+    }
+
+    // text: contents of a library file; source: its name for messages
+    // Returns { source, presets: { name: fields | null },
+    //           bundles: { name: [preset names] | null }, issues }.
+    // Entries with errors are left out, so one bad entry doesn't hide
+    // a whole file.
+    function readPresetLibrary(text, source) {
+        var library = { source: source, presets: {}, bundles: {}, issues: [] };
+
+        function add(severity, message) {
+            library.issues.push({ severity: severity, message: source + ": " + message });
+        }
+
+        var data;
+        try {
+            data = core.parseJSON(text);
+        } catch (e) {
+            add("error", e.message);
+            return library;
+        }
+        var sections = isObject(data) && (data.presets !== undefined || data.bundles !== undefined);
+        if (sections && data.presets !== undefined && !isObject(data.presets)) sections = false;
+        if (sections && data.bundles !== undefined && !isObject(data.bundles)) sections = false;
+        if (!sections) {
+            add("error", "expected { \"presets\": { \"Name\": { ... } }, \"bundles\": { \"Name\": [ ... ] } }");
+            return library;
+        }
+
+        for (var name in data.presets || {}) {
+            if (!data.presets.hasOwnProperty(name)) continue;
+            var preset = data.presets[name];
+            if (core.trim(name) === "") {
+                add("error", "a preset has an empty name");
+            } else if (preset === null) {
+                library.presets[name] = null;
+            } else if (typeof preset !== "object" || preset instanceof Array) {
+                add("error", "'" + name + "' must be an object, or null to hide it");
+            } else {
+                var issues = checkPresetFields(preset);
+                for (var i = 0; i < issues.length; i++) add(issues[i].severity, "'" + name + "' " + issues[i].message);
+                if (!core.hasErrors(issues)) library.presets[name] = preset;
+            }
+        }
+
+        for (var bundleName in data.bundles || {}) {
+            if (!data.bundles.hasOwnProperty(bundleName)) continue;
+            var bundle = data.bundles[bundleName];
+            var valid = bundle === null || bundle instanceof Array;
+            for (var b = 0; valid && bundle && b < bundle.length; b++) {
+                if (typeof bundle[b] !== "string" || core.trim(bundle[b]) === "") valid = false;
+            }
+            if (core.trim(bundleName) === "") add("error", "a bundle has an empty name");
+            else if (!valid) add("error", "bundle '" + bundleName + "' must be a list of preset names, or null to hide it");
+            else library.bundles[bundleName] = bundle;
+        }
+        return library;
+    }
+
+    function without(list, value) {
+        var kept = [];
+        for (var i = 0; i < list.length; i++) {
+            if (list[i] !== value) kept.push(list[i]);
+        }
+        return kept;
+    }
+
+    // libraries: [{ source, presets, bundles }], lowest first —
+    // DEFAULT_PRESETS and DEFAULT_BUNDLES are put underneath them.
+    // Returns {
+    //   names:         [preset names, built-ins first, then in file order],
+    //   presets:       { name: complete preset },
+    //   sources:       { name: source of the last layer that set it },
+    //   bundleNames, bundles: { name: [preset names] }, bundleSources,
+    //   issues:        [{ severity, message }]
+    // }
+    // Bundle members no preset goes by are dropped with a warning.
+    function mergePresetLibraries(libraries) {
+        var layers = [{ source: "built-in", presets: DEFAULT_PRESETS, bundles: DEFAULT_BUNDLES }].concat(libraries || []);
+        var merged = { names: [], presets: {}, sources: {}, bundleNames: [], bundles: {}, bundleSources: {}, issues: [] };
+
+        for (var l = 0; l < layers.length; l++) {
+            var layer = layers[l];
+            for (var name in layer.presets) {
+                if (!layer.presets.hasOwnProperty(name)) continue;
+                var entry = layer.presets[name];
+                var known = merged.presets.hasOwnProperty(name);
+
+                if (entry === null) {
+                    if (!known) continue;
+                    delete merged.presets[name];
+                    delete merged.sources[name];
+                    merged.names = without(merged.names, name);
+                    continue;
+                }
+
+                var preset = {};
+                var key;
+                if (known) {
+                    for (key in merged.presets[name]) {
+                        if (merged.presets[name].hasOwnProperty(key)) preset[key] = merged.presets[name][key];
+                    }
+                }
+                for (key in entry) {
+                    if (entry.hasOwnProperty(key) && PRESET_FIELDS.hasOwnProperty(key)) preset[key] = entry[key];
+                }
+
+                var issues = validatePreset(preset);
+                if (core.hasErrors(issues)) {
+                    for (var i = 0; i < issues.length; i++) {
+                        if (issues[i].severity === "error") {
+                            merged.issues.push({ severity: "error", message: layer.source + ": '" + name + "' " + issues[i].message });
+                        }
+                    }
+                    continue;
+                }
+
+                if (!known) merged.names.push(name);
+                merged.presets[name] = preset;
+                merged.sources[name] = layer.source;
+            }
+
+            for (var bundleName in layer.bundles || {}) {
+                if (!layer.bundles.hasOwnProperty(bundleName)) continue;
+                var bundle = layer.bundles[bundleName];
+                var hadBundle = merged.bundles.hasOwnProperty(bundleName);
+                if (bundle === null) {
+                    delete merged.bundles[bundleName];
+                    delete merged.bundleSources[bundleName];
+                    merged.bundleNames = without(merged.bundleNames, bundleName);
+                    continue;
+                }
+                if (!hadBundle) merged.bundleNames.push(bundleName);
+                merged.bundles[bundleName] = bundle;
+                merged.bundleSources[bundleName] = layer.source;
+            }
+        }
+
+        // Bundles can only name presets that made it
+        var bundleNames = merged.bundleNames;
+        for (var bn = 0; bn < bundleNames.length; bn++) {
+            var members = [];
+            var list = merged.bundles[bundleNames[bn]];
+            for (var m = 0; m < list.length; m++) {
+                if (merged.presets.hasOwnProperty(list[m])) {
+                    if (!core.contains(members, list[m])) members.push(list[m]);
+                } else {
+                    merged.issues.push({ severity: "warning", message: merged.bundleSources[bundleNames[bn]] +
+                        ": bundle '" + bundleNames[bn] + "' names no preset '" + list[m] + "'" });
+                }
+            }
+            merged.bundles[bundleNames[bn]] = members;
+        }
+        return merged;
+    }
+
+    // Library file text for the given presets ({ name: preset | null })
+    // and bundles ({ name: [preset names] | null }, optional)
+    function formatPresetLibrary(presets, bundles) {
+        var library = { presets: presets };
+        for (var name in bundles || {}) {
+            if (bundles.hasOwnProperty(name)) {
+                library.bundles = bundles;
+                break;
+            }
+        }
+        return core.formatJSON(library) + "\n";
+    }
+
+    core.DEFAULT_PRESETS = DEFAULT_PRESETS;
+    core.DEFAULT_BUNDLES = DEFAULT_BUNDLES;
+    core.REFRAME_MODES = REFRAME_MODES;
+    core.PRESET_FIELDS = PRESET_FIELDS;
+    core.checkPresetFields = checkPresetFields;
+    core.validatePreset = validatePreset;
+    core.readPresetFields = readPresetFields;
+    core.describePreset = describePreset;
+    core.presetFrame = presetFrame;
+    core.reframeLayout = reframeLayout;
+    core.readPresetLibrary = readPresetLibrary;
+    core.mergePresetLibraries = mergePresetLibraries;
+    core.formatPresetLibrary = formatPresetLibrary;
+
+})(LocalizationCore);
+
+if (typeof module !== "undefined" && module.exports) module.exports = LocalizationCore;
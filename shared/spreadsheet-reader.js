@@ -0,0 +1,611 @@
+/**
+ * ============================================================
+ *  SPREADSHEET READER — XLSX, ODS, TSV, CSV and XLIFF input
+ *  for LocalizationCore. Pure JS: its own unzip + inflate.
+ * ============================================================
+ *
+ *  readSpreadsheet(input, fileName) → {
+ *      format: "csv" | "tsv" | "xlsx" | "ods" | "xliff",
+ *      sheets: [{ name, headers, rows, errors }]   // rows as in parseCSV
+ *  }
+ *
+ *  `input` is text for CSV/TSV/XLIFF and bytes for XLSX/ODS: any
+ *  array-like of 0–255 values (Uint8Array in Figma/Node, or
+ *  bytesFromBinaryString(file.read()) in ExtendScript).
+ *
+ *  mergeSheets() then maps each sheet to a master comp/frame.
+ *  ES3-compatible, see localization-core.js.
+ */
+
+var LocalizationCore = (typeof LocalizationCore !== "undefined")
+    ? LocalizationCore
+    : require("./localization-core.js");
+
+if (typeof LocalizationCore.parseXML === "undefined" && typeof require === "function") require("./xml.js");
+if (typeof LocalizationCore.readXLIFF === "undefined" && typeof require === "function") require("./xliff.js");
+
+(function (core) {
+
+    // ─── BYTES ──────────────────────────────────────────────
+
+    // ExtendScript reads binary files (encoding "BINARY") as a
+    // string with one char per byte.
+    function bytesFromBinaryString(str) {
+        var bytes = [];
+        for (var i = 0; i < str.length; i++) bytes.push(str.charCodeAt(i) & 0xFF);
+        return bytes;
+    }
+
+    function decodeUTF8(bytes, start, end) {
+        start = start || 0;
+        end = (end === undefined) ? bytes.length : end;
+        if (end - start >= 3 && bytes[start] === 0xEF && bytes[start + 1] === 0xBB && bytes[start + 2] === 0xBF) start += 3;
+
+        var parts = [];
+        var chunk = "";
+        for (var i = start; i < end; i++) {
+            var b = bytes[i];
+            var code;
+            if (b < 0x80) {
+                code = b;
+            } else if (b >= 0xC0 && b < 0xE0) {
+                code = ((b & 0x1F) << 6) | (bytes[++i] & 0x3F);
+            } else if (b >= 0xE0 && b < 0xF0) {
+                code = ((b & 0x0F) << 12) | ((bytes[++i] & 0x3F) << 6) | (bytes[++i] & 0x3F);
+            } else if (b >= 0xF0) {
+                code = ((b & 0x07) << 18) | ((bytes[++i] & 0x3F) << 12) | ((bytes[++i] & 0x3F) << 6) | (bytes[++i] & 0x3F);
+            } else {
+                code = 0xFFFD;
+            }
+
+            if (code > 0xFFFF) {
+                code -= 0x10000;
+                chunk += String.fromCharCode(0xD800 + (code >> 10), 0xDC00 + (code & 0x3FF));
+            } else {
+                chunk += String.fromCharCode(code);
+            }
+
+            // Keep string concatenation cheap on large sheets
+            if (chunk.length > 8192) { parts.push(chunk); chunk = ""; }
+        }
+        parts.push(chunk);
+        return parts.join("");
+    }
+
+    function readUInt16(bytes, pos) {
+        return bytes[pos] | (bytes[pos + 1] << 8);
+    }
+
+    function readUInt32(bytes, pos) {
+        return (bytes[pos] | (bytes[pos + 1] << 8) | (bytes[pos + 2] << 16)) + bytes[pos + 3] * 0x1000000;
+    }
+
+    // ─── INFLATE (RFC 1951) ─────────────────────────────────
+
+    var LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+        35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+    var LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+        3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+    var DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+        257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+    var DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+        7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+    var CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+    // Canonical Huffman table: counts per code length + symbols in code order
+    function buildHuffman(lengths) {
+        var count = [];
+        var offsets = [];
+        var symbol = [];
+        var len;
+        for (len = 0; len <= 15; len++) count[len] = 0;
+        for (var s = 0; s < lengths.length; s++) count[lengths[s]]++;
+        offsets[1] = 0;
+        for (len = 1; len < 15; len++) offsets[len + 1] = offsets[len] + count[len];
+        for (var t = 0; t < lengths.length; t++) {
+            if (lengths[t] !== 0) symbol[offsets[lengths[t]]++] = t;
+        }
+        return { count: count, symbol: symbol };
+    }
+
+    var FIXED_TABLES = null;
+
+    function fixedTables() {
+        if (FIXED_TABLES) return FIXED_TABLES;
+        var lit = [];
+        var i;
+        for (i = 0; i < 144; i++) lit.push(8);
+        for (; i < 256; i++) lit.push(9);
+        for (; i < 280; i++) lit.push(7);
+        for (; i < 288; i++) lit.push(8);
+        var dist = [];
+        for (i = 0; i < 30; i++) dist.push(5);
+        FIXED_TABLES = { lit: buildHuffman(lit), dist: buildHuffman(dist) };
+        return FIXED_TABLES;
+    }
+
+    // Raw DEFLATE stream (as stored in zip entries) → byte array
+    function inflateRaw(data, start, end) {
+        var pos = start || 0;
+        var limit = (end === undefined) ? data.length : end;
+        var bitBuf = 0;
+        var bitCount = 0;
+        var out = [];
+
+        function bits(n) {
+            while (bitCount < n) {
+                if (pos >= limit) throw new Error("Unexpected end of compressed data");
+                bitBuf |= data[pos++] << bitCount;
+                bitCount += 8;
+            }
+            var value = bitBuf & ((1 << n) - 1);
+            bitBuf >>>= n;
+            bitCount -= n;
+            return value;
+        }
+
+        function decode(table) {
+            var code = 0, first = 0, index = 0;
+            for (var len = 1; len <= 15; len++) {
+                code |= bits(1);
+                var count = table.count[len];
+                if (code - count < first) return table.symbol[index + (code - first)];
+                index += count;
+                first += count;
+                first <<= 1;
+                code <<= 1;
+            }
+            throw new Error("Invalid Huffman code in compressed data");
+        }
+
+        function inflateBlock(lit, dist) {
+            for (;;) {
+                var sym = decode(lit);
+                if (sym < 256) {
+                    out.push(sym);
+                } else if (sym === 256) {
+                    return;
+                } else {
+                    sym -= 257;
+                    if (sym >= 29) throw new Error("Invalid length code in compressed data");
+                    var length = LENGTH_BASE[sym] + bits(LENGTH_EXTRA[sym]);
+                    var dsym = decode(dist);
+                    var distance = DIST_BASE[dsym] + bits(DIST_EXTRA[dsym]);
+                    if (distance > out.length) throw new Error("Invalid distance in compressed data");
+                    var from = out.length - distance;
+                    for (var k = 0; k < length; k++) out.push(out[from + k]);
+                }
+            }
+        }
+
+        function dynamicTables() {
+            var nlen = bits(5) + 257;
+            var ndist = bits(5) + 1;
+            var ncode = bits(4) + 4;
+            var lengths = [];
+            var i;
+            for (i = 0; i < 19; i++) lengths[i] = 0;
+            for (i = 0; i < ncode; i++) lengths[CODE_LENGTH_ORDER[i]] = bits(3);
+            var codeTable = buildHuffman(lengths);
+
+            lengths = [];
+            while (lengths.length < nlen + ndist) {
+                var sym = decode(codeTable);
+                if (sym < 16) {
+                    lengths.push(sym);
+                } else {
+                    var repeat, value = 0;
+                    if (sym === 16) {
+                        if (lengths.length === 0) throw new Error("Invalid code lengths in compressed data");
+                        value = lengths[lengths.length - 1];
+                        repeat = 3 + bits(2);
+                    } else if (sym === 17) {
+                        repeat = 3 + bits(3);
+                    } else {
+                        repeat = 11 + bits(7);
+                    }
+                    while (repeat--) lengths.push(value);
+                }
+            }
+            return {
+                lit: buildHuffman(lengths.slice(0, nlen)),
+                dist: buildHuffman(lengths.slice(nlen, nlen + ndist))
+            };
+        }
+
+        var last = 0;
+        while (!last) {
+            last = bits(1);
+            var type = bits(2);
+            if (type === 0) {
+                bitBuf = 0;
+                bitCount = 0;
+                if (pos + 4 > limit) throw new Error("Unexpected end of compressed data");
+                var len = readUInt16(data, pos);
+                pos += 4;
+                if (pos + len > limit) throw new Error("Unexpected end of compressed data");
+                for (var c = 0; c < len; c++) out.push(data[pos++]);
+            } else if (type === 1) {
+                var fixed = fixedTables();
+                inflateBlock(fixed.lit, fixed.dist);
+            } else if (type === 2) {
+                var tables = dynamicTables();
+                inflateBlock(tables.lit, tables.dist);
+            } else {
+                throw new Error("Invalid block type in compressed data");
+            }
+        }
+
+        return out;
+    }
+
+    // ─── UNZIP ──────────────────────────────────────────────
+
+    // Returns { "path/in/zip": { method, offset, compressedSize } }
+    function readZipDirectory(bytes) {
+        var eocd = -1;
+        var minPos = Math.max(0, bytes.length - 22 - 0xFFFF);
+        for (var p = bytes.length - 22; p >= minPos; p--) {
+            if (readUInt32(bytes, p) === 0x06054B50) { eocd = p; break; }
+        }
+        if (eocd < 0) throw new Error("Not a zip file (XLSX and ODS files are zip archives)");
+
+        var entryCount = readUInt16(bytes, eocd + 10);
+        var pos = readUInt32(bytes, eocd + 16);
+        var entries = {};
+
+        for (var i = 0; i < entryCount; i++) {
+            if (readUInt32(bytes, pos) !== 0x02014B50) throw new Error("Corrupt zip directory");
+            var method = readUInt16(bytes, pos + 10);
+            var compressedSize = readUInt32(bytes, pos + 20);
+            var nameLength = readUInt16(bytes, pos + 28);
+            var extraLength = readUInt16(bytes, pos + 30);
+            var commentLength = readUInt16(bytes, pos + 32);
+            var localOffset = readUInt32(bytes, pos + 42);
+            var name = decodeUTF8(bytes, pos + 46, pos + 46 + nameLength);
+
+            entries[name] = { method: method, offset: localOffset, compressedSize: compressedSize };
+            pos += 46 + nameLength + extraLength + commentLength;
+        }
+        return entries;
+    }
+
+    function readZipEntry(bytes, entry) {
+        var pos = entry.offset;
+        if (readUInt32(bytes, pos) !== 0x04034B50) throw new Error("Corrupt zip entry");
+        var start = pos + 30 + readUInt16(bytes, pos + 26) + readUInt16(bytes, pos + 28);
+        var end = start + entry.compressedSize;
+
+        if (entry.method === 0) {
+            var stored = [];
+            for (var i = start; i < end; i++) stored.push(bytes[i]);
+            return stored;
+        }
+        if (entry.method === 8) return inflateRaw(bytes, start, end);
+        throw new Error("Unsupported zip compression method " + entry.method);
+    }
+
+    // Opens a zip once; file(path) returns the entry as text (or null)
+    function openZip(bytes) {
+        var entries = readZipDirectory(bytes);
+        return {
+            entries: entries,
+            has: function (path) { return entries.hasOwnProperty(path); },
+            bytes: function (path) {
+                return entries.hasOwnProperty(path) ? readZipEntry(bytes, entries[path]) : null;
+            },
+            text: function (path) {
+                return entries.hasOwnProperty(path) ? decodeUTF8(readZipEntry(bytes, entries[path])) : null;
+            }
+        };
+    }
+
+    // ─── TABLE → ROWS ───────────────────────────────────────
+
+    // First non-empty row is the header, like parseCSV.
+    // `table` is [[cell, ...], ...]; row numbers start at 1.
+    function tableToData(table) {
+        var headers = null;
+        var rows = [];
+
+        for (var r = 0; r < table.length; r++) {
+            var cells = table[r] || [];
+            var empty = true;
+            for (var e = 0; e < cells.length; e++) {
+                if (cells[e] !== undefined && cells[e] !== null && core.trim(cells[e]) !== "") { empty = false; break; }
+            }
+            if (empty) continue;
+
+            if (!headers) {
+                headers = [];
+                for (var h = 0; h < cells.length; h++) headers.push(core.trim(cells[h] || ""));
+                while (headers.length > 0 && headers[headers.length - 1] === "") headers.pop();
+                continue;
+            }
+
+            var row = {};
+            for (var c = 0; c < headers.length; c++) {
+                var value = (c < cells.length && cells[c] !== undefined && cells[c] !== null) ? String(cells[c]) : "";
+                row[headers[c]] = value;
+            }
+            row.__line = r + 1;
+            rows.push(row);
+        }
+
+        return { headers: headers || [], rows: rows, errors: [] };
+    }
+
+    // ─── XLSX ───────────────────────────────────────────────
+
+    // "AB12" → 27 (zero-based column index)
+    function columnIndex(ref) {
+        var letters = /^[A-Za-z]+/.exec(ref);
+        if (!letters) return -1;
+        var index = 0;
+        var s = letters[0].toUpperCase();
+        for (var i = 0; i < s.length; i++) index = index * 26 + (s.charCodeAt(i) - 64);
+        return index - 1;
+    }
+
+    function resolveZipPath(base, target) {
+        if (target.charAt(0) === "/") return target.substring(1);
+        var parts = base.split("/");
+        parts.pop();
+        var segments = target.split("/");
+        for (var i = 0; i < segments.length; i++) {
+            if (segments[i] === "..") parts.pop();
+            else if (segments[i] !== ".") parts.push(segments[i]);
+        }
+        return parts.join("/");
+    }
+
+    // Shared-string / inline-string text, skipping phonetic runs
+    function richText(el) {
+        var out = "";
+        for (var i = 0; i < el.children.length; i++) {
+            var child = el.children[i];
+            if (typeof child === "string") continue;
+            var name = core.xmlLocalName(child.name);
+            if (name === "t") out += core.xmlText(child);
+            else if (name === "r") out += richText(child);
+        }
+        return out;
+    }
+
+    function readXLSX(bytes) {
+        var zip = openZip(bytes);
+        var workbookPath = "xl/workbook.xml";
+        if (!zip.has(workbookPath)) throw new Error("Not an XLSX workbook (xl/workbook.xml missing)");
+
+        var rels = {};
+        var relsText = zip.text("xl/_rels/workbook.xml.rels");
+        if (relsText) {
+            var relList = core.xmlFind(core.parseXML(relsText), "Relationship");
+            for (var r = 0; r < relList.length; r++) {
+                rels[core.xmlAttr(relList[r], "Id")] = resolveZipPath(workbookPath, core.xmlAttr(relList[r], "Target"));
+            }
+        }
+
+        var shared = [];
+        if (zip.has("xl/sharedStrings.xml")) {
+            var siList = core.xmlFind(core.parseXML(zip.text("xl/sharedStrings.xml")), "si");
+            for (var s = 0; s < siList.length; s++) shared.push(richText(siList[s]));
+        }
+
+        var sheets = [];
+        var sheetList = core.xmlFind(core.parseXML(zip.text(workbookPath)), "sheet");
+        for (var i = 0; i < sheetList.length; i++) {
+            var name = core.xmlAttr(sheetList[i], "name");
+            var path = rels[core.xmlAttr(sheetList[i], "id")] || ("xl/worksheets/sheet" + (i + 1) + ".xml");
+            var sheetText = zip.text(path);
+            if (sheetText === null) continue;
+
+            var data = tableToData(readXLSXSheet(core.parseXML(sheetText), shared));
+            data.name = name;
+            sheets.push(data);
+        }
+        return sheets;
+    }
+
+    function readXLSXSheet(sheetXml, shared) {
+        var table = [];
+        var rowEls = core.xmlFind(sheetXml, "row");
+        for (var r = 0; r < rowEls.length; r++) {
+            var rowNumber = parseInt(core.xmlAttr(rowEls[r], "r"), 10) || (table.length + 1);
+            var cells = [];
+            var cellEls = core.xmlChildren(rowEls[r], "c");
+            for (var c = 0; c < cellEls.length; c++) {
+                var cell = cellEls[c];
+                var ref = core.xmlAttr(cell, "r");
+                var col = ref ? columnIndex(ref) : cells.length;
+                var type = core.xmlAttr(cell, "t") || "n";
+                var v = core.xmlChild(cell, "v");
+                var value = "";
+
+                if (type === "s") value = v ? (shared[parseInt(core.xmlText(v), 10)] || "") : "";
+                else if (type === "inlineStr") value = core.xmlChild(cell, "is") ? richText(core.xmlChild(cell, "is")) : "";
+                else if (type === "b") value = (v && core.xmlText(v) === "1") ? "TRUE" : "FALSE";
+                else value = v ? core.xmlText(v) : "";
+
+                while (cells.length < col) cells.push("");
+                cells[col] = value;
+            }
+            table[rowNumber - 1] = cells;
+        }
+        for (var t = 0; t < table.length; t++) if (!table[t]) table[t] = [];
+        return table;
+    }
+
+    // ─── ODS ────────────────────────────────────────────────
+
+    // Text of a <text:p>, honouring <text:s>, <text:tab>, <text:line-break>
+    function odsParagraphText(el) {
+        var out = "";
+        for (var i = 0; i < el.children.length; i++) {
+            var child = el.children[i];
+            if (typeof child === "string") { out += child; continue; }
+            var name = core.xmlLocalName(child.name);
+            if (name === "s") {
+                var n = parseInt(core.xmlAttr(child, "c"), 10) || 1;
+                while (n--) out += " ";
+            } else if (name === "tab") {
+                out += "\t";
+            } else if (name === "line-break") {
+                out += "\n";
+            } else if (name !== "annotation") {
+                out += odsParagraphText(child);
+            }
+        }
+        return out;
+    }
+
+    function odsCellText(cell) {
+        var paragraphs = core.xmlChildren(cell, "p");
+        if (paragraphs.length === 0) {
+            // Numbers/dates without a text rendering
+            return core.xmlAttr(cell, "value") || core.xmlAttr(cell, "date-value") || "";
+        }
+        var lines = [];
+        for (var i = 0; i < paragraphs.length; i++) lines.push(odsParagraphText(paragraphs[i]));
+        return lines.join("\n");
+    }
+
+    // Trailing empty cells/rows are often "repeated" a million
+    // times in ODS, so repeats are only expanded before content.
+    function readODS(bytes) {
+        var zip = openZip(bytes);
+        if (!zip.has("content.xml")) throw new Error("Not an ODS spreadsheet (content.xml missing)");
+
+        var sheets = [];
+        var tables = core.xmlFind(core.parseXML(zip.text("content.xml")), "table");
+        for (var t = 0; t < tables.length; t++) {
+            var table = [];
+            var pendingRows = 0;
+            var rowEls = core.xmlFind(tables[t], "table-row");
+
+            for (var r = 0; r < rowEls.length; r++) {
+                var rowRepeat = parseInt(core.xmlAttr(rowEls[r], "number-rows-repeated"), 10) || 1;
+                var cells = [];
+                var pendingCells = 0;
+                var cellEls = core.xmlChildren(rowEls[r]);
+
+                for (var c = 0; c < cellEls.length; c++) {
+                    var cellName = core.xmlLocalName(cellEls[c].name);
+                    if (cellName !== "table-cell" && cellName !== "covered-table-cell") continue;
+                    var cellRepeat = parseInt(core.xmlAttr(cellEls[c], "number-columns-repeated"), 10) || 1;
+                    var text = odsCellText(cellEls[c]);
+                    if (text === "") { pendingCells += cellRepeat; continue; }
+                    while (pendingCells > 0) { cells.push(""); pendingCells--; }
+                    while (cellRepeat--) cells.push(text);
+                }
+
+                if (cells.length === 0) { pendingRows += rowRepeat; continue; }
+                while (pendingRows > 0) { table.push([]); pendingRows--; }
+                while (rowRepeat--) table.push(cells);
+            }
+
+            var data = tableToData(table);
+            data.name = core.xmlAttr(tables[t], "name") || ("Sheet" + (t + 1));
+            sheets.push(data);
+        }
+        return sheets;
+    }
+
+    // ─── ENTRY POINT ────────────────────────────────────────
+
+    var FORMATS = {
+        csv: "csv", txt: "csv", tsv: "tsv", tab: "tsv",
+        xlsx: "xlsx", ods: "ods", xlf: "xliff", xliff: "xliff"
+    };
+
+    function spreadsheetFormat(fileName) {
+        var m = /\.([A-Za-z0-9]+)$/.exec(fileName || "");
+        var ext = m ? m[1].toLowerCase() : "";
+        return FORMATS.hasOwnProperty(ext) ? FORMATS[ext] : null;
+    }
+
+    function baseName(fileName) {
+        return String(fileName || "Sheet1").replace(/^.*[\/\\]/, "").replace(/\.[^.]*$/, "");
+    }
+
+    function readSpreadsheet(input, fileName) {
+        var format = spreadsheetFormat(fileName);
+        if (!format) throw new Error("Unsupported file type: " + fileName + " (use .csv, .tsv, .xlsx, .ods or .xlf)");
+
+        if (format === "xlsx") return { format: format, sheets: readXLSX(input) };
+        if (format === "ods") return { format: format, sheets: readODS(input) };
+
+        var text = (typeof input === "string" || typeof input === "function") ? input : decodeUTF8(input);
+        if (format === "xliff") {
+            if (typeof text === "function") {
+                var parts = [];
+                var chunk = text();
+                while (chunk !== null && chunk !== undefined) { parts.push(chunk); chunk = text(); }
+                text = parts.join("");
+            }
+            return core.readXLIFF([text], baseName(fileName));
+        }
+
+        var data = core.parseCSV(text, format === "tsv" ? { delimiter: "\t" } : {});
+        data.name = baseName(fileName);
+        return { format: format, sheets: [data] };
+    }
+
+    // Combines sheets into one parseCSV-shaped table.
+    // mapping: { sheetName: target } — target fills options.targetColumn
+    //   for rows that leave it empty; "" or a missing key skips the sheet
+    //   unless the sheet has its own targetColumn.
+    // Rows get __sheet so issues can say where they came from.
+    function mergeSheets(sheets, mapping, options) {
+        options = options || {};
+        var targetColumn = options.targetColumn || null;
+        var headers = [];
+        var rows = [];
+        var errors = [];
+        var seen = {};
+
+        function addHeader(h) {
+            if (h !== "" && !seen.hasOwnProperty(h)) { seen[h] = true; headers.push(h); }
+        }
+
+        if (targetColumn) addHeader(targetColumn);
+
+        for (var s = 0; s < sheets.length; s++) {
+            var sheet = sheets[s];
+            var target = (mapping && mapping.hasOwnProperty(sheet.name)) ? mapping[sheet.name] : "";
+            var ownTarget = targetColumn && core.contains(sheet.headers, targetColumn);
+            if (!target && !ownTarget) continue;
+
+            for (var h = 0; h < sheet.headers.length; h++) addHeader(sheet.headers[h]);
+            for (var e = 0; e < sheet.errors.length; e++) {
+                var err = sheet.errors[e];
+                errors.push({ line: err.line, column: err.column, message: "[" + sheet.name + "] " + err.message });
+            }
+            for (var r = 0; r < sheet.rows.length; r++) {
+                var row = sheet.rows[r];
+                if (targetColumn && !row[targetColumn] && target) row[targetColumn] = target;
+                row.__sheet = sheet.name;
+                rows.push(row);
+            }
+        }
+
+        for (var i = 0; i < rows.length; i++) {
+            for (var k = 0; k < headers.length; k++) {
+                if (!rows[i].hasOwnProperty(headers[k])) rows[i][headers[k]] = "";
+            }
+        }
+
+        return { headers: headers, rows: rows, errors: errors };
+    }
+
+    core.bytesFromBinaryString = bytesFromBinaryString;
+    core.decodeUTF8 = decodeUTF8;
+    core.inflateRaw = inflateRaw;
+    core.openZip = openZip;
+    core.spreadsheetFormat = spreadsheetFormat;
+    core.readSpreadsheet = readSpreadsheet;
+    core.mergeSheets = mergeSheets;
+
+})(LocalizationCore);
+
+if (typeof module !== "undefined" && module.exports) module.exports = LocalizationCore;
@@ -0,0 +1,269 @@
+/**
+ * ============================================================
+ *  XLIFF — 1.2 and 2.0 export/import for LocalizationCore
+ * ============================================================
+ *
+ *  Export: buildXLIFF(units, options) with one unit per text
+ *  layer, id = layer path inside the master ("Sub_Comp_A/Headline").
+ *  Import: readXLIFF(texts) turns one or more translated files
+ *  (usually one per target language) into a parseCSV-shaped table
+ *  with comp_name = <file original> and layer_name = the unit's
+ *  layer path, so it drops in where a CSV would and same-named
+ *  layers in different sub-comps stay apart.
+ *
+ *  ES3-compatible, see localization-core.js.
+ */
+
+var LocalizationCore = (typeof LocalizationCore !== "undefined")
+    ? LocalizationCore
+    : require("./localization-core.js");
+
+if (typeof LocalizationCore.parseXML === "undefined" && typeof require === "function") require("./xml.js");
+
+(function (core) {
+
+    var NS_12 = "urn:oasis:names:tc:xliff:document:1.2";
+    var NS_20 = "urn:oasis:names:tc:xliff:document:2.0";
+
+    // ─── PATH IDS ───────────────────────────────────────────
+
+    // Layer path segments joined with "/"; "/", "*" and "?" inside a
+    // name are escaped ("\/") so the path can be split back reliably
+    // and reads as a literal layer_name path (see parseLayerPattern).
+    function joinLayerPath(segments) {
+        var parts = [];
+        for (var i = 0; i < segments.length; i++) {
+            parts.push(String(segments[i]).replace(/[\\\/*?]/g, "\\$&"));
+        }
+        return parts.join("/");
+    }
+
+    function splitLayerPath(path) {
+        var segments = [];
+        var current = "";
+        for (var i = 0; i < path.length; i++) {
+            var ch = path.charAt(i);
+            if (ch === "\\" && i + 1 < path.length) {
+                current += path.charAt(++i);
+            } else if (ch === "/") {
+                segments.push(current);
+                current = "";
+            } else {
+                current += ch;
+            }
+        }
+        segments.push(current);
+        return segments;
+    }
+
+    // XLIFF 2.0 ids are NMTOKENs (no "/" or spaces); the exact path
+    // goes into the unit's name attribute instead.
+    function nmtoken(str) {
+        return String(str).replace(/[^A-Za-z0-9._:\-]/g, "_");
+    }
+
+    // ─── EXPORT ─────────────────────────────────────────────
+
+    // units:   [{ file, id, source, target?, note? }]
+    //          file = master comp/frame name, id = layer path
+    // options: { version: "1.2" | "2.0", sourceLanguage, targetLanguage? }
+    function buildXLIFF(units, options) {
+        options = options || {};
+        var version = options.version === "2.0" ? "2.0" : "1.2";
+        var src = options.sourceLanguage || "en-US";
+        var trg = options.targetLanguage || "";
+        var esc = core.escapeXML;
+
+        // Group by file, keeping first-seen order
+        var files = [];
+        var byFile = {};
+        for (var u = 0; u < units.length; u++) {
+            var fileName = units[u].file || "master";
+            if (!byFile.hasOwnProperty(fileName)) {
+                byFile[fileName] = [];
+                files.push(fileName);
+            }
+            byFile[fileName].push(units[u]);
+        }
+
+        var out = ['<?xml version="1.0" encoding="UTF-8"?>'];
+
+        if (version === "1.2") {
+            out.push('<xliff version="1.2" xmlns="' + NS_12 + '">');
+            for (var f = 0; f < files.length; f++) {
+                out.push('  <file original="' + esc(files[f]) + '" source-language="' + esc(src) + '"' +
+                    (trg ? ' target-language="' + esc(trg) + '"' : "") + ' datatype="plaintext">');
+                out.push("    <body>");
+                var list = byFile[files[f]];
+                for (var i = 0; i < list.length; i++) {
+                    var segments = splitLayerPath(list[i].id);
+                    out.push('      <trans-unit id="' + esc(list[i].id) + '" resname="' + esc(segments[segments.length - 1]) + '" xml:space="preserve">');
+                    out.push("        <source>" + esc(list[i].source) + "</source>");
+                    if (trg) {
+                        var target = list[i].target || "";
+                        out.push('        <target state="' + (target ? "translated" : "needs-translation") + '">' + esc(target) + "</target>");
+                    }
+                    if (list[i].note) out.push("        <note>" + esc(list[i].note) + "</note>");
+                    out.push("      </trans-unit>");
+                }
+                out.push("    </body>");
+                out.push("  </file>");
+            }
+        } else {
+            out.push('<xliff version="2.0" xmlns="' + NS_20 + '" srcLang="' + esc(src) + '"' +
+                (trg ? ' trgLang="' + esc(trg) + '"' : "") + ">");
+            for (var g = 0; g < files.length; g++) {
+                out.push('  <file id="f' + (g + 1) + '" original="' + esc(files[g]) + '">');
+                var units20 = byFile[files[g]];
+                var usedIds = {};
+                for (var k = 0; k < units20.length; k++) {
+                    var id = nmtoken(units20[k].id);
+                    var n = 2;
+                    while (usedIds[id]) id = nmtoken(units20[k].id) + "_" + (n++);
+                    usedIds[id] = true;
+
+                    out.push('    <unit id="' + esc(id) + '" name="' + esc(units20[k].id) + '">');
+                    if (units20[k].note) out.push("      <notes><note>" + esc(units20[k].note) + "</note></notes>");
+                    out.push('      <segment' + (trg ? ' state="' + (units20[k].target ? "translated" : "initial") + '"' : "") + ">");
+                    out.push('        <source xml:space="preserve">' + esc(units20[k].source) + "</source>");
+                    if (trg) out.push('        <target xml:space="preserve">' + esc(units20[k].target || "") + "</target>");
+                    out.push("      </segment>");
+                    out.push("    </unit>");
+                }
+                out.push("  </file>");
+            }
+        }
+
+        out.push("</xliff>");
+        return out.join("\n") + "\n";
+    }
+
+    // ─── IMPORT ─────────────────────────────────────────────
+
+    // Text of <source>/<target>; inline codes (<x/>, <ph/>, <g>, <pc>)
+    // are flattened to their text content.
+    function segmentText(el) {
+        return el ? core.xmlText(el) : "";
+    }
+
+    // Returns { version, sourceLanguage, targetLanguage,
+    //           units: [{ file, id, source, target, line }] }
+    function parseXLIFF(text) {
+        var root = core.parseXML(text);
+        if (core.xmlLocalName(root.name) !== "xliff") throw new Error("Not an XLIFF file (root element is <" + root.name + ">)");
+
+        var version = core.xmlAttr(root, "version") || "1.2";
+        var doc = {
+            version: version,
+            sourceLanguage: core.xmlAttr(root, "srcLang") || "",
+            targetLanguage: core.xmlAttr(root, "trgLang") || "",
+            units: []
+        };
+
+        var files = core.xmlChildren(root, "file");
+        for (var f = 0; f < files.length; f++) {
+            var fileName = core.xmlAttr(files[f], "original") || core.xmlAttr(files[f], "id") || ("file" + (f + 1));
+
+            if (version.charAt(0) === "1") {
+                if (!doc.sourceLanguage) doc.sourceLanguage = core.xmlAttr(files[f], "source-language") || "";
+                if (!doc.targetLanguage) doc.targetLanguage = core.xmlAttr(files[f], "target-language") || "";
+
+                var transUnits = core.xmlFind(files[f], "trans-unit");
+                for (var t = 0; t < transUnits.length; t++) {
+                    doc.units.push({
+                        file: fileName,
+                        id: core.xmlAttr(transUnits[t], "id") || core.xmlAttr(transUnits[t], "resname") || "",
+                        source: segmentText(core.xmlChild(transUnits[t], "source")),
+                        target: segmentText(core.xmlChild(transUnits[t], "target")),
+                        line: doc.units.length + 1
+                    });
+                }
+            } else {
+                var units = core.xmlFind(files[f], "unit");
+                for (var u = 0; u < units.length; u++) {
+                    // A unit may hold several segments; they are concatenated
+                    var source = "";
+                    var target = "";
+                    var parts = core.xmlChildren(units[u]);
+                    for (var p = 0; p < parts.length; p++) {
+                        var partName = core.xmlLocalName(parts[p].name);
+                        if (partName !== "segment" && partName !== "ignorable") continue;
+                        source += segmentText(core.xmlChild(parts[p], "source"));
+                        target += segmentText(core.xmlChild(parts[p], "target"));
+                    }
+                    doc.units.push({
+                        file: fileName,
+                        id: core.xmlAttr(units[u], "name") || core.xmlAttr(units[u], "id") || "",
+                        source: source,
+                        target: target,
+                        line: doc.units.length + 1
+                    });
+                }
+            }
+        }
+
+        return doc;
+    }
+
+    // One or more XLIFF documents (text) → { format: "xliff", sheets: [data] }
+    // with columns comp_name, layer_name, type, <source>, <target>...
+    // Files for the same source language merge on file + unit id.
+    function readXLIFF(texts, name) {
+        if (typeof texts === "string") texts = [texts];
+
+        var headers = ["comp_name", "layer_name", "type"];
+        var rows = [];
+        var byKey = {};
+        var errors = [];
+
+        for (var i = 0; i < texts.length; i++) {
+            var doc = parseXLIFF(texts[i]);
+            var src = doc.sourceLanguage || "source";
+            var trg = doc.targetLanguage;
+
+            if (!core.contains(headers, src)) headers.push(src);
+            if (trg && !core.contains(headers, trg)) headers.push(trg);
+            if (!trg) {
+                errors.push({ line: 0, column: 0, message: "XLIFF file " + (i + 1) + " has no target language" });
+            }
+
+            for (var u = 0; u < doc.units.length; u++) {
+                var unit = doc.units[u];
+                var key = unit.file + "\u0000" + unit.id;
+                var row = byKey[key];
+                if (!row) {
+                    row = {
+                        comp_name: unit.file,
+                        layer_name: unit.id,
+                        type: "text",
+                        __line: rows.length + 1
+                    };
+                    byKey[key] = row;
+                    rows.push(row);
+                }
+                row[src] = unit.source;
+                if (trg) row[trg] = unit.target;
+            }
+        }
+
+        for (var r = 0; r < rows.length; r++) {
+            for (var h = 0; h < headers.length; h++) {
+                if (!rows[r].hasOwnProperty(headers[h])) rows[r][headers[h]] = "";
+            }
+        }
+
+        return {
+            format: "xliff",
+            sheets: [{ name: name || "XLIFF", headers: headers, rows: rows, errors: errors }]
+        };
+    }
+
+    core.joinLayerPath = joinLayerPath;
+    core.splitLayerPath = splitLayerPath;
+    core.buildXLIFF = buildXLIFF;
+    core.parseXLIFF = parseXLIFF;
+    core.readXLIFF = readXLIFF;
+
+})(LocalizationCore);
+
+if (typeof module !== "undefined" && module.exports) module.exports = LocalizationCore;
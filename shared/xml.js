@@ -0,0 +1,211 @@
+/**
+ * ============================================================
+ *  XML — minimal, dependency-free XML reader/writer helpers
+ *  for LocalizationCore (spreadsheets, XLIFF).
+ * ============================================================
+ *
+ *  Not a validating parser: it reads well-formed documents
+ *  into a light tree and ignores DTDs and processing
+ *  instructions. ES3-compatible, see localization-core.js.
+ *
+ *  Element shape: { name, attributes: {}, children: [element | string] }
+ */
+
+var LocalizationCore = (typeof LocalizationCore !== "undefined")
+    ? LocalizationCore
+    : require("./localization-core.js");
+
+(function (core) {
+
+    var NAMED_ENTITIES = { lt: "<", gt: ">", amp: "&", quot: "\"", apos: "'" };
+
+    function fromCodePoint(code) {
+        if (code <= 0xFFFF) return String.fromCharCode(code);
+        code -= 0x10000;
+        return String.fromCharCode(0xD800 + (code >> 10), 0xDC00 + (code & 0x3FF));
+    }
+
+    function decodeEntities(str) {
+        if (str.indexOf("&") < 0) return str;
+        return str.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, function (match, ref) {
+            if (ref.charAt(0) === "#") {
+                var code = (ref.charAt(1) === "x" || ref.charAt(1) === "X")
+                    ? parseInt(ref.substring(2), 16)
+                    : parseInt(ref.substring(1), 10);
+                return fromCodePoint(code);
+            }
+            return NAMED_ENTITIES.hasOwnProperty(ref) ? NAMED_ENTITIES[ref] : match;
+        });
+    }
+
+    function escapeXML(str) {
+        return String(str)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;");
+    }
+
+    // "table:table-cell" → "table-cell"
+    function localName(name) {
+        var colon = name.indexOf(":");
+        return colon < 0 ? name : name.substring(colon + 1);
+    }
+
+    function parseAttributes(source) {
+        var attrs = {};
+        var re = /([^\s=\/]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+        var m = re.exec(source);
+        while (m) {
+            attrs[m[1]] = decodeEntities(m[3] !== undefined && m[3] !== "" ? m[3] : (m[4] || ""));
+            m = re.exec(source);
+        }
+        return attrs;
+    }
+
+    // Returns the root element. Throws on unbalanced tags.
+    function parseXML(text) {
+        text = String(text);
+        if (text.charCodeAt(0) === 0xFEFF) text = text.substring(1);
+
+        var root = { name: "#document", attributes: {}, children: [] };
+        var stack = [root];
+        var pos = 0;
+
+        function current() { return stack[stack.length - 1]; }
+
+        function addText(str) {
+            if (str === "") return;
+            var children = current().children;
+            var last = children.length - 1;
+            if (last >= 0 && typeof children[last] === "string") children[last] += str;
+            else children.push(str);
+        }
+
+        while (pos < text.length) {
+            var lt = text.indexOf("<", pos);
+            if (lt < 0) {
+                addText(decodeEntities(text.substring(pos)));
+                break;
+            }
+            if (lt > pos) addText(decodeEntities(text.substring(pos, lt)));
+
+            if (text.substr(lt, 4) === "<!--") {
+                pos = text.indexOf("-->", lt);
+                if (pos < 0) throw new Error("Unclosed XML comment");
+                pos += 3;
+            } else if (text.substr(lt, 9) === "<![CDATA[") {
+                var cdataEnd = text.indexOf("]]>", lt);
+                if (cdataEnd < 0) throw new Error("Unclosed CDATA section");
+                addText(text.substring(lt + 9, cdataEnd));
+                pos = cdataEnd + 3;
+            } else if (text.charAt(lt + 1) === "?" || text.charAt(lt + 1) === "!") {
+                pos = text.indexOf(">", lt);
+                if (pos < 0) throw new Error("Unclosed XML declaration");
+                pos += 1;
+            } else if (text.charAt(lt + 1) === "/") {
+                var closeEnd = text.indexOf(">", lt);
+                if (closeEnd < 0) throw new Error("Unclosed end tag");
+                var closeName = core.trim(text.substring(lt + 2, closeEnd));
+                if (stack.length < 2 || current().name !== closeName) {
+                    throw new Error("Unexpected </" + closeName + ">");
+                }
+                stack.pop();
+                pos = closeEnd + 1;
+            } else {
+                // Find the end of the tag, skipping '>' inside attribute values
+                var i = lt + 1;
+                var quote = null;
+                while (i < text.length) {
+                    var ch = text.charAt(i);
+                    if (quote) { if (ch === quote) quote = null; }
+                    else if (ch === "\"" || ch === "'") quote = ch;
+                    else if (ch === ">") break;
+                    i++;
+                }
+                if (i >= text.length) throw new Error("Unclosed start tag");
+
+                var body = text.substring(lt + 1, i);
+                var selfClosing = body.charAt(body.length - 1) === "/";
+                if (selfClosing) body = body.substring(0, body.length - 1);
+
+                var nameMatch = /^[^\s\/>]+/.exec(body);
+                var element = {
+                    name: nameMatch ? nameMatch[0] : "",
+                    attributes: parseAttributes(body.substring(nameMatch ? nameMatch[0].length : 0)),
+                    children: []
+                };
+                current().children.push(element);
+                if (!selfClosing) stack.push(element);
+                pos = i + 1;
+            }
+        }
+
+        if (stack.length > 1) throw new Error("Unclosed <" + current().name + ">");
+
+        for (var r = 0; r < root.children.length; r++) {
+            if (typeof root.children[r] !== "string") return root.children[r];
+        }
+        throw new Error("No XML root element");
+    }
+
+    // Child elements of `el` whose local name is `name` (all if omitted)
+    function xmlChildren(el, name) {
+        var out = [];
+        for (var i = 0; i < el.children.length; i++) {
+            var child = el.children[i];
+            if (typeof child === "string") continue;
+            if (!name || localName(child.name) === name) out.push(child);
+        }
+        return out;
+    }
+
+    function xmlChild(el, name) {
+        var list = xmlChildren(el, name);
+        return list.length > 0 ? list[0] : null;
+    }
+
+    // All descendants with local name `name`, document order
+    function xmlFind(el, name, out) {
+        out = out || [];
+        for (var i = 0; i < el.children.length; i++) {
+            var child = el.children[i];
+            if (typeof child === "string") continue;
+            if (localName(child.name) === name) out.push(child);
+            xmlFind(child, name, out);
+        }
+        return out;
+    }
+
+    // Attribute by local name, so "r:id" and "id" both work
+    function xmlAttr(el, name) {
+        if (el.attributes.hasOwnProperty(name)) return el.attributes[name];
+        for (var key in el.attributes) {
+            if (el.attributes.hasOwnProperty(key) && localName(key) === name) return el.attributes[key];
+        }
+        return null;
+    }
+
+    // Concatenated text content of `el` and its descendants
+    function xmlText(el) {
+        var out = "";
+        for (var i = 0; i < el.children.length; i++) {
+            var child = el.children[i];
+            out += (typeof child === "string") ? child : xmlText(child);
+        }
+        return out;
+    }
+
+    core.parseXML = parseXML;
+    core.escapeXML = escapeXML;
+    core.decodeXMLEntities = decodeEntities;
+    core.xmlLocalName = localName;
+    core.xmlChildren = xmlChildren;
+    core.xmlChild = xmlChild;
+    core.xmlFind = xmlFind;
+    core.xmlAttr = xmlAttr;
+    core.xmlText = xmlText;
+
+})(LocalizationCore);
+
+if (typeof module !== "undefined" && module.exports) module.exports = LocalizationCore;
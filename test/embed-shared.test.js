@@ -0,0 +1,22 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const { embed, TARGET } = require("../tools/embed-shared.js");
+
+const codePath = path.join(__dirname, "..", TARGET);
+
+test("figma-plugin/code.js embeds the current shared core", () => {
+  const current = fs.readFileSync(codePath, "utf8");
+  assert.equal(embed(current), current, "run `npm run embed`");
+});
+
+test("embedded core parses as plain script", () => {
+  const source = fs.readFileSync(codePath, "utf8");
+  const block = source.slice(source.indexOf("// @shared-begin"), source.indexOf("// @shared-end"));
+  const sandbox = {};
+  vm.runInNewContext(block, sandbox);
+  assert.equal(typeof sandbox.LocalizationCore.parseCSV, "function");
+});
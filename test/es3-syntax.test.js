@@ -0,0 +1,18 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const acorn = require("acorn");
+
+// ExtendScript is ES3: anything in shared/ or ae-scripts/ must parse as such.
+const ROOT = path.join(__dirname, "..");
+const FILES = []
+  .concat(fs.readdirSync(path.join(ROOT, "shared")).filter(f => f.endsWith(".js")).map(f => "shared/" + f))
+  .concat(fs.readdirSync(path.join(ROOT, "ae-scripts")).filter(f => f.endsWith(".jsx")).map(f => "ae-scripts/" + f));
+
+for (const file of FILES) {
+  test(file + " is ES3 syntax", () => {
+    const source = fs.readFileSync(path.join(ROOT, file), "utf8");
+    assert.doesNotThrow(() => acorn.parse(source, { ecmaVersion: 3 }));
+  });
+}
@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const core = require("../shared/fonts.js");
+
+test("textScripts groups unique characters by script and skips Common", () => {
+  assert.deepEqual(core.textScripts("Bybit 交易所 2024！"), { Latin: "Bybit", Han: "交易所！" });
+  assert.deepEqual(core.textScripts("トレード・今すぐ"), { Katakana: "トレード・", Hiragana: "すぐ", Han: "今" });
+  assert.deepEqual(core.textScripts("𠮷野家"), { Han: "𠮷野家" });
+  assert.deepEqual(core.textScripts("12.5% — $100"), {});
+});
+
+test("chooseFont keeps a covering master font and substitutes otherwise", () => {
+  const master = { family: "Inter", style: "Bold" };
+  assert.deepEqual(core.chooseFont("Jetzt handeln", "de-DE", master), { font: null, missing: [] });
+  assert.deepEqual(core.chooseFont("Торгуйте", "ru-RU", master), { font: null, missing: [] });
+
+  const zh = core.chooseFont("立即交易", "zh-TW", master);
+  assert.deepEqual(zh.font, { family: "Noto Sans TC", style: "Bold", postScriptName: null });
+  assert.deepEqual(zh.missing, []);
+  assert.equal(core.postScriptName(zh.font), "NotoSansTC-Bold");
+
+  // No Latin in Noto Sans Arabic: the brand name is reported
+  const ar = core.chooseFont("تداول على Bybit", "ar-SA", master);
+  assert.equal(ar.font.family, "Noto Sans Arabic");
+  assert.deepEqual(ar.missing, [{ script: "Latin", chars: "Bybit" }]);
+  assert.equal(core.describeMissingGlyphs(ar.font.family, ar.missing), "Noto Sans Arabic has no Latin (Bybit)");
+
+  // No map entry for the language: the master font stays, gaps reported
+  const km = core.chooseFont("ជួញដូរ ภาษา", "km-KH", master);
+  assert.equal(km.font, null);
+  assert.deepEqual(km.missing.map(m => m.script), ["Thai"]);
+});
+
+test("font map lookup: exact language, primary subtag, family/style, family, *", () => {
+  const fontMap = {
+    "ja": {
+      "Inter/Black": { family: "Noto Sans JP", style: "Black", postScriptName: "NotoSansJP-Black" },
+      "Inter": { family: "Noto Sans JP" },
+      "*": { family: "Hiragino Sans", style: "W3" }
+    },
+    "ja-JP-x-kids": { "*": { family: "Kosugi Maru" } }
+  };
+  assert.equal(core.resolveFont(fontMap, "ja_JP", "Inter", "Black").postScriptName, "NotoSansJP-Black");
+  assert.deepEqual(core.resolveFont(fontMap, "ja-JP", "inter", "Medium"), { family: "Noto Sans JP", style: "Medium", postScriptName: null });
+  assert.deepEqual(core.resolveFont(fontMap, "ja-JP", "Roboto", "Bold"), { family: "Hiragino Sans", style: "W3", postScriptName: null });
+  assert.equal(core.resolveFont(fontMap, "ja-JP-x-kids", "Inter", "Bold").family, "Kosugi Maru");
+  assert.equal(core.resolveFont(fontMap, "ko-KR", "Inter", "Bold"), null);
+
+  const custom = core.chooseFont("ようこそ", "ja-JP", { family: "Brand Sans", style: "Bold" }, {
+    fontMap,
+    coverage: { "Brand Sans": ["Latin"], "Hiragino Sans": ["Latin", "Han", "Hiragana", "Katakana"] }
+  });
+  assert.deepEqual(custom, { font: { family: "Hiragino Sans", style: "W3", postScriptName: null }, missing: [] });
+});
@@ -0,0 +1,160 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const core = require("../shared/format.js");
+
+const NBSP = "\u00A0";
+
+test("formatNumber, formatCurrency and formatPercent follow the locale table", () => {
+  assert.equal(core.formatNumber(1234567.5, "en-US", 1), "1,234,567.5");
+  assert.equal(core.formatNumber(1234567.5, "de-DE", 1), "1.234.567,5");
+  assert.equal(core.formatNumber(1234567, "hi-IN", 0), "12,34,567");
+  assert.equal(core.formatNumber(1000, "es-ES", 0), "1000");
+  assert.equal(core.formatNumber(10000, "es-ES", 0), "10.000");
+  assert.equal(core.formatNumber(1000, "es-MX", 0), "1,000");
+  assert.equal(core.formatNumber(-0.004, "en", 2), "0.00");
+
+  assert.equal(core.formatCurrency(9.9, "en-US", "USD", 1), "$9.90");
+  assert.equal(core.formatCurrency(9.9, "de-DE", "EUR", 1), "9,90" + NBSP + "€");
+  assert.equal(core.formatCurrency(1500, "ja-JP", "JPY", 0), "¥1,500");
+  assert.equal(core.formatCurrency(25, "ms-MY", "MYR", 0), "RM" + NBSP + "25.00");
+  assert.equal(core.formatCurrency(0.5, "ru-RU", "USDT", 1), "0,5" + NBSP + "USDT");
+
+  assert.equal(core.formatPercent(12.5, "en", 1), "12.5%");
+  assert.equal(core.formatPercent(12.5, "tr-TR", 1), "%12,5");
+  assert.equal(core.formatPercent(20, "de", 0), "20" + NBSP + "%");
+});
+
+test("formatDate uses the language's patterns and month names", () => {
+  const date = core.parseDate("2026-11-01");
+  assert.equal(core.formatDate(date, "en-US", "long"), "November 1, 2026");
+  assert.equal(core.formatDate(date, "en-GB", "short"), "01/11/2026");
+  assert.equal(core.formatDate(date, "es-AR", "long"), "1 de noviembre de 2026");
+  assert.equal(core.formatDate(date, "ru-RU", "long"), "1 ноября 2026 г.");
+  assert.equal(core.formatDate(date, "zh-TW", "long"), "2026年11月1日");
+  assert.equal(core.formatDate(date, "th-TH", "short"), "1/11/2569");
+  assert.equal(core.parseDate("2026-13-01"), null);
+});
+
+test("formatMessage fills placeholders from per-language variables", () => {
+  const data = core.parseCSV([
+    "layer_name,type,value,en-US,de-DE,zh",
+    "steps,variable,3,,,",
+    "product,variable,,Bybit Card,,Bybit 卡",
+    "price,variable,9.99,,,",
+    "Headline,text,,Get started in just {steps} easy steps,In nur {steps} Schritten,"
+  ].join("\n"));
+  const variables = core.readVariables([data]);
+
+  assert.equal(core.formatMessage("{product}: {price, currency, USD}", "zh-TW", variables).text, "Bybit 卡: $9.99");
+  assert.equal(core.formatMessage("{product} ab {price, currency, EUR}", "de-DE", variables).text, "Bybit Card ab 9,99" + NBSP + "€");
+  assert.equal(core.formatMessage("It''s '{steps}' = {steps, number, 2}", "en-US", variables).text, "It's {steps} = 3.00");
+
+  const failed = core.formatMessage("{steps, date} {missing} {price, currency}", "en-US", variables);
+  assert.equal(failed.text, "{steps, date} {missing} {price, currency}");
+  assert.equal(failed.errors.length, 3);
+  assert.match(failed.errors[1], /Unknown placeholder \{missing\}/);
+});
+
+test("resolvePlaceholders fills the plan and leaves variable rows out of it", () => {
+  const data = core.parseCSV([
+    "layer_name,type,en-US,de-DE",
+    "steps,variable,3,",
+    "Headline,text,In {steps} steps,In {steps} Schritten",
+    "CTA,text,Go {nope},Los"
+  ].join("\n"));
+  const variablesSheet = core.parseCSV("name,value,de-DE\nsteps,3,drei\n");
+  variablesSheet.name = "Variables";
+  assert.deepEqual(core.validateRows(data), []);
+
+  const plan = core.buildReplacementPlan(data, ["en-US", "de-DE"]);
+  assert.equal(plan.languages[0].replacements.length, 2);
+
+  const issues = core.resolvePlaceholders(plan, core.readVariables([variablesSheet, data]));
+  assert.equal(plan.languages[0].replacements[0].value, "In 3 steps");
+  assert.equal(plan.languages[1].replacements[0].value, "In drei Schritten");
+  assert.equal(plan.languages[1].replacements[0].source, "In 3 steps");
+  assert.deepEqual(issues, [{ line: 4, severity: "error", message: "[en-US] CTA: Unknown placeholder {nope}" }]);
+});
+
+test("checkMessage warns when an elision apostrophe quotes a placeholder away", () => {
+  const sheet = core.parseCSV("name,value\napp,Bybit\n");
+  sheet.name = "Variables";
+  const variables = core.readVariables([sheet]);
+
+  const elided = "Découvrez l'{app} aujourd'hui";
+  assert.equal(core.formatMessage(elided, "fr", variables).text, "Découvrez l{app} aujourdhui");
+  assert.deepEqual(core.checkMessage(elided, "fr"), [{
+    severity: "warning",
+    message: "The apostrophe before {app} makes \"{app} aujourd\" plain text (write '' for an apostrophe before a placeholder)"
+  }]);
+  assert.equal(core.checkMessage("Scopri l'{app}", "it")[0].severity, "warning");
+
+  assert.equal(core.formatMessage("Découvrez l''{app} aujourd'hui", "fr", variables).text, "Découvrez l'Bybit aujourd'hui");
+  assert.deepEqual(core.checkMessage("Découvrez l''{app} aujourd'hui", "fr"), []);
+  assert.deepEqual(core.checkMessage("It''s '{steps}' = {steps}", "en"), []);
+});
+
+test("pluralCategory follows each language's CLDR rules", () => {
+  const n = (value, decimals = 0) => ({ value, decimals });
+  assert.equal(core.pluralCategory("en-US", n(1)), "one");
+  assert.equal(core.pluralCategory("en-US", n(1, 1)), "other");
+  assert.equal(core.pluralCategory("fr-FR", n(0)), "one");
+  assert.deepEqual(
+    [1, 2, 5, 11, 21, 22, 25].map((v) => core.pluralCategory("ru-RU", n(v))),
+    ["one", "few", "many", "many", "one", "few", "many"]
+  );
+  assert.deepEqual(
+    [0, 1, 2, 3, 11, 100].map((v) => core.pluralCategory("ar-SA", n(v))),
+    ["zero", "one", "two", "few", "many", "other"]
+  );
+  assert.equal(core.pluralCategory("pl", n(12)), "many");
+  assert.equal(core.pluralCategory("ja-JP", n(1)), "other");
+  assert.deepEqual(core.pluralCategories("kk-KZ"), ["one", "other"]);
+  assert.deepEqual(core.pluralCategories("xx"), ["one", "other"]);
+});
+
+test("formatMessage evaluates plural and select variants", () => {
+  const sheet = core.parseCSV("name,value\ncount,3\nguests,1200\ngender,female\nnone,0\n");
+  sheet.name = "Variables";
+  const variables = core.readVariables([sheet]);
+
+  const ru = "{count, plural, one {# день} few {# дня} many {# дней} other {# дня}}";
+  assert.equal(core.formatMessage(ru, "ru-RU", variables).text, "3 дня");
+  assert.equal(core.formatMessage("{guests, plural, one {# guest} other {# guests}}", "de-DE", variables).text, "1.200 guests");
+  assert.equal(core.formatMessage("{none, plural, =0 {No days} other {# days}}", "en", variables).text, "No days");
+  assert.equal(
+    core.formatMessage("{count, plural, offset:1 one {You and # friend} other {You and # friends}}", "en", variables).text,
+    "You and 2 friends"
+  );
+  assert.equal(core.formatMessage("{gender, select, male {He} other {She}} has '#'1 {count}", "en", variables).text, "She has '#'1 3");
+  assert.equal(core.formatMessage("{count, plural, other {'#' #}}", "en", variables).text, "# 3");
+
+  const broken = core.formatMessage("{count, plural, one {# day}", "en", variables);
+  assert.equal(broken.text, "{count, plural, one {# day}");
+  assert.match(broken.errors[0], /Unclosed/);
+});
+
+test("checkMessage and resolvePlaceholders report missing plural forms", () => {
+  assert.deepEqual(core.checkMessage("{n, plural, one {#} other {#}}", "en"), []);
+  assert.deepEqual(core.checkMessage("{n, plural, one {#} other {#}}", "ru-RU"), [
+    { severity: "error", message: "{n, plural} needs one, few, many, other in ru-RU (missing few, many)" }
+  ]);
+  assert.deepEqual(core.checkMessage("{n, plural, one {#} other {#}}", "ja"), [
+    { severity: "warning", message: "{n, plural} option 'one' is never used in ja" }
+  ]);
+  assert.equal(core.checkMessage("{g, select, male {Er}}", "de")[0].message, "{g, select} needs an 'other' option");
+
+  const data = core.parseCSV([
+    "layer_name,type,value,en-US,ar-SA",
+    "days,variable,2,,",
+    "Badge,text,,\"{days, plural, one {# day} other {# days}}\",\"{days, plural, one {يوم} two {يومان} other {# أيام}}\""
+  ].join("\n"));
+  const plan = core.buildReplacementPlan(data, ["en-US", "ar-SA"]);
+  const issues = core.resolvePlaceholders(plan, core.readVariables([data]));
+  assert.equal(plan.languages[0].replacements[0].value, "2 days");
+  assert.equal(plan.languages[1].replacements[0].value, "يومان");
+  assert.deepEqual(issues.map((i) => i.severity + " " + i.message), [
+    "error [ar-SA] Badge: {days, plural} needs zero, one, two, few, many, other in ar-SA (missing zero, few, many)"
+  ]);
+});
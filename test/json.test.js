@@ -0,0 +1,27 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const core = require("../shared/json.js");
+
+test("parseJSON reads what JSON.parse reads", () => {
+  const text = '\uFEFF{ "a": [1, -2.5e3, true, false, null], "b": { "c": "x\\"y\\n\\u00e9\\/" }, "": 0 }';
+  assert.deepEqual(core.parseJSON(text), JSON.parse(text.substring(1)));
+  assert.equal(core.parseJSON(" \"Story\" "), "Story");
+});
+
+test("parseJSON reports where a hand-edited file breaks", () => {
+  assert.throws(() => core.parseJSON('{\n  "a": 1,\n}'), /Expected a "key" but found '}' at line 3, column 1/);
+  assert.throws(() => core.parseJSON('{ "a": 01 }'), /Expected ',' but found '1' at line 1, column 9/);
+  assert.throws(() => core.parseJSON("{ 'a': 1 }"), /Expected a "key" but found '''/);
+  assert.throws(() => core.parseJSON('["a" "b"]'), /Expected ','/);
+  assert.throws(() => core.parseJSON('"tab\there"'), /control character/);
+  assert.throws(() => core.parseJSON("[1] x"), /after the value/);
+  assert.throws(() => core.parseJSON('{"a": '), /Unexpected end of file/);
+});
+
+test("formatJSON round-trips and keeps key order", () => {
+  const value = { z: 1, a: [null, "q\"\u0001"], e: {}, l: [], skip: undefined };
+  const text = core.formatJSON(value);
+  assert.equal(text, '{\n  "z": 1,\n  "a": [\n    null,\n    "q\\"\\u0001"\n  ],\n  "e": {},\n  "l": []\n}');
+  assert.deepEqual(core.parseJSON(text), JSON.parse(JSON.stringify(value)));
+});
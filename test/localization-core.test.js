@@ -0,0 +1,404 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const core = require("../shared/localization-core.js");
+
+const AE_SAMPLE = fs.readFileSync(path.join(__dirname, "../ae-scripts/sample-localization.csv"), "utf8");
+const FIGMA_SAMPLE = fs.readFileSync(path.join(__dirname, "../figma-plugin/sample-localization.csv"), "utf8");
+
+test("parseCSV reads headers and trimmed rows", () => {
+  const data = core.parseCSV("layer_name, type ,en-US\n Headline ,text,  Hello \n\nCTA,text,\"Go, now\"\n");
+  assert.deepEqual(data.headers, ["layer_name", "type", "en-US"]);
+  assert.equal(data.rows.length, 2);
+  assert.equal(data.rows[0]["layer_name"], "Headline");
+  assert.equal(data.rows[0]["en-US"], "Hello");
+  assert.equal(data.rows[1]["en-US"], "Go, now");
+  assert.equal(data.rows[1].__line, 4);
+});
+
+test("parseCSV unescapes doubled quotes", () => {
+  const data = core.parseCSV('layer_name,en-US\nHeadline,"Say ""hi"""\n');
+  assert.equal(data.rows[0]["en-US"], 'Say "hi"');
+});
+
+test("parseCSV keeps line breaks inside quoted cells", () => {
+  const data = core.parseCSV('layer_name,de-DE,ar-SA\r\nHeadline,"Krypto-Trading\r\nganz einfach","سطر\nثان"\r\nCTA,Los,ابدأ\r\n');
+  assert.equal(data.rows.length, 2);
+  assert.equal(data.rows[0]["de-DE"], "Krypto-Trading\nganz einfach");
+  assert.equal(data.rows[0]["ar-SA"], "سطر\nثان");
+  assert.equal(data.rows[1].__line, 5);
+  assert.deepEqual(data.errors, []);
+});
+
+test("parseCSV keeps quoted whitespace and delimiters verbatim", () => {
+  const data = core.parseCSV('layer_name,en-US\nCTA,"  Go, now  "\nSub,  plain  \n');
+  assert.equal(data.rows[0]["en-US"], "  Go, now  ");
+  assert.equal(data.rows[1]["en-US"], "plain");
+});
+
+test("parseCSV strips the BOM and detects semicolon and tab delimiters", () => {
+  const semi = core.parseCSV("\uFEFFlayer_name;type;es-AR\nCTA;text;\"Hola; che\"\n");
+  assert.equal(semi.delimiter, ";");
+  assert.deepEqual(semi.headers, ["layer_name", "type", "es-AR"]);
+  assert.equal(semi.rows[0]["es-AR"], "Hola; che");
+
+  const tab = core.parseCSV("layer_name\ttype\tkk-KZ\nCTA\ttext\tҚазір, сауда\n");
+  assert.equal(tab.delimiter, "\t");
+  assert.equal(tab.rows[0]["kk-KZ"], "Қазір, сауда");
+
+  assert.equal(core.parseCSV("a,b\n", { delimiter: ";" }).headers[0], "a,b");
+});
+
+test("parseCSV reports malformed rows with line and column", () => {
+  const data = core.parseCSV('layer_name,en-US\nA,ab"c\nB,"ok"x\nC,one,two\nD,"never closed\n');
+  assert.deepEqual(data.errors.map(e => [e.line, e.column]), [[2, 5], [3, 7], [4, 0], [5, 0]]);
+  assert.match(data.errors[3].message, /Unterminated/);
+  assert.equal(data.rows[0]["en-US"], 'ab"c');
+
+  const issues = core.validateRows(data);
+  assert.ok(core.hasErrors(issues));
+  assert.match(issues[0].message, /column 5/);
+});
+
+test("parseCSV streams chunks split anywhere", () => {
+  const text = '\uFEFFlayer_name;de-DE\r\nHeadline;"Zeile ""1""\r\nZeile 2"\r\nCTA;Los\r\n';
+  const whole = core.parseCSV(text);
+  for (let size = 1; size < 8; size++) {
+    let pos = 0;
+    const streamed = core.parseCSV(() => {
+      if (pos >= text.length) return null;
+      const chunk = text.slice(pos, pos + size);
+      pos += size;
+      return chunk;
+    });
+    assert.deepEqual(streamed, whole, "chunk size " + size);
+  }
+  assert.equal(whole.rows[0]["de-DE"], 'Zeile "1"\nZeile 2');
+});
+
+test("buildCSV quotes only what needs quoting and round-trips", () => {
+  const headers = ["comp_name", "layer_name", "type", "en-US"];
+  const rows = [
+    { comp_name: "Main_Comp", layer_name: "Headline", type: "text", "en-US": "Trading crypto doesn't have to be \"complicated\"." },
+    { comp_name: "Main_Comp", layer_name: "Sub", type: "text", "en-US": "Line 1\nLine 2, still" },
+    { comp_name: "Main_Comp", layer_name: "Pad", type: "text", "en-US": " spaced " }
+  ];
+  const csv = core.buildCSV(headers, rows, { bom: true });
+  assert.ok(csv.startsWith("\uFEFFcomp_name,layer_name,type,en-US\r\nMain_Comp,Headline,text,\"Trading"));
+  assert.ok(csv.endsWith("Main_Comp,Pad,text,\" spaced \"\r\n"));
+
+  const back = core.parseCSV(csv);
+  assert.deepEqual(back.headers, headers);
+  assert.deepEqual(back.rows.map(r => r["en-US"]), rows.map(r => r["en-US"]));
+
+  assert.equal(core.buildCSV(["a", "b"], [["x;y", "z"]], { delimiter: ";" }), 'a;b\r\n"x;y";z\r\n');
+});
+
+test("detectLanguages skips reserved columns for both tools", () => {
+  assert.deepEqual(core.detectLanguages(core.parseCSV(AE_SAMPLE).headers),
+    ["en-US", "zh-TW", "zh-MY", "ja-JP", "es-AR", "ar-SA", "kk-KZ"]);
+  assert.deepEqual(core.detectLanguages(core.parseCSV(FIGMA_SAMPLE).headers),
+    ["en-US", "zh-TW", "zh-MY", "ja-JP", "es-AR", "ar-SA", "kk-KZ"]);
+  assert.deepEqual(core.detectLanguages(["Comp_Name", "LAYER_NAME", "", "de-DE"]), ["de-DE"]);
+});
+
+test("languageSuffix and languageLabel match the AE folder naming", () => {
+  assert.equal(core.languageSuffix("zh-TW"), "zh_tw");
+  assert.equal(core.languageLabel("zh-TW"), "ZH-TW");
+  assert.equal(core.languageLabel("sr_Latn"), "SR_LATN");
+});
+
+test("validateRows flags missing columns and empty names", () => {
+  const missing = core.validateRows(core.parseCSV("layer_name,en-US\nHeadline,Hi\n"), { targetColumn: "comp_name" });
+  assert.equal(missing.length, 1);
+  assert.match(missing[0].message, /comp_name/);
+
+  const issues = core.validateRows(core.parseCSV(
+    "comp_name,layer_name,type,en-US\nMain,,text,Hi\nMain,Headline,video,Hi\nMain,Headline,text,Again\n"
+  ), { targetColumn: "comp_name" });
+  assert.deepEqual(issues.map(i => [i.line, i.severity]), [[2, "error"], [3, "warning"], [4, "warning"]]);
+  assert.ok(core.hasErrors(issues));
+});
+
+test("validateRows accepts the sample CSVs", () => {
+  assert.deepEqual(core.validateRows(core.parseCSV(AE_SAMPLE), { targetColumn: "comp_name" }), []);
+  assert.deepEqual(core.validateRows(core.parseCSV(FIGMA_SAMPLE)), []);
+});
+
+test("buildReplacementPlan groups replacements per language", () => {
+  const data = core.parseCSV(
+    "comp_name,layer_name,type,en-US,de-DE\n" +
+    "Main,Headline,text,Hello,Hallo\n" +
+    "Main,CTA,,Go,\n" +
+    "Outro,Logo,Footage,/logo_en.png,/logo_de.png\n" +
+    "Main,Headline,text,Ignored,Ignoriert\n"
+  );
+  const plan = core.buildReplacementPlan(data, ["en-US", "de-DE"], { targetColumn: "comp_name" });
+
+  assert.deepEqual(plan.targets, ["Main", "Outro"]);
+  assert.equal(plan.languages[1].suffix, "de_de");
+  assert.equal(plan.languages[1].label, "DE-DE");
+  assert.equal(plan.languages[1].skipped, 1);
+  assert.deepEqual(plan.languages[1].replacements.map(r => [r.target, r.layerName, r.type, r.value]), [
+    ["Main", "Headline", "text", "Hallo"],
+    ["Outro", "Logo", "footage", "/logo_de.png"]
+  ]);
+  assert.equal(plan.languages[0].replacements[1].type, "text");
+});
+
+test("meta blocks round-trip inside a user comment", () => {
+  const meta = { master: "42", lang: "zh-TW", "cell.Head=line": "加密貨幣交易\n哪有那麼難 \\ 100%" };
+  const comment = core.writeMetaBlock("Approved by client", "BatchReplacer", meta);
+  assert.ok(comment.startsWith("Approved by client\n[BatchReplacer]\n"));
+  assert.deepEqual(core.readMetaBlock(comment, "BatchReplacer"), meta);
+
+  const updated = core.writeMetaBlock(comment, "BatchReplacer", { master: "43" });
+  assert.deepEqual(core.readMetaBlock(updated, "BatchReplacer"), { master: "43" });
+  assert.equal(core.writeMetaBlock(updated, "BatchReplacer", null), "Approved by client");
+  assert.equal(core.readMetaBlock("no block here", "BatchReplacer"), null);
+});
+
+test("diffReplacements sorts cells into changed, added, unchanged and removed", () => {
+  const plan = core.buildReplacementPlan(core.parseCSV(
+    "layer_name,de-DE\nHeadline,Neu\nCTA,Los\nSpeaker,Max\n"
+  ), ["de-DE"]);
+  const diff = core.diffReplacements({ Headline: "Alt", CTA: "Los", Footer: "Tschüss" }, plan.languages[0].replacements);
+  assert.deepEqual(diff.changed.map(c => [c.replacement.layerName, c.previous]), [["Headline", "Alt"]]);
+  assert.deepEqual(diff.added.map(r => r.layerName), ["Speaker"]);
+  assert.deepEqual(diff.unchanged.map(r => r.layerName), ["CTA"]);
+  assert.deepEqual(diff.removed, ["Footer"]);
+});
+
+test("pairLayers matches by key, then by position and kind", () => {
+  const master = [
+    { key: "Logo", kind: "av" },
+    { key: "Welcome", kind: "text" },      // unnamed text layer: name = its text
+    { key: "comp:12", kind: "comp" },
+    { key: "Title", kind: "text" },
+    { key: "Title", kind: "text" },
+    { key: "New badge", kind: "shape" }
+  ];
+  const copy = [
+    { key: "Logo", kind: "av" },
+    { key: "歡迎", kind: "text" },
+    { key: "comp:12", kind: "comp" },
+    { key: "Title", kind: "text" },
+    { key: "Title", kind: "text" },
+    { key: "Old sticker", kind: "av" }
+  ];
+  const result = core.pairLayers(master, copy);
+  assert.deepEqual(result.pairs, [[0, 0], [1, 1], [2, 2], [3, 3], [4, 4]]);
+  assert.deepEqual(result.added, [5]);
+  assert.deepEqual(result.removed, [5]);
+
+  const reordered = core.pairLayers([{ key: "A", kind: "text" }, { key: "B", kind: "text" }], [{ key: "B", kind: "text" }, { key: "A", kind: "text" }]);
+  assert.deepEqual(reordered.pairs, [[0, 1], [1, 0]]);
+});
+
+test("fit and min_font_size columns are validated and carried into the plan", () => {
+  const data = core.parseCSV(
+    "layer_name,fit,min_font_size,de-DE\nHeadline,shrink,24,Willkommen\nCTA,squash,,Los\nBody,,abc,Text\nTag,,,Neu\n"
+  );
+  assert.deepEqual(core.detectLanguages(data.headers), ["de-DE"]);
+  assert.deepEqual(core.validateRows(data).map(i => [i.line, i.severity]), [[3, "error"], [4, "error"]]);
+
+  const plan = core.buildReplacementPlan(data, ["de-DE"]);
+  assert.deepEqual(plan.languages[0].replacements[0].fit, { mode: "shrink", minFontSize: 24 });
+  assert.equal(plan.languages[0].replacements[3].fit, null);
+});
+
+test("fitText shrinks, tracks or flags against a host measurement", () => {
+  // Fake layer: 10 characters, box 230 wide; width = chars × size × (0.6 + tracking/1000)
+  function layer(mode, minFontSize) {
+    const state = { size: 40, tracking: 0 };
+    const result = core.fitText({
+      mode, fontSize: 40, minFontSize, tracking: 0, minTracking: -50, trackingStep: 10,
+      fits: () => 10 * state.size * (0.6 + state.tracking / 1000) <= 230,
+      setFontSize: n => { state.size = n; },
+      setTracking: n => { state.tracking = n; }
+    });
+    return [result.status, result.fontSize, result.tracking];
+  }
+  assert.deepEqual(layer("shrink", 20), ["shrunk", 38, 0]);
+  assert.deepEqual(layer("shrink", 39), ["overflow", 39, 0]);
+  assert.deepEqual(layer("track", 20), ["tracked", 40, -30]);
+  assert.deepEqual(layer("flag", 20), ["overflow", 40, 0]);
+  assert.deepEqual(layer("none", 20), ["skipped", 40, 0]);
+});
+
+test("RTL languages are detected and alignments mirrored", () => {
+  assert.deepEqual(["ar-SA", "he_IL", "fa-IR", "ur", "en-US", "zh-TW", "kk-KZ"].map(core.isRTL),
+    [true, true, true, true, false, false, false]);
+  assert.equal(core.mirrorAlignment("LEFT"), "RIGHT");
+  assert.equal(core.mirrorAlignment("RIGHT_JUSTIFY"), "LEFT_JUSTIFY");
+  assert.equal(core.mirrorAlignment("FULL_JUSTIFY_LASTLINE_LEFT"), "FULL_JUSTIFY_LASTLINE_RIGHT");
+  assert.equal(core.mirrorAlignment("CENTER"), "CENTER");
+
+  const plan = core.buildReplacementPlan(core.parseCSV("layer_name,en-US,ar-SA\nHeadline,Welcome,أهلا\n"), ["en-US", "ar-SA"]);
+  assert.deepEqual(plan.languages.map(l => l.rtl), [false, true]);
+});
+
+test("findAsset matches cell values to dropped image paths", () => {
+  const paths = ["Banners/zh-TW/hero.png", "Banners/ja-JP/hero.png", "Banners/logo.PNG", "Banners/readme.txt"];
+  assert.deepEqual(core.findAsset(paths, "logo.png", "zh-TW"), { path: "Banners/logo.PNG" });
+  assert.deepEqual(core.findAsset(paths, "hero.png", "ja-JP"), { path: "Banners/ja-JP/hero.png" });
+  assert.deepEqual(core.findAsset(paths, "D:\\Assets\\zh-TW\\hero.png", "de-DE"), { path: "Banners/zh-TW/hero.png" });
+  assert.match(core.findAsset(paths, "hero.png", "de-DE").error, /matches 2 files/);
+  assert.match(core.findAsset(paths, "cta.png", "de-DE").error, /No file 'cta.png'/);
+  assert.equal(core.isImageFile("a/b.JPG"), true);
+  assert.equal(core.isImageFile("a/b.psd"), false);
+});
+
+test("parseMarkup turns inline tags into spans over the plain text", () => {
+  const markup = core.parseMarkup("Trade <b>Bit<accent>coin</accent></b><br>now &lt;3");
+  assert.equal(markup.text, "Trade Bitcoin\nnow <3");
+  assert.deepEqual(markup.spans, [
+    { tag: "b", start: 6, end: 13 },
+    { tag: "accent", start: 9, end: 13 }
+  ]);
+  assert.deepEqual(markup.unmatched, []);
+
+  // Unbalanced tags are plain text
+  const loose = core.parseMarkup("Crypto <made> <b>easy</i>");
+  assert.equal(loose.text, "Crypto <made> <b>easy</i>");
+  assert.deepEqual(loose.spans, []);
+  assert.deepEqual(loose.unmatched, ["made", "b", "i"]);
+
+  const issues = core.validateRows(core.parseCSV("layer_name,en-US,de-DE,ja-JP\nHeadline,<b>Hi</b>,<b>Hallo,<b>やあ</b>\n"));
+  assert.equal(issues.length, 1);
+  assert.match(issues[0].message, /Markup in de-DE differs from en-US for layer 'Headline' \(<b> 1 vs 0\)/);
+
+  // The source column needn't come first
+  const sourceLast = core.parseCSV("layer_name,de-DE,ja-JP,en-US\nHeadline,<b>Hallo</b>,やあ,<b>Hi</b>\n");
+  assert.deepEqual(core.validateRows(sourceLast, { sourceLanguage: "en-US" }).map((i) => i.message), [
+    "Markup in ja-JP differs from en-US for layer 'Headline' (<b> 1 vs 0)"
+  ]);
+});
+
+test("markupStyles maps tags to the master's styled runs", () => {
+  const runs = [{ start: 0, end: 6, key: "regular" }, { start: 6, end: 13, key: "bold" }, { start: 13, end: 17, key: "regular" }];
+  const source = core.parseMarkup("Trade <b>Bitcoin</b> now");
+  assert.deepEqual(core.markupStyles(source, "Trade Bitcoin now", runs), { base: "regular", tags: { b: "bold" }, fallback: "bold" });
+
+  // Source text edited since the master was laid out: fallback only
+  assert.deepEqual(core.markupStyles(source, "Buy Bitcoin now", runs).tags, {});
+
+  const twoStyles = runs.concat([{ start: 17, end: 18, key: "accent" }]);
+  assert.equal(core.markupStyles(null, "Trade Bitcoin now!", twoStyles).fallback, null);
+});
+
+test("buildReplacementPlan carries the source-language cell", () => {
+  const data = core.parseCSV("layer_name,en-US,de-DE\nHeadline,<b>Hi</b>,<b>Hallo</b>\n");
+  const plan = core.buildReplacementPlan(data, ["en-US", "de-DE"]);
+  assert.equal(plan.languages[1].replacements[0].source, "<b>Hi</b>");
+});
+
+test("max_chars and max_lines are validated and resolved per language", () => {
+  const data = core.parseCSV([
+    "layer_name,max_chars,max_lines,en-US,de-DE,ja-JP",
+    "CTA,\"12; de-DE=16; ja=6\",,Start trading,Jetzt loslegen,今すぐ取引",
+    "Lower_Third,,2,John Smith,Johann Schmidt,ジョン・スミス",
+    "Bad,12 de=4,,x,y,z"
+  ].join("\n"));
+  assert.deepEqual(core.detectLanguages(data.headers), ["en-US", "de-DE", "ja-JP"]);
+  const issues = core.validateRows(data);
+  assert.equal(issues.length, 1);
+  assert.match(issues[0].message, /^max_chars must be a whole number above 0.*'12 de=4'.*layer 'Bad'/);
+
+  const plan = core.buildReplacementPlan(data, ["en-US", "de-DE", "ja-JP"]);
+  assert.deepEqual(plan.languages[0].replacements[0].limits, { maxChars: 12, maxLines: null });
+  assert.deepEqual(plan.languages[1].replacements[0].limits, { maxChars: 16, maxLines: null });
+  assert.deepEqual(plan.languages[2].replacements[0].limits, { maxChars: 6, maxLines: null });
+  assert.deepEqual(plan.languages[2].replacements[1].limits, { maxChars: null, maxLines: 2 });
+  assert.equal(plan.languages[0].replacements[2].limits, null);
+});
+
+test("truncateText and enforceLimits skip, cut or fit rows over their limits", () => {
+  assert.deepEqual(core.measureText("Trade <b>Bitcoin</b><br>now 𝔹"), { chars: 18, lines: 2 });
+  assert.equal(core.truncateText("Trade <b>Bitcoin now</b>", { maxChars: 10 }), "Trade <b>Bit…</b>");
+  assert.equal(core.truncateText("One\nTwo\nThree", { maxLines: 2 }), "One\nTwo…");
+  assert.equal(core.truncateText("Fits", { maxChars: 4, maxLines: 1 }), "Fits");
+
+  const data = core.parseCSV([
+    "layer_name,max_chars,fit,en-US,de-DE",
+    "CTA,10,,Trade now,Jetzt handeln",
+    "Title,10,track,Markets,Märkte im Überblick"
+  ].join("\n"));
+  const build = () => core.buildReplacementPlan(data, ["en-US", "de-DE"]);
+
+  const skipped = build();
+  assert.deepEqual(core.enforceLimits(skipped, "skip"), [
+    "[de-DE] CTA: 13/10 characters — skipped",
+    "[de-DE] Title: 19/10 characters — skipped"
+  ]);
+  assert.equal(skipped.languages[1].replacements.length, 0);
+  assert.equal(skipped.languages[1].skipped, 2);
+
+  const cut = build();
+  core.enforceLimits(cut, "truncate");
+  assert.deepEqual(cut.languages[1].replacements.map((r) => r.value), ["Jetzt han…", "Märkte im…"]);
+
+  const fitted = build();
+  assert.match(core.enforceLimits(fitted, "fit")[0], /fit to box$/);
+  assert.deepEqual(fitted.languages[1].replacements.map((r) => r.fit.mode), ["shrink", "track"]);
+  const tracked = build();
+  core.enforceLimits(tracked, "fit", "track");
+  assert.equal(tracked.languages[1].replacements[0].fit.mode, "track");
+
+  const reported = build();
+  assert.equal(core.enforceLimits(reported, "report").length, 2);
+  assert.equal(reported.languages[1].replacements[0].value, "Jetzt handeln");
+});
+
+test("frame_name is a target column like comp_name", () => {
+  const data = core.parseCSV("frame_name,layer_name,en-US,de-DE\nKV_1,Headline,Hi,Hallo\nKV_2,Headline,Hey,He\n,CTA,Go,Los\n");
+  assert.deepEqual(core.detectLanguages(data.headers), ["en-US", "de-DE"]);
+  const issues = core.validateRows(data, { targetColumn: "frame_name" });
+  assert.deepEqual(issues.map((i) => i.message), ["Empty frame_name for layer 'CTA'"]);
+  assert.deepEqual(core.buildReplacementPlan(data, ["de-DE"], { targetColumn: "frame_name" }).targets, ["KV_1", "KV_2"]);
+});
+
+test("layer_name patterns match by name, path, wildcard and regex", () => {
+  const match = (pattern, path) => core.matchLayerPath(pattern, path.split("/"));
+  assert.equal(match("Headline", "Sub_Comp_A/Headline"), true);
+  assert.equal(match("Sub_Comp_A/Headline", "Sub_Comp_A/Headline"), true);
+  assert.equal(match("Sub_Comp_A/Headline", "Sub_Comp_B/Headline"), false);
+  assert.equal(match("Headline", "Sub_Comp_A/Sub_Comp_B/Headline"), true);
+  assert.equal(match("Sub_Comp_B/Headline", "Sub_Comp_A/Sub_Comp_B/Headline"), false);
+  assert.equal(match("**/Sub_Comp_B/Headline", "Sub_Comp_A/Sub_Comp_B/Headline"), true);
+  assert.equal(match("**/Headline", "Headline"), true);
+  assert.equal(match("Sub_*/Head?ine", "Sub_Comp_A/Headline"), true);
+  assert.equal(match("CTA_*", "CTA_Primary"), true);
+  assert.equal(match("/^cta \\d+$/i", "Card/CTA 2"), true);
+  assert.equal(match("/^cta \\d+$/", "Card/CTA 2"), false);
+  assert.equal(core.matchLayerPath("Price\\/Month", ["Price/Month"]), true);
+  assert.equal(core.matchLayerPath("Price/Month", ["Price/Month"]), true);
+  assert.equal(match("Sale\\*", "Sale_1"), false);
+
+  const data = core.parseCSV("layer_name,en-US\n/[a-/,x\nCard//Title,y\n");
+  assert.deepEqual(core.validateRows(data).map((i) => i.message.replace(/ \(.*\)$/, "")), [
+    "layer_name '/[a-/' is not a valid regular expression",
+    "layer_name 'Card//Title' has an empty name in its path"
+  ]);
+});
+
+test("findLayerOwner gives a layer to the most specific row", () => {
+  const patterns = ["Headline*", "Headline", "**/Hero/*", "Hero/Headline"].map(core.parseLayerPattern);
+  assert.equal(core.findLayerOwner(patterns, ["Hero", "Headline"]), 3);
+  assert.equal(core.findLayerOwner(patterns, ["Card", "Hero", "Headline"]), 2);
+  assert.equal(core.findLayerOwner(patterns, ["Card", "Headline"]), 1);
+  assert.equal(core.findLayerOwner(patterns, ["Headline 2"]), 0);
+  assert.equal(core.findLayerOwner(patterns, ["CTA"]), -1);
+});
+
+test("findLayerCell finds the recorded cell of a layer matched by a path or pattern", () => {
+  const cells = { "Sub_Comp/Logo": "logo_de.png", "Badge_*": "badge_de.png", "Badge_Sale": "sale_de.png" };
+  assert.equal(core.findLayerCell(cells, ["Sub_Comp", "Logo"]), "Sub_Comp/Logo");
+  assert.equal(core.findLayerCell(cells, ["Badge_New"]), "Badge_*");
+  assert.equal(core.findLayerCell(cells, ["Badge_Sale"]), "Badge_Sale");
+  // Same name elsewhere in the tree: no cell, so propagate restores the master's source
+  assert.equal(core.findLayerCell(cells, ["Logo"]), null);
+  assert.equal(core.findLayerCell({}, ["Logo"]), null);
+});
@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const core = require("../shared/output-names.js");
+
+test("formatOutputName fills every token, applies filters and builds subfolders", () => {
+  const values = { comp: "Main_Comp", preset: "Instagram Story", lang: "zh-TW", width: 1080, height: 1920, fps: 29.97, project: "Launch Q3" };
+  assert.deepEqual(core.formatOutputName("{lang|upper}/{comp}_{preset|slug}_{width}x{height}_{lang}", values), {
+    path: "ZH-TW/Main_Comp_instagram-story_1080x1920_zh-TW",
+    errors: []
+  });
+  assert.equal(core.formatOutputName("{project|slug}/{preset|upper}/{fps}fps {{final}}", values).path, "launch-q3/INSTAGRAM STORY/29.97fps {final}");
+  assert.equal(core.formatOutputName("{preset|lower|title}", values).path, "Instagram Story");
+  assert.equal(core.formatOutputName("{comp}: {preset}?", values).path, "Main_Comp_ Instagram Story_");
+
+  // Empty tokens take a separator along; empty folders disappear
+  const plain = { comp: "Promo", lang: "", preset: "TikTok" };
+  assert.equal(core.formatOutputName("{comp}_{lang}_{preset}", plain).path, "Promo_TikTok");
+  assert.equal(core.formatOutputName("{lang}/{lang}-{comp}", plain).path, "Promo");
+  assert.equal(core.formatOutputName("../{comp}/./x", plain).path, "Promo/x");
+
+  assert.deepEqual(core.formatOutputName("{comp}_{nope}_{comp|shout}_{lang", plain).errors, [
+    "Unclosed '{' at column 28",
+    "Unknown token {nope}",
+    "Unknown filter 'shout' on {comp}"
+  ]);
+  assert.deepEqual(core.templateTokens("{comp}_{preset|slug}/{comp}"), ["comp", "preset"]);
+});
+
+test("formatOutputPath counts {version} up past taken paths", () => {
+  const taken = ["Promo_v01", "Promo_v02", "TikTok/Promo_v01"];
+  const isTaken = (path) => taken.includes(path);
+  assert.equal(core.formatOutputPath("{comp}_{version}", { comp: "Promo" }, isTaken).path, "Promo_v03");
+  assert.equal(core.formatOutputPath("{preset}/{comp}_{version}", { comp: "Promo", preset: "TikTok" }, isTaken).version, 2);
+  const unversioned = core.formatOutputPath("{comp}", { comp: "Promo_v01" }, isTaken);
+  assert.deepEqual([unversioned.path, unversioned.version], ["Promo_v01", null]);
+});
+
+test("localizedLanguage trusts the Batch Asset Replacer link and folders", () => {
+  const linked = { comment: core.writeMetaBlock("Notes", "BatchReplacer", { source: "12", lang: "zh-TW" }), folder: "Shots", parentFolder: "" };
+  assert.equal(core.localizedLanguage(linked, "Localized_Versions"), "zh-TW");
+  assert.equal(core.localizedLanguage({ comment: "", folder: "PT-BR", parentFolder: "Localized_Versions" }, "Localized_Versions"), "pt-BR");
+  assert.equal(core.localizedLanguage({ comment: "", folder: "ZH-HANT-TW", parentFolder: "Localized_Versions" }, "Localized_Versions"), "zh-Hant-TW");
+  assert.equal(core.localizedLanguage({ comment: "", folder: "_PRECOMPS", parentFolder: "Localized_Versions" }, "Localized_Versions"), "");
+  assert.equal(core.localizedLanguage({ comment: "", folder: "DE", parentFolder: "Archive" }, "Localized_Versions"), "");
+
+  assert.equal(core.languageFromLabel("ZH-TW"), "zh-TW");
+  assert.equal(core.languageFromLabel("_PRECOMPS"), null);
+});
+
+test("localizedLanguage reads a copy's suffix only after another comp's name", () => {
+  const compNames = ["Main_Comp", "Main", "Main_Comp_zh_tw", "Promo", "Promo_final", "Scene_bg"];
+  const unlinked = (name) => core.localizedLanguage({ name, comment: "", folder: "", parentFolder: "" }, "Localized_Versions", compNames);
+  assert.equal(unlinked("Main_Comp_zh_tw"), "zh-TW");
+  assert.equal(unlinked("Promo_pt_br"), "pt-BR");
+
+  // No "Scene" or "Logo" comp, and "final" is no language
+  for (const name of ["Scene_bg", "Logo_fx", "Promo_final", "Main_Comp"]) assert.equal(unlinked(name), "", name);
+  // Without the project's comp names nothing is guessed
+  assert.equal(core.localizedLanguage({ name: "Main_Comp_zh_tw", comment: "", folder: "", parentFolder: "" }, "Localized_Versions"), "");
+});
@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const core = require("../shared/qa.js");
+
+function messages(issues) {
+  return issues.map((i) => i.severity + " " + i.check + " " + i.message);
+}
+
+test("checkTranslations flags empty, untranslated, spaced and placeholder problems", () => {
+  const data = core.parseCSV([
+    "layer_name,type,en-US,en-GB,de-DE,ja-JP",
+    "Headline,text,Trade in {steps} steps,Trade in {steps} steps,Trade in {steps} steps,{count} ステップで取引",
+    "CTA,text,Start now,Start now,\" Jetzt starten\",",
+    "Logo,image,logo.png,,,",
+    "steps,variable,3,,,"
+  ].join("\n"));
+  const issues = core.checkTranslations(data, ["en-US", "en-GB", "de-DE", "ja-JP"]);
+  assert.deepEqual(messages(issues), [
+    "warning untranslated [de-DE] Headline: same as en-US",
+    "error placeholders [ja-JP] Headline: missing {steps} from en-US",
+    "error placeholders [ja-JP] Headline: {count} not in en-US",
+    "warning whitespace [de-DE] CTA: leading or trailing spaces",
+    "warning empty [ja-JP] CTA: no translation"
+  ]);
+  assert.equal(issues[1].line, 2);
+  assert.equal(issues[1].lang, "ja-JP");
+});
+
+test("checkTranslations checks markup, length and glyphs", () => {
+  const data = core.parseCSV([
+    "comp_name,layer_name,en-US,de-DE,zh-TW,th-TH",
+    "Main,Headline,Trade <b>Bitcoin</b> now,Jetzt <b>Bitcoin handeln,立即交易<b>比特幣</b>,ซื้อขาย <b>บิทคอยน์</b> ตอนนี้",
+    "Main,Legal,Terms and conditions apply,Es gelten die Allgemeinen Geschäftsbedingungen der Bybit Fintech Limited,適用條款及細則,ข้อกำหนดและเงื่อนไขมีผลบังคับใช้"
+  ].join("\n"));
+  const fonts = { Headline: { family: "Inter", style: "Bold" }, Legal: { family: "Inter", style: "Regular" } };
+  const issues = core.checkTranslations(data, ["en-US", "de-DE", "zh-TW", "th-TH"], {
+    targetColumn: "comp_name",
+    fontOf: (target, layerName) => (target === "Main" ? fonts[layerName] : null),
+    fontMap: { "zh-TW": { "*": { family: "Noto Sans TC" } } },
+    severity: { untranslated: "off" }
+  });
+  assert.deepEqual(messages(issues), [
+    "error markup [de-DE] Headline: unbalanced <b>",
+    "warning glyphs [th-TH] Headline: Inter has no Thai (ซื้อขายบ…)",
+    "warning length [de-DE] Legal: 277% of the en-US length",
+    "warning glyphs [th-TH] Legal: Inter has no Thai (ข้อกำหนด…)"
+  ]);
+
+  assert.match(core.formatQAReport(issues, "QA"), /^QA — 1 error\(s\), 3 warning\(s\)\nERROR  line 2  \[de-DE\] Headline: unbalanced <b>\nwarn   line 2/);
+});
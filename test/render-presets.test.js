@@ -0,0 +1,121 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const core = require("../shared/render-presets.js");
+
+test("readPresetLibrary validates each preset and keeps the valid ones", () => {
+  const library = core.readPresetLibrary(JSON.stringify({
+    presets: {
+      "Threads": { width: 1080, height: 1920, fps: 30, outputModule: "H.264", fileExtension: ".mp4" },
+      "Client Feed": { width: 1080, height: 1350.5, fileExtension: "mp4" },
+      "Instagram Story": { fps: 25, widht: 1080 },
+      "GIF Preview": null,
+      "Broken": [1]
+    }
+  }), "team/social.json");
+  assert.deepEqual(Object.keys(library.presets), ["Threads", "Instagram Story", "GIF Preview"]);
+  assert.deepEqual(library.issues.map((i) => i.severity + " " + i.message), [
+    "error team/social.json: 'Client Feed' height must be a whole number of pixels or null",
+    "error team/social.json: 'Client Feed' fileExtension must be a file extension like \".mp4\"",
+    "warning team/social.json: 'Instagram Story' unknown field 'widht' (ignored)",
+    "error team/social.json: 'Broken' must be an object, or null to hide it"
+  ]);
+
+  assert.match(core.readPresetLibrary("{ presets: {} }", "mine.json").issues[0].message, /^mine\.json: Expected a "key".* at line 1, column 3$/);
+  assert.match(core.readPresetLibrary("[]", "list.json").issues[0].message, /expected \{ "presets"/);
+});
+
+test("mergePresetLibraries layers built-in, team and user presets", () => {
+  const team = core.readPresetLibrary(JSON.stringify({
+    presets: {
+      "Threads": { description: "Threads", width: 1080, height: 1920, outputModule: "H.264", fileExtension: ".mp4" },
+      "Instagram Story": { fps: 25 },
+      "Half": { width: 960 }
+    }
+  }), "team/a.json");
+  const user = { source: "your library", presets: { "GIF Preview": null, "Threads": { fps: 60 } } };
+  const merged = core.mergePresetLibraries([team, user]);
+
+  assert.equal(merged.names.length, 14);
+  assert.equal(merged.names[merged.names.length - 1], "Threads");
+  assert.equal(merged.names.includes("GIF Preview"), false);
+  assert.equal(merged.presets["Instagram Story"].fps, 25);
+  assert.equal(merged.presets["Instagram Story"].width, 1080);
+  assert.equal(merged.sources["Instagram Story"], "team/a.json");
+  assert.deepEqual([merged.presets["Threads"].fps, merged.presets["Threads"].width, merged.sources["Threads"]], [60, 1080, "your library"]);
+  assert.deepEqual(merged.issues.map((i) => i.message), [
+    "team/a.json: 'Half' outputModule is required",
+    "team/a.json: 'Half' fileExtension is required"
+  ]);
+  assert.equal(core.mergePresetLibraries([]).names.length, 14);
+});
+
+test("bundles are read, layered and checked against the merged presets", () => {
+  const team = core.readPresetLibrary(JSON.stringify({
+    bundles: {
+      "Social pack": ["TikTok", "YouTube Shorts"],
+      "Launch": ["Threads", "TikTok", "Threads", "Snapchat"],
+      "Bad": "TikTok"
+    }
+  }), "team/bundles.json");
+  assert.deepEqual(Object.keys(team.bundles), ["Social pack", "Launch"]);
+  assert.deepEqual(team.issues.map((i) => i.message), [
+    "team/bundles.json: bundle 'Bad' must be a list of preset names, or null to hide it"
+  ]);
+
+  const user = {
+    source: "your library",
+    presets: { "Threads": { width: 1080, height: 1920, outputModule: "H.264", fileExtension: ".mp4" } },
+    bundles: { "Social pack": null }
+  };
+  const merged = core.mergePresetLibraries([team, user]);
+  assert.deepEqual(merged.bundleNames, ["Launch"]);
+  assert.deepEqual(merged.bundles["Launch"], ["Threads", "TikTok"]);
+  assert.equal(merged.bundleSources["Launch"], "team/bundles.json");
+  assert.deepEqual(merged.issues.map((i) => i.severity + " " + i.message), [
+    "warning team/bundles.json: bundle 'Launch' names no preset 'Snapchat'"
+  ]);
+  assert.deepEqual(core.mergePresetLibraries([]).bundles["Social pack"], core.DEFAULT_BUNDLES["Social pack"]);
+
+  const text = core.formatPresetLibrary({}, { "Launch": ["TikTok"] });
+  assert.deepEqual(core.parseJSON(text), { presets: {}, bundles: { "Launch": ["TikTok"] } });
+  assert.equal(core.formatPresetLibrary({}, {}), "{\n  \"presets\": {}\n}\n");
+});
+
+test("readPresetFields turns editor text into a preset", () => {
+  const read = core.readPresetFields({ width: " 1080 ", height: "", fps: "29.97", outputModule: "H.264", fileExtension: "mp4", notes: "x" });
+  assert.deepEqual(read.preset, { width: 1080, height: null, fps: 29.97, outputModule: "H.264", fileExtension: ".mp4", notes: "x" });
+  assert.deepEqual(read.issues, []);
+  assert.deepEqual(core.readPresetFields({ fps: "fast", outputModule: "", fileExtension: ".mov" }).issues.map((i) => i.message), [
+    "fps must be a positive number or null",
+    "outputModule is required"
+  ]);
+  assert.equal(core.describePreset(read.preset), "1080×auto | 29.97 fps");
+  assert.deepEqual(core.parseJSON(core.formatPresetLibrary({ A: read.preset, B: null })), { presets: { A: read.preset, B: null } });
+});
+
+test("presetFrame and reframeLayout size the render wrapper", () => {
+  const hd = { width: 1920, height: 1080, pixelAspect: 1, frameRate: 25 };
+  const presets = core.DEFAULT_PRESETS;
+  assert.deepEqual(core.presetFrame(presets["Instagram Story"], hd), { width: 1080, height: 1920, fps: 30, matches: false });
+  assert.deepEqual(core.presetFrame(presets["GIF Preview"], hd), { width: 480, height: 270, fps: 15, matches: false });
+  assert.equal(core.presetFrame(presets["ProRes 4444 Master"], hd).matches, true);
+  assert.equal(core.presetFrame(presets["YouTube 1080p"], { ...hd, frameRate: 30 }).matches, true);
+  assert.deepEqual(core.presetFrame({ height: 1080 }, { width: 1440, height: 1080, pixelAspect: 1.333, frameRate: 30 }), {
+    width: 1920, height: 1080, fps: 30, matches: false
+  });
+
+  const story = { width: 1080, height: 1920 };
+  assert.deepEqual(core.reframeLayout(hd, story, "fit"), { scale: 56.25, position: [540, 960], background: null });
+  assert.equal(Math.round(core.reframeLayout(hd, story, "fill").scale * 100) / 100, 177.78);
+  assert.deepEqual(core.reframeLayout(hd, story, "letterbox").background, { kind: "solid" });
+  const blur = core.reframeLayout(hd, story, "blur");
+  assert.equal(blur.scale, 56.25);
+  assert.equal(blur.background.kind, "blur");
+  assert.equal(Math.round(blur.background.scale), 178);
+
+  const read = core.readPresetFields({ outputModule: "H.264", fileExtension: ".mp4", reframe: "Blur" });
+  assert.equal(read.preset.reframe, "blur");
+  assert.equal(core.readPresetFields({ outputModule: "H.264", fileExtension: ".mp4", reframe: "" }).preset.reframe, undefined);
+  assert.deepEqual(core.checkPresetFields({ reframe: "crop" }).map((i) => i.message), ["reframe must be one of fit, fill, letterbox, blur"]);
+});
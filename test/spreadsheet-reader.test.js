@@ -0,0 +1,164 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+
+const core = require("../shared/spreadsheet-reader.js");
+
+// Minimal zip writer for fixtures (the reader ignores CRCs).
+function zip(files, { store = false } = {}) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, text] of Object.entries(files)) {
+    const nameBuf = Buffer.from(name, "utf8");
+    const raw = Buffer.from(text, "utf8");
+    const data = store ? raw : zlib.deflateRawSync(raw);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(store ? 0 : 8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    locals.push(local, nameBuf, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(store ? 0 : 8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuf);
+    offset += 30 + nameBuf.length + data.length;
+  }
+  const dir = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(dir.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return new Uint8Array(Buffer.concat([...locals, dir, end]));
+}
+
+const XLSX_FILES = {
+  "xl/workbook.xml":
+    '<?xml version="1.0" encoding="UTF-8"?><workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+    '<sheet name="Intro" sheetId="1" r:id="rId1"/><sheet name="Outro" sheetId="2" r:id="rId2"/></sheets></workbook>',
+  "xl/_rels/workbook.xml.rels":
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Target="/xl/worksheets/sheet2.xml"/></Relationships>',
+  "xl/sharedStrings.xml":
+    '<sst><si><t>layer_name</t></si><si><t>en-US</t></si><si><t>ar-SA</t></si><si><t>Headline</t></si>' +
+    '<si><r><t>Trade </t></r><r><rPr><b/></rPr><t>now</t></r></si><si><t xml:space="preserve">تداول&#10;الآن</t></si>' +
+    '<si><t>CTA</t></si></sst>',
+  "xl/worksheets/sheet1.xml":
+    '<worksheet><sheetData>' +
+    '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="s"><v>2</v></c></row>' +
+    '<row r="3"><c r="A3" t="s"><v>3</v></c><c r="B3" t="s"><v>4</v></c><c r="C3" t="s"><v>5</v></c></row>' +
+    '<row r="4"><c r="A4" t="s"><v>6</v></c><c r="C4" t="inlineStr"><is><t>3 &amp; more</t></is></c></row>' +
+    '</sheetData></worksheet>',
+  "xl/worksheets/sheet2.xml":
+    '<worksheet><sheetData><row r="1"><c r="A1" t="inlineStr"><is><t>comp_name</t></is></c>' +
+    '<c r="B1" t="inlineStr"><is><t>layer_name</t></is></c><c r="C1" t="inlineStr"><is><t>en-US</t></is></c></row>' +
+    '<row r="2"><c r="B2" t="inlineStr"><is><t>Price</t></is></c><c r="C2"><v>42</v></c></row></sheetData></worksheet>'
+};
+
+test("inflateRaw round-trips zlib output", () => {
+  const text = "Криптовалютамен сауда жасау ".repeat(200) + "加密貨幣交易".repeat(50);
+  for (const level of [0, 1, 9]) {
+    const packed = zlib.deflateRawSync(Buffer.from(text, "utf8"), { level });
+    const out = core.inflateRaw(new Uint8Array(packed));
+    assert.equal(core.decodeUTF8(out), text);
+  }
+});
+
+test("bytesFromBinaryString mirrors ExtendScript binary reads", () => {
+  const bytes = Buffer.from("Ж€😀", "utf8");
+  const binary = String.fromCharCode(...bytes);
+  assert.equal(core.decodeUTF8(core.bytesFromBinaryString(binary)), "Ж€😀");
+});
+
+test("readSpreadsheet reads XLSX sheets with shared, rich and inline strings", () => {
+  const book = core.readSpreadsheet(zip(XLSX_FILES), "copy.xlsx");
+  assert.equal(book.format, "xlsx");
+  assert.deepEqual(book.sheets.map(s => s.name), ["Intro", "Outro"]);
+
+  const intro = book.sheets[0];
+  assert.deepEqual(intro.headers, ["layer_name", "en-US", "ar-SA"]);
+  assert.equal(intro.rows.length, 2);
+  assert.equal(intro.rows[0]["en-US"], "Trade now");
+  assert.equal(intro.rows[0]["ar-SA"], "تداول\nالآن");
+  assert.equal(intro.rows[0].__line, 3);
+  assert.equal(intro.rows[1]["en-US"], "");
+  assert.equal(intro.rows[1]["ar-SA"], "3 & more");
+
+  assert.equal(book.sheets[1].rows[0]["en-US"], "42");
+});
+
+test("readSpreadsheet reads stored (uncompressed) zips", () => {
+  const book = core.readSpreadsheet(zip(XLSX_FILES, { store: true }), "copy.XLSX");
+  assert.equal(book.sheets[0].rows[0]["layer_name"], "Headline");
+});
+
+test("readSpreadsheet reads ODS with repeated cells and line breaks", () => {
+  const content =
+    '<office:document-content xmlns:office="o" xmlns:table="t" xmlns:text="x"><office:body><office:spreadsheet>' +
+    '<table:table table:name="Main_Comp">' +
+    '<table:table-row><table:table-cell><text:p>layer_name</text:p></table:table-cell>' +
+    '<table:table-cell><text:p>de-DE</text:p></table:table-cell><table:table-cell><text:p>kk-KZ</text:p></table:table-cell>' +
+    '<table:table-cell table:number-columns-repeated="16000"/></table:table-row>' +
+    '<table:table-row><table:table-cell><text:p>Headline</text:p></table:table-cell>' +
+    '<table:table-cell><text:p>Krypto<text:s text:c="2"/>einfach<text:line-break/>handeln</text:p></table:table-cell>' +
+    '<table:table-cell office:value-type="float" office:value="3"><text:p>3</text:p></table:table-cell></table:table-row>' +
+    '<table:table-row table:number-rows-repeated="1048000"><table:table-cell table:number-columns-repeated="1024"/></table:table-row>' +
+    '</table:table></office:spreadsheet></office:body></office:document-content>';
+  const book = core.readSpreadsheet(zip({ "mimetype": "application/vnd.oasis.opendocument.spreadsheet", "content.xml": content }), "copy.ods");
+  assert.equal(book.sheets.length, 1);
+  assert.equal(book.sheets[0].name, "Main_Comp");
+  assert.deepEqual(book.sheets[0].headers, ["layer_name", "de-DE", "kk-KZ"]);
+  assert.equal(book.sheets[0].rows.length, 1);
+  assert.equal(book.sheets[0].rows[0]["de-DE"], "Krypto  einfach\nhandeln");
+  assert.equal(book.sheets[0].rows[0]["kk-KZ"], "3");
+});
+
+test("readSpreadsheet reads TSV and CSV text", () => {
+  const tsv = core.readSpreadsheet("layer_name\ten-US\nCTA\tGo, now\n", "export.tsv");
+  assert.equal(tsv.format, "tsv");
+  assert.equal(tsv.sheets[0].name, "export");
+  assert.equal(tsv.sheets[0].rows[0]["en-US"], "Go, now");
+
+  const csv = core.readSpreadsheet(new Uint8Array(Buffer.from("\uFEFFlayer_name,en-US\nCTA,Go\n")), "C:\\copy\\final.csv");
+  assert.equal(csv.sheets[0].name, "final");
+  assert.equal(csv.sheets[0].rows[0]["en-US"], "Go");
+
+  assert.throws(() => core.readSpreadsheet("", "copy.numbers"), /Unsupported file type/);
+});
+
+test("mergeSheets maps sheets to master comps", () => {
+  const book = core.readSpreadsheet(zip(XLSX_FILES), "copy.xlsx");
+  const merged = core.mergeSheets(book.sheets, { Intro: "Intro_Comp", Outro: "Outro_Comp" }, { targetColumn: "comp_name" });
+  assert.deepEqual(merged.headers, ["comp_name", "layer_name", "en-US", "ar-SA"]);
+  assert.deepEqual(merged.rows.map(r => [r.comp_name, r.layer_name, r.__sheet]), [
+    ["Intro_Comp", "Headline", "Intro"],
+    ["Intro_Comp", "CTA", "Intro"],
+    ["Outro_Comp", "Price", "Outro"]
+  ]);
+  assert.equal(merged.rows[2]["ar-SA"], "");
+
+  const onlyOwn = core.mergeSheets(core.readSpreadsheet(zip(XLSX_FILES), "copy.xlsx").sheets, {}, { targetColumn: "comp_name" });
+  assert.deepEqual(onlyOwn.rows.map(r => r.__sheet), ["Outro"]);
+
+  const issues = core.validateRows(onlyOwn, { targetColumn: "comp_name" });
+  assert.match(issues[0].message, /^\[Outro\] Empty comp_name/);
+});
+
+test("parseXML handles CDATA, comments, entities and '>' in attributes", () => {
+  const root = core.parseXML('<?xml version="1.0"?><!-- c --><a x="1 &gt; 0" y=\'b>c\'><b>&#x1F600;<![CDATA[<raw>]]></b><c/></a>');
+  assert.equal(root.name, "a");
+  assert.equal(root.attributes.x, "1 > 0");
+  assert.equal(root.attributes.y, "b>c");
+  assert.equal(core.xmlText(core.xmlChild(root, "b")), "😀<raw>");
+  assert.throws(() => core.parseXML("<a><b></a>"), /Unexpected <\/a>/);
+});
@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const core = require("../shared/xliff.js");
+require("../shared/spreadsheet-reader.js");
+
+const UNITS = [
+  { file: "Main_Comp", id: "Headline", source: "Trading crypto <made> \"easy\" & fast" },
+  { file: "Main_Comp", id: "Sub_Comp_A/Sub_Comp_B/CTA_Button", source: "Trade Now", target: "Jetzt handeln" },
+  { file: "Outro", id: "Speaker/Name\\/Title", source: "John Smith\nHead of Derivatives" }
+];
+
+test("layer paths escape slashes inside names", () => {
+  const path = core.joinLayerPath(["Sub_Comp_A", "Name/Title"]);
+  assert.equal(path, "Sub_Comp_A/Name\\/Title");
+  assert.deepEqual(core.splitLayerPath(path), ["Sub_Comp_A", "Name/Title"]);
+
+  const wild = core.joinLayerPath(["Sub*", "Price?"]);
+  assert.equal(wild, "Sub\\*/Price\\?");
+  assert.equal(core.matchLayerPath(wild, ["Sub*", "Price?"]), true);
+  assert.equal(core.matchLayerPath(wild, ["Sub_A", "Price1"]), false);
+});
+
+for (const version of ["1.2", "2.0"]) {
+  test(`XLIFF ${version} export round-trips through import`, () => {
+    const xml = core.buildXLIFF(UNITS, { version, sourceLanguage: "en-US", targetLanguage: "de-DE" });
+    assert.match(xml, new RegExp(`version="${version.replace(".", "\\.")}"`));
+
+    const doc = core.parseXLIFF(xml);
+    assert.equal(doc.sourceLanguage, "en-US");
+    assert.equal(doc.targetLanguage, "de-DE");
+    assert.deepEqual(doc.units.map(u => [u.file, u.id, u.source, u.target]), [
+      ["Main_Comp", "Headline", "Trading crypto <made> \"easy\" & fast", ""],
+      ["Main_Comp", "Sub_Comp_A/Sub_Comp_B/CTA_Button", "Trade Now", "Jetzt handeln"],
+      ["Outro", "Speaker/Name\\/Title", "John Smith\nHead of Derivatives", ""]
+    ]);
+  });
+}
+
+test("XLIFF 2.0 ids are NMTOKENs and stay unique", () => {
+  const xml = core.buildXLIFF([
+    { file: "Main", id: "A B/Headline", source: "x" },
+    { file: "Main", id: "A_B/Headline", source: "y" }
+  ], { version: "2.0" });
+  assert.match(xml, /<unit id="A_B_Headline" name="A B\/Headline">/);
+  assert.match(xml, /<unit id="A_B_Headline_2" name="A_B\/Headline">/);
+  assert.doesNotMatch(xml, /trgLang|<target/);
+});
+
+test("parseXLIFF flattens inline codes and reads 1.2 languages from <file>", () => {
+  const doc = core.parseXLIFF(
+    '<xliff version="1.2"><file original="Main_Comp" source-language="en-US" target-language="ja-JP"><body>' +
+    '<trans-unit id="Headline"><source>Get <g id="1">started</g><x id="2"/></source>' +
+    '<target>今すぐ<g id="1">始める</g></target></trans-unit></body></file></xliff>'
+  );
+  assert.equal(doc.targetLanguage, "ja-JP");
+  assert.equal(doc.units[0].source, "Get started");
+  assert.equal(doc.units[0].target, "今すぐ始める");
+  assert.throws(() => core.parseXLIFF("<html/>"), /Not an XLIFF file/);
+});
+
+test("readXLIFF merges one file per language into localization rows", () => {
+  const de = core.buildXLIFF(UNITS.map(u => ({ ...u, target: "DE " + u.source })), { sourceLanguage: "en-US", targetLanguage: "de-DE" });
+  const ja = core.buildXLIFF(UNITS.map(u => ({ ...u, target: "JA " + u.source })), { version: "2.0", sourceLanguage: "en-US", targetLanguage: "ja-JP" });
+
+  const book = core.readXLIFF([de, ja]);
+  const sheet = book.sheets[0];
+  assert.deepEqual(sheet.headers, ["comp_name", "layer_name", "type", "en-US", "de-DE", "ja-JP"]);
+  assert.deepEqual(sheet.rows.map(r => [r.comp_name, r.layer_name, r["ja-JP"]]), [
+    ["Main_Comp", "Headline", "JA Trading crypto <made> \"easy\" & fast"],
+    ["Main_Comp", "Sub_Comp_A/Sub_Comp_B/CTA_Button", "JA Trade Now"],
+    ["Outro", "Speaker/Name\\/Title", "JA John Smith\nHead of Derivatives"]
+  ]);
+  assert.deepEqual(core.detectLanguages(sheet.headers), ["en-US", "de-DE", "ja-JP"]);
+  assert.deepEqual(core.validateRows(sheet, { targetColumn: "comp_name" }), []);
+});
+
+test("readXLIFF keeps same-named layers in different sub-comps apart", () => {
+  const units = [
+    { file: "Main", id: core.joinLayerPath(["Sub_A", "Headline"]), source: "First", target: "Erste" },
+    { file: "Main", id: core.joinLayerPath(["Sub_B", "Headline"]), source: "Second", target: "Zweite" }
+  ];
+  const sheet = core.readXLIFF([core.buildXLIFF(units, { sourceLanguage: "en-US", targetLanguage: "de-DE" })]).sheets[0];
+  assert.deepEqual(sheet.rows.map(r => r.layer_name), ["Sub_A/Headline", "Sub_B/Headline"]);
+  assert.deepEqual(core.validateRows(sheet, { targetColumn: "comp_name" }), []);
+
+  const plan = core.buildReplacementPlan(sheet, ["de-DE"], { targetColumn: "comp_name" });
+  assert.deepEqual(plan.languages[0].replacements.map(r => [r.layerName, r.value]), [
+    ["Sub_A/Headline", "Erste"],
+    ["Sub_B/Headline", "Zweite"]
+  ]);
+  const patterns = sheet.rows.map(r => core.parseLayerPattern(r.layer_name));
+  assert.equal(core.findLayerOwner(patterns, ["Sub_B", "Headline"]), 1);
+  assert.equal(core.findLayerOwner(patterns, ["Sub_C", "Headline"]), -1);
+});
+
+test("readSpreadsheet accepts .xlf files", () => {
+  const xml = core.buildXLIFF(UNITS, { sourceLanguage: "en-US", targetLanguage: "de-DE" });
+  const book = core.readSpreadsheet(new Uint8Array(Buffer.from(xml)), "Main_Comp_de-DE.xlf");
+  assert.equal(book.format, "xliff");
+  assert.equal(book.sheets[0].name, "Main_Comp_de-DE");
+  assert.equal(book.sheets[0].rows[1]["de-DE"], "Jetzt handeln");
+});
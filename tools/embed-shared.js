@@ -0,0 +1,74 @@
+/**
+ * ============================================================
+ *  EMBED SHARED CORE INTO THE FIGMA PLUGIN
+ *  Figma loads a single code.js, so the files in shared/ are
+ *  copied between the @shared-begin / @shared-end markers.
+ * ============================================================
+ *
+ *  USAGE:
+ *    node tools/embed-shared.js           → rewrite figma-plugin/code.js
+ *    node tools/embed-shared.js --check   → exit 1 if it is out of date
+ *
+ *  The AE scripts don't need this — they //@include shared/ directly.
+ */
+
+var fs = require("fs");
+var path = require("path");
+
+var ROOT = path.join(__dirname, "..");
+
+// Order matters: later files extend LocalizationCore.
+var SHARED_FILES = [
+    "shared/localization-core.js",
+    "shared/xml.js",
+    "shared/spreadsheet-reader.js",
+    "shared/xliff.js",
+    "shared/fonts.js",
+    "shared/format.js",
+    "shared/qa.js"
+];
+
+var TARGET = "figma-plugin/code.js";
+var BEGIN = "// @shared-begin";
+var END = "// @shared-end";
+
+function buildBlock() {
+    var parts = [BEGIN, "// Generated from shared/ by tools/embed-shared.js — do not edit by hand."];
+    SHARED_FILES.forEach(function (file) {
+        var source = fs.readFileSync(path.join(ROOT, file), "utf8").replace(/\s+$/, "");
+        parts.push("", "// ─── " + file + " ───", source);
+    });
+    parts.push(END);
+    return parts.join("\n");
+}
+
+function embed(source) {
+    var start = source.indexOf(BEGIN);
+    var end = source.indexOf(END);
+    if (start < 0 || end < start) {
+        throw new Error(TARGET + " is missing the " + BEGIN + " / " + END + " markers");
+    }
+    return source.slice(0, start) + buildBlock() + source.slice(end + END.length);
+}
+
+function main() {
+    var targetPath = path.join(ROOT, TARGET);
+    var current = fs.readFileSync(targetPath, "utf8");
+    var next = embed(current);
+
+    if (process.argv.indexOf("--check") >= 0) {
+        if (next !== current) {
+            console.error(TARGET + " is out of date. Run: node tools/embed-shared.js");
+            process.exit(1);
+        }
+        console.log(TARGET + " is up to date.");
+        return;
+    }
+
+    fs.writeFileSync(targetPath, next);
+    console.log("Embedded " + SHARED_FILES.length + " shared file(s) into " + TARGET);
+}
+
+if (require.main === module) main();
+
+module.exports = { SHARED_FILES: SHARED_FILES, TARGET: TARGET, embed: embed };